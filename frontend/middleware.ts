@@ -20,29 +20,34 @@ export async function middleware(request: NextRequest) {
     return NextResponse.next();
   }
 
-  // For all other paths, proxy to the backend redirect handler
+  // For all other paths, ask the backend whether the path is a link. The resolve
+  // endpoint has no side effects; the click is counted when the rewritten request
+  // reaches the backend redirect handler.
   try {
     const backendUrl = process.env.NEXT_PUBLIC_API_URL 
       || `${request.nextUrl.protocol}//${request.nextUrl.hostname}:8080`;
-    const redirectUrl = `${backendUrl}${pathname}`;
+    const path = `${pathname}${request.nextUrl.search}`;
 
-    const response = await fetch(redirectUrl, {
-      method: 'HEAD',
-      redirect: 'manual',
+    // Custom domains have their own links, so the backend needs the visitor's host
+    const host = request.headers.get('host') || request.nextUrl.host;
+    const resolveUrl = `${backendUrl}/_internal/resolve?path=${encodeURIComponent(path)}&host=${encodeURIComponent(host)}`;
+
+    const response = await fetch(resolveUrl, {
+      headers: {
+        'user-agent': request.headers.get('user-agent') || '',
+        cookie: request.headers.get('cookie') || '',
+      },
     });
 
-    // If backend returns a redirect, forward it
-    if (response.status === 301 || response.status === 302) {
-      const location = response.headers.get('location');
-      if (location) {
-        return NextResponse.redirect(new URL(location));
+    if (response.ok) {
+      const resolution = await response.json();
+      if (resolution.found) {
+        // The backend trusts X-Forwarded-Host when matching custom domains
+        const headers = new Headers(request.headers);
+        headers.set('x-forwarded-host', host);
+        return NextResponse.rewrite(new URL(path, backendUrl), { request: { headers } });
       }
     }
-
-    // If backend returns 404, let Next.js handle it
-    if (response.status === 404) {
-      return NextResponse.next();
-    }
   } catch (error) {
     // Swallow errors and let Next.js handle the route
   }
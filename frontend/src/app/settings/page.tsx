@@ -29,13 +29,37 @@ export default function SettingsPage() {
   const [identifierAvailable, setIdentifierAvailable] = useState<boolean | null>(null);
   const [identifierError, setIdentifierError] = useState('');
   
-  // Notification preferences
+  // Notification preferences, stored per event by /api/user/notifications
   const [notifications, setNotifications] = useState({
     emailAlerts: true,
+    linkExpiry: true,
     weeklyReport: false,
     marketingEmails: false
   });
 
+  useEffect(() => {
+    if (!user) return;
+
+    const loadNotifications = async () => {
+      const token = localStorage.getItem('token');
+      const { data, error } = await apiClient('api/user/notifications', { token });
+
+      if (error) {
+        console.error('Failed to load notification preferences:', error);
+        return;
+      }
+
+      setNotifications({
+        emailAlerts: data.events.account_alerts.email,
+        linkExpiry: data.events.link_expiry.email,
+        weeklyReport: data.events.weekly_report.email,
+        marketingEmails: data.events.marketing.email
+      });
+    };
+
+    loadNotifications();
+  }, [user]);
+
   useEffect(() => {
     if (user) {
       setProfileData({
@@ -180,11 +204,27 @@ export default function SettingsPage() {
     setIsSaving(true);
     
     try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const token = localStorage.getItem('token');
+      const { error } = await apiClient('api/user/notifications', {
+        method: 'PATCH',
+        token,
+        body: JSON.stringify({
+          events: {
+            account_alerts: { email: notifications.emailAlerts },
+            link_expiry: { email: notifications.linkExpiry },
+            weekly_report: { email: notifications.weeklyReport },
+            marketing: { email: notifications.marketingEmails }
+          }
+        })
+      });
+
+      if (error) {
+        throw new Error(error);
+      }
+
       toast.success('Notification preferences saved!');
-    } catch (error) {
-      toast.error('Failed to save preferences');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to save preferences');
     } finally {
       setIsSaving(false);
     }
@@ -427,6 +467,25 @@ export default function SettingsPage() {
                     </button>
                   </div>
 
+                  <div className="flex items-center justify-between py-3">
+                    <div>
+                      <p className="font-medium text-gray-900">Link Expiry Reminders</p>
+                      <p className="text-sm text-gray-500">Daily digest of links that expire within 7 days</p>
+                    </div>
+                    <button
+                      onClick={() => setNotifications({ ...notifications, linkExpiry: !notifications.linkExpiry })}
+                      className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                        notifications.linkExpiry ? 'bg-primary-600' : 'bg-gray-200'
+                      }`}
+                    >
+                      <span
+                        className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                          notifications.linkExpiry ? 'translate-x-6' : 'translate-x-1'
+                        }`}
+                      />
+                    </button>
+                  </div>
+
                   <div className="flex items-center justify-between py-3">
                     <div>
                       <p className="font-medium text-gray-900">Weekly Report</p>
@@ -35,6 +35,8 @@ interface Url {
   is_active: boolean;
   is_expired: boolean;
   expires_at: string | null;
+  max_clicks?: number | null;
+  remaining_clicks?: number | null;
   created_at: string;
   full_url: string;
   short_url: string | null;
@@ -271,6 +273,12 @@ export function UrlList({ urls, onEdit, onDelete, onToggleActive }: UrlListProps
                 Expires {format(new Date(url.expires_at), 'MMM d, yyyy')}
               </div>
             )}
+            {url.max_clicks != null && (
+              <div className="flex items-center gap-1">
+                <MousePointer className="w-3 h-3" />
+                {formatNumber(url.remaining_clicks ?? 0)} of {formatNumber(url.max_clicks)} uses left
+              </div>
+            )}
             <div className="flex items-center gap-1">
               Keywords: {url.keywords?.map(k => (
                 <span key={k} className="px-1.5 py-0.5 bg-gray-100 rounded">
@@ -19,6 +19,8 @@ export default {
     '**/__tests__/**/*.js',
     '**/?(*.)+(spec|test).js'
   ],
+  // Needs a migrated Postgres; `npm run test:performance` runs it
+  testPathIgnorePatterns: ['/node_modules/', '/tests/performance/analytics-ingest'],
   setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
   moduleFileExtensions: ['js', 'json'],
   verbose: true
@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+// Applies each plan's analytics retention now. The backend runs it daily as the
+// analytics-retention job; this is for one-off runs or deployments without the scheduler, e.g.
+//   0 3 * * * cd /srv/wordsto-link && npm run analytics:retention
+import { db } from '../src/db/connection.js';
+import { runAnalyticsRetention } from '../src/services/analytics-retention.js';
+
+try {
+    const results = await runAnalyticsRetention(db);
+    if (results.length === 0) {
+        console.log('No plan has an analytics retention period');
+    }
+} catch (error) {
+    console.error('Analytics retention failed:', error);
+    process.exitCode = 1;
+} finally {
+    await db.close();
+}
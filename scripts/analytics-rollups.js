@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+// Creates upcoming analytics_events partitions and rolls up the hours that changed since the
+// last run. The backend does this every five minutes as the analytics-rollups job; this is for
+// one-off runs (e.g. the first rollup after migrating) or deployments without the scheduler.
+// Hours not rolled up yet are read from raw events, so a late run only costs query time.
+import { db } from '../src/db/connection.js';
+import { ensureAnalyticsPartitions, refreshAnalyticsRollups } from '../src/services/analytics-rollups.js';
+
+try {
+    await db.connect();
+    await ensureAnalyticsPartitions(db);
+    await refreshAnalyticsRollups(db);
+} catch (error) {
+    console.error('Analytics rollups failed:', error);
+    process.exitCode = 1;
+} finally {
+    await db.close();
+}
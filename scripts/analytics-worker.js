@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+// Writes queued click events to analytics_events. Run one or more next to the API servers;
+// they share the work through the stream's consumer group.
+import { db } from '../src/db/connection.js';
+import { config } from '../src/config/index.js';
+import { RedisCache } from '../src/services/redis-cache.js';
+import { AnalyticsQueue } from '../src/services/analytics-queue.js';
+import { AnalyticsWorker } from '../src/services/analytics-worker.js';
+
+const redis = new RedisCache(process.env.REDIS_URL);
+
+try {
+    await db.connect();
+    await redis.connect();
+
+    const queue = new AnalyticsQueue(redis.client, {
+        maxLength: config.analytics.queueMaxLength,
+        maxFailures: config.analytics.queueMaxFailures,
+        claimIdleMs: config.analytics.queueClaimIdleSeconds * 1000
+    });
+    const worker = new AnalyticsWorker(queue, db, { batchSize: config.analytics.workerBatchSize });
+
+    process.once('SIGTERM', () => worker.stop());
+    process.once('SIGINT', () => worker.stop());
+
+    await worker.start();
+} catch (error) {
+    console.error('Analytics worker failed:', error);
+    process.exitCode = 1;
+} finally {
+    await redis.disconnect();
+    await db.close();
+}
@@ -4,6 +4,9 @@ import { urlsRoutes } from './routes/urls.js';
 import { analyticsRoutes } from './routes/analytics.js';
 import { userRoutes } from './routes/user.js';
 import { authRoutes } from './routes/auth.js';
+import { domainRoutes } from './routes/domains.js';
+import { adminRoutes } from './routes/admin.js';
+import { emailRoutes } from './routes/email.js';
 
 export async function registerApiRoutes(fastify, opts) {
     // Register authentication middleware first
@@ -114,6 +117,9 @@ export async function registerApiRoutes(fastify, opts) {
     await fastify.register(urlsRoutes);
     await fastify.register(analyticsRoutes);
     await fastify.register(userRoutes);
+    await fastify.register(domainRoutes, { resolveTxt: opts.resolveTxt });
+    await fastify.register(adminRoutes);
+    await fastify.register(emailRoutes);
 
     fastify.get('/health', async (request, reply) => {
         const checks = {
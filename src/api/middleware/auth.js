@@ -101,6 +101,8 @@ export async function registerAuth(fastify) {
         };
     });
 
+    fastify.decorate('requireAdmin', requireAdmin);
+
     fastify.decorate('optionalAuth', async function(request, reply) {
         try {
             const token = extractToken(request);
@@ -225,6 +227,17 @@ export async function registerAuth(fastify) {
     });
 }
 
+// Runs after authenticate; users.is_admin is granted by hand
+export async function requireAdmin(request, reply) {
+    if (!request.user?.is_admin) {
+        return reply.status(403).send({
+            statusCode: 403,
+            error: 'Forbidden',
+            message: 'Administrator access required'
+        });
+    }
+}
+
 function extractToken(request) {
     const authHeader = request.headers.authorization;
     
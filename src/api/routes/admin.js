@@ -0,0 +1,53 @@
+export async function adminRoutes(fastify, opts) {
+    const adminOnly = [fastify.authenticate, fastify.requireAdmin];
+
+    // Registered jobs with their schedule, next run and last result
+    fastify.get('/admin/jobs', {
+        preHandler: adminOnly
+    }, async (request, reply) => {
+        const jobs = await fastify.jobs.list();
+        return reply.send({ jobs });
+    });
+
+    fastify.get('/admin/jobs/:name/runs', {
+        preHandler: adminOnly
+    }, async (request, reply) => {
+        const { name } = request.params;
+        if (!fastify.jobs.jobs.has(name)) {
+            return sendUnknownJob(reply, name);
+        }
+
+        const limit = Math.min(Math.max(parseInt(request.query.limit) || 20, 1), 100);
+        const runs = await fastify.jobs.history(name, limit);
+        return reply.send({ job: name, runs });
+    });
+
+    // Runs the job now on this instance; progress shows up in its runs
+    fastify.post('/admin/jobs/:name/run', {
+        preHandler: adminOnly
+    }, async (request, reply) => {
+        const { name } = request.params;
+        const started = await fastify.jobs.trigger(name, { triggeredBy: request.user.id });
+
+        if (started === null) {
+            return sendUnknownJob(reply, name);
+        }
+        if (!started) {
+            return reply.status(409).send({
+                statusCode: 409,
+                error: 'Conflict',
+                message: `Job ${name} is already running`
+            });
+        }
+
+        return reply.status(202).send({ job: name, status: 'started' });
+    });
+}
+
+function sendUnknownJob(reply, name) {
+    return reply.status(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: `No job named ${name}`
+    });
+}
@@ -1,5 +1,7 @@
 import { pathParamsSchema, analyticsQuerySchema, validateQueryParams } from '../schemas/validation.js';
 import { startOfDay, endOfDay, subDays, subMonths, format } from 'date-fns';
+import { planAnalyticsSource, analyticsSource, dimensionFilter, getBotFilter, AVG_RESPONSE_TIME } from '../../utils/analytics-source.js';
+import { getAccountOverview, getTopUrls, calculateChangePercent } from '../../services/analytics-summary.js';
 
 export async function analyticsRoutes(fastify, opts) {
     fastify.get('/analytics/*', {
@@ -50,14 +52,18 @@ export async function analyticsRoutes(fastify, opts) {
                 geographic,
                 devices,
                 referrers,
-                campaigns
+                campaigns,
+                rules,
+                variants
             ] = await Promise.all([
                 getAnalyticsOverview(fastify.db, url.id, startDate, endDate, query.include_bots),
                 getClickTimeline(fastify.db, url.id, startDate, endDate, query.period, query.group_by),
                 getGeographicData(fastify.db, url.id, startDate, endDate, query.include_bots),
                 getDeviceData(fastify.db, url.id, startDate, endDate, query.include_bots),
                 getReferrerData(fastify.db, url.id, startDate, endDate, query.include_bots),
-                getCampaignData(fastify.db, url.id, startDate, endDate)
+                getCampaignData(fastify.db, url.id, startDate, endDate),
+                getRuleData(fastify.db, url, startDate, endDate, query.include_bots),
+                getVariantData(fastify.db, url, startDate, endDate, query.include_bots)
             ]);
 
             const response = {
@@ -68,6 +74,8 @@ export async function analyticsRoutes(fastify, opts) {
                     keywords: url.keywords,
                     destination_url: url.original_url,
                     title: url.title,
+                    preview_count: parseInt(url.preview_count || 0),
+                    last_previewed_at: url.last_previewed_at,
                     created_at: url.created_at
                 },
                 period: {
@@ -81,7 +89,9 @@ export async function analyticsRoutes(fastify, opts) {
                 geographic,
                 devices,
                 referrers,
-                campaigns
+                campaigns,
+                rules,
+                variants
             };
 
             if (query.period === '24h' || query.period === '1h') {
@@ -106,62 +116,21 @@ export async function analyticsRoutes(fastify, opts) {
     });
 
     fastify.get('/analytics/summary', {
-        preHandler: fastify.authenticate
+        preHandler: [
+            fastify.authenticate,
+            validateQueryParams(analyticsQuerySchema)
+        ]
     }, async (request, reply) => {
         const userId = request.user.id;
-        const { period = '30d' } = request.query;
+        const { period, include_bots: includeBots } = request.validatedQuery;
 
         const { startDate, endDate } = getDateRange(period);
 
         try {
-            const result = await fastify.db.query(
-                `SELECT 
-                    COUNT(DISTINCT s.id) as total_urls,
-                    COUNT(DISTINCT a.id) as total_clicks,
-                    COUNT(DISTINCT a.visitor_id) as unique_visitors,
-                    COUNT(DISTINCT a.country_code) as countries_reached,
-                    AVG(a.response_time_ms) as avg_response_time,
-                    json_build_object(
-                        'desktop', COUNT(a.id) FILTER (WHERE a.device_type = 'desktop'),
-                        'mobile', COUNT(a.id) FILTER (WHERE a.device_type = 'mobile'),
-                        'tablet', COUNT(a.id) FILTER (WHERE a.device_type = 'tablet')
-                    ) as device_breakdown,
-                    json_build_object(
-                        'direct', COUNT(a.id) FILTER (WHERE a.referer IS NULL),
-                        'social', COUNT(a.id) FILTER (WHERE a.referer LIKE '%facebook%' OR a.referer LIKE '%twitter%' OR a.referer LIKE '%linkedin%'),
-                        'search', COUNT(a.id) FILTER (WHERE a.referer LIKE '%google%' OR a.referer LIKE '%bing%' OR a.referer LIKE '%yahoo%'),
-                        'other', COUNT(a.id) FILTER (WHERE a.referer IS NOT NULL AND a.referer NOT LIKE '%facebook%' AND a.referer NOT LIKE '%twitter%' AND a.referer NOT LIKE '%google%')
-                    ) as traffic_sources
-                 FROM shortened_urls s
-                 LEFT JOIN analytics_events a ON s.id = a.shortened_url_id
-                    AND a.clicked_at BETWEEN $2 AND $3
-                    AND a.is_bot = false
-                 WHERE s.user_id = $1`,
-                [userId, startDate, endDate]
-            );
-
-            const topUrls = await fastify.db.query(
-                `SELECT 
-                    s.id,
-                    CASE 
-                        WHEN s.identifier IS NOT NULL THEN 
-                            s.identifier || '/' || array_to_string(s.keywords, '/')
-                        ELSE 
-                            array_to_string(s.keywords, '/')
-                    END as path,
-                    s.title,
-                    COUNT(a.id) as clicks,
-                    COUNT(DISTINCT a.visitor_id) as unique_visitors
-                 FROM shortened_urls s
-                 LEFT JOIN analytics_events a ON s.id = a.shortened_url_id
-                    AND a.clicked_at BETWEEN $2 AND $3
-                    AND a.is_bot = false
-                 WHERE s.user_id = $1
-                 GROUP BY s.id
-                 ORDER BY clicks DESC
-                 LIMIT 10`,
-                [userId, startDate, endDate]
-            );
+            const [overview, topUrls] = await Promise.all([
+                getAccountOverview(fastify.db, userId, startDate, endDate, includeBots),
+                getTopUrls(fastify.db, userId, startDate, endDate, 10, includeBots)
+            ]);
 
             const growthData = await getGrowthData(fastify.db, userId, period);
 
@@ -171,16 +140,8 @@ export async function analyticsRoutes(fastify, opts) {
                     start_date: startDate,
                     end_date: endDate
                 },
-                overview: {
-                    total_urls: parseInt(result.rows[0].total_urls),
-                    total_clicks: parseInt(result.rows[0].total_clicks),
-                    unique_visitors: parseInt(result.rows[0].unique_visitors),
-                    countries_reached: parseInt(result.rows[0].countries_reached),
-                    avg_response_time: parseFloat(result.rows[0].avg_response_time || 0),
-                    device_breakdown: result.rows[0].device_breakdown,
-                    traffic_sources: result.rows[0].traffic_sources
-                },
-                top_urls: topUrls.rows,
+                overview,
+                top_urls: topUrls,
                 growth: growthData
             });
 
@@ -249,24 +210,48 @@ export async function analyticsRoutes(fastify, opts) {
 }
 
 async function getAnalyticsOverview(db, urlId, startDate, endDate, includeBots) {
-    const botFilter = includeBots ? '' : 'AND is_bot = false';
+    const params = [urlId, startDate, endDate];
+    const botFilter = getBotFilter(includeBots, params);
+    const plan = planAnalyticsSource(startDate, endDate);
+    const total = dimensionFilter('total');
     
+    // Distinct countries, device types and campaign clicks come from their own dimension's rows
     const result = await db.query(
-        `SELECT 
-            COUNT(*) as total_clicks,
-            COUNT(DISTINCT visitor_id) as unique_visitors,
-            COUNT(DISTINCT DATE(clicked_at)) as days_active,
-            AVG(response_time_ms) as avg_response_time,
-            MIN(clicked_at) as first_click,
-            MAX(clicked_at) as last_click,
-            COUNT(DISTINCT country_code) as countries,
-            COUNT(DISTINCT device_type) as device_types,
-            COUNT(*) FILTER (WHERE is_bot = true) as bot_clicks,
-            COUNT(*) FILTER (WHERE utm_source IS NOT NULL) as campaign_clicks
-         FROM analytics_events
-         WHERE shortened_url_id = $1
-           AND clicked_at BETWEEN $2 AND $3
+        `WITH ${analyticsSource(plan, ['total', 'country', 'device', 'campaign'])}
+         SELECT 
+            COALESCE(SUM(clicks) FILTER (WHERE ${total}), 0) as total_clicks,
+            COUNT(DISTINCT visitor_id) FILTER (WHERE ${total}) as unique_visitors,
+            COUNT(DISTINCT DATE(bucket)) FILTER (WHERE ${total}) as days_active,
+            SUM(response_time_sum) FILTER (WHERE ${total})::numeric
+                / NULLIF(SUM(response_time_count) FILTER (WHERE ${total}), 0) as avg_response_time,
+            MIN(first_click) FILTER (WHERE ${total}) as first_click,
+            MAX(last_click) FILTER (WHERE ${total}) as last_click,
+            COUNT(DISTINCT country_code) FILTER (WHERE ${dimensionFilter('country')}) as countries,
+            COUNT(DISTINCT device_type) FILTER (WHERE ${dimensionFilter('device')}) as device_types,
+            COALESCE(SUM(clicks) FILTER (WHERE ${total} AND is_bot = true), 0) as bot_clicks,
+            COALESCE(SUM(clicks) FILTER (WHERE ${dimensionFilter('campaign')} AND utm_source IS NOT NULL), 0) as campaign_clicks
+         FROM events
+         WHERE ${dimensionFilter('total', 'country', 'device', 'campaign')}
            ${botFilter}`,
+        params
+    );
+
+    const categoryResult = await db.query(
+        `WITH ${analyticsSource(plan, ['total'])}
+         SELECT bot_category, SUM(clicks) as clicks
+         FROM events
+         WHERE ${total}
+           AND is_bot = true
+         GROUP BY bot_category`,
+        [urlId, startDate, endDate]
+    );
+
+    // Visitors who sent DNT or Sec-GPC on a strict-mode link are only counted
+    const optedOutResult = await db.query(
+        `SELECT COALESCE(SUM(clicks), 0) as clicks
+         FROM analytics_opted_out_clicks
+         WHERE shortened_url_id = $1
+           AND day BETWEEN $2::date AND $3::date`,
         [urlId, startDate, endDate]
     );
 
@@ -280,26 +265,31 @@ async function getAnalyticsOverview(db, urlId, startDate, endDate, includeBots)
         countries: parseInt(result.rows[0].countries),
         device_types: parseInt(result.rows[0].device_types),
         bot_clicks: parseInt(result.rows[0].bot_clicks),
-        campaign_clicks: parseInt(result.rows[0].campaign_clicks)
+        bot_clicks_by_category: Object.fromEntries(
+            (categoryResult?.rows || []).map(row => [row.bot_category, parseInt(row.clicks)])
+        ),
+        campaign_clicks: parseInt(result.rows[0].campaign_clicks),
+        opted_out_clicks: parseInt(optedOutResult?.rows[0]?.clicks || 0)
     };
 }
 
 async function getClickTimeline(db, urlId, startDate, endDate, period, groupBy) {
     const interval = groupBy || getTimeInterval(period);
+    const plan = planAnalyticsSource(startDate, endDate, interval);
     
     const result = await db.query(
-        `SELECT 
-            DATE_TRUNC($1, clicked_at) as time_bucket,
-            COUNT(*) as clicks,
+        `WITH ${analyticsSource(plan, ['total'])}
+         SELECT 
+            DATE_TRUNC($4, bucket) as time_bucket,
+            SUM(clicks) as clicks,
             COUNT(DISTINCT visitor_id) as unique_visitors,
-            AVG(response_time_ms) as avg_response_time
-         FROM analytics_events
-         WHERE shortened_url_id = $2
-           AND clicked_at BETWEEN $3 AND $4
+            ${AVG_RESPONSE_TIME} as avg_response_time
+         FROM events
+         WHERE ${dimensionFilter('total')}
            AND is_bot = false
          GROUP BY time_bucket
          ORDER BY time_bucket ASC`,
-        [interval, urlId, startDate, endDate]
+        [urlId, startDate, endDate, interval]
     );
 
     return result.rows.map(row => ({
@@ -311,23 +301,37 @@ async function getClickTimeline(db, urlId, startDate, endDate, period, groupBy)
 }
 
 async function getGeographicData(db, urlId, startDate, endDate, includeBots) {
-    const botFilter = includeBots ? '' : 'AND is_bot = false';
+    const params = [urlId, startDate, endDate];
+    const botFilter = getBotFilter(includeBots, params);
     
     const result = await db.query(
-        `SELECT 
-            country_code,
-            country_name,
-            COUNT(*) as clicks,
-            COUNT(DISTINCT visitor_id) as unique_visitors,
-            json_agg(DISTINCT city) FILTER (WHERE city IS NOT NULL) as cities
-         FROM analytics_events
-         WHERE shortened_url_id = $1
-           AND clicked_at BETWEEN $2 AND $3
-           ${botFilter}
-         GROUP BY country_code, country_name
-         ORDER BY clicks DESC
+        `WITH ${analyticsSource(planAnalyticsSource(startDate, endDate), ['country'])},
+         country_events AS (
+            SELECT * FROM events
+            WHERE ${dimensionFilter('country')}
+              ${botFilter}
+         ),
+         country_totals AS (
+            SELECT 
+                country_code,
+                country_name,
+                SUM(clicks) as clicks,
+                COUNT(DISTINCT visitor_id) as unique_visitors
+            FROM country_events
+            GROUP BY country_code, country_name
+         ),
+         country_cities AS (
+            SELECT country_code, country_name, json_agg(DISTINCT city) as cities
+            FROM country_events, unnest(country_events.cities) AS city
+            GROUP BY country_code, country_name
+         )
+         SELECT t.country_code, t.country_name, t.clicks, t.unique_visitors, c.cities
+         FROM country_totals t
+         LEFT JOIN country_cities c ON c.country_code IS NOT DISTINCT FROM t.country_code
+            AND c.country_name IS NOT DISTINCT FROM t.country_name
+         ORDER BY t.clicks DESC, t.country_code, t.country_name
          LIMIT 50`,
-        [urlId, startDate, endDate]
+        params
     );
 
     return result.rows.map(row => ({
@@ -340,22 +344,23 @@ async function getGeographicData(db, urlId, startDate, endDate, includeBots) {
 }
 
 async function getDeviceData(db, urlId, startDate, endDate, includeBots) {
-    const botFilter = includeBots ? '' : 'AND is_bot = false';
+    const params = [urlId, startDate, endDate];
+    const botFilter = getBotFilter(includeBots, params);
     
     const result = await db.query(
-        `SELECT 
+        `WITH ${analyticsSource(planAnalyticsSource(startDate, endDate), ['device'])}
+         SELECT 
             device_type,
             browser_name,
             os_name,
-            COUNT(*) as clicks,
+            SUM(clicks) as clicks,
             COUNT(DISTINCT visitor_id) as unique_visitors
-         FROM analytics_events
-         WHERE shortened_url_id = $1
-           AND clicked_at BETWEEN $2 AND $3
+         FROM events
+         WHERE ${dimensionFilter('device')}
            ${botFilter}
          GROUP BY device_type, browser_name, os_name
-         ORDER BY clicks DESC`,
-        [urlId, startDate, endDate]
+         ORDER BY clicks DESC, device_type, browser_name, os_name`,
+        params
     );
 
     const deviceSummary = {};
@@ -377,21 +382,22 @@ async function getDeviceData(db, urlId, startDate, endDate, includeBots) {
 }
 
 async function getReferrerData(db, urlId, startDate, endDate, includeBots) {
-    const botFilter = includeBots ? '' : 'AND is_bot = false';
+    const params = [urlId, startDate, endDate];
+    const botFilter = getBotFilter(includeBots, params);
     
     const result = await db.query(
-        `SELECT 
+        `WITH ${analyticsSource(planAnalyticsSource(startDate, endDate), ['referrer'])}
+         SELECT 
             COALESCE(referer, 'Direct') as source,
-            COUNT(*) as clicks,
+            SUM(clicks) as clicks,
             COUNT(DISTINCT visitor_id) as unique_visitors
-         FROM analytics_events
-         WHERE shortened_url_id = $1
-           AND clicked_at BETWEEN $2 AND $3
+         FROM events
+         WHERE ${dimensionFilter('referrer')}
            ${botFilter}
          GROUP BY referer
-         ORDER BY clicks DESC
+         ORDER BY clicks DESC, referer
          LIMIT 20`,
-        [urlId, startDate, endDate]
+        params
     );
 
     return result.rows.map(row => ({
@@ -404,19 +410,19 @@ async function getReferrerData(db, urlId, startDate, endDate, includeBots) {
 
 async function getCampaignData(db, urlId, startDate, endDate) {
     const result = await db.query(
-        `SELECT 
+        `WITH ${analyticsSource(planAnalyticsSource(startDate, endDate), ['campaign'])}
+         SELECT 
             utm_source,
             utm_medium,
             utm_campaign,
-            COUNT(*) as clicks,
+            SUM(clicks) as clicks,
             COUNT(DISTINCT visitor_id) as unique_visitors,
-            AVG(response_time_ms) as avg_response_time
-         FROM analytics_events
-         WHERE shortened_url_id = $1
-           AND clicked_at BETWEEN $2 AND $3
+            ${AVG_RESPONSE_TIME} as avg_response_time
+         FROM events
+         WHERE ${dimensionFilter('campaign')}
            AND utm_source IS NOT NULL
          GROUP BY utm_source, utm_medium, utm_campaign
-         ORDER BY clicks DESC`,
+         ORDER BY clicks DESC, utm_source, utm_medium, utm_campaign`,
         [urlId, startDate, endDate]
     );
 
@@ -430,6 +436,77 @@ async function getCampaignData(db, urlId, startDate, endDate) {
     }));
 }
 
+async function getRuleData(db, url, startDate, endDate, includeBots) {
+    const params = [url.id, startDate, endDate];
+    const botFilter = getBotFilter(includeBots, params);
+    
+    const result = await db.query(
+        `WITH ${analyticsSource(planAnalyticsSource(startDate, endDate), ['rule'])}
+         SELECT 
+            matched_rule_id,
+            SUM(clicks) as clicks,
+            COUNT(DISTINCT visitor_id) as unique_visitors
+         FROM events
+         WHERE ${dimensionFilter('rule')}
+           ${botFilter}
+         GROUP BY matched_rule_id
+         ORDER BY clicks DESC, matched_rule_id`,
+        params
+    );
+
+    const rulesById = new Map((url.redirect_rules || []).map(rule => [rule.id, rule]));
+
+    return result.rows.map(row => {
+        const rule = row.matched_rule_id ? rulesById.get(row.matched_rule_id) : null;
+        return {
+            rule_id: row.matched_rule_id,
+            name: row.matched_rule_id ? (rule?.name || null) : 'default',
+            destination_url: row.matched_rule_id ? (rule?.destination_url || null) : url.original_url,
+            is_deleted: Boolean(row.matched_rule_id && !rule),
+            clicks: parseInt(row.clicks),
+            unique_visitors: parseInt(row.unique_visitors)
+        };
+    });
+}
+
+async function getVariantData(db, url, startDate, endDate, includeBots) {
+    const params = [url.id, startDate, endDate];
+    const botFilter = getBotFilter(includeBots, params);
+    
+    const result = await db.query(
+        `WITH ${analyticsSource(planAnalyticsSource(startDate, endDate), ['variant'])}
+         SELECT 
+            variant_id,
+            SUM(clicks) as clicks,
+            COUNT(DISTINCT visitor_id) as unique_visitors
+         FROM events
+         WHERE ${dimensionFilter('variant')}
+           AND variant_id IS NOT NULL
+           ${botFilter}
+         GROUP BY variant_id
+         ORDER BY clicks DESC, variant_id`,
+        params
+    );
+
+    const variantsById = new Map((url.variants || []).map(variant => [variant.id, variant]));
+    const totalClicks = result.rows.reduce((sum, row) => sum + parseInt(row.clicks), 0);
+
+    return result.rows.map(row => {
+        const variant = variantsById.get(row.variant_id);
+        const clicks = parseInt(row.clicks);
+        return {
+            variant_id: row.variant_id,
+            name: variant?.name || null,
+            destination_url: variant?.destination_url || null,
+            weight: variant ? variant.weight : null,
+            is_deleted: !variant,
+            clicks,
+            unique_visitors: parseInt(row.unique_visitors),
+            share: totalClicks > 0 ? Math.round(clicks / totalClicks * 10000) / 100 : 0
+        };
+    });
+}
+
 async function getRealtimeData(db, urlId) {
     const result = await db.query(
         `SELECT 
@@ -589,11 +666,6 @@ function categorizeReferrer(referrer) {
     return 'referral';
 }
 
-function calculateChangePercent(current, previous) {
-    if (previous === 0) return current > 0 ? 100 : 0;
-    return Math.round(((current - previous) / previous) * 100);
-}
-
 function buildUrlPath(identifier, keywords) {
     if (identifier) {
         return `${identifier}/${keywords.join('/')}`;
@@ -0,0 +1,278 @@
+import { addDomainSchema, validateRequest } from '../schemas/validation.js';
+import {
+    createVerificationToken,
+    getVerificationRecordName,
+    hasVerificationRecord
+} from '../../utils/custom-domains.js';
+
+// opts.resolveTxt replaces the DNS TXT lookup (dns.promises.resolveTxt) so tests can run offline
+export async function domainRoutes(fastify, opts) {
+    const resolveTxt = opts.resolveTxt;
+
+    fastify.get('/domains', {
+        preHandler: fastify.authenticate
+    }, async (request, reply) => {
+        const userId = request.user.id;
+
+        try {
+            const [domainsResult, limit] = await Promise.all([
+                fastify.db.query(
+                    `SELECT
+                        d.*,
+                        (SELECT COUNT(*) FROM shortened_urls s WHERE s.domain_id = d.id AND s.is_active = true) as urls_count
+                     FROM user_domains d
+                     WHERE d.user_id = $1
+                     ORDER BY d.created_at ASC`,
+                    [userId]
+                ),
+                getDomainLimit(fastify.db, userId)
+            ]);
+
+            return reply.send({
+                domains: domainsResult.rows.map(formatDomain),
+                count: domainsResult.rows.length,
+                max_allowed: limit
+            });
+        } catch (error) {
+            fastify.log.error('Failed to list domains:', error);
+            throw error;
+        }
+    });
+
+    fastify.post('/domains', {
+        preHandler: [
+            fastify.authenticate,
+            validateRequest(addDomainSchema)
+        ]
+    }, async (request, reply) => {
+        const userId = request.user.id;
+        const { domain } = request.validated;
+
+        try {
+            const limit = await getDomainLimit(fastify.db, userId);
+            const countResult = await fastify.db.query(
+                'SELECT COUNT(*) as count FROM user_domains WHERE user_id = $1',
+                [userId]
+            );
+            const currentCount = parseInt(countResult.rows[0].count);
+
+            if (limit !== -1 && currentCount >= limit) {
+                return reply.status(403).send({
+                    statusCode: 403,
+                    error: 'Limit Exceeded',
+                    message: limit === 0
+                        ? 'Custom domains are not available on your current plan'
+                        : `You can only add ${limit} custom domain(s) on your current plan`,
+                    upgrade_url: '/settings/billing'
+                });
+            }
+
+            // Another account's claim only counts once it is verified; until then both may try
+            const existing = await fastify.db.query(
+                'SELECT id, user_id, is_verified FROM user_domains WHERE domain = $1 AND (is_verified = true OR user_id = $2)',
+                [domain, userId]
+            );
+
+            if (existing.rows.length > 0) {
+                return reply.status(409).send({
+                    statusCode: 409,
+                    error: 'Conflict',
+                    message: existing.rows.some(row => row.is_verified && row.user_id !== userId)
+                        ? 'This domain is already in use by another account'
+                        : 'This domain has already been added'
+                });
+            }
+
+            const result = await fastify.db.query(
+                `INSERT INTO user_domains (user_id, domain, verification_token)
+                 VALUES ($1, $2, $3)
+                 RETURNING *`,
+                [userId, domain, createVerificationToken()]
+            );
+
+            fastify.log.info(`User ${userId} added domain: ${domain}`);
+
+            return reply.status(201).send(formatDomain(result.rows[0]));
+        } catch (error) {
+            fastify.log.error('Failed to add domain:', error);
+            throw error;
+        }
+    });
+
+    fastify.post('/domains/:id/verify', {
+        preHandler: fastify.authenticate
+    }, async (request, reply) => {
+        const userId = request.user.id;
+        const { id } = request.params;
+
+        try {
+            const domain = await getOwnedDomain(fastify.db, id, userId);
+            if (!domain) {
+                return sendDomainNotFound(reply);
+            }
+
+            if (domain.is_verified) {
+                return reply.send(formatDomain(domain));
+            }
+
+            let verified;
+            try {
+                verified = await hasVerificationRecord(domain.domain, domain.verification_token, resolveTxt);
+            } catch (err) {
+                fastify.log.warn(`DNS lookup failed for ${domain.domain}:`, err?.message);
+                return reply.status(503).send({
+                    statusCode: 503,
+                    error: 'Service Unavailable',
+                    message: 'DNS lookup failed, please try again shortly'
+                });
+            }
+
+            if (!verified) {
+                return reply.status(400).send({
+                    statusCode: 400,
+                    error: 'Verification Failed',
+                    message: 'The TXT record was not found. DNS changes can take a while to propagate.',
+                    verification: getVerificationInstructions(domain)
+                });
+            }
+
+            let result;
+            try {
+                result = await fastify.db.query(
+                    `UPDATE user_domains
+                     SET is_verified = true, verified_at = NOW()
+                     WHERE id = $1 AND user_id = $2
+                     RETURNING *`,
+                    [id, userId]
+                );
+            } catch (err) {
+                // Another account verified the domain first (idx_user_domains_verified_domain)
+                if (err.code === '23505') {
+                    return reply.status(409).send({
+                        statusCode: 409,
+                        error: 'Conflict',
+                        message: 'This domain has been verified by another account'
+                    });
+                }
+                throw err;
+            }
+
+            // Pending claims by other accounts can never be verified now
+            await fastify.db.query(
+                'DELETE FROM user_domains WHERE domain = $1 AND id != $2 AND is_verified = false',
+                [domain.domain, id]
+            );
+
+            await invalidateDomainCache(fastify.cache || fastify.redis, domain.domain);
+
+            fastify.log.info(`User ${userId} verified domain: ${domain.domain}`);
+
+            return reply.send(formatDomain(result.rows[0]));
+        } catch (error) {
+            fastify.log.error('Failed to verify domain:', error);
+            throw error;
+        }
+    });
+
+    fastify.delete('/domains/:id', {
+        preHandler: fastify.authenticate
+    }, async (request, reply) => {
+        const userId = request.user.id;
+        const { id } = request.params;
+
+        try {
+            const domain = await getOwnedDomain(fastify.db, id, userId);
+            if (!domain) {
+                return sendDomainNotFound(reply);
+            }
+
+            // Removing a domain would take its links down with it
+            const linksResult = await fastify.db.query(
+                'SELECT COUNT(*) as count FROM shortened_urls WHERE domain_id = $1 AND is_active = true',
+                [id]
+            );
+            const activeLinks = parseInt(linksResult.rows[0].count);
+
+            if (activeLinks > 0) {
+                return reply.status(409).send({
+                    statusCode: 409,
+                    error: 'Conflict',
+                    message: `This domain still has ${activeLinks} active link(s). Delete or deactivate them first.`
+                });
+            }
+
+            await fastify.db.query(
+                'DELETE FROM user_domains WHERE id = $1 AND user_id = $2',
+                [id, userId]
+            );
+
+            await invalidateDomainCache(fastify.cache || fastify.redis, domain.domain);
+
+            fastify.log.info(`User ${userId} removed domain: ${domain.domain}`);
+
+            return reply.status(204).send();
+        } catch (error) {
+            fastify.log.error('Failed to remove domain:', error);
+            throw error;
+        }
+    });
+}
+
+async function getDomainLimit(db, userId) {
+    const result = await db.query(
+        `SELECT sp.max_custom_domains
+         FROM users u
+         LEFT JOIN subscription_plans sp ON u.subscription_tier = sp.name
+         WHERE u.id = $1`,
+        [userId]
+    );
+
+    return result.rows[0]?.max_custom_domains ?? 0;
+}
+
+async function getOwnedDomain(db, id, userId) {
+    const result = await db.query(
+        'SELECT * FROM user_domains WHERE id = $1 AND user_id = $2',
+        [id, userId]
+    );
+    return result.rows[0] || null;
+}
+
+function getVerificationInstructions(domain) {
+    return {
+        type: 'TXT',
+        name: getVerificationRecordName(domain.domain),
+        value: domain.verification_token
+    };
+}
+
+function formatDomain(domain) {
+    return {
+        id: domain.id,
+        domain: domain.domain,
+        is_verified: domain.is_verified,
+        ssl_status: domain.ssl_status,
+        urls_count: domain.urls_count !== undefined ? parseInt(domain.urls_count) : undefined,
+        created_at: domain.created_at,
+        verified_at: domain.verified_at,
+        verification: domain.is_verified ? undefined : getVerificationInstructions(domain)
+    };
+}
+
+function sendDomainNotFound(reply) {
+    return reply.status(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'Domain not found'
+    });
+}
+
+// The redirect handler caches host lookups, including misses for unverified domains
+async function invalidateDomainCache(cache, domain) {
+    if (!cache) return;
+    const delFn = cache.del ? cache.del.bind(cache) : null;
+    if (!delFn) return;
+    await delFn(`domain:${domain}`);
+}
+
+export default domainRoutes;
@@ -0,0 +1,164 @@
+import {
+    LINK_EXTENSION_DAYS,
+    buildShortUrl,
+    extendLinkFromToken,
+    verifyExtendLinkToken
+} from '../../services/link-expiry-digest.js';
+import { updateNotificationPreferences, verifyUnsubscribeToken } from '../../services/notification-preferences.js';
+import { ALL_EVENTS, NOTIFICATION_EVENTS } from '../../utils/notification-preferences.js';
+import { invalidateLinks, createCacheAdapter } from '../../services/link-cache.js';
+import { renderEmailActionPage, renderEmailResultPage } from '../../server/pages.js';
+
+// Actions behind links in emails. They need no login: the signed token in the link is the
+// permission. GET only shows a confirmation; the change happens on POST.
+export async function emailRoutes(fastify, opts) {
+    const cache = createCacheAdapter(fastify);
+
+    // The confirmation forms post urlencoded fields
+    if (!fastify.hasContentTypeParser('application/x-www-form-urlencoded')) {
+        fastify.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, (request, body, done) => {
+            done(null, Object.fromEntries(new URLSearchParams(body)));
+        });
+    }
+
+    // RFC 8058 allows one-click unsubscribes as multipart; the token is in the URL, so the body is not needed
+    if (!fastify.hasContentTypeParser('multipart/form-data')) {
+        fastify.addContentTypeParser('multipart/form-data', { parseAs: 'string' }, (request, body, done) => {
+            done(null, {});
+        });
+    }
+
+    fastify.get('/email/extend-link', async (request, reply) => {
+        const claims = verifyExtendLinkToken(request.query.token);
+        if (!claims) {
+            return sendInvalidToken(reply);
+        }
+
+        const result = await fastify.db.query(
+            `SELECT s.identifier, s.keywords, s.expires_at, d.domain
+             FROM shortened_urls s
+             LEFT JOIN user_domains d ON s.domain_id = d.id
+             WHERE s.id = $1 AND s.user_id = $2`,
+            [claims.link, claims.user]
+        );
+        if (result.rows.length === 0) {
+            return sendLinkNotFound(reply);
+        }
+
+        const link = result.rows[0];
+        return sendPage(reply, 200, renderEmailActionPage({
+            title: 'Extend link',
+            message: `Keep ${buildShortUrl(link)} working for ${LINK_EXTENSION_DAYS} more days? It expires ${formatDate(link.expires_at)}.`,
+            action: request.url.split('?')[0],
+            token: request.query.token,
+            button: `Extend by ${LINK_EXTENSION_DAYS} days`
+        }));
+    });
+
+    fastify.post('/email/extend-link', async (request, reply) => {
+        const claims = verifyExtendLinkToken(request.body?.token || request.query.token);
+        if (!claims) {
+            return sendInvalidToken(reply);
+        }
+
+        const { extended, link } = await extendLinkFromToken(fastify.db, claims);
+        if (!link) {
+            return sendLinkNotFound(reply);
+        }
+
+        if (extended) {
+            await invalidateLinks(cache, link);
+            fastify.log.info({ event: 'url_extended_from_email', user_id: claims.user, url_id: link.id, expires_at: link.expires_at });
+
+            return sendPage(reply, 200, renderEmailResultPage({
+                title: 'Link extended',
+                message: `The link now expires ${formatDate(link.expires_at)}.`
+            }));
+        }
+
+        if (!link.is_active) {
+            return sendPage(reply, 409, renderEmailResultPage({
+                title: 'Link no longer active',
+                message: 'This link has expired or was turned off. You can reactivate it from your dashboard.',
+                error: true
+            }));
+        }
+
+        // A second click, or the expiry was changed after the email went out
+        return sendPage(reply, 409, renderEmailResultPage({
+            title: 'Expiry already changed',
+            message: link.expires_at
+                ? `This link's expiry has changed since the email was sent. It now expires ${formatDate(link.expires_at)}.`
+                : 'This link no longer has an expiry date.',
+            error: true
+        }));
+    });
+
+    fastify.get('/email/unsubscribe', async (request, reply) => {
+        const claims = verifyUnsubscribeToken(request.query.token);
+        if (!claims) {
+            return sendInvalidToken(reply);
+        }
+
+        return sendPage(reply, 200, renderEmailActionPage({
+            title: 'Unsubscribe',
+            message: `You will no longer get ${describeUnsubscribe(claims)}. You can turn it back on in your settings.`,
+            action: request.url.split('?')[0],
+            token: request.query.token,
+            button: 'Unsubscribe'
+        }));
+    });
+
+    // Also the List-Unsubscribe target: mail clients post "List-Unsubscribe=One-Click" with the token in the URL
+    fastify.post('/email/unsubscribe', async (request, reply) => {
+        const claims = verifyUnsubscribeToken(request.body?.token || request.query.token);
+        if (!claims) {
+            return sendInvalidToken(reply);
+        }
+
+        await updateNotificationPreferences(fastify.db, claims.user, claims.event === ALL_EVENTS
+            ? { channels: { [claims.channel]: false } }
+            : { events: { [claims.event]: { [claims.channel]: false } } });
+        fastify.log.info({ event: 'notification_unsubscribed', user_id: claims.user, channel: claims.channel, notification: claims.event });
+
+        return sendPage(reply, 200, renderEmailResultPage({
+            title: 'Unsubscribed',
+            message: `You will no longer get ${describeUnsubscribe(claims)}.`
+        }));
+    });
+}
+
+function describeUnsubscribe({ channel, event }) {
+    if (event === ALL_EVENTS) {
+        return `any notifications by ${channel}`;
+    }
+    return `emails for: ${NOTIFICATION_EVENTS[event].description.toLowerCase()}`;
+}
+
+function formatDate(date) {
+    return `on ${new Date(date).toUTCString().replace(':00 GMT', ' UTC')}`;
+}
+
+function sendPage(reply, statusCode, html) {
+    return reply
+        .status(statusCode)
+        .header('Cache-Control', 'no-store')
+        .type('text/html; charset=utf-8')
+        .send(html);
+}
+
+function sendInvalidToken(reply) {
+    return sendPage(reply, 400, renderEmailResultPage({
+        title: 'Link not valid',
+        message: 'This email link is invalid or has expired.',
+        error: true
+    }));
+}
+
+function sendLinkNotFound(reply) {
+    return sendPage(reply, 404, renderEmailResultPage({
+        title: 'Link not found',
+        message: 'This link no longer exists.',
+        error: true
+    }));
+}
@@ -1,5 +1,8 @@
 import { createShortenSchema, validateRequest } from '../schemas/validation.js';
 import { nanoid } from 'nanoid';
+import { hashLinkPassword } from '../../utils/link-password.js';
+import { getRemainingClicks } from '../../utils/link-limits.js';
+import { invalidateLinks, createCacheAdapter } from '../../services/link-cache.js';
 
 export async function shortenRoutes(fastify, opts) {
     fastify.post('/shorten', {
@@ -22,6 +25,29 @@ export async function shortenRoutes(fastify, opts) {
             custom_metadata,
             is_public
         } = request.body;
+        const {
+            redirect_rules,
+            variants,
+            password,
+            max_clicks,
+            expired_destination_url,
+            starts_at,
+            destination_schedule,
+            og_title,
+            og_description,
+            og_image,
+            query_forwarding,
+            is_template,
+            domain
+        } = request.validated;
+
+        let domainId = null;
+        if (domain) {
+            domainId = await findVerifiedDomainId(fastify.db, userId, domain);
+            if (!domainId) {
+                return sendUnverifiedDomain(reply, domain);
+            }
+        }
 
         try {
             await fastify.db.query('BEGIN');
@@ -30,8 +56,10 @@ export async function shortenRoutes(fastify, opts) {
                 `SELECT id, original_url FROM shortened_urls 
                  WHERE ($1::varchar IS NULL OR identifier = $1) 
                    AND keywords = $2::text[] 
+                   AND is_template = $3
+                   AND domain_id IS NOT DISTINCT FROM $4
                    AND is_active = true`,
-                [identifier, keywords]
+                [identifier, keywords, is_template, domainId]
             );
 
             if (existingUrl.rows.length > 0) {
@@ -43,7 +71,7 @@ export async function shortenRoutes(fastify, opts) {
                         id: existing.id,
                         message: 'URL already exists with same destination',
                         path: buildUrlPath(identifier, keywords),
-                        full_url: buildFullUrl(request, identifier, keywords)
+                        full_url: buildFullUrl(request, identifier, keywords, null, domain)
                     });
                 }
 
@@ -67,16 +95,25 @@ export async function shortenRoutes(fastify, opts) {
             }
 
             const shortCode = nanoid(8);
+            const passwordHash = password ? await hashLinkPassword(password) : null;
             
             const result = await fastify.db.query(
                 `INSERT INTO shortened_urls (
                     user_id, identifier, keywords, original_url, short_code,
-                    title, description, expires_at, custom_metadata, is_active
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                    title, description, expires_at, custom_metadata, is_active,
+                    redirect_rules, variants, password_hash, max_clicks, expired_destination_url,
+                    starts_at, destination_schedule, og_title, og_description, og_image, is_public,
+                    query_forwarding, is_template, domain_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
                 RETURNING *`,
                 [
                     userId, identifier, keywords, destination_url, shortCode,
-                    title, description, expires_at, custom_metadata, true
+                    title, description, expires_at, custom_metadata, true,
+                    JSON.stringify(redirect_rules), JSON.stringify(variants), passwordHash,
+                    max_clicks ?? null, expired_destination_url ?? null,
+                    starts_at ?? null, JSON.stringify(destination_schedule),
+                    og_title ?? null, og_description ?? null, og_image ?? null, is_public,
+                    query_forwarding, is_template, domainId
                 ]
             );
 
@@ -84,7 +121,8 @@ export async function shortenRoutes(fastify, opts) {
 
             const newUrl = result.rows[0];
             
-            await invalidateCache(fastify.cache, identifier, keywords);
+            // Drops entries cached for these paths before the link existed
+            await invalidateLinks(createCacheAdapter(fastify), newUrl);
 
             fastify.log.info({
                 event: 'url_created',
@@ -99,14 +137,29 @@ export async function shortenRoutes(fastify, opts) {
                 id: newUrl.id,
                 short_code: shortCode,
                 path: buildUrlPath(identifier, keywords),
-                full_url: buildFullUrl(request, identifier, keywords),
-                short_url: buildFullUrl(request, null, null, shortCode),
+                full_url: buildFullUrl(request, identifier, keywords, null, domain),
+                short_url: buildFullUrl(request, null, null, shortCode, domain),
+                domain: domain ?? null,
                 identifier,
                 keywords,
                 destination_url,
                 title,
                 description,
                 expires_at,
+                redirect_rules: newUrl.redirect_rules,
+                variants: newUrl.variants,
+                is_password_protected: Boolean(newUrl.password_hash),
+                max_clicks: newUrl.max_clicks,
+                remaining_clicks: getRemainingClicks(newUrl),
+                expired_destination_url: newUrl.expired_destination_url,
+                starts_at: newUrl.starts_at,
+                destination_schedule: newUrl.destination_schedule,
+                og_title: newUrl.og_title,
+                og_description: newUrl.og_description,
+                og_image: newUrl.og_image,
+                is_public: newUrl.is_public,
+                query_forwarding: newUrl.query_forwarding,
+                is_template: newUrl.is_template,
                 created_at: newUrl.created_at
             };
 
@@ -160,20 +213,51 @@ export async function shortenRoutes(fastify, opts) {
         for (let i = 0; i < urls.length; i++) {
             try {
                 const validated = await createShortenSchema.parseAsync(urls[i]);
+
+                let domainId = null;
+                if (validated.domain) {
+                    domainId = await findVerifiedDomainId(fastify.db, userId, validated.domain);
+                    if (!domainId) {
+                        errors.push({
+                            index: i,
+                            error: `${validated.domain} is not a verified domain on your account`,
+                            data: urls[i]
+                        });
+                        continue;
+                    }
+                }
                 
                 const shortCode = nanoid(8);
+                const passwordHash = validated.password ? await hashLinkPassword(validated.password) : null;
                 const result = await fastify.db.query(
                     `INSERT INTO shortened_urls (
                         user_id, identifier, keywords, original_url, short_code,
-                        title, description, expires_at, custom_metadata, is_active
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                    ON CONFLICT (identifier, keywords) DO NOTHING
+                        title, description, expires_at, custom_metadata, is_active,
+                        redirect_rules, variants, password_hash, max_clicks, expired_destination_url,
+                        starts_at, destination_schedule, og_title, og_description, og_image, is_public,
+                        query_forwarding, is_template, domain_id
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
+                    ON CONFLICT (domain_id, identifier, keywords, is_template) DO NOTHING
                     RETURNING *`,
                     [
                         userId, validated.identifier, validated.keywords, 
                         validated.destination_url, shortCode,
                         validated.title, validated.description, 
-                        validated.expires_at, validated.custom_metadata, true
+                        validated.expires_at, validated.custom_metadata, true,
+                        JSON.stringify(validated.redirect_rules),
+                        JSON.stringify(validated.variants),
+                        passwordHash,
+                        validated.max_clicks ?? null,
+                        validated.expired_destination_url ?? null,
+                        validated.starts_at ?? null,
+                        JSON.stringify(validated.destination_schedule),
+                        validated.og_title ?? null,
+                        validated.og_description ?? null,
+                        validated.og_image ?? null,
+                        validated.is_public,
+                        validated.query_forwarding,
+                        validated.is_template,
+                        domainId
                     ]
                 );
 
@@ -184,7 +268,7 @@ export async function shortenRoutes(fastify, opts) {
                         success: true,
                         id: newUrl.id,
                         path: buildUrlPath(validated.identifier, validated.keywords),
-                        full_url: buildFullUrl(request, validated.identifier, validated.keywords)
+                        full_url: buildFullUrl(request, validated.identifier, validated.keywords, null, validated.domain)
                     });
                 } else {
                     errors.push({
@@ -262,22 +346,21 @@ async function checkUserLimits(db, userId) {
     };
 }
 
-async function invalidateCache(cache, identifier, keywords) {
-    const cacheKeys = [];
-    
-    if (identifier) {
-        keywords.forEach(keyword => {
-            cacheKeys.push(`url:${identifier}:${keyword}`);
-        });
-        cacheKeys.push(`url:${identifier}:${keywords.join(':')}`);
-    } else {
-        keywords.forEach(keyword => {
-            cacheKeys.push(`url:${keyword}`);
-        });
-        cacheKeys.push(`url:${keywords.join(':')}`);
-    }
-    
-    await Promise.all(cacheKeys.map(key => cache.del(key)));
+// Links can only be created on domains the user has verified
+async function findVerifiedDomainId(db, userId, domain) {
+    const result = await db.query(
+        'SELECT id FROM user_domains WHERE domain = $1 AND user_id = $2 AND is_verified = true',
+        [domain, userId]
+    );
+    return result.rows[0]?.id || null;
+}
+
+function sendUnverifiedDomain(reply, domain) {
+    return reply.status(400).send({
+        statusCode: 400,
+        error: 'Bad Request',
+        message: `${domain} is not a verified domain on your account`
+    });
 }
 
 function buildUrlPath(identifier, keywords) {
@@ -287,7 +370,14 @@ function buildUrlPath(identifier, keywords) {
     return keywords.join('/');
 }
 
-function buildFullUrl(request, identifier, keywords, shortCode = null) {
+function buildFullUrl(request, identifier, keywords, shortCode = null, domain = null) {
+    // Links on a custom domain are only reachable there
+    if (domain) {
+        return shortCode
+            ? `https://${domain}/s/${shortCode}`
+            : `https://${domain}/${buildUrlPath(identifier, keywords)}`;
+    }
+
     // Use SHORT_URL_BASE from environment if set, otherwise determine from request
     if (process.env.SHORT_URL_BASE) {
         const baseUrl = process.env.SHORT_URL_BASE.replace(/\/$/, '');
@@ -1,5 +1,17 @@
-import { listUrlsSchema, updateUrlSchema, validateQueryParams, validateRequest } from '../schemas/validation.js';
+import {
+    listUrlsSchema,
+    updateUrlSchema,
+    createRedirectRuleSchema,
+    updateRedirectRuleSchema,
+    replaceRedirectRulesSchema,
+    validateQueryParams,
+    validateRequest
+} from '../schemas/validation.js';
 import { subDays, format } from 'date-fns';
+import { hashLinkPassword } from '../../utils/link-password.js';
+import { getRemainingClicks } from '../../utils/link-limits.js';
+import { TEMPLATE_WILDCARD } from '../../utils/link-templates.js';
+import { invalidateLinks, createCacheAdapter } from '../../services/link-cache.js';
 
 export async function urlsRoutes(fastify, opts) {
     // Test-compat: simple create endpoint expected by integration tests
@@ -106,9 +118,10 @@ export async function urlsRoutes(fastify, opts) {
         }
 
         if (has_expired === true) {
-            whereConditions.push('s.expires_at < NOW()');
+            whereConditions.push('(s.expires_at < NOW() OR (s.max_clicks IS NOT NULL AND s.click_count >= s.max_clicks))');
         } else if (has_expired === false) {
             whereConditions.push('(s.expires_at IS NULL OR s.expires_at >= NOW())');
+            whereConditions.push('(s.max_clicks IS NULL OR s.click_count < s.max_clicks)');
         }
 
         const whereClause = whereConditions.join(' AND ');
@@ -129,14 +142,16 @@ export async function urlsRoutes(fastify, opts) {
         const dataQuery = `
             SELECT 
                 s.*,
+                (SELECT domain FROM user_domains WHERE id = s.domain_id) as domain,
                 CASE 
                     WHEN s.identifier IS NOT NULL THEN 
                         s.identifier || '/' || array_to_string(s.keywords, '/')
                     ELSE 
                         array_to_string(s.keywords, '/')
-                END as full_path,
+                END || CASE WHEN s.is_template THEN '/*' ELSE '' END as full_path,
                 CASE 
                     WHEN s.expires_at < NOW() THEN true 
+                    WHEN s.max_clicks IS NOT NULL AND s.click_count >= s.max_clicks THEN true
                     ELSE false 
                 END as is_expired,
                 (
@@ -168,23 +183,30 @@ export async function urlsRoutes(fastify, opts) {
             const total = parseInt(countResult.rows[0].total);
             const totalPages = Math.ceil(total / limit);
 
-            const urls = dataResult.rows.map(url => ({
+            const rows = await withPendingClicks(fastify, dataResult.rows);
+            const urls = rows.map(url => ({
                 id: url.id,
                 path: url.full_path,
                 short_code: url.short_code,
                 identifier: url.identifier,
+                domain: url.domain ?? null,
                 keywords: url.keywords,
                 destination_url: url.original_url,
                 title: url.title,
                 description: url.description,
                 click_count: parseInt(url.click_count),
                 is_active: url.is_active,
+                is_password_protected: Boolean(url.password_hash),
+                max_clicks: url.max_clicks,
+                remaining_clicks: getRemainingClicks(url),
+                expired_destination_url: url.expired_destination_url,
+                starts_at: url.starts_at,
                 is_expired: url.is_expired,
                 expires_at: url.expires_at,
                 created_at: url.created_at,
                 updated_at: url.updated_at,
-                full_url: buildFullUrl(request, url.identifier, url.keywords),
-                short_url: url.short_code ? buildFullUrl(request, null, null, url.short_code) : null
+                full_url: buildFullUrl(request, url.identifier, getPathKeywords(url), null, url.domain),
+                short_url: url.short_code ? buildFullUrl(request, null, null, url.short_code, url.domain) : null
             }));
 
             if (process.env.NODE_ENV === 'test') {
@@ -250,9 +272,10 @@ export async function urlsRoutes(fastify, opts) {
         }
 
         if (has_expired === true) {
-            whereConditions.push('s.expires_at < NOW()');
+            whereConditions.push('(s.expires_at < NOW() OR (s.max_clicks IS NOT NULL AND s.click_count >= s.max_clicks))');
         } else if (has_expired === false) {
             whereConditions.push('(s.expires_at IS NULL OR s.expires_at >= NOW())');
+            whereConditions.push('(s.max_clicks IS NULL OR s.click_count < s.max_clicks)');
         }
 
         const whereClause = whereConditions.join(' AND ');
@@ -273,14 +296,16 @@ export async function urlsRoutes(fastify, opts) {
         const dataQuery = `
             SELECT 
                 s.*,
+                (SELECT domain FROM user_domains WHERE id = s.domain_id) as domain,
                 CASE 
                     WHEN s.identifier IS NOT NULL THEN 
                         s.identifier || '/' || array_to_string(s.keywords, '/')
                     ELSE 
                         array_to_string(s.keywords, '/')
-                END as full_path,
+                END || CASE WHEN s.is_template THEN '/*' ELSE '' END as full_path,
                 CASE 
                     WHEN s.expires_at < NOW() THEN true 
+                    WHEN s.max_clicks IS NOT NULL AND s.click_count >= s.max_clicks THEN true
                     ELSE false 
                 END as is_expired,
                 (
@@ -312,11 +337,13 @@ export async function urlsRoutes(fastify, opts) {
             const total = parseInt(countResult.rows[0].total);
             const totalPages = Math.ceil(total / limit);
 
-            const urls = dataResult.rows.map(url => ({
+            const rows = await withPendingClicks(fastify, dataResult.rows);
+            const urls = rows.map(url => ({
                 id: url.id,
                 path: url.full_path,
                 short_code: url.short_code,
                 identifier: url.identifier,
+                domain: url.domain ?? null,
                 keywords: url.keywords,
                 destination_url: url.original_url,
                 title: url.title,
@@ -327,12 +354,17 @@ export async function urlsRoutes(fastify, opts) {
                 unique_visitors_24h: parseInt(url.unique_visitors_24h),
                 last_clicked_at: url.last_clicked_at,
                 is_active: url.is_active,
+                is_password_protected: Boolean(url.password_hash),
+                max_clicks: url.max_clicks,
+                remaining_clicks: getRemainingClicks(url),
+                expired_destination_url: url.expired_destination_url,
+                starts_at: url.starts_at,
                 is_expired: url.is_expired,
                 expires_at: url.expires_at,
                 created_at: url.created_at,
                 updated_at: url.updated_at,
-                full_url: buildFullUrl(request, url.identifier, url.keywords),
-                short_url: url.short_code ? buildFullUrl(request, null, null, url.short_code) : null
+                full_url: buildFullUrl(request, url.identifier, getPathKeywords(url), null, url.domain),
+                short_url: url.short_code ? buildFullUrl(request, null, null, url.short_code, url.domain) : null
             }));
 
             const response = {
@@ -381,12 +413,13 @@ export async function urlsRoutes(fastify, opts) {
             const result = await fastify.db.query(
                 `SELECT 
                     s.*,
+                    (SELECT domain FROM user_domains WHERE id = s.domain_id) as domain,
                     CASE 
                         WHEN s.identifier IS NOT NULL THEN 
                             s.identifier || '/' || array_to_string(s.keywords, '/')
                         ELSE 
                             array_to_string(s.keywords, '/')
-                    END as full_path,
+                    END || CASE WHEN s.is_template THEN '/*' ELSE '' END as full_path,
                     (
                         SELECT json_build_object(
                             'total_clicks', COUNT(*),
@@ -411,18 +444,34 @@ export async function urlsRoutes(fastify, opts) {
                 });
             }
 
-            const url = result.rows[0];
+            const [url] = await withPendingClicks(fastify, result.rows);
 
             const payload = {
                 id: url.id,
                 path: url.full_path,
                 short_code: url.short_code,
                 identifier: url.identifier,
+                domain: url.domain ?? null,
                 keywords: url.keywords,
                 destination_url: url.original_url,
                 title: url.title,
                 description: url.description,
                 custom_metadata: url.custom_metadata,
+                redirect_rules: url.redirect_rules,
+                variants: url.variants,
+                destination_schedule: url.destination_schedule,
+                og_title: url.og_title,
+                og_description: url.og_description,
+                og_image: url.og_image,
+                query_forwarding: url.query_forwarding,
+                is_template: url.is_template,
+                is_public: url.is_public,
+                preview_count: parseInt(url.preview_count || 0),
+                is_password_protected: Boolean(url.password_hash),
+                max_clicks: url.max_clicks,
+                remaining_clicks: getRemainingClicks(url),
+                expired_destination_url: url.expired_destination_url,
+                starts_at: url.starts_at,
                 click_count: parseInt(url.click_count),
                 unique_visitors: parseInt(url.unique_visitors),
                 last_clicked_at: url.last_clicked_at,
@@ -431,8 +480,8 @@ export async function urlsRoutes(fastify, opts) {
                 created_at: url.created_at,
                 updated_at: url.updated_at,
                 analytics_summary: url.analytics_summary,
-                full_url: buildFullUrl(request, url.identifier, url.keywords),
-                short_url: url.short_code ? buildFullUrl(request, null, null, url.short_code) : null,
+                full_url: buildFullUrl(request, url.identifier, getPathKeywords(url), null, url.domain),
+                short_url: url.short_code ? buildFullUrl(request, null, null, url.short_code, url.domain) : null,
                 qr_code_url: url.qr_code_url
             };
             if (process.env.NODE_ENV === 'test') {
@@ -456,12 +505,13 @@ export async function urlsRoutes(fastify, opts) {
             const result = await fastify.db.query(
                 `SELECT 
                     s.*,
+                    (SELECT domain FROM user_domains WHERE id = s.domain_id) as domain,
                     CASE 
                         WHEN s.identifier IS NOT NULL THEN 
                             s.identifier || '/' || array_to_string(s.keywords, '/')
                         ELSE 
                             array_to_string(s.keywords, '/')
-                    END as full_path,
+                    END || CASE WHEN s.is_template THEN '/*' ELSE '' END as full_path,
                     (
                         SELECT json_build_object(
                             'total_clicks', COUNT(*),
@@ -486,18 +536,34 @@ export async function urlsRoutes(fastify, opts) {
                 });
             }
 
-            const url = result.rows[0];
+            const [url] = await withPendingClicks(fastify, result.rows);
 
             const payload = {
                 id: url.id,
                 path: url.full_path,
                 short_code: url.short_code,
                 identifier: url.identifier,
+                domain: url.domain ?? null,
                 keywords: url.keywords,
                 destination_url: url.original_url,
                 title: url.title,
                 description: url.description,
                 custom_metadata: url.custom_metadata,
+                redirect_rules: url.redirect_rules,
+                variants: url.variants,
+                destination_schedule: url.destination_schedule,
+                og_title: url.og_title,
+                og_description: url.og_description,
+                og_image: url.og_image,
+                query_forwarding: url.query_forwarding,
+                is_template: url.is_template,
+                is_public: url.is_public,
+                preview_count: parseInt(url.preview_count || 0),
+                is_password_protected: Boolean(url.password_hash),
+                max_clicks: url.max_clicks,
+                remaining_clicks: getRemainingClicks(url),
+                expired_destination_url: url.expired_destination_url,
+                starts_at: url.starts_at,
                 click_count: parseInt(url.click_count),
                 unique_visitors: parseInt(url.unique_visitors),
                 last_clicked_at: url.last_clicked_at,
@@ -506,8 +572,8 @@ export async function urlsRoutes(fastify, opts) {
                 created_at: url.created_at,
                 updated_at: url.updated_at,
                 analytics_summary: url.analytics_summary,
-                full_url: buildFullUrl(request, url.identifier, url.keywords),
-                short_url: url.short_code ? buildFullUrl(request, null, null, url.short_code) : null,
+                full_url: buildFullUrl(request, url.identifier, getPathKeywords(url), null, url.domain),
+                short_url: url.short_code ? buildFullUrl(request, null, null, url.short_code, url.domain) : null,
                 qr_code_url: url.qr_code_url
             };
             if (process.env.NODE_ENV === 'test') {
@@ -551,8 +617,9 @@ export async function urlsRoutes(fastify, opts) {
             if (updates.keywords && existing.identifier) {
                 const conflictCheck = await fastify.db.query(
                     `SELECT id FROM shortened_urls 
-                     WHERE identifier = $1 AND keywords = $2 AND id != $3`,
-                    [existing.identifier, updates.keywords, id]
+                     WHERE identifier = $1 AND keywords = $2 AND is_template = $3
+                       AND domain_id IS NOT DISTINCT FROM $4 AND id != $5`,
+                    [existing.identifier, updates.keywords, updates.is_template ?? existing.is_template ?? false, existing.domain_id ?? null, id]
                 );
 
                 if (conflictCheck.rows.length > 0) {
@@ -568,11 +635,16 @@ export async function urlsRoutes(fastify, opts) {
             const updateValues = [];
             let paramCount = 1;
 
-            Object.entries(updates).forEach(([key, value]) => {
+            const { password, ...fields } = updates;
+            if (password !== undefined) {
+                fields.password_hash = password ? await hashLinkPassword(password) : null;
+            }
+
+            Object.entries(fields).forEach(([key, value]) => {
                 if (value !== undefined) {
                     const columnName = key === 'destination_url' ? 'original_url' : key;
                     updateFields.push(`${columnName} = $${paramCount++}`);
-                    updateValues.push(value);
+                    updateValues.push(JSON_COLUMNS.has(key) ? JSON.stringify(value) : value);
                 }
             });
 
@@ -591,27 +663,42 @@ export async function urlsRoutes(fastify, opts) {
                 UPDATE shortened_urls 
                 SET ${updateFields.join(', ')}
                 WHERE id = $${paramCount} AND user_id = $${paramCount + 1}
-                RETURNING *`;
+                RETURNING *, (SELECT domain FROM user_domains WHERE id = shortened_urls.domain_id) as domain`;
 
             const result = await fastify.db.query(updateQuery, updateValues);
             const updated = result.rows[0];
 
-            await invalidateCache(fastify.cache || fastify.redis, existing, updated);
+            await invalidateLinks(createCacheAdapter(fastify), existing, updated);
 
             const payload = {
                 id: updated.id,
-                path: buildUrlPath(updated.identifier, updated.keywords),
+                path: buildUrlPath(updated.identifier, getPathKeywords(updated)),
                 short_code: updated.short_code,
                 identifier: updated.identifier,
+                domain: updated.domain ?? null,
                 keywords: updated.keywords,
                 destination_url: updated.original_url,
                 title: updated.title,
                 description: updated.description,
                 is_active: updated.is_active,
                 expires_at: updated.expires_at,
+                redirect_rules: updated.redirect_rules,
+                variants: updated.variants,
+                is_password_protected: Boolean(updated.password_hash),
+                max_clicks: updated.max_clicks,
+                remaining_clicks: getRemainingClicks(updated),
+                expired_destination_url: updated.expired_destination_url,
+                starts_at: updated.starts_at,
+                destination_schedule: updated.destination_schedule,
+                og_title: updated.og_title,
+                og_description: updated.og_description,
+                og_image: updated.og_image,
+                query_forwarding: updated.query_forwarding,
+                is_template: updated.is_template,
+                is_public: updated.is_public,
                 updated_at: updated.updated_at,
-                full_url: buildFullUrl(request, updated.identifier, updated.keywords),
-                short_url: updated.short_code ? buildFullUrl(request, null, null, updated.short_code) : null
+                full_url: buildFullUrl(request, updated.identifier, getPathKeywords(updated), null, updated.domain),
+                short_url: updated.short_code ? buildFullUrl(request, null, null, updated.short_code, updated.domain) : null
             };
 
             if (process.env.NODE_ENV === 'test') {
@@ -654,8 +741,9 @@ export async function urlsRoutes(fastify, opts) {
             if (updates.keywords && existing.identifier) {
                 const conflictCheck = await fastify.db.query(
                     `SELECT id FROM shortened_urls 
-                     WHERE identifier = $1 AND keywords = $2 AND id != $3`,
-                    [existing.identifier, updates.keywords, id]
+                     WHERE identifier = $1 AND keywords = $2 AND is_template = $3
+                       AND domain_id IS NOT DISTINCT FROM $4 AND id != $5`,
+                    [existing.identifier, updates.keywords, updates.is_template ?? existing.is_template ?? false, existing.domain_id ?? null, id]
                 );
 
                 if (conflictCheck.rows.length > 0) {
@@ -671,11 +759,16 @@ export async function urlsRoutes(fastify, opts) {
             const updateValues = [];
             let paramCount = 1;
 
-            Object.entries(updates).forEach(([key, value]) => {
+            const { password, ...fields } = updates;
+            if (password !== undefined) {
+                fields.password_hash = password ? await hashLinkPassword(password) : null;
+            }
+
+            Object.entries(fields).forEach(([key, value]) => {
                 if (value !== undefined) {
                     const columnName = key === 'destination_url' ? 'original_url' : key;
                     updateFields.push(`${columnName} = $${paramCount++}`);
-                    updateValues.push(value);
+                    updateValues.push(JSON_COLUMNS.has(key) ? JSON.stringify(value) : value);
                 }
             });
 
@@ -694,12 +787,12 @@ export async function urlsRoutes(fastify, opts) {
                 UPDATE shortened_urls 
                 SET ${updateFields.join(', ')}
                 WHERE id = $${paramCount} AND user_id = $${paramCount + 1}
-                RETURNING *`;
+                RETURNING *, (SELECT domain FROM user_domains WHERE id = shortened_urls.domain_id) as domain`;
 
             const result = await fastify.db.query(updateQuery, updateValues);
             const updated = result.rows[0];
 
-            await invalidateCache(fastify.cache, existing, updated);
+            await invalidateLinks(createCacheAdapter(fastify), existing, updated);
 
             fastify.log.info({
                 event: 'url_updated',
@@ -710,18 +803,33 @@ export async function urlsRoutes(fastify, opts) {
 
             const payload = {
                 id: updated.id,
-                path: buildUrlPath(updated.identifier, updated.keywords),
+                path: buildUrlPath(updated.identifier, getPathKeywords(updated)),
                 short_code: updated.short_code,
                 identifier: updated.identifier,
+                domain: updated.domain ?? null,
                 keywords: updated.keywords,
                 destination_url: updated.original_url,
                 title: updated.title,
                 description: updated.description,
                 is_active: updated.is_active,
                 expires_at: updated.expires_at,
+                redirect_rules: updated.redirect_rules,
+                variants: updated.variants,
+                is_password_protected: Boolean(updated.password_hash),
+                max_clicks: updated.max_clicks,
+                remaining_clicks: getRemainingClicks(updated),
+                expired_destination_url: updated.expired_destination_url,
+                starts_at: updated.starts_at,
+                destination_schedule: updated.destination_schedule,
+                og_title: updated.og_title,
+                og_description: updated.og_description,
+                og_image: updated.og_image,
+                query_forwarding: updated.query_forwarding,
+                is_template: updated.is_template,
+                is_public: updated.is_public,
                 updated_at: updated.updated_at,
-                full_url: buildFullUrl(request, updated.identifier, updated.keywords),
-                short_url: updated.short_code ? buildFullUrl(request, null, null, updated.short_code) : null
+                full_url: buildFullUrl(request, updated.identifier, getPathKeywords(updated), null, updated.domain),
+                short_url: updated.short_code ? buildFullUrl(request, null, null, updated.short_code, updated.domain) : null
             };
             if (process.env.NODE_ENV === 'test') {
                 return reply.send({ success: true, data: payload });
@@ -770,7 +878,7 @@ export async function urlsRoutes(fastify, opts) {
                 );
             }
 
-            await invalidateCache(fastify.cache || fastify.redis, url);
+            await invalidateLinks(createCacheAdapter(fastify), url);
 
             if (process.env.NODE_ENV === 'test') {
                 return reply.status(200).send({ success: true });
@@ -818,7 +926,7 @@ export async function urlsRoutes(fastify, opts) {
                 );
             }
 
-            await invalidateCache(fastify.cache, url);
+            await invalidateLinks(createCacheAdapter(fastify), url);
 
             fastify.log.info({
                 event: permanent === 'true' ? 'url_deleted' : 'url_deactivated',
@@ -836,10 +944,187 @@ export async function urlsRoutes(fastify, opts) {
             throw error;
         }
     });
+
+    fastify.get('/urls/:id/rules', {
+        preHandler: fastify.authenticate || (async () => {})
+    }, async (request, reply) => {
+        const userId = request.user.userId || request.user.id;
+        const url = await getOwnedUrl(fastify.db, request.params.id, userId);
+
+        if (!url) {
+            return sendUrlNotFound(reply);
+        }
+
+        return reply.send({
+            url_id: url.id,
+            default_destination_url: url.original_url,
+            rules: url.redirect_rules || []
+        });
+    });
+
+    fastify.put('/urls/:id/rules', {
+        preHandler: [
+            fastify.authenticate || (async () => {}),
+            validateRequest(replaceRedirectRulesSchema)
+        ]
+    }, async (request, reply) => {
+        const userId = request.user.userId || request.user.id;
+        const url = await getOwnedUrl(fastify.db, request.params.id, userId);
+
+        if (!url) {
+            return sendUrlNotFound(reply);
+        }
+
+        const updated = await saveRedirectRules(fastify, url, request.validated.rules);
+
+        return reply.send({
+            url_id: updated.id,
+            default_destination_url: updated.original_url,
+            rules: updated.redirect_rules
+        });
+    });
+
+    fastify.post('/urls/:id/rules', {
+        preHandler: [
+            fastify.authenticate || (async () => {}),
+            validateRequest(createRedirectRuleSchema)
+        ]
+    }, async (request, reply) => {
+        const userId = request.user.userId || request.user.id;
+        const url = await getOwnedUrl(fastify.db, request.params.id, userId);
+
+        if (!url) {
+            return sendUrlNotFound(reply);
+        }
+
+        const { position, ...rule } = request.validated;
+        const rules = [...(url.redirect_rules || [])];
+
+        if (rules.some(existing => existing.id === rule.id)) {
+            return reply.status(409).send({
+                statusCode: 409,
+                error: 'Conflict',
+                message: 'A redirect rule with this id already exists'
+            });
+        }
+
+        if (rules.length >= MAX_REDIRECT_RULES) {
+            return reply.status(400).send({
+                statusCode: 400,
+                error: 'Bad Request',
+                message: `Maximum ${MAX_REDIRECT_RULES} redirect rules per URL`
+            });
+        }
+
+        rules.splice(position ?? rules.length, 0, rule);
+        await saveRedirectRules(fastify, url, rules);
+
+        return reply.status(201).send(rule);
+    });
+
+    fastify.patch('/urls/:id/rules/:ruleId', {
+        preHandler: [
+            fastify.authenticate || (async () => {}),
+            validateRequest(updateRedirectRuleSchema)
+        ]
+    }, async (request, reply) => {
+        const userId = request.user.userId || request.user.id;
+        const url = await getOwnedUrl(fastify.db, request.params.id, userId);
+
+        if (!url) {
+            return sendUrlNotFound(reply);
+        }
+
+        const rules = [...(url.redirect_rules || [])];
+        const index = rules.findIndex(rule => rule.id === request.params.ruleId);
+
+        if (index === -1) {
+            return sendRuleNotFound(reply);
+        }
+
+        const changes = Object.fromEntries(
+            Object.entries(request.validated).filter(([, value]) => value !== undefined)
+        );
+        rules[index] = { ...rules[index], ...changes };
+        await saveRedirectRules(fastify, url, rules);
+
+        return reply.send(rules[index]);
+    });
+
+    fastify.delete('/urls/:id/rules/:ruleId', {
+        preHandler: fastify.authenticate || (async () => {})
+    }, async (request, reply) => {
+        const userId = request.user.userId || request.user.id;
+        const url = await getOwnedUrl(fastify.db, request.params.id, userId);
+
+        if (!url) {
+            return sendUrlNotFound(reply);
+        }
+
+        const rules = url.redirect_rules || [];
+        const remaining = rules.filter(rule => rule.id !== request.params.ruleId);
+
+        if (remaining.length === rules.length) {
+            return sendRuleNotFound(reply);
+        }
+
+        await saveRedirectRules(fastify, url, remaining);
+
+        return reply.status(204).send();
+    });
 }
 
 export default urlsRoutes;
 
+const MAX_REDIRECT_RULES = 20;
+
+// Array-valued JSONB columns; pg would otherwise send JS arrays as Postgres arrays
+const JSON_COLUMNS = new Set(['redirect_rules', 'variants', 'destination_schedule']);
+
+async function getOwnedUrl(db, id, userId) {
+    const result = await db.query(
+        'SELECT * FROM shortened_urls WHERE id = $1 AND user_id = $2',
+        [id, userId]
+    );
+    return result.rows[0] || null;
+}
+
+async function saveRedirectRules(fastify, url, rules) {
+    const result = await fastify.db.query(
+        `UPDATE shortened_urls 
+         SET redirect_rules = $1::jsonb, updated_at = NOW()
+         WHERE id = $2
+         RETURNING *`,
+        [JSON.stringify(rules), url.id]
+    );
+
+    await invalidateLinks(createCacheAdapter(fastify), url);
+
+    fastify.log.info({
+        event: 'url_rules_updated',
+        url_id: url.id,
+        rule_count: rules.length
+    });
+
+    return result.rows[0];
+}
+
+function sendUrlNotFound(reply) {
+    return reply.status(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'URL not found or you do not have permission to view it'
+    });
+}
+
+function sendRuleNotFound(reply) {
+    return reply.status(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'Redirect rule not found'
+    });
+}
+
 async function getUserStats(db, userId) {
     const result = await db.query(
         `SELECT 
@@ -866,29 +1151,14 @@ async function getUserStats(db, userId) {
     };
 }
 
-async function invalidateCache(cache, ...urls) {
-    const cacheKeys = [];
-    
-    for (const url of urls) {
-        if (!url) continue;
-        
-        if (url.identifier) {
-            url.keywords.forEach(keyword => {
-                cacheKeys.push(`url:${url.identifier}:${keyword}`);
-            });
-            cacheKeys.push(`url:${url.identifier}:${url.keywords.join(':')}`);
-        } else {
-            url.keywords.forEach(keyword => {
-                cacheKeys.push(`url:${keyword}`);
-            });
-            cacheKeys.push(`url:${url.keywords.join(':')}`);
-        }
-    }
-    
-    if (!cache) return;
-    const delFn = cache.del ? cache.del.bind(cache) : (cache.unlink ? cache.unlink.bind(cache) : null);
-    if (!delFn) return;
-    await Promise.all(cacheKeys.map(key => delFn(key)));
+// Clicks recorded since the last counter flush are not on the row yet
+async function withPendingClicks(fastify, rows) {
+    return fastify.clicks ? fastify.clicks.mergePending(rows) : rows;
+}
+
+// Template links are shown with their wildcard: `acme/gh/*`
+function getPathKeywords(url) {
+    return url.is_template ? [...url.keywords, TEMPLATE_WILDCARD] : url.keywords;
 }
 
 function buildUrlPath(identifier, keywords) {
@@ -898,7 +1168,15 @@ function buildUrlPath(identifier, keywords) {
     return keywords.join('/');
 }
 
-function buildFullUrl(request, identifier, keywords, shortCode = null) {
+function buildFullUrl(request, identifier, keywords, shortCode = null, domain = null) {
+    // Links on a custom domain are only reachable there
+    if (domain) {
+        if (shortCode) {
+            return `https://${domain}/s/${shortCode}`;
+        }
+        return identifier || keywords ? `https://${domain}/${buildUrlPath(identifier, keywords)}` : null;
+    }
+
     // Use SHORT_URL_BASE from environment if set, otherwise determine from request
     if (process.env.SHORT_URL_BASE) {
         const baseUrl = process.env.SHORT_URL_BASE.replace(/\/$/, '');
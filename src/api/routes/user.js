@@ -1,3 +1,10 @@
+import { updatePrivacySchema, updateNotificationPreferencesSchema, validateRequest, isValidTimezone } from '../schemas/validation.js';
+import { getPrivacyPolicy } from '../../utils/privacy.js';
+import { NOTIFICATION_EVENTS } from '../../utils/notification-preferences.js';
+import { config } from '../../config/index.js';
+import { getWeeklyReportPreview } from '../../services/weekly-report.js';
+import { getNotificationPreferences, updateNotificationPreferences } from '../../services/notification-preferences.js';
+
 export async function userRoutes(fastify, opts) {
     // Get user profile with identifiers
     fastify.get('/user/profile', {
@@ -212,7 +219,7 @@ export async function userRoutes(fastify, opts) {
         preHandler: fastify.authenticate
     }, async (request, reply) => {
         const userId = request.user.id;
-        const { username, full_name, metadata, identifier, email } = request.body;
+        const { username, full_name, metadata, identifier, email, timezone } = request.body;
 
         try {
             const updates = [];
@@ -282,6 +289,20 @@ export async function userRoutes(fastify, opts) {
                 values.push(metadata);
             }
 
+            // IANA name such as Europe/Berlin; null goes back to UTC
+            if (timezone !== undefined) {
+                if (timezone !== null && !isValidTimezone(timezone)) {
+                    return reply.status(400).send({
+                        statusCode: 400,
+                        error: 'Bad Request',
+                        message: 'timezone must be an IANA time zone name such as Europe/Berlin'
+                    });
+                }
+
+                updates.push(`timezone = $${paramCount++}`);
+                values.push(timezone);
+            }
+
             if (updates.length === 0) {
                 return reply.status(400).send({
                     statusCode: 400,
@@ -297,7 +318,8 @@ export async function userRoutes(fastify, opts) {
                 UPDATE users
                 SET ${updates.join(', ')}
                 WHERE id = $${paramCount}
-                RETURNING id, email, full_name, identifier, username, subscription_tier, created_at`;
+                RETURNING id, email, full_name, identifier, username, subscription_tier,
+                          timezone, created_at`;
 
             const result = await fastify.db.query(query, values);
 
@@ -307,6 +329,163 @@ export async function userRoutes(fastify, opts) {
             throw error;
         }
     });
+
+    // Last week's report as it would be emailed; ?format=html or text returns just that part
+    fastify.get('/user/weekly-report/preview', {
+        preHandler: fastify.authenticate
+    }, async (request, reply) => {
+        const { format = 'json' } = request.query;
+
+        try {
+            const preview = await getWeeklyReportPreview(fastify.db, request.user.id);
+            if (!preview) {
+                return sendUserNotFound(reply);
+            }
+
+            if (format === 'html') {
+                return reply.type('text/html; charset=utf-8').send(preview.html);
+            }
+            if (format === 'text') {
+                return reply.type('text/plain; charset=utf-8').send(preview.text);
+            }
+            return reply.send(preview);
+        } catch (error) {
+            fastify.log.error('Failed to build weekly report preview:', error);
+            throw error;
+        }
+    });
+
+    // Which notification emails the user gets; transactional email is always sent
+    fastify.get('/user/notifications', {
+        preHandler: fastify.authenticate
+    }, async (request, reply) => {
+        try {
+            const preferences = await getNotificationPreferences(fastify.db, request.user.id);
+            return reply.send(withEventDescriptions(preferences));
+        } catch (error) {
+            fastify.log.error('Failed to get notification preferences:', error);
+            throw error;
+        }
+    });
+
+    fastify.patch('/user/notifications', {
+        preHandler: [
+            fastify.authenticate,
+            validateRequest(updateNotificationPreferencesSchema)
+        ]
+    }, async (request, reply) => {
+        const userId = request.user.id;
+
+        try {
+            const preferences = await updateNotificationPreferences(fastify.db, userId, request.validated);
+            fastify.log.info({ event: 'notification_preferences_updated', user_id: userId, changes: request.validated });
+
+            return reply.send(withEventDescriptions(preferences));
+        } catch (error) {
+            fastify.log.error('Failed to update notification preferences:', error);
+            throw error;
+        }
+    });
+
+    // What is stored about visitors to this account's links, and for how long
+    fastify.get('/user/privacy', {
+        preHandler: fastify.authenticate
+    }, async (request, reply) => {
+        try {
+            const settings = await getPrivacySettings(fastify.db, request.user.id);
+            if (!settings) {
+                return sendUserNotFound(reply);
+            }
+
+            return reply.send(settings);
+        } catch (error) {
+            fastify.log.error('Failed to get privacy settings:', error);
+            throw error;
+        }
+    });
+
+    fastify.patch('/user/privacy', {
+        preHandler: [
+            fastify.authenticate,
+            validateRequest(updatePrivacySchema)
+        ]
+    }, async (request, reply) => {
+        const userId = request.user.id;
+        const { privacy_mode } = request.validated;
+
+        try {
+            const result = await fastify.db.query(
+                'UPDATE users SET privacy_mode = $1, updated_at = NOW() WHERE id = $2 RETURNING id',
+                [privacy_mode, userId]
+            );
+
+            if (result.rows.length === 0) {
+                return sendUserNotFound(reply);
+            }
+
+            fastify.log.info(`User ${userId} set privacy mode: ${privacy_mode ?? 'deployment default'}`);
+
+            return reply.send(await getPrivacySettings(fastify.db, userId));
+        } catch (error) {
+            fastify.log.error('Failed to update privacy settings:', error);
+            throw error;
+        }
+    });
+}
+
+function withEventDescriptions(preferences) {
+    return {
+        ...preferences,
+        descriptions: Object.fromEntries(
+            Object.entries(NOTIFICATION_EVENTS).map(([event, { description }]) => [event, description])
+        )
+    };
+}
+
+async function getPrivacySettings(db, userId) {
+    const [userResult, plansResult] = await Promise.all([
+        db.query(
+            `SELECT u.privacy_mode, u.subscription_tier, sp.analytics_retention_days
+             FROM users u
+             LEFT JOIN subscription_plans sp ON u.subscription_tier = sp.name
+             WHERE u.id = $1`,
+            [userId]
+        ),
+        db.query(
+            `SELECT name, analytics_retention_days
+             FROM subscription_plans
+             WHERE is_active = true
+             ORDER BY price_monthly ASC`
+        )
+    ]);
+
+    const user = userResult.rows[0];
+    if (!user) {
+        return null;
+    }
+
+    return {
+        deployment: getPrivacyPolicy(null),
+        account_mode: user.privacy_mode,
+        effective: getPrivacyPolicy(user.privacy_mode),
+        retention: {
+            plan: user.subscription_tier,
+            days: user.analytics_retention_days ?? null,
+            action: config.privacy.retentionAction
+        },
+        plans: plansResult.rows.map(plan => ({
+            name: plan.name,
+            retention_days: plan.analytics_retention_days ?? null
+        }))
+    };
+}
+
+function sendUserNotFound(reply) {
+    return reply.status(404).send({
+        statusCode: 404,
+        error: 'Not Found',
+        message: 'User not found'
+    });
 }
 
 function validateIdentifier(identifier) {
@@ -319,4 +498,4 @@ function validateIdentifier(identifier) {
     }
     
     return /^[a-z0-9][a-z0-9-_]*[a-z0-9]$/.test(normalized);
-}
\ No newline at end of file
+}
@@ -1,4 +1,9 @@
 import { z } from 'zod';
+import { randomUUID } from 'crypto';
+import { isPrimaryHost } from '../../utils/custom-domains.js';
+import { BOT_CATEGORIES } from '../../utils/bot-classifier.js';
+import { PRIVACY_MODES } from '../../utils/privacy.js';
+import { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS } from '../../utils/notification-preferences.js';
 
 const identifierRegex = /^[a-z0-9][a-z0-9-_]*[a-z0-9]$/;
 const keywordRegex = /^[a-z0-9][a-z0-9-_]*$/;
@@ -47,6 +52,143 @@ export const urlSchema = z
         }
     }, 'URL cannot point to localhost or private IP addresses');
 
+const domainRegex = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+export const domainSchema = z
+    .string()
+    .trim()
+    .toLowerCase()
+    .transform(val => val.replace(/\.$/, ''))
+    .refine(val => domainRegex.test(val), 'Must be a valid domain name such as go.example.com')
+    .refine(val => !isPrimaryHost(val), 'This domain cannot be used as a custom domain');
+
+export const addDomainSchema = z.object({
+    domain: domainSchema
+});
+
+const timeOfDayRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export function isValidTimezone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.length > 64) return false;
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export const redirectRuleConditionsSchema = z.object({
+    devices: z
+        .array(z.enum(['desktop', 'mobile', 'tablet', 'smarttv', 'wearable', 'console', 'embedded']))
+        .min(1)
+        .optional(),
+    os: z.array(z.string().min(1).max(50)).min(1).optional(),
+    countries: z
+        .array(z.string().length(2, 'Country must be an ISO 3166-1 alpha-2 code').toUpperCase())
+        .min(1)
+        .optional(),
+    languages: z
+        .array(z.string().min(2).max(3).toLowerCase())
+        .min(1)
+        .optional(),
+    time: z.object({
+        start: z.string().regex(timeOfDayRegex, 'Time must be in HH:MM format'),
+        end: z.string().regex(timeOfDayRegex, 'Time must be in HH:MM format'),
+        days: z.array(z.number().int().min(0).max(6)).min(1).optional(),
+        timezone: z.string().default('UTC').refine(isValidTimezone, 'Unknown timezone')
+    }).optional()
+}).refine(
+    conditions => Object.values(conditions).some(value => value !== undefined),
+    'A rule needs at least one condition'
+);
+
+const redirectRuleBaseSchema = z.object({
+    id: z.string().uuid().optional(),
+    name: z.string().max(100).optional().nullable(),
+    conditions: redirectRuleConditionsSchema,
+    destination_url: urlSchema,
+    is_active: z.boolean().default(true)
+});
+
+const withRuleId = rule => ({ ...rule, id: rule.id || randomUUID() });
+
+export const redirectRuleSchema = redirectRuleBaseSchema.transform(withRuleId);
+
+export const redirectRulesSchema = z
+    .array(redirectRuleSchema)
+    .max(20, 'Maximum 20 redirect rules per URL')
+    .refine(
+        rules => new Set(rules.map(rule => rule.id)).size === rules.length,
+        'Redirect rule ids must be unique'
+    );
+
+export const createRedirectRuleSchema = redirectRuleBaseSchema
+    .extend({ position: z.number().int().min(0).optional() })
+    .transform(withRuleId);
+
+export const updateRedirectRuleSchema = redirectRuleBaseSchema
+    .omit({ id: true })
+    .partial();
+
+export const replaceRedirectRulesSchema = z.object({
+    rules: redirectRulesSchema
+});
+
+export const destinationVariantSchema = z.object({
+    id: z.string().uuid().optional(),
+    name: z.string().max(100).optional().nullable(),
+    destination_url: urlSchema,
+    weight: z.number().int().min(0).max(1000)
+}).transform(variant => ({ ...variant, id: variant.id || randomUUID() }));
+
+export const destinationVariantsSchema = z
+    .array(destinationVariantSchema)
+    .max(10, 'Maximum 10 variants per URL')
+    .refine(
+        variants => variants.length === 0 || variants.length >= 2,
+        'At least two variants are required to split traffic'
+    )
+    .refine(
+        variants => variants.length === 0 || variants.some(variant => variant.weight > 0),
+        'At least one variant must have a weight greater than 0'
+    )
+    .refine(
+        variants => new Set(variants.map(variant => variant.id)).size === variants.length,
+        'Variant ids must be unique'
+    );
+
+export const scheduleEntrySchema = z.object({
+    id: z.string().uuid().optional(),
+    starts_at: z.string().datetime(),
+    destination_url: urlSchema
+}).transform(entry => ({ ...entry, id: entry.id || randomUUID() }));
+
+export const destinationScheduleSchema = z
+    .array(scheduleEntrySchema)
+    .max(50, 'Maximum 50 scheduled destinations per URL')
+    .refine(
+        schedule => new Set(schedule.map(entry => entry.starts_at)).size === schedule.length,
+        'Scheduled destinations must have distinct start times'
+    )
+    .transform(schedule => [...schedule].sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at)));
+
+// none drops the incoming query string, merge adds it to the destination's, override replaces it
+const queryForwardingSchema = z.enum(['none', 'merge', 'override']);
+
+// Preview card overrides shown to social crawlers
+const openGraphFields = {
+    og_title: z.string().max(255).optional().nullable(),
+    og_description: z.string().max(1000).optional().nullable(),
+    og_image: urlSchema.optional().nullable()
+};
+
+const linkPasswordSchema = z
+    .string()
+    .min(4, 'Password must be at least 4 characters')
+    .max(128, 'Password must be at most 128 characters');
+
 export const createShortenSchema = z.object({
     identifier: identifierSchema.optional().nullable(),
     keywords: z
@@ -59,7 +201,19 @@ export const createShortenSchema = z.object({
     description: z.string().max(1000).optional().nullable(),
     expires_at: z.string().datetime().optional().nullable(),
     custom_metadata: z.record(z.any()).optional().default({}),
-    is_public: z.boolean().optional().default(true)
+    is_public: z.boolean().optional().default(true),
+    redirect_rules: redirectRulesSchema.optional().default([]),
+    variants: destinationVariantsSchema.optional().default([]),
+    password: linkPasswordSchema.optional().nullable(),
+    max_clicks: z.number().int().positive().optional().nullable(),
+    expired_destination_url: urlSchema.optional().nullable(),
+    starts_at: z.string().datetime().optional().nullable(),
+    destination_schedule: destinationScheduleSchema.optional().default([]),
+    query_forwarding: queryForwardingSchema.optional().default('none'),
+    is_template: z.boolean().optional().default(false),
+    // Verified custom domain to create the link on; omitted for wordsto.link
+    domain: domainSchema.optional().nullable(),
+    ...openGraphFields
 });
 
 export const listUrlsSchema = z.object({
@@ -73,13 +227,25 @@ export const listUrlsSchema = z.object({
     has_expired: z.coerce.boolean().optional()
 });
 
+// true (all traffic), false (people only) or a comma-separated list of bot categories to count alongside people
+export const includeBotsSchema = z.preprocess(
+    (value) => {
+        if (typeof value === 'boolean' || value === undefined) return value;
+        const text = String(value).trim().toLowerCase();
+        if (['true', '1', 'all'].includes(text)) return true;
+        if (['false', '0', ''].includes(text)) return false;
+        return text.split(',').map(category => category.trim()).filter(Boolean);
+    },
+    z.union([z.boolean(), z.array(z.enum(BOT_CATEGORIES)).min(1)])
+).default(false);
+
 export const analyticsQuerySchema = z.object({
     start_date: z.string().datetime().optional(),
     end_date: z.string().datetime().optional(),
     period: z.enum(['1h', '24h', '7d', '30d', '90d', '1y', 'custom']).default('30d'),
     timezone: z.string().default('UTC'),
     group_by: z.enum(['hour', 'day', 'week', 'month']).optional(),
-    include_bots: z.coerce.boolean().default(false)
+    include_bots: includeBotsSchema
 });
 
 export const updateUrlSchema = z.object({
@@ -93,7 +259,19 @@ export const updateUrlSchema = z.object({
     description: z.string().max(1000).optional().nullable(),
     is_active: z.boolean().optional(),
     expires_at: z.string().datetime().optional().nullable(),
-    custom_metadata: z.record(z.any()).optional()
+    custom_metadata: z.record(z.any()).optional(),
+    redirect_rules: redirectRulesSchema.optional(),
+    variants: destinationVariantsSchema.optional(),
+    // null removes the password
+    password: linkPasswordSchema.optional().nullable(),
+    max_clicks: z.number().int().positive().optional().nullable(),
+    expired_destination_url: urlSchema.optional().nullable(),
+    starts_at: z.string().datetime().optional().nullable(),
+    destination_schedule: destinationScheduleSchema.optional(),
+    is_public: z.boolean().optional(),
+    query_forwarding: queryForwardingSchema.optional(),
+    is_template: z.boolean().optional(),
+    ...openGraphFields
 });
 
 export const bulkCreateSchema = z.object({
@@ -175,6 +353,26 @@ export const apiKeySchema = z.object({
     rate_limit: z.number().int().min(1).max(10000).default(1000)
 });
 
+// null goes back to the deployment's privacy mode
+export const updatePrivacySchema = z.object({
+    privacy_mode: z.enum(PRIVACY_MODES).nullable()
+});
+
+const notificationChannelsSchema = z.object(
+    Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, z.boolean().optional()]))
+).strict();
+
+// Only the toggles given change: { channels: { email: false } } or { events: { weekly_report: { email: true } } }
+export const updateNotificationPreferencesSchema = z.object({
+    channels: notificationChannelsSchema.optional(),
+    events: z.object(
+        Object.fromEntries(Object.keys(NOTIFICATION_EVENTS).map(event => [event, notificationChannelsSchema.optional()]))
+    ).strict().optional()
+}).strict().refine(
+    changes => changes.channels !== undefined || changes.events !== undefined,
+    'Give channels or events to update'
+);
+
 export function validateRequest(schema) {
     return async (request, reply) => {
         try {
@@ -29,10 +29,69 @@ export const config = {
     ttl: 300
   },
   
+  // Per-instance LRU in front of Redis; deletes are broadcast on invalidationChannel
+  cache: {
+    localMaxEntries: parseInt(process.env.CACHE_LOCAL_MAX_ENTRIES) || 1000,
+    localTtl: parseInt(process.env.CACHE_LOCAL_TTL) || 30,
+    notFoundTtl: parseInt(process.env.CACHE_NOT_FOUND_TTL) || 10,
+    invalidationChannel: process.env.CACHE_INVALIDATION_CHANNEL || 'cache:invalidate'
+  },
+  
   auth: {
     jwtSecret: process.env.JWT_SECRET,
     jwtExpiry: '7d',
-    bcryptRounds: 10
+    bcryptRounds: 10,
+    cookieSecret: process.env.COOKIE_SECRET || process.env.JWT_SECRET
+  },
+  
+  // mmdb reads local MaxMind-format files; http (ip-api.com) is opt-in as it shares visitor IPs
+  geo: {
+    provider: process.env.GEO_PROVIDER || 'mmdb',
+    cityDbPath: process.env.GEOIP_CITY_DB_PATH || './data/GeoLite2-City.mmdb',
+    asnDbPath: process.env.GEOIP_ASN_DB_PATH || './data/GeoLite2-ASN.mmdb',
+    httpUrl: process.env.GEO_HTTP_URL || 'http://ip-api.com/json'
+  },
+  
+  // Overrides are another rules file checked before the defaults, e.g. to mark an internal monitor
+  bots: {
+    rulesPath: process.env.BOT_RULES_PATH || './data/bot-rules.json',
+    overridesPath: process.env.BOT_RULES_OVERRIDES_PATH || null
+  },
+  
+  // Visitors without the wtl_vid cookie are counted by a salted IP + User-Agent hash that
+  // changes every rotation window, so they cannot be linked across windows
+  analytics: {
+    visitorIdSalt: process.env.VISITOR_ID_SALT || process.env.COOKIE_SECRET || process.env.JWT_SECRET,
+    visitorIdRotationHours: parseInt(process.env.VISITOR_ID_ROTATION_HOURS) || 24,
+    // click_count and unique_visitors build up in Redis and are written back in batches this often
+    counterFlushSeconds: parseInt(process.env.CLICK_COUNTER_FLUSH_SECONDS) || 10,
+    counterFlushBatchSize: parseInt(process.env.CLICK_COUNTER_FLUSH_BATCH_SIZE) || 500,
+    // Events wait on a Redis Stream for the analytics worker; new ones are refused past queueMaxLength
+    queueMaxLength: parseInt(process.env.ANALYTICS_QUEUE_MAX_LENGTH) || 100000,
+    queueMaxFailures: parseInt(process.env.ANALYTICS_QUEUE_MAX_FAILURES) || 10,
+    queueClaimIdleSeconds: parseInt(process.env.ANALYTICS_QUEUE_CLAIM_IDLE_SECONDS) || 60,
+    workerBatchSize: parseInt(process.env.ANALYTICS_WORKER_BATCH_SIZE) || 100,
+    // Ranges at least this long are answered from the hourly/daily rollups
+    rollupMinRangeHours: parseInt(process.env.ANALYTICS_ROLLUP_MIN_RANGE_HOURS) || 48
+  },
+  
+  // strict truncates IPs, drops precise geo and raw User-Agents, and honours DNT/GPC; accounts can pick their own
+  privacy: {
+    mode: process.env.PRIVACY_MODE || 'standard',
+    retentionAction: process.env.ANALYTICS_RETENTION_ACTION === 'anonymize' ? 'anonymize' : 'delete'
+  },
+  
+  // Maintenance jobs run inside the backend; with several instances each occurrence runs once
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    lockTtlSeconds: parseInt(process.env.JOB_LOCK_TTL_SECONDS) || 900
+  },
+  
+  // Links in emails act without a login, so they carry tokens signed with tokenSecret
+  email: {
+    tokenSecret: process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET,
+    apiBaseUrl: (process.env.BASE_URL || 'http://localhost:8080').replace(/\/$/, ''),
+    frontendUrl: (process.env.FRONTEND_URL || 'http://localhost:3001').replace(/\/$/, '')
   },
   
   rateLimit: {
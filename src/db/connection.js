@@ -3,6 +3,52 @@ import { config } from '../config/index.js';
 
 const { Pool } = pg;
 
+const ANALYTICS_EVENT_COLUMNS = [
+    'shortened_url_id', 'visitor_id', 'ip_address', 'user_agent',
+    'referer', 'country_code', 'country_name', 'city', 'region',
+    'device_type', 'browser_name', 'os_name', 'is_bot',
+    'utm_source', 'utm_medium', 'utm_campaign', 'response_time_ms',
+    'matched_rule_id', 'variant_id',
+    'postal_code', 'latitude', 'longitude', 'timezone', 'asn', 'as_organization', 'bot_category',
+    'event_id', 'clicked_at'
+];
+
+// Keeps a statement well under Postgres' 65535 bind parameters
+const ANALYTICS_INSERT_CHUNK = 1000;
+
+function toAnalyticsRow(event) {
+    return [
+        event.shortened_url_id,
+        event.visitor_id ?? null,
+        event.ip_address ?? null,
+        event.user_agent ?? null,
+        event.referer ?? null,
+        event.country_code ?? null,
+        event.country_name ?? null,
+        event.city ?? null,
+        event.region ?? null,
+        event.device_type ?? null,
+        event.browser_name ?? null,
+        event.os_name ?? null,
+        event.is_bot ?? false,
+        event.utm_source ?? null,
+        event.utm_medium ?? null,
+        event.utm_campaign ?? null,
+        event.response_time_ms ?? null,
+        event.matched_rule_id || null,
+        event.variant_id || null,
+        event.postal_code || null,
+        event.latitude ?? null,
+        event.longitude ?? null,
+        event.timezone || null,
+        event.asn ?? null,
+        event.as_organization || null,
+        event.bot_category || (event.is_bot ? 'other_bot' : 'human'),
+        event.event_id || null,
+        event.clicked_at || new Date().toISOString()
+    ];
+}
+
 class Database {
     constructor() {
         this.pool = null;
@@ -76,23 +122,40 @@ class Database {
         }
     }
 
-    async findShortenedUrl(identifier, keywords) {
+    // Expired links are returned as well so the redirect handler can send
+    // visitors to the fallback destination or the expired page
+    async findShortenedUrl(identifier, keywords, domainId = null) {
+        const params = identifier ? [identifier, keywords] : [keywords];
+        const domainFilter = domainId ? `domain_id = $${params.push(domainId)}` : 'domain_id IS NULL';
+
         const query = identifier
             ? `SELECT * FROM shortened_urls 
                WHERE identifier = $1 AND keywords = $2::text[] 
-               AND is_active = true 
-               AND (expires_at IS NULL OR expires_at > NOW())`
+               AND ${domainFilter} AND is_template = false AND is_active = true`
             : `SELECT * FROM shortened_urls 
                WHERE identifier IS NULL AND keywords = $1::text[] 
-               AND is_active = true 
-               AND (expires_at IS NULL OR expires_at > NOW())`;
+               AND ${domainFilter} AND is_template = false AND is_active = true`;
         
-        const params = identifier ? [identifier, keywords] : [keywords];
         const result = await this.query(query, params);
         
         return result.rows[0] || null;
     }
 
+    async findByShortCode(shortCode, domainId = null) {
+        const params = [shortCode];
+        const domainFilter = domainId ? `domain_id = $${params.push(domainId)}` : 'domain_id IS NULL';
+
+        const result = await this.query(
+            `SELECT * FROM shortened_urls 
+             WHERE short_code = $1 
+             AND ${domainFilter}
+             AND is_active = true`,
+            params
+        );
+
+        return result.rows[0] || null;
+    }
+
     async createShortenedUrl(data) {
         const {
             user_id,
@@ -103,14 +166,17 @@ class Database {
             title,
             description,
             expires_at,
-            custom_metadata
+            custom_metadata,
+            redirect_rules,
+            variants
         } = data;
 
         const query = `
             INSERT INTO shortened_urls (
                 user_id, identifier, keywords, original_url, 
-                short_code, title, description, expires_at, custom_metadata
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                short_code, title, description, expires_at, custom_metadata,
+                redirect_rules, variants
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
             RETURNING *`;
 
         const params = [
@@ -122,72 +188,47 @@ class Database {
             title || null,
             description || null,
             expires_at || null,
-            custom_metadata || {}
+            custom_metadata || {},
+            JSON.stringify(redirect_rules || []),
+            JSON.stringify(variants || [])
         ];
 
         const result = await this.query(query, params);
         return result.rows[0];
     }
 
+    // click_count and unique_visitors are counted in Redis by ClickCounter and flushed
+    // in batches; this only records the event
     async trackClick(shortenedUrlId, eventData) {
-        return this.transaction(async (client) => {
-            await client.query(
-                `UPDATE shortened_urls 
-                 SET click_count = click_count + 1, 
-                     last_clicked_at = NOW() 
-                 WHERE id = $1`,
-                [shortenedUrlId]
-            );
+        const [row] = await this.insertAnalyticsEvents([{ ...eventData, shortened_url_id: shortenedUrlId }]);
+        return row;
+    }
 
-            if (!eventData.is_bot) {
-                const checkVisitor = await client.query(
-                    `SELECT 1 FROM analytics_events 
-                     WHERE shortened_url_id = $1 AND visitor_id = $2 
-                     AND clicked_at > NOW() - INTERVAL '24 hours'`,
-                    [shortenedUrlId, eventData.visitor_id]
-                );
-
-                if (checkVisitor.rows.length === 0) {
-                    await client.query(
-                        `UPDATE shortened_urls 
-                         SET unique_visitors = unique_visitors + 1 
-                         WHERE id = $1`,
-                        [shortenedUrlId]
-                    );
-                }
-            }
+    // Writes events with one multi-row INSERT per chunk and returns the rows written. Events come
+    // from an at-least-once queue, so an event_id that is already stored is skipped. The unique
+    // index also covers the partition key; clicked_at is set when the event is queued, so a
+    // redelivered event carries the same one.
+    async insertAnalyticsEvents(events) {
+        const inserted = [];
+
+        for (let start = 0; start < events.length; start += ANALYTICS_INSERT_CHUNK) {
+            const params = [];
+            const values = events.slice(start, start + ANALYTICS_INSERT_CHUNK).map(event => {
+                const placeholders = toAnalyticsRow(event).map(value => `$${params.push(value)}`);
+                return `(${placeholders.join(', ')})`;
+            });
+
+            const result = await this.query(
+                `INSERT INTO analytics_events (${ANALYTICS_EVENT_COLUMNS.join(', ')})
+                 VALUES ${values.join(', ')}
+                 ON CONFLICT (event_id, clicked_at) DO NOTHING
+                 RETURNING id, event_id`,
+                params
+            );
+            inserted.push(...result.rows);
+        }
 
-            const insertQuery = `
-                INSERT INTO analytics_events (
-                    shortened_url_id, visitor_id, ip_address, user_agent,
-                    referer, country_code, country_name, city, region,
-                    device_type, browser_name, os_name, is_bot,
-                    utm_source, utm_medium, utm_campaign, response_time_ms
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
-                RETURNING id`;
-
-            const result = await client.query(insertQuery, [
-                shortenedUrlId,
-                eventData.visitor_id,
-                eventData.ip_address,
-                eventData.user_agent,
-                eventData.referer,
-                eventData.country_code,
-                eventData.country_name,
-                eventData.city,
-                eventData.region,
-                eventData.device_type,
-                eventData.browser_name,
-                eventData.os_name,
-                eventData.is_bot,
-                eventData.utm_source,
-                eventData.utm_medium,
-                eventData.utm_campaign,
-                eventData.response_time_ms
-            ]);
-
-            return result.rows[0];
-        });
+        return inserted;
     }
 
     async getUserByClerkId(clerkUserId) {
@@ -0,0 +1,58 @@
+-- Migration: 007_reserve_short_code_prefix
+-- Created at: 2025-01-01
+-- Description: Reserve the /s/ short-code prefix so it cannot be claimed as an identifier
+
+CREATE OR REPLACE FUNCTION claim_identifier(
+    p_user_id UUID,
+    p_identifier VARCHAR(100)
+)
+RETURNS TABLE (
+    success BOOLEAN,
+    message TEXT
+) AS $$
+DECLARE
+    v_existing_owner UUID;
+    v_user_identifier_count INTEGER;
+    v_max_identifiers INTEGER;
+BEGIN
+    -- Reserved identifiers are routed by the redirect handler itself
+    IF lower(p_identifier) = ANY(ARRAY['s']) THEN
+        RETURN QUERY SELECT false, 'This identifier is reserved';
+        RETURN;
+    END IF;
+
+    -- Check if identifier is already claimed
+    SELECT user_id INTO v_existing_owner
+    FROM user_identifiers
+    WHERE identifier = p_identifier AND is_active = true;
+    
+    IF v_existing_owner IS NOT NULL THEN
+        IF v_existing_owner = p_user_id THEN
+            RETURN QUERY SELECT true, 'You already own this identifier';
+        ELSE
+            RETURN QUERY SELECT false, 'Identifier is already claimed by another user';
+        END IF;
+        RETURN;
+    END IF;
+    
+    -- Check user's identifier limit
+    SELECT COUNT(*), sp.max_identifiers 
+    INTO v_user_identifier_count, v_max_identifiers
+    FROM users u
+    JOIN subscription_plans sp ON u.subscription_tier = sp.name
+    LEFT JOIN user_identifiers ui ON u.id = ui.user_id AND ui.is_active = true
+    WHERE u.id = p_user_id
+    GROUP BY sp.max_identifiers;
+    
+    IF v_max_identifiers != -1 AND v_user_identifier_count >= v_max_identifiers THEN
+        RETURN QUERY SELECT false, format('You have reached your limit of %s identifiers', v_max_identifiers);
+        RETURN;
+    END IF;
+    
+    -- Claim the identifier
+    INSERT INTO user_identifiers (user_id, identifier, is_primary, claimed_at)
+    VALUES (p_user_id, p_identifier, false, NOW());
+    
+    RETURN QUERY SELECT true, 'Identifier claimed successfully';
+END;
+$$ LANGUAGE plpgsql;
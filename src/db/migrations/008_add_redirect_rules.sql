@@ -0,0 +1,18 @@
+-- Migration: 008_add_redirect_rules
+-- Created at: 2025-01-01
+-- Description: Per-link ordered redirect rules (device, country, language, time) with analytics attribution
+
+-- Ordered list of rules; original_url remains the default destination
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS redirect_rules JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE shortened_urls
+ADD CONSTRAINT check_redirect_rules_is_array CHECK (jsonb_typeof(redirect_rules) = 'array');
+
+-- Which rule sent the visitor on; NULL means the default destination was used
+ALTER TABLE analytics_events
+ADD COLUMN IF NOT EXISTS matched_rule_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_matched_rule
+ON analytics_events(shortened_url_id, matched_rule_id)
+WHERE matched_rule_id IS NOT NULL;
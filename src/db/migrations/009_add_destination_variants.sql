@@ -0,0 +1,18 @@
+-- Migration: 009_add_destination_variants
+-- Created at: 2025-01-01
+-- Description: Weighted A/B destination variants with per-variant analytics
+
+-- Weighted destinations that split the default traffic of a link
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS variants JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE shortened_urls
+ADD CONSTRAINT check_variants_is_array CHECK (jsonb_typeof(variants) = 'array');
+
+-- Which variant the visitor was sent to; NULL when the link has no variants
+ALTER TABLE analytics_events
+ADD COLUMN IF NOT EXISTS variant_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_variant
+ON analytics_events(shortened_url_id, variant_id)
+WHERE variant_id IS NOT NULL;
@@ -0,0 +1,7 @@
+-- Migration: 010_add_link_passwords
+-- Created at: 2025-01-01
+-- Description: Optional per-link password shown as an unlock form before redirecting
+
+-- bcrypt hash, same format as users.password_hash; NULL means the link is public
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
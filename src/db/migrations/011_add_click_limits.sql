@@ -0,0 +1,15 @@
+-- Migration: 011_add_click_limits
+-- Created at: 2025-01-01
+-- Description: Click-limited and one-time links with a fallback destination after expiry
+
+-- NULL means unlimited; 1 makes a one-time link
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS max_clicks INTEGER;
+
+ALTER TABLE shortened_urls
+ADD CONSTRAINT check_max_clicks_positive CHECK (max_clicks IS NULL OR max_clicks > 0);
+
+-- Where visitors go once the link has expired or used up its clicks;
+-- NULL shows the "link expired" page
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS expired_destination_url TEXT;
@@ -0,0 +1,18 @@
+-- Migration: 012_add_link_schedule
+-- Created at: 2025-01-01
+-- Description: Scheduled activation and time-based destination changes
+
+-- Before starts_at the link answers with a "coming soon" page
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE;
+
+-- Ordered list of { id, starts_at, destination_url }; the latest entry that has
+-- started replaces original_url
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS destination_schedule JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE shortened_urls
+ADD CONSTRAINT check_destination_schedule_is_array CHECK (jsonb_typeof(destination_schedule) = 'array');
+
+ALTER TABLE shortened_urls
+ADD CONSTRAINT check_starts_before_expiry CHECK (starts_at IS NULL OR expires_at IS NULL OR starts_at < expires_at);
@@ -0,0 +1,13 @@
+-- Migration: 013_add_open_graph_overrides
+-- Created at: 2025-01-01
+-- Description: Per-link Open Graph overrides served to social preview crawlers
+
+-- NULL falls back to the link's title and description
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS og_title VARCHAR(255);
+
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS og_description TEXT;
+
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS og_image TEXT;
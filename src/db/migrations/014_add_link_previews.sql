@@ -0,0 +1,13 @@
+-- Migration: 014_add_link_previews
+-- Created at: 2025-01-01
+-- Description: Link preview pages (`+` suffix or ?preview) counted separately from clicks
+
+-- Accepted by the API since the start but never stored; false also disables previews
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS is_public BOOLEAN NOT NULL DEFAULT true;
+
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS preview_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS last_previewed_at TIMESTAMP WITH TIME ZONE;
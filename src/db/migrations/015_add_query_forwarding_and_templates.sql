@@ -0,0 +1,28 @@
+-- Migration: 015_add_query_forwarding_and_templates
+-- Created at: 2025-01-01
+-- Description: Per-link query-string forwarding and templated destinations
+
+-- none: drop the incoming query string (previous behaviour)
+-- merge: add incoming parameters the destination does not already set
+-- override: replace the destination's query string with the incoming one
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS query_forwarding VARCHAR(10) NOT NULL DEFAULT 'none';
+
+ALTER TABLE shortened_urls
+ADD CONSTRAINT check_query_forwarding CHECK (query_forwarding IN ('none', 'merge', 'override'));
+
+-- Template links match their keywords as a prefix (`acme/gh/*`) and fill
+-- {1}, {2}, ... and {*} in the destination with the remaining path segments
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS is_template BOOLEAN NOT NULL DEFAULT false;
+
+-- A template may share its prefix with an exact link (`acme/gh` and `acme/gh/*`)
+ALTER TABLE shortened_urls
+DROP CONSTRAINT IF EXISTS unique_identifier_keywords;
+
+ALTER TABLE shortened_urls
+ADD CONSTRAINT unique_identifier_keywords UNIQUE NULLS NOT DISTINCT (identifier, keywords, is_template);
+
+CREATE INDEX IF NOT EXISTS idx_shortened_urls_templates
+ON shortened_urls(identifier)
+WHERE is_template = true AND is_active = true;
@@ -0,0 +1,19 @@
+-- Migration: 016_add_link_domains
+-- Created at: 2025-01-01
+-- Description: Links on verified custom domains, each domain with its own keyword namespace
+
+-- NULL keeps a link on the shared wordsto.link namespace
+ALTER TABLE shortened_urls
+ADD COLUMN IF NOT EXISTS domain_id UUID REFERENCES user_domains(id) ON DELETE CASCADE;
+
+-- go.acme.com/launch and wordsto.link/launch are different links
+ALTER TABLE shortened_urls
+DROP CONSTRAINT IF EXISTS unique_identifier_keywords;
+
+ALTER TABLE shortened_urls
+ADD CONSTRAINT unique_identifier_keywords UNIQUE NULLS NOT DISTINCT (domain_id, identifier, keywords, is_template);
+
+CREATE INDEX IF NOT EXISTS idx_shortened_urls_domain_id
+ON shortened_urls(domain_id)
+WHERE domain_id IS NOT NULL;
+
@@ -0,0 +1,9 @@
+-- Migration: 017_add_analytics_asn
+-- Created at: 2025-01-01
+-- Description: Network (ASN) of each click, from the local GeoLite2-ASN database
+
+ALTER TABLE analytics_events
+ADD COLUMN IF NOT EXISTS asn INTEGER;
+
+ALTER TABLE analytics_events
+ADD COLUMN IF NOT EXISTS as_organization VARCHAR(255);
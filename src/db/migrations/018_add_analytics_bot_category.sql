@@ -0,0 +1,15 @@
+-- Migration: 018_add_analytics_bot_category
+-- Created at: 2025-01-01
+-- Description: Traffic category of each event (human, search_crawler, social_unfurler, monitor, headless, scanner, other_bot)
+
+ALTER TABLE analytics_events
+ADD COLUMN IF NOT EXISTS bot_category VARCHAR(32) NOT NULL DEFAULT 'human';
+
+-- Older events only know whether they were a bot
+UPDATE analytics_events
+SET bot_category = 'other_bot'
+WHERE is_bot = true AND bot_category = 'human';
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_bot_category
+ON analytics_events(shortened_url_id, bot_category)
+WHERE is_bot = true;
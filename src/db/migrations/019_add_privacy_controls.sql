@@ -0,0 +1,29 @@
+-- Migration: 019_add_privacy_controls
+-- Created at: 2025-01-01
+-- Description: Per-account privacy mode, per-plan analytics retention and opted-out click counts
+
+-- NULL follows the deployment's PRIVACY_MODE
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS privacy_mode VARCHAR(20)
+    CHECK (privacy_mode IS NULL OR privacy_mode IN ('standard', 'strict'));
+
+-- NULL keeps analytics events indefinitely
+ALTER TABLE subscription_plans
+ADD COLUMN IF NOT EXISTS analytics_retention_days INTEGER
+    CHECK (analytics_retention_days IS NULL OR analytics_retention_days > 0);
+
+UPDATE subscription_plans SET analytics_retention_days = 90 WHERE name = 'free';
+UPDATE subscription_plans SET analytics_retention_days = 365 WHERE name = 'personal';
+UPDATE subscription_plans SET analytics_retention_days = 730 WHERE name = 'business';
+
+-- Set when the retention job strips identifying fields instead of deleting
+ALTER TABLE analytics_events
+ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP WITH TIME ZONE;
+
+-- Visitors who send DNT or Sec-GPC are only counted, per link and day
+CREATE TABLE IF NOT EXISTS analytics_opted_out_clicks (
+    shortened_url_id UUID NOT NULL REFERENCES shortened_urls(id) ON DELETE CASCADE,
+    day DATE NOT NULL,
+    clicks INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (shortened_url_id, day)
+);
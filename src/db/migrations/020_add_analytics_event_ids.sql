@@ -0,0 +1,10 @@
+-- Migration: 020_add_analytics_event_ids
+-- Created at: 2025-01-01
+-- Description: Idempotency key for events delivered at least once by the analytics queue
+
+ALTER TABLE analytics_events
+ADD COLUMN IF NOT EXISTS event_id UUID;
+
+-- Events written before the queue have no id; NULLs never conflict
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analytics_events_event_id
+ON analytics_events(event_id);
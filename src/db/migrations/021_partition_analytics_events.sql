@@ -0,0 +1,269 @@
+-- Migration: 021_partition_analytics_events
+-- Created at: 2025-01-01
+-- Description: Monthly partitions for analytics_events and hourly/daily rollups per link and dimension
+
+-- Views that read analytics_events are recreated on the partitioned table below
+DROP VIEW IF EXISTS recent_analytics;
+DROP VIEW IF EXISTS subscription_usage;
+DROP MATERIALIZED VIEW IF EXISTS daily_statistics;
+
+ALTER TABLE analytics_events RENAME TO analytics_events_unpartitioned;
+
+CREATE TABLE analytics_events (
+    LIKE analytics_events_unpartitioned INCLUDING DEFAULTS INCLUDING CONSTRAINTS
+) PARTITION BY RANGE (clicked_at);
+
+ALTER TABLE analytics_events ALTER COLUMN clicked_at SET NOT NULL;
+
+-- Catches events outside every monthly partition until the month is created
+CREATE TABLE analytics_events_default PARTITION OF analytics_events DEFAULT;
+
+-- Creates the monthly partitions from from_month up to months_ahead months past the current one.
+-- Rows that already landed in the default partition are moved into their new month.
+CREATE OR REPLACE FUNCTION create_analytics_partitions(from_month DATE, months_ahead INTEGER DEFAULT 3)
+RETURNS INTEGER AS $$
+DECLARE
+    month_start DATE := date_trunc('month', from_month)::DATE;
+    last_month DATE := (date_trunc('month', NOW()) + make_interval(months => months_ahead))::DATE;
+    month_end DATE;
+    partition_name TEXT;
+    created INTEGER := 0;
+BEGIN
+    WHILE month_start <= last_month LOOP
+        partition_name := 'analytics_events_' || to_char(month_start, 'YYYY_MM');
+        month_end := (month_start + INTERVAL '1 month')::DATE;
+
+        IF to_regclass(partition_name) IS NULL THEN
+            EXECUTE format(
+                'CREATE TABLE %I (LIKE analytics_events INCLUDING DEFAULTS INCLUDING CONSTRAINTS)',
+                partition_name
+            );
+            EXECUTE format(
+                'WITH moved AS (
+                    DELETE FROM analytics_events_default WHERE clicked_at >= %L AND clicked_at < %L RETURNING *
+                 )
+                 INSERT INTO %I SELECT * FROM moved',
+                month_start, month_end, partition_name
+            );
+            EXECUTE format(
+                'ALTER TABLE analytics_events ATTACH PARTITION %I FOR VALUES FROM (%L) TO (%L)',
+                partition_name, month_start, month_end
+            );
+            created := created + 1;
+        END IF;
+
+        month_start := month_end;
+    END LOOP;
+
+    RETURN created;
+END;
+$$ LANGUAGE plpgsql;
+
+SELECT create_analytics_partitions(
+    COALESCE((SELECT MIN(clicked_at) FROM analytics_events_unpartitioned), NOW())::DATE
+);
+
+-- clicked_at has always defaulted to the insert time, so no event is left behind here
+INSERT INTO analytics_events
+SELECT * FROM analytics_events_unpartitioned
+WHERE clicked_at IS NOT NULL;
+
+DROP TABLE analytics_events_unpartitioned;
+
+-- The partition key has to be part of every unique constraint
+ALTER TABLE analytics_events ADD PRIMARY KEY (id, clicked_at);
+
+ALTER TABLE analytics_events
+ADD CONSTRAINT analytics_events_shortened_url_id_fkey
+FOREIGN KEY (shortened_url_id) REFERENCES shortened_urls(id) ON DELETE CASCADE;
+
+-- Indexes from 002, 008, 009, 018 and 020, now created on every partition
+CREATE INDEX idx_analytics_events_shortened_url_id ON analytics_events(shortened_url_id);
+CREATE INDEX idx_analytics_events_clicked_at ON analytics_events(clicked_at DESC);
+CREATE INDEX idx_analytics_events_visitor_id ON analytics_events(visitor_id);
+CREATE INDEX idx_analytics_events_country_code ON analytics_events(country_code);
+CREATE INDEX idx_analytics_events_device_type ON analytics_events(device_type);
+CREATE INDEX idx_analytics_events_is_bot ON analytics_events(is_bot);
+CREATE INDEX idx_analytics_events_url_date ON analytics_events(shortened_url_id, clicked_at DESC);
+CREATE INDEX idx_analytics_events_utm ON analytics_events(utm_source, utm_medium, utm_campaign) WHERE utm_source IS NOT NULL;
+CREATE INDEX idx_analytics_events_matched_rule ON analytics_events(shortened_url_id, matched_rule_id) WHERE matched_rule_id IS NOT NULL;
+CREATE INDEX idx_analytics_events_variant ON analytics_events(shortened_url_id, variant_id) WHERE variant_id IS NOT NULL;
+CREATE INDEX idx_analytics_events_bot_category ON analytics_events(shortened_url_id, bot_category) WHERE is_bot = true;
+CREATE UNIQUE INDEX idx_analytics_events_event_id ON analytics_events(event_id, clicked_at);
+
+-- One row per link, bucket, dimension and value, split by bot status so include_bots still applies.
+-- dimension is total, country, device, referrer, campaign, rule or variant; the columns of the
+-- other dimensions are NULL. visitor_ids keeps the distinct visitors so unique counts over
+-- several buckets stay exact.
+CREATE TABLE IF NOT EXISTS analytics_rollups_hourly (
+    shortened_url_id UUID NOT NULL REFERENCES shortened_urls(id) ON DELETE CASCADE,
+    bucket TIMESTAMP WITH TIME ZONE NOT NULL,
+    dimension VARCHAR(16) NOT NULL,
+    is_bot BOOLEAN,
+    bot_category VARCHAR(32),
+    country_code VARCHAR(2),
+    country_name VARCHAR(100),
+    device_type VARCHAR(50),
+    browser_name VARCHAR(50),
+    os_name VARCHAR(50),
+    referer TEXT,
+    utm_source VARCHAR(255),
+    utm_medium VARCHAR(255),
+    utm_campaign VARCHAR(255),
+    matched_rule_id UUID,
+    variant_id UUID,
+    clicks BIGINT NOT NULL,
+    visitor_ids TEXT[] NOT NULL DEFAULT '{}',
+    cities TEXT[] NOT NULL DEFAULT '{}',
+    response_time_sum BIGINT NOT NULL DEFAULT 0,
+    response_time_count BIGINT NOT NULL DEFAULT 0,
+    first_click TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_click TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_rollups_hourly_lookup
+ON analytics_rollups_hourly(shortened_url_id, dimension, bucket);
+
+CREATE TABLE IF NOT EXISTS analytics_rollups_daily (
+    LIKE analytics_rollups_hourly INCLUDING DEFAULTS INCLUDING CONSTRAINTS
+);
+
+ALTER TABLE analytics_rollups_daily
+ADD CONSTRAINT analytics_rollups_daily_shortened_url_id_fkey
+FOREIGN KEY (shortened_url_id) REFERENCES shortened_urls(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_analytics_rollups_daily_lookup
+ON analytics_rollups_daily(shortened_url_id, dimension, bucket);
+
+-- Hours whose events changed since they were last rolled up. Queries read these hours from
+-- analytics_events until the rollup job has recomputed them.
+CREATE TABLE IF NOT EXISTS analytics_rollup_dirty (
+    shortened_url_id UUID NOT NULL,
+    bucket TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY (shortened_url_id, bucket)
+);
+
+CREATE OR REPLACE FUNCTION mark_analytics_rollups_dirty()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        INSERT INTO analytics_rollup_dirty (shortened_url_id, bucket)
+        SELECT DISTINCT shortened_url_id, date_trunc('hour', clicked_at) FROM new_events
+        ON CONFLICT DO NOTHING;
+    END IF;
+
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        INSERT INTO analytics_rollup_dirty (shortened_url_id, bucket)
+        SELECT DISTINCT shortened_url_id, date_trunc('hour', clicked_at) FROM old_events
+        ON CONFLICT DO NOTHING;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER mark_analytics_rollups_dirty_on_insert
+AFTER INSERT ON analytics_events
+REFERENCING NEW TABLE AS new_events
+FOR EACH STATEMENT EXECUTE FUNCTION mark_analytics_rollups_dirty();
+
+CREATE TRIGGER mark_analytics_rollups_dirty_on_update
+AFTER UPDATE ON analytics_events
+REFERENCING OLD TABLE AS old_events NEW TABLE AS new_events
+FOR EACH STATEMENT EXECUTE FUNCTION mark_analytics_rollups_dirty();
+
+CREATE TRIGGER mark_analytics_rollups_dirty_on_delete
+AFTER DELETE ON analytics_events
+REFERENCING OLD TABLE AS old_events
+FOR EACH STATEMENT EXECUTE FUNCTION mark_analytics_rollups_dirty();
+
+-- Existing events are rolled up by the first run of the rollup job
+INSERT INTO analytics_rollup_dirty (shortened_url_id, bucket)
+SELECT DISTINCT shortened_url_id, date_trunc('hour', clicked_at) FROM analytics_events
+ON CONFLICT DO NOTHING;
+
+-- Same definitions as 004
+CREATE OR REPLACE VIEW recent_analytics AS
+SELECT
+    a.id,
+    a.shortened_url_id,
+    s.identifier,
+    s.keywords,
+    s.original_url,
+    a.clicked_at,
+    a.country_name,
+    a.city,
+    a.device_type,
+    a.browser_name,
+    a.is_bot,
+    a.utm_source,
+    a.utm_medium,
+    a.utm_campaign
+FROM analytics_events a
+JOIN shortened_urls s ON a.shortened_url_id = s.id
+WHERE a.clicked_at > NOW() - INTERVAL '7 days'
+ORDER BY a.clicked_at DESC;
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS daily_statistics AS
+SELECT
+    DATE(clicked_at) as date,
+    shortened_url_id,
+    COUNT(*) as clicks,
+    COUNT(DISTINCT visitor_id) as unique_visitors,
+    COUNT(DISTINCT country_code) as countries,
+    COUNT(DISTINCT device_type) as device_types,
+    AVG(response_time_ms) as avg_response_time,
+    COUNT(CASE WHEN is_bot THEN 1 END) as bot_clicks,
+    COUNT(CASE WHEN NOT is_bot THEN 1 END) as human_clicks
+FROM analytics_events
+WHERE clicked_at >= NOW() - INTERVAL '90 days'
+GROUP BY DATE(clicked_at), shortened_url_id;
+
+CREATE INDEX idx_daily_statistics_date ON daily_statistics(date DESC);
+CREATE INDEX idx_daily_statistics_url_id ON daily_statistics(shortened_url_id);
+
+CREATE OR REPLACE VIEW subscription_usage AS
+WITH plan_limits AS (
+    SELECT
+        u.id as user_id,
+        u.email,
+        u.subscription_tier,
+        sp.max_urls,
+        sp.max_clicks_per_month,
+        sp.max_custom_domains
+    FROM users u
+    JOIN subscription_plans sp ON u.subscription_tier = sp.name
+),
+usage_stats AS (
+    SELECT
+        u.id as user_id,
+        COUNT(DISTINCT s.id) as urls_used,
+        COUNT(DISTINCT d.id) as domains_used,
+        COALESCE(SUM(
+            CASE
+                WHEN a.clicked_at >= DATE_TRUNC('month', NOW())
+                THEN 1
+                ELSE 0
+            END
+        ), 0) as clicks_this_month
+    FROM users u
+    LEFT JOIN shortened_urls s ON u.id = s.user_id AND s.is_active = true
+    LEFT JOIN user_domains d ON u.id = d.user_id
+    LEFT JOIN analytics_events a ON s.id = a.shortened_url_id
+    GROUP BY u.id
+)
+SELECT
+    pl.*,
+    us.urls_used,
+    us.domains_used,
+    us.clicks_this_month,
+    CASE
+        WHEN pl.max_urls = -1 THEN NULL
+        ELSE ROUND((us.urls_used::NUMERIC / pl.max_urls) * 100, 2)
+    END as url_usage_percentage,
+    CASE
+        WHEN pl.max_clicks_per_month = -1 THEN NULL
+        ELSE ROUND((us.clicks_this_month::NUMERIC / pl.max_clicks_per_month) * 100, 2)
+    END as click_usage_percentage
+FROM plan_limits pl
+JOIN usage_stats us ON pl.user_id = us.user_id;
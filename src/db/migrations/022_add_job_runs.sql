@@ -0,0 +1,34 @@
+-- Migration: 022_add_job_runs
+-- Created at: 2025-01-01
+-- Description: Run history for the backend job scheduler and an admin flag on users
+
+-- One row per attempt; a retried run has one row per attempt number
+CREATE TABLE IF NOT EXISTS job_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_name VARCHAR(100) NOT NULL,
+    trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+    attempt INTEGER NOT NULL DEFAULT 1,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'succeeded', 'failed')),
+    instance VARCHAR(255),
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER,
+    result JSONB,
+    error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started
+ON job_runs(job_name, started_at DESC);
+
+-- Admins can list and trigger jobs; granted by hand
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT false;
+
+-- REFRESH MATERIALIZED VIEW CONCURRENTLY (refresh_materialized_views) needs a unique index
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_statistics_date_url
+ON daily_statistics(date, shortened_url_id);
+
+-- Links past expires_at stay active: redirects serve their expired page or
+-- expired_destination_url. cleanup_expired_urls() (003) switched them off, so nothing runs it
+DROP FUNCTION IF EXISTS cleanup_expired_urls();
@@ -0,0 +1,29 @@
+-- Migration: 023_add_link_expiry_reminders
+-- Created at: 2025-01-01
+-- Description: Daily digest of links about to expire, with an opt-out per user
+
+-- Owners get the digest unless they opt out
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS link_expiry_reminders BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS link_expiry_digest_sent_at TIMESTAMP WITH TIME ZONE;
+
+-- The digest needs the owner and the link's domain; new columns go last so the view can be replaced
+CREATE OR REPLACE VIEW expiring_urls AS
+SELECT
+    s.id,
+    s.identifier,
+    s.keywords,
+    s.original_url,
+    s.expires_at,
+    s.click_count,
+    u.email as owner_email,
+    (s.expires_at - NOW()) as time_until_expiry,
+    s.user_id,
+    d.domain
+FROM shortened_urls s
+JOIN users u ON s.user_id = u.id
+LEFT JOIN user_domains d ON s.domain_id = d.id
+WHERE s.is_active = true
+    AND s.expires_at IS NOT NULL
+    AND s.expires_at BETWEEN NOW() AND NOW() + INTERVAL '7 days'
+ORDER BY s.expires_at;
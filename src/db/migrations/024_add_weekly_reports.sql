@@ -0,0 +1,13 @@
+-- Migration: 024_add_weekly_reports
+-- Created at: 2025-01-01
+-- Description: Weekly performance report email, sent in each user's timezone
+
+-- IANA zone name; NULL (or a name the server does not know) means UTC
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+-- Off by default, as on the settings page. weekly_report_sent_for is the Monday that began
+-- the last reported week, so each week is sent once.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS weekly_report BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS weekly_report_sent_for DATE;
@@ -0,0 +1,27 @@
+-- Migration: 025_add_notification_preferences
+-- Created at: 2025-01-01
+-- Description: Per-channel and per-event notification preferences, replacing the per-email user flags
+
+-- Only choices that differ from the defaults in utils/notification-preferences.js need a row.
+-- Event '*' switches the whole channel off.
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    enabled BOOLEAN NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, channel, event)
+);
+
+-- Carry over choices made with the flags from 023 and 024
+INSERT INTO notification_preferences (user_id, channel, event, enabled)
+SELECT id, 'email', 'link_expiry', false FROM users WHERE link_expiry_reminders = false
+ON CONFLICT DO NOTHING;
+
+INSERT INTO notification_preferences (user_id, channel, event, enabled)
+SELECT id, 'email', 'weekly_report', true FROM users WHERE weekly_report = true
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE users
+DROP COLUMN IF EXISTS link_expiry_reminders,
+DROP COLUMN IF EXISTS weekly_report;
@@ -0,0 +1,15 @@
+-- Migration: 027_allow_competing_domain_claims
+-- Created at: 2025-01-01
+-- Description: Only a verified domain blocks other accounts from claiming it
+
+-- An unverified claim proves nothing, so other accounts may add the same domain. Whoever
+-- verifies first keeps it; the other pending claims are removed then.
+ALTER TABLE user_domains
+DROP CONSTRAINT IF EXISTS user_domains_domain_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_domains_verified_domain
+ON user_domains(domain)
+WHERE is_verified = true;
+
+ALTER TABLE user_domains
+ADD CONSTRAINT unique_user_domain UNIQUE (user_id, domain);
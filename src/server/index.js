@@ -1,12 +1,20 @@
 import Fastify from 'fastify';
 import cors from '@fastify/cors';
 import helmet from '@fastify/helmet';
+import cookie from '@fastify/cookie';
 import rateLimit from '@fastify/rate-limit';
 import env from '@fastify/env';
 import { config } from '../config/index.js';
 import { db } from '../db/connection.js';
 import { RedisCache } from '../services/redis-cache.js';
+import { TieredCache } from '../services/tiered-cache.js';
 import { AnalyticsTracker } from '../services/analytics-tracker.js';
+import { AnalyticsQueue } from '../services/analytics-queue.js';
+import { ClickCounter } from '../services/click-counter.js';
+import { JobScheduler } from '../services/job-scheduler.js';
+import { registerMaintenanceJobs } from '../services/maintenance-jobs.js';
+import { registerNotificationJobs } from '../services/notification-jobs.js';
+import { EmailService } from '../services/email.service.js';
 import { redirectHandler } from './routes/redirect-handler.js';
 import { healthRoutes } from './routes/health.js';
 import { registerApiRoutes } from '../api/index.js';
@@ -117,6 +125,10 @@ export async function createServer() {
             crossOriginEmbedderPolicy: false
         });
 
+        await fastify.register(cookie, {
+            secret: config.auth.cookieSecret
+        });
+
         await fastify.register(rateLimit, {
             global: true,
             max: fastify.config.RATE_LIMIT_MAX,
@@ -139,14 +151,41 @@ export async function createServer() {
         // Initialize database connection
         await db.connect();
         fastify.decorate('db', db);
+        // Notification emails look up the recipient's preferences before sending
+        EmailService.useDatabase(db);
 
         const redisCache = new RedisCache(fastify.config.REDIS_URL);
         await redisCache.connect();
-        fastify.decorate('cache', redisCache);
+        const cache = new TieredCache(redisCache, { ...config.cache, logger: fastify.log });
+        await cache.connect();
+        fastify.decorate('cache', cache);
 
-        const analyticsTracker = new AnalyticsTracker(db, fastify.log);
+        const analyticsQueue = new AnalyticsQueue(redisCache.client, {
+            maxLength: config.analytics.queueMaxLength,
+            maxFailures: config.analytics.queueMaxFailures,
+            claimIdleMs: config.analytics.queueClaimIdleSeconds * 1000,
+            logger: fastify.log
+        });
+        const analyticsTracker = new AnalyticsTracker(db, fastify.log, analyticsQueue);
         fastify.decorate('analytics', analyticsTracker);
 
+        const clickCounter = new ClickCounter(redisCache.client, db, {
+            flushInterval: config.analytics.counterFlushSeconds * 1000,
+            batchSize: config.analytics.counterFlushBatchSize,
+            logger: fastify.log
+        });
+        clickCounter.start();
+        fastify.decorate('clicks', clickCounter);
+
+        // Features register their own jobs on fastify.jobs
+        const jobScheduler = new JobScheduler(db, redisCache.client, {
+            lockTtlMs: config.jobs.lockTtlSeconds * 1000,
+            logger: fastify.log
+        });
+        registerMaintenanceJobs(jobScheduler, db);
+        registerNotificationJobs(jobScheduler, db);
+        fastify.decorate('jobs', jobScheduler);
+
         fastify.addHook('onRequest', async (request, reply) => {
             request.startTime = Date.now();
         });
@@ -201,7 +240,14 @@ export async function createServer() {
         
         await fastify.register(redirectHandler);
 
+        if (config.jobs.enabled) {
+            jobScheduler.start();
+        }
+
         fastify.addHook('onClose', async (instance) => {
+            await instance.analytics.flush();
+            await instance.clicks.stop();
+            await instance.jobs.stop();
             await instance.cache.disconnect();
             await instance.db.close();
         });
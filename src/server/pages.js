@@ -0,0 +1,125 @@
+// Minimal HTML pages served by the redirect handler instead of a 302, and by email action links
+
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${escapeHtml(title)} · WordsTo.Link</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background: #f5f5f7; color: #333; margin: 0; display: flex; min-height: 100vh; align-items: center; justify-content: center; }
+        main { background: white; border: 1px solid #e5e5e5; border-radius: 10px; padding: 30px; width: 100%; max-width: 360px; }
+        h1 { font-size: 20px; margin: 0 0 10px; }
+        p { color: #666; font-size: 14px; }
+        input { box-sizing: border-box; width: 100%; padding: 10px; border: 1px solid #ccc; border-radius: 6px; font-size: 16px; margin-bottom: 12px; }
+        button, a.button { display: block; box-sizing: border-box; width: 100%; padding: 10px; border: 0; border-radius: 6px; background: #667eea; color: white; font-size: 16px; text-align: center; text-decoration: none; cursor: pointer; }
+        .error { color: #c0392b; }
+    </style>
+</head>
+<body>
+    <main>
+${body}
+    </main>
+</body>
+</html>`;
+}
+
+export function renderExpiredPage() {
+    return renderPage('Link expired', `        <h1>This link has expired</h1>
+        <p>The link you followed is no longer available. It may have reached its expiry date or its maximum number of uses.</p>`);
+}
+
+export function renderComingSoonPage({ startsAt }) {
+    const launch = new Date(startsAt).toUTCString();
+    return renderPage('Coming soon', `        <h1>Coming soon</h1>
+        <p>This link goes live on <time datetime="${escapeHtml(new Date(startsAt).toISOString())}">${escapeHtml(launch)}</time>.</p>`);
+}
+
+// Shown for `+` and ?preview so visitors can check a link before following it
+export function renderLinkPreviewPage({ title, description, destination, createdAt, owner }) {
+    let domain = destination;
+    try {
+        domain = new URL(destination).hostname;
+    } catch {
+        // Keep the raw destination if it cannot be parsed
+    }
+
+    const created = createdAt ? new Date(createdAt).toISOString().slice(0, 10) : null;
+
+    return renderPage('Link preview', `        <h1>${escapeHtml(title || 'Link preview')}</h1>
+        ${description ? `<p>${escapeHtml(description)}</p>` : ''}
+        <p>This link goes to <strong>${escapeHtml(domain)}</strong></p>
+        <p style="word-break: break-all;"><code>${escapeHtml(destination)}</code></p>
+        <p>${owner ? `Created by <strong>${escapeHtml(owner)}</strong>` : 'Created'}${created ? ` on ${escapeHtml(created)}` : ''}</p>
+        <a class="button" href="${escapeHtml(destination)}" rel="noopener noreferrer">Continue to ${escapeHtml(domain)}</a>`);
+}
+
+// Preview card for social crawlers; people who land here are sent on by the meta refresh
+export function renderPreviewPage({ title, description, image, destination }) {
+    const tags = [
+        ['og:type', 'website'],
+        ['og:title', title],
+        ['og:description', description],
+        ['og:image', image],
+        ['twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['twitter:title', title],
+        ['twitter:description', description],
+        ['twitter:image', image]
+    ]
+        .filter(([, content]) => content)
+        .map(([property, content]) => {
+            const attribute = property.startsWith('twitter:') ? 'name' : 'property';
+            return `    <meta ${attribute}="${property}" content="${escapeHtml(content)}">`;
+        })
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title || destination)}</title>
+${tags}
+${description ? `    <meta name="description" content="${escapeHtml(description)}">\n` : ''}    <meta http-equiv="refresh" content="0; url=${escapeHtml(destination)}">
+</head>
+<body>
+    <p><a href="${escapeHtml(destination)}">${escapeHtml(destination)}</a></p>
+</body>
+</html>`;
+}
+
+export function renderUnlockPage({ action, linkId, error = null }) {
+    return renderPage('Password required', `        <h1>This link is password protected</h1>
+        <p>Enter the password to continue.</p>
+        ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+        <form method="post" action="${escapeHtml(action)}">
+            <input type="hidden" name="link_id" value="${escapeHtml(linkId)}">
+            <input type="password" name="password" placeholder="Password" autocomplete="current-password" required autofocus>
+            <button type="submit">Unlock</button>
+        </form>`);
+}
+
+// Links in emails land on a confirmation first: mail scanners follow links, but do not submit forms
+export function renderEmailActionPage({ title, message, action, token, button }) {
+    return renderPage(title, `        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>
+        <form method="post" action="${escapeHtml(action)}">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">${escapeHtml(button)}</button>
+        </form>`);
+}
+
+export function renderEmailResultPage({ title, message, error = false }) {
+    return renderPage(title, `        <h1>${escapeHtml(title)}</h1>
+        <p${error ? ' class="error" role="alert"' : ''}>${escapeHtml(message)}</p>`);
+}
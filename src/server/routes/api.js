@@ -5,6 +5,7 @@ import {
     createUrlSchema,
     updateUrlSchema 
 } from '../../utils/validation.js';
+import { invalidateLinks, createCacheAdapter } from '../../services/link-cache.js';
 
 export async function apiRoutes(fastify, opts) {
     fastify.post('/urls', {
@@ -60,22 +61,7 @@ export async function apiRoutes(fastify, opts) {
                 custom_metadata
             });
             
-            const cacheKeys = [];
-            if (normalizedIdentifier) {
-                normalizedKeywords.forEach(keyword => {
-                    cacheKeys.push(`url:${normalizedIdentifier}:${keyword}`);
-                });
-                cacheKeys.push(`url:${normalizedIdentifier}:${normalizedKeywords.join(':')}`);
-            } else {
-                normalizedKeywords.forEach(keyword => {
-                    cacheKeys.push(`url:${keyword}`);
-                });
-                cacheKeys.push(`url:${normalizedKeywords.join(':')}`);
-            }
-            
-            for (const key of cacheKeys) {
-                await fastify.cache.del(key);
-            }
+            await invalidateLinks(createCacheAdapter(fastify), newUrl);
             
             reply.status(201).send({
                 id: newUrl.id,
@@ -233,25 +219,7 @@ export async function apiRoutes(fastify, opts) {
             const result = await fastify.db.query(updateQuery, updateValues);
             const updated = result.rows[0];
             
-            const cacheKeys = [];
-            if (existing.identifier) {
-                existing.keywords.forEach(keyword => {
-                    cacheKeys.push(`url:${existing.identifier}:${keyword}`);
-                });
-                if (updated.keywords) {
-                    updated.keywords.forEach(keyword => {
-                        cacheKeys.push(`url:${existing.identifier}:${keyword}`);
-                    });
-                }
-            } else {
-                existing.keywords.concat(updated.keywords || []).forEach(keyword => {
-                    cacheKeys.push(`url:${keyword}`);
-                });
-            }
-            
-            for (const key of cacheKeys) {
-                await fastify.cache.del(key);
-            }
+            await invalidateLinks(createCacheAdapter(fastify), existing, updated);
             
             return {
                 ...updated,
@@ -297,22 +265,7 @@ export async function apiRoutes(fastify, opts) {
                 [id]
             );
             
-            const cacheKeys = [];
-            if (url.identifier) {
-                url.keywords.forEach(keyword => {
-                    cacheKeys.push(`url:${url.identifier}:${keyword}`);
-                });
-                cacheKeys.push(`url:${url.identifier}:${url.keywords.join(':')}`);
-            } else {
-                url.keywords.forEach(keyword => {
-                    cacheKeys.push(`url:${keyword}`);
-                });
-                cacheKeys.push(`url:${url.keywords.join(':')}`);
-            }
-            
-            for (const key of cacheKeys) {
-                await fastify.cache.del(key);
-            }
+            await invalidateLinks(createCacheAdapter(fastify), url);
             
             reply.status(204).send();
             
@@ -73,7 +73,7 @@ export async function healthRoutes(fastify, opts) {
         }
         
         try {
-            analyticsQueueSize = fastify.analytics.getQueueSize();
+            analyticsQueueSize = await fastify.analytics.getQueueSize();
         } catch (error) {
             fastify.log.error('Failed to get analytics queue size:', error);
         }
@@ -94,8 +94,11 @@ export async function healthRoutes(fastify, opts) {
             database: dbStats,
             redis: redisStats,
             analytics: {
-                queueSize: analyticsQueueSize
-            }
+                queueSize: analyticsQueueSize,
+                rejected: fastify.analytics?.rejected ?? 0
+            },
+            // Hit/miss counters for the in-process tier and Redis behind it
+            cache: typeof fastify.cache?.getStats === 'function' ? fastify.cache.getStats() : null
         };
     });
 }
\ No newline at end of file
@@ -1,232 +1,112 @@
-import { validateIdentifier, validateKeyword } from '../../utils/validation.js';
-import { parseUserAgent, getClientIp, extractUtmParams } from '../../utils/request-utils.js';
-import { nanoid } from 'nanoid';
+import { validateIdentifier, validateKeyword, validateShortCode } from '../../utils/validation.js';
+import { classifyTraffic, isBotCategory } from '../../utils/bot-classifier.js';
+import { CACHED_NOT_FOUND } from '../../services/tiered-cache.js';
+import { getLinkCacheKey, cacheLink, createCacheAdapter } from '../../services/link-cache.js';
+import { getPrivacyPolicy, isTrackingRefused, applyPrivacyPolicy } from '../../utils/privacy.js';
+import { parseUserAgent, getClientIp, extractUtmParams, getCookieOptions, isPrefetchRequest, getVisitorId, VISITOR_COOKIE_NAME } from '../../utils/request-utils.js';
+import { getGeoLocation } from '../../utils/geo-location.js';
+import { getActiveRules, needsGeoLookup, buildRuleContext, selectDestination } from '../../utils/redirect-rules.js';
+import { getVariants, findVariant, pickVariant, getVariantCookieName, VARIANT_COOKIE_MAX_AGE } from '../../utils/variants.js';
+import {
+    verifyLinkPassword,
+    getUnlockCookieName,
+    createUnlockToken,
+    isUnlockTokenValid,
+    UNLOCK_TTL_SECONDS,
+    UNLOCK_ATTEMPT_LIMIT,
+    UNLOCK_ATTEMPT_WINDOW_SECONDS
+} from '../../utils/link-password.js';
+import { isExpiredByDate, hasClickLimit, isExhausted } from '../../utils/link-limits.js';
+import { getSchedule, isNotStarted, getScheduledDestination, getCacheTtl } from '../../utils/link-schedule.js';
+import { getTemplatePrefixes, getTemplateCaptures, expandTemplate } from '../../utils/link-templates.js';
+import { getForwardedParams, applyQueryForwarding } from '../../utils/query-forwarding.js';
+import { normalizeHost, isPrimaryHost } from '../../utils/custom-domains.js';
+import {
+    renderUnlockPage,
+    renderExpiredPage,
+    renderComingSoonPage,
+    renderPreviewPage,
+    renderLinkPreviewPage
+} from '../pages.js';
 
-export async function redirectHandler(fastify, opts) {
-    const cache = createCacheAdapter(fastify);
-    const RESERVED_KEYWORDS = new Set([
-        'admin','api','app','auth','dashboard','login','logout','register','settings','profile','account','billing',
-        'terms','privacy','help','support','docs','documentation'
-    ]);
-    fastify.get('/*', async (request, reply) => {
-        const startTime = Date.now();
-        const rawSegments = request.params['*'].split('/').filter(Boolean);
-        const pathSegments = rawSegments.map(s => {
-            try { return decodeURIComponent(s); } catch { return s; }
-        });
-        // Early reject traversal patterns
-        if (rawSegments.some(s => s.includes('..') || s.startsWith('.'))) {
-            return reply.status(400).send({
-                statusCode: 400,
-                error: 'Bad Request',
-                message: 'URL path contains invalid traversal characters'
-            });
-        }
-        
-        if (pathSegments.length === 0) {
-            return reply.callNotFound();
-        }
+// Prefix for short-code links handed out as `/s/<short_code>`
+export const SHORT_CODE_PREFIX = 's';
 
-        if (pathSegments.length > 6) {
-            return reply.status(400).send({
-                statusCode: 400,
-                error: 'Bad Request',
-                message: 'URL path too long (max 6 segments)'
-            });
-        }
+const LINK_COLUMNS = [
+    'id', 'original_url', 'redirect_rules', 'variants', 'password_hash', 'expires_at', 'max_clicks',
+    'click_count', 'expired_destination_url', 'starts_at', 'destination_schedule',
+    'title', 'description', 'og_title', 'og_description', 'og_image',
+    'user_id', 'identifier', 'keywords', 'is_public', 'created_at', 'query_forwarding', 'is_template',
+    '(SELECT privacy_mode FROM users WHERE users.id = shortened_urls.user_id) AS owner_privacy_mode'
+].join(', ');
 
-        let identifier = null;
-        let keywords = [];
-        let lookupResult = null;
-        let cacheKey = null;
+const RESERVED_KEYWORDS = new Set([
+    'admin','api','app','auth','dashboard','login','logout','register','settings','profile','account','billing',
+    'terms','privacy','help','support','docs','documentation', SHORT_CODE_PREFIX
+]);
 
-        try {
-            if (pathSegments.length === 1) {
-                const keyword = pathSegments[0].toLowerCase();
+// Host lookups are cached, misses included, so they stay off the hot path
+const DOMAIN_CACHE_TTL = 300;
 
-                if (keyword.includes('..') || keyword.startsWith('.')) {
-                    return reply.status(400).send({
-                        statusCode: 400,
-                        error: 'Bad Request',
-                        message: 'URL path contains invalid traversal characters'
-                    });
-                }
-                
-                keywords = [keyword];
-                cacheKey = `url:keywords:${keyword}`;
-            } else {
-                const firstSegment = pathSegments[0].toLowerCase();
-                
-                if (validateIdentifier(firstSegment) && !RESERVED_KEYWORDS.has(firstSegment)) {
-                    identifier = firstSegment;
-                    keywords = pathSegments.slice(1).map(k => k.toLowerCase());
-                    
-                    if (keywords.some(k => k.includes('..') || k.startsWith('.'))) {
-                        return reply.status(400).send({
-                            statusCode: 400,
-                            error: 'Bad Request',
-                            message: 'URL path contains invalid traversal characters'
-                        });
-                    }
-                    
-                    if (keywords.length > 5) {
-                        return reply.status(400).send({
-                            statusCode: 400,
-                            error: 'Too many keywords',
-                            message: 'Maximum 5 keywords allowed per URL'
-                        });
-                    }
-                    
-                    cacheKey = `url:identifier:${identifier}:keywords:${keywords.join(':')}`;
-                } else {
-                    keywords = pathSegments.map(k => k.toLowerCase());
-                    
-                    if (keywords.some(k => k.includes('..') || k.startsWith('.'))) {
-                        return reply.status(400).send({
-                            statusCode: 400,
-                            error: 'Bad Request',
-                            message: 'URL path contains invalid traversal characters'
-                        });
-                    }
-                    
-                    cacheKey = `url:keywords:${keywords.join(':')}`;
-                }
-            }
+const RESOLUTION_STATUS_CODES = {
+    redirect: 302,
+    expired: 410,
+    coming_soon: 503,
+    locked: 401,
+    link_preview: 200,
+    bot_preview: 200
+};
 
-            // Try cache first
-            let cached = null;
-            try {
-                cached = await cache.get(cacheKey);
-            } catch (e) {
-                fastify.log.warn('Cache get failed, falling back to DB:', e?.message);
-            }
-            if (cached) {
-                try {
-                    const parsed = JSON.parse(cached);
-                    const target = parsed?.original_url || parsed?.url || parsed?.destination || '';
-                    if (target) {
-                        reply.header('Cache-Control', 'public, max-age=3600');
-                        reply.header('X-Robots-Tag', 'noindex, nofollow');
-                        return reply.redirect(302, target);
-                    }
-                    lookupResult = parsed;
-                    fastify.log.debug(`Cache hit for ${cacheKey}`);
-                } catch (parseError) {
-                    fastify.log.error('Failed to parse cache:', parseError);
-                }
-            }
-            
-            // If not in cache or cache parse failed, query database
-            if (!lookupResult) {
-                if (identifier) {
-                    if (fastify.db?.findShortenedUrl) {
-                        lookupResult = await fastify.db.findShortenedUrl(identifier, keywords);
-                    } else if (fastify.db?.query) {
-                        const res = await fastify.db.query(
-                            'SELECT id, original_url FROM shortened_urls WHERE identifier = $1 AND keywords @> $2::text[] AND is_active = true',
-                            [identifier, keywords]
-                        );
-                        lookupResult = res.rows[0] || null;
-                    }
-                }
-                if (!lookupResult && fastify.db?.query) {
-                    const res = await fastify.db.query(
-                        'SELECT id, original_url FROM shortened_urls WHERE keywords @> $1::text[] AND identifier IS NULL AND is_active = true',
-                        [keywords]
-                    );
-                    lookupResult = res.rows[0] || null;
-                }
+export async function redirectHandler(fastify, opts) {
+    const cache = createCacheAdapter(fastify);
 
-                if (lookupResult) {
-                    await cache.set(cacheKey, JSON.stringify(lookupResult), 3600);
-                    fastify.log.debug(`Cache miss for ${cacheKey}, cached for 3600s`);
-                }
-            }
+    // The unlock form posts urlencoded fields back to the link's own path
+    if (!fastify.hasContentTypeParser('application/x-www-form-urlencoded')) {
+        fastify.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, (request, body, done) => {
+            done(null, Object.fromEntries(new URLSearchParams(body)));
+        });
+    }
 
-            if (!lookupResult) {
-                const suggestions = await getSuggestions(fastify.db, identifier, keywords);
-                
-                return reply.status(404).send({
-                    statusCode: 404,
-                    error: 'Not Found',
-                    message: 'not found',
-                    path: request.url,
-                    identifier,
-                    keywords,
-                    suggestions: suggestions.length > 0 ? suggestions : undefined
-                });
-            }
+    // The redirect runs in three steps: resolve works out the response without touching
+    // anything, record counts it, and send writes it out. Only real navigations are recorded.
+    fastify.get('/*', async (request, reply) => {
+        const startTime = Date.now();
+        const now = new Date(startTime);
 
-            const responseTime = Date.now() - startTime;
+        try {
+            const resolution = await resolveLink(fastify, cache, request, {
+                host: request.hostname,
+                path: request.params['*'],
+                url: request.url,
+                query: request.query
+            }, now);
 
-            // Visitor tracking
-            const visitorId = nanoid(16);
-            
-            const userAgentData = parseUserAgent(request.headers['user-agent']);
-            const clientIp = getClientIp(request);
-            const utmParams = extractUtmParams(request.query);
-
-            // Track analytics if available
-            if (fastify.analytics && fastify.analytics.track) {
-                fastify.analytics.track({
-                    shortened_url_id: lookupResult.id,
-                    visitor_id: visitorId,
-                    ip_address: clientIp,
-                    user_agent: request.headers['user-agent'],
-                    referer: request.headers.referer || request.headers.referrer,
-                    ...userAgentData,
-                    ...utmParams,
-                    response_time_ms: responseTime
-                }).catch(err => {
-                    fastify.log.error('Failed to track analytics:', err);
-                });
-            } else if (fastify.db?.query) {
-                // Fallback: write analytics event directly
-                try {
-                    await fastify.db.query(
-                        'INSERT INTO analytics_events (shortened_url_id, visitor_id, ip_address, browser_name, browser_version, os_name, is_bot, clicked_at) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())',
-                        [
-                            lookupResult.id,
-                            visitorId,
-                            clientIp,
-                            userAgentData.browser_name || null,
-                            userAgentData.browser_version || null,
-                            userAgentData.os_name || null,
-                            userAgentData.is_bot || false
-                        ]
-                    );
-                } catch (err) {
-                    fastify.log.error('Fallback analytics insert failed:', err);
+            // HEAD probes and browser prefetches look at a link without following it
+            const prefetch = isPrefetchRequest(request.headers);
+            if (request.method === 'GET' && !prefetch) {
+                const privacy = getPrivacyPolicy(resolution.link?.owner_privacy_mode);
+                const tracking = {
+                    visitorId: getVisitorId(request),
+                    privacy,
+                    refused: isTrackingRefused(request.headers, privacy)
+                };
+                const recorded = await recordResolution(fastify, request, resolution, startTime, tracking);
+                if (!recorded) {
+                    return sendExpiredLink(reply, resolution.link);
                 }
-            }
 
-            // Update click count
-            if (fastify.db?.query) {
-                try {
-                    await fastify.db.query(
-                        'UPDATE shortened_urls SET click_count = click_count + 1, last_clicked_at = NOW() WHERE id = $1',
-                        [lookupResult.id]
-                    );
-                } catch (err) {
-                    fastify.log.error('Failed to increment click count:', err);
+                // First-party cookie so returning visitors keep their id beyond the hash's rotation window
+                if (resolution.type === 'redirect' && resolution.link?.id && !tracking.refused && !request.cookies?.[VISITOR_COOKIE_NAME] && typeof reply.setCookie === 'function') {
+                    reply.setCookie(VISITOR_COOKIE_NAME, tracking.visitorId, getCookieOptions(process.env.NODE_ENV === 'production'));
                 }
             }
 
-            // Unique visitor counting via Redis if available
-            if (fastify.redis?.incr && fastify.redis?.expire) {
-                const uvKey = `visitor:${lookupResult.id}:${clientIp || 'unknown'}`;
-                try {
-                    await fastify.redis.incr(uvKey);
-                    await fastify.redis.expire(uvKey, 86400);
-                } catch (err) {
-                    fastify.log.warn('Visitor counter failed:', err?.message);
-                }
+            // A cached prefetch would let the real click skip the server entirely
+            if (prefetch && resolution.type === 'redirect') {
+                return sendResolution(fastify, reply, { ...resolution, cacheControl: 'private, no-store' }, now);
             }
 
-            reply.header('Cache-Control', 'public, max-age=3600');
-            reply.header('X-Robots-Tag', 'noindex, nofollow');
-            
-            return reply.redirect(302, lookupResult.original_url);
+            return sendResolution(fastify, reply, resolution, now);
 
         } catch (error) {
             fastify.log.error('Redirect handler error object:', {
@@ -245,40 +125,821 @@ export async function redirectHandler(fastify, opts) {
             });
         }
     });
+
+    // Lets the Next.js middleware ask whether a path is a link without counting a click
+    fastify.get('/_internal/resolve', async (request, reply) => {
+        const path = request.query?.path;
+        if (typeof path !== 'string' || !path.startsWith('/')) {
+            return reply.status(400).send({
+                statusCode: 400,
+                error: 'Bad Request',
+                message: 'path must be an absolute URL path'
+            });
+        }
+
+        try {
+            const target = new URL(path, 'http://localhost');
+            const resolution = await resolveLink(fastify, cache, request, {
+                // The middleware passes the visitor's host; it calls in on the backend's own
+                host: request.query.host || request.hostname,
+                path: target.pathname.slice(1),
+                url: target.pathname + target.search,
+                query: Object.fromEntries(target.searchParams)
+            }, new Date());
+
+            reply.header('Cache-Control', 'private, no-store');
+            return describeResolution(resolution);
+        } catch (error) {
+            fastify.log.error('Resolve endpoint error:', error);
+            return reply.status(500).send({
+                statusCode: 500,
+                error: 'Internal Server Error',
+                message: 'An error occurred while processing your request'
+            });
+        }
+    });
+
+    fastify.post('/*', async (request, reply) => {
+        try {
+            return await handleUnlock(fastify, cache, request, reply);
+        } catch (error) {
+            fastify.log.error('Unlock handler error:', error);
+            return reply.status(500).send({
+                statusCode: 500,
+                error: 'Internal Server Error',
+                message: 'An error occurred while processing your request'
+            });
+        }
+    });
 }
 
 export default redirectHandler;
 
-function createCacheAdapter(fastify) {
-    // Prefer explicit cache if provided, else adapt redis client
-    if (fastify.cache && typeof fastify.cache.get === 'function') {
-        return fastify.cache;
+// Works out how a link path should be answered. Nothing here counts a click or takes
+// a use, so it is safe for HEAD, prefetch and the internal resolve endpoint.
+async function resolveLink(fastify, cache, request, target, now) {
+    const botCategory = classifyTraffic({ userAgent: request.headers['user-agent'], ip: getClientIp(request) });
+    const isPreviewBot = botCategory === 'social_unfurler';
+    const rawSegments = target.path.split('/').filter(Boolean);
+    const pathSegments = rawSegments.map(s => {
+        try { return decodeURIComponent(s); } catch { return s; }
+    });
+    // Early reject traversal patterns
+    if (rawSegments.some(s => s.includes('..') || s.startsWith('.'))) {
+        return badRequest('URL path contains invalid traversal characters');
+    }
+    
+    if (pathSegments.length === 0) {
+        return { type: 'not_found' };
+    }
+
+    // A trailing `+` on the last keyword, or ?preview, asks for the preview page
+    let previewRequested = target.query?.preview !== undefined;
+    const lastSegment = pathSegments[pathSegments.length - 1];
+    if (lastSegment.length > 1 && lastSegment.endsWith('+')) {
+        pathSegments[pathSegments.length - 1] = lastSegment.slice(0, -1);
+        previewRequested = true;
+    }
+
+    if (pathSegments.length > 6) {
+        return badRequest('URL path too long (max 6 segments)');
+    }
+
+    // Verified custom domains have their own namespace; wordsto.link and unknown hosts share the default one
+    const domain = await findHostDomain(fastify, cache, target.host);
+    if (domain && !domain.is_verified) {
+        return { type: 'not_found' };
+    }
+    const domainId = domain?.id || null;
+
+    let identifier = null;
+    let keywords = [];
+    let shortCode = null;
+    let lookupResult = null;
+    let cacheKey = null;
+
+    if (pathSegments.length === 2 && pathSegments[0].toLowerCase() === SHORT_CODE_PREFIX) {
+        // Short codes are case-sensitive, so the segment is used as-is
+        shortCode = pathSegments[1];
+
+        if (!validateShortCode(shortCode)) {
+            return { type: 'not_found' };
+        }
+
+        cacheKey = getLinkCacheKey({ domainId, shortCode });
+    } else if (pathSegments.length === 1) {
+        const keyword = pathSegments[0].toLowerCase();
+
+        if (keyword.includes('..') || keyword.startsWith('.')) {
+            return badRequest('URL path contains invalid traversal characters');
+        }
+        
+        keywords = [keyword];
+        cacheKey = getLinkCacheKey({ domainId, keywords });
+    } else {
+        const firstSegment = pathSegments[0].toLowerCase();
+        
+        if (validateIdentifier(firstSegment) && !RESERVED_KEYWORDS.has(firstSegment)) {
+            identifier = firstSegment;
+            keywords = pathSegments.slice(1).map(k => k.toLowerCase());
+            
+            if (keywords.some(k => k.includes('..') || k.startsWith('.'))) {
+                return badRequest('URL path contains invalid traversal characters');
+            }
+            
+            if (keywords.length > 5) {
+                return {
+                    type: 'error',
+                    statusCode: 400,
+                    body: {
+                        statusCode: 400,
+                        error: 'Too many keywords',
+                        message: 'Maximum 5 keywords allowed per URL'
+                    }
+                };
+            }
+            
+            cacheKey = getLinkCacheKey({ domainId, identifier, keywords });
+        } else {
+            keywords = pathSegments.map(k => k.toLowerCase());
+            
+            if (keywords.some(k => k.includes('..') || k.startsWith('.'))) {
+                return badRequest('URL path contains invalid traversal characters');
+            }
+            
+            cacheKey = getLinkCacheKey({ domainId, keywords });
+        }
+    }
+
+    // Try cache first
+    let cached = null;
+    try {
+        cached = await cache.get(cacheKey);
+    } catch (e) {
+        fastify.log.warn('Cache get failed, falling back to DB:', e?.message);
+    }
+    // A path that was just looked up and missed goes straight to the 404
+    const knownMissing = cached === CACHED_NOT_FOUND;
+    if (cached && !knownMissing) {
+        try {
+            const parsed = JSON.parse(cached);
+            const destination = parsed?.original_url || parsed?.url || parsed?.destination || '';
+            const needsChecks = previewRequested || isPreviewBot || parsed.password_hash || hasClickLimit(parsed) || isExpiredByDate(parsed, now)
+                || isNotStarted(parsed, now) || getSchedule(parsed).length > 0
+                || parsed.is_template || (parsed.query_forwarding && parsed.query_forwarding !== 'none')
+                || getActiveRules(parsed).length > 0 || getVariants(parsed).length > 0;
+            if (destination && !needsChecks) {
+                // The cached row still counts as a click when the caller records it
+                return {
+                    type: 'redirect',
+                    link: parsed,
+                    destination,
+                    userAgentData: describeVisitor(request, botCategory),
+                    cacheControl: `public, max-age=${getCacheTtl(parsed, now)}`
+                };
+            }
+            lookupResult = destination ? { ...parsed, original_url: destination } : parsed;
+            fastify.log.debug(`Cache hit for ${cacheKey}`);
+        } catch (parseError) {
+            fastify.log.error('Failed to parse cache:', parseError);
+        }
+    }
+    
+    // If not in cache or cache parse failed, query database
+    if (!lookupResult && !knownMissing) {
+        if (shortCode) {
+            if (fastify.db?.findByShortCode) {
+                lookupResult = await fastify.db.findByShortCode(shortCode, domainId);
+            } else if (fastify.db?.query) {
+                const params = [shortCode];
+                const res = await fastify.db.query(
+                    `SELECT ${LINK_COLUMNS} FROM shortened_urls WHERE short_code = $1 AND ${scopeToDomain(domainId, params)} AND is_active = true`,
+                    params
+                );
+                lookupResult = res.rows[0] || null;
+            }
+        } else if (identifier) {
+            if (fastify.db?.findShortenedUrl) {
+                lookupResult = await fastify.db.findShortenedUrl(identifier, keywords, domainId);
+            } else if (fastify.db?.query) {
+                const params = [identifier, keywords];
+                const res = await fastify.db.query(
+                    `SELECT ${LINK_COLUMNS} FROM shortened_urls WHERE identifier = $1 AND keywords @> $2::text[] AND ${scopeToDomain(domainId, params)} AND is_template = false AND is_active = true`,
+                    params
+                );
+                lookupResult = res.rows[0] || null;
+            }
+        }
+        if (!lookupResult && !shortCode && fastify.db?.query) {
+            const params = [keywords];
+            const res = await fastify.db.query(
+                `SELECT ${LINK_COLUMNS} FROM shortened_urls WHERE keywords @> $1::text[] AND identifier IS NULL AND ${scopeToDomain(domainId, params)} AND is_template = false AND is_active = true`,
+                params
+            );
+            lookupResult = res.rows[0] || null;
+        }
+
+        // Templates only apply when no exact link matched
+        if (!lookupResult && !shortCode && fastify.db?.query) {
+            lookupResult = await findTemplateLink(
+                fastify,
+                identifier,
+                keywords,
+                pathSegments.map(s => s.toLowerCase()),
+                domainId
+            );
+        }
+
+        if (lookupResult) {
+            // The destination is picked per request from the cached schedule; the TTL
+            // still stops at the next boundary so the entry never outlives it
+            const ttl = getCacheTtl(lookupResult, now);
+            await cacheLink(cache, cacheKey, lookupResult, ttl);
+            fastify.log.debug(`Cache miss for ${cacheKey}, cached for ${ttl}s`);
+        }
     }
 
-    const redis = fastify.redis;
-    if (redis) {
+    if (!lookupResult) {
+        if (!knownMissing && typeof cache.setNotFound === 'function') {
+            cache.setNotFound(cacheKey);
+        }
+
+        if (shortCode) {
+            return {
+                type: 'error',
+                statusCode: 404,
+                body: {
+                    statusCode: 404,
+                    error: 'Not Found',
+                    message: 'not found',
+                    path: target.url,
+                    short_code: shortCode
+                }
+            };
+        }
+
+        const suggestions = knownMissing ? [] : await getSuggestions(fastify.db, identifier, keywords);
+        
         return {
-            async get(key) {
-                return await redis.get(key);
-            },
-            async set(key, value, ttlSeconds) {
-                // Use EX for TTL semantics like node-redis v3
-                return await redis.set(key, value, 'EX', ttlSeconds);
-            },
-            async del(key) {
-                return await redis.del(key);
+            type: 'error',
+            statusCode: 404,
+            body: {
+                statusCode: 404,
+                error: 'Not Found',
+                message: 'not found',
+                path: target.url,
+                identifier,
+                keywords,
+                suggestions: suggestions.length > 0 ? suggestions : undefined
             }
         };
     }
 
-    // Fallback no-op cache to avoid crashes in tests without a cache
+    if (isExpiredByDate(lookupResult, now)) {
+        return { type: 'expired', link: lookupResult };
+    }
+
+    if (isNotStarted(lookupResult, now)) {
+        return { type: 'coming_soon', link: lookupResult };
+    }
+
+    lookupResult = { ...lookupResult, original_url: getScheduledDestination(lookupResult, now) };
+
+    // Fill template captures and forward the incoming query string onto whichever destination is picked
+    const captures = getTemplateCaptures(lookupResult, pathSegments);
+    const forwardedParams = getForwardedParams(target.url);
+    const finalizeDestination = (url) => applyQueryForwarding(
+        lookupResult.is_template ? expandTemplate(url, captures) : url,
+        forwardedParams,
+        lookupResult.query_forwarding
+    );
+    const finalizedLink = { ...lookupResult, original_url: finalizeDestination(lookupResult.original_url) };
+
+    // Locked links show the unlock form and are not counted as clicks
+    if (lookupResult.password_hash && !isUnlocked(request, lookupResult.id)) {
+        return { type: 'locked', link: lookupResult, formAction: getLinkPath(target) };
+    }
+
+    // Links marked non-public opt out of previews and simply redirect
+    if (previewRequested && lookupResult.is_public !== false) {
+        return { type: 'link_preview', link: finalizedLink };
+    }
+
+    // Social crawlers get a preview card; they never take a use or count as a click
+    if (isPreviewBot) {
+        return { type: 'bot_preview', link: finalizedLink };
+    }
+
+    // The use itself is claimed when the click is recorded; this only catches links already used up
+    if (isExhausted(lookupResult)) {
+        return { type: 'expired', link: lookupResult };
+    }
+
+    const userAgentData = describeVisitor(request, botCategory);
+    const rules = getActiveRules(lookupResult);
+    let destination = lookupResult.original_url;
+    let matchedRule = null;
+    if (rules.length > 0) {
+        const geoData = needsGeoLookup(rules) ? await getGeoLocation(getClientIp(request)) : null;
+        ({ destination, rule: matchedRule } = selectDestination(
+            lookupResult,
+            buildRuleContext(request, userAgentData, geoData, now)
+        ));
+    }
+
+    // Split traffic between variants only when no targeting rule applied
+    const variants = matchedRule ? [] : getVariants(lookupResult);
+    let variant = null;
+    if (variants.length > 0) {
+        variant = findVariant(variants, request.cookies?.[getVariantCookieName(lookupResult.id)]) || pickVariant(variants);
+        if (variant) {
+            destination = variant.destination_url;
+        }
+    }
+
+    // Targeted, split and protected links resolve per visitor, so shared caches must not keep the 302
+    const perVisitor = rules.length > 0 || getVariants(lookupResult).length > 0 || Boolean(lookupResult.password_hash);
+
+    return {
+        type: 'redirect',
+        link: lookupResult,
+        destination: finalizeDestination(destination),
+        matchedRule,
+        variant,
+        userAgentData,
+        cacheControl: perVisitor ? 'private, no-store' : `public, max-age=${getCacheTtl(lookupResult, now)}`
+    };
+}
+
+// The IP ranges can catch crawlers the User-Agent alone does not give away
+function describeVisitor(request, botCategory) {
     return {
-        async get() { return null; },
-        async set() { return true; },
-        async del() { return true; }
+        ...parseUserAgent(request.headers['user-agent']),
+        is_bot: isBotCategory(botCategory),
+        bot_category: botCategory
     };
 }
 
+// Counts a followed link. Returns false when a click-limited link ran out of uses
+// between resolving and recording. Visitors who refused tracking are only counted.
+async function recordResolution(fastify, request, resolution, startTime, tracking) {
+    const link = resolution.link;
+    if (!link?.id) {
+        return true;
+    }
+
+    if (resolution.type === 'link_preview') {
+        if (fastify.db?.query) {
+            try {
+                await fastify.db.query(
+                    'UPDATE shortened_urls SET preview_count = preview_count + 1, last_previewed_at = NOW() WHERE id = $1',
+                    [link.id]
+                );
+            } catch (err) {
+                fastify.log.warn('Preview tracking failed:', err?.message);
+            }
+        }
+        return true;
+    }
+
+    if (resolution.type === 'bot_preview') {
+        await recordEvent(fastify, {
+            shortened_url_id: link.id,
+            visitor_id: tracking.visitorId,
+            ip_address: getClientIp(request),
+            user_agent: request.headers['user-agent'],
+            referer: request.headers.referer || request.headers.referrer,
+            ...parseUserAgent(request.headers['user-agent']),
+            is_bot: true,
+            bot_category: 'social_unfurler',
+            response_time_ms: Date.now() - startTime,
+            privacy: tracking.privacy
+        });
+        return true;
+    }
+
+    if (resolution.type !== 'redirect') {
+        return true;
+    }
+
+    // Click-limited links take their use up front so concurrent clicks cannot overshoot
+    let clickCounted = false;
+    if (hasClickLimit(link) && fastify.db?.query) {
+        clickCounted = await claimClick(fastify.db, link.id);
+        if (!clickCounted) {
+            return false;
+        }
+    }
+
+    if (tracking.refused) {
+        await recordOptedOutClick(fastify, link.id);
+    } else {
+        await recordEvent(fastify, {
+            shortened_url_id: link.id,
+            visitor_id: tracking.visitorId,
+            ip_address: getClientIp(request),
+            user_agent: request.headers['user-agent'],
+            referer: request.headers.referer || request.headers.referrer,
+            ...resolution.userAgentData,
+            ...extractUtmParams(request.query),
+            matched_rule_id: resolution.matchedRule?.id || null,
+            variant_id: resolution.variant?.id || null,
+            response_time_ms: Date.now() - startTime,
+            privacy: tracking.privacy
+        });
+    }
+
+    const countsVisitor = !tracking.refused && !resolution.userAgentData?.is_bot;
+    await countClick(fastify, link.id, {
+        visitorId: countsVisitor ? tracking.visitorId : null,
+        alreadyCounted: clickCounted
+    });
+
+    // Without a click counter, unique visitors are only marked in Redis
+    if (!fastify.clicks && !tracking.refused && fastify.redis?.incr && fastify.redis?.expire) {
+        const uvKey = `visitor:${link.id}:${tracking.visitorId}`;
+        try {
+            await fastify.redis.incr(uvKey);
+            await fastify.redis.expire(uvKey, 86400);
+        } catch (err) {
+            fastify.log.warn('Visitor counter failed:', err?.message);
+        }
+    }
+
+    return true;
+}
+
+function sendResolution(fastify, reply, resolution, now) {
+    switch (resolution.type) {
+        case 'error':
+            return reply.status(resolution.statusCode).send(resolution.body);
+        case 'not_found':
+            return reply.callNotFound();
+        case 'expired':
+            return sendExpiredLink(reply, resolution.link);
+        case 'coming_soon':
+            return sendComingSoon(reply, resolution.link, now);
+        case 'locked':
+            return sendUnlockPage(reply, { action: resolution.formAction, linkId: resolution.link.id });
+        case 'link_preview':
+            return sendLinkPreview(fastify, reply, resolution.link);
+        case 'bot_preview':
+            return sendPreviewPage(reply, resolution.link, now);
+    }
+
+    // Keep the visitor on the same variant next time
+    if (resolution.variant && typeof reply.setCookie === 'function') {
+        reply.setCookie(getVariantCookieName(resolution.link.id), resolution.variant.id, {
+            ...getCookieOptions(process.env.NODE_ENV === 'production'),
+            maxAge: VARIANT_COOKIE_MAX_AGE
+        });
+    }
+
+    reply.header('Cache-Control', resolution.cacheControl);
+    reply.header('X-Robots-Tag', 'noindex, nofollow');
+    // Preview crawlers get HTML for the same URL
+    reply.header('Vary', 'User-Agent');
+    
+    return reply.redirect(302, resolution.destination);
+}
+
+// Status and Location a GET would produce; locked links never reveal their destination
+function describeResolution(resolution) {
+    const found = resolution.type !== 'error' && resolution.type !== 'not_found';
+    let statusCode = RESOLUTION_STATUS_CODES[resolution.type] || resolution.statusCode || 404;
+    let location = null;
+
+    if (resolution.type === 'redirect') {
+        location = resolution.destination;
+    } else if (resolution.type === 'expired' && resolution.link.expired_destination_url) {
+        statusCode = 302;
+        location = resolution.link.expired_destination_url;
+    }
+
+    return { found, type: resolution.type, status_code: statusCode, location };
+}
+
+function badRequest(message) {
+    return {
+        type: 'error',
+        statusCode: 400,
+        body: {
+            statusCode: 400,
+            error: 'Bad Request',
+            message
+        }
+    };
+}
+
+// Longest prefix wins; identifier templates count their identifier as a segment
+async function findTemplateLink(fastify, identifier, keywords, segments, domainId = null) {
+    const identifierPrefixes = identifier ? getTemplatePrefixes(keywords) : [];
+    const keywordPrefixes = getTemplatePrefixes(segments);
+
+    if (identifierPrefixes.length === 0 && keywordPrefixes.length === 0) {
+        return null;
+    }
+
+    try {
+        const params = [identifier, identifierPrefixes, keywordPrefixes];
+        const res = await fastify.db.query(
+            `SELECT ${LINK_COLUMNS} FROM shortened_urls
+             WHERE is_template = true AND is_active = true AND ${scopeToDomain(domainId, params)}
+               AND ((identifier = $1 AND array_to_string(keywords, '/') = ANY($2::text[]))
+                 OR (identifier IS NULL AND array_to_string(keywords, '/') = ANY($3::text[])))
+             ORDER BY array_length(keywords, 1) + (CASE WHEN identifier IS NULL THEN 0 ELSE 1 END) DESC
+             LIMIT 1`,
+            params
+        );
+        return res?.rows?.[0] || null;
+    } catch (err) {
+        fastify.log.warn('Template lookup failed:', err?.message);
+        return null;
+    }
+}
+
+// Links on a custom domain only resolve on that domain, and shared links only on the default hosts
+function scopeToDomain(domainId, params) {
+    if (!domainId) {
+        return 'domain_id IS NULL';
+    }
+    params.push(domainId);
+    return `domain_id = $${params.length}`;
+}
+
+async function findHostDomain(fastify, cache, host) {
+    if (isPrimaryHost(host) || !fastify.db?.query) {
+        return null;
+    }
+
+    const cacheKey = `domain:${normalizeHost(host)}`;
+    try {
+        const cached = await cache.get(cacheKey);
+        if (cached) {
+            return JSON.parse(cached);
+        }
+    } catch (err) {
+        fastify.log.warn('Domain cache get failed:', err?.message);
+    }
+
+    const res = await fastify.db.query(
+        'SELECT id, is_verified FROM user_domains WHERE domain = $1 ORDER BY is_verified IS TRUE DESC, created_at ASC LIMIT 1',
+        [normalizeHost(host)]
+    );
+    const domain = res?.rows?.[0] || null;
+
+    try {
+        await cache.set(cacheKey, JSON.stringify(domain), DOMAIN_CACHE_TTL);
+    } catch (err) {
+        fastify.log.warn('Domain cache set failed:', err?.message);
+    }
+    return domain;
+}
+
+async function recordEvent(fastify, event) {
+    if (fastify.analytics && fastify.analytics.track) {
+        fastify.analytics.track(event).catch(err => {
+            fastify.log.error('Failed to track analytics:', err);
+        });
+    } else if (fastify.db?.query) {
+        // Fallback: write analytics event directly
+        const stored = applyPrivacyPolicy(event);
+        try {
+            await fastify.db.query(
+                'INSERT INTO analytics_events (shortened_url_id, visitor_id, ip_address, browser_name, browser_version, os_name, is_bot, bot_category, matched_rule_id, variant_id, clicked_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())',
+                [
+                    stored.shortened_url_id,
+                    stored.visitor_id,
+                    stored.ip_address,
+                    stored.browser_name || null,
+                    stored.browser_version || null,
+                    stored.os_name || null,
+                    stored.is_bot || false,
+                    stored.bot_category || 'human',
+                    stored.matched_rule_id || null,
+                    stored.variant_id || null
+                ]
+            );
+        } catch (err) {
+            fastify.log.error('Fallback analytics insert failed:', err);
+        }
+    }
+}
+
+// Clicks go to the Redis counter, which flushes them in batches; the row is only updated
+// here when there is no counter or Redis is unreachable
+async function countClick(fastify, linkId, { visitorId, alreadyCounted }) {
+    if (fastify.clicks) {
+        try {
+            await fastify.clicks.record(linkId, { visitorId, clicks: alreadyCounted ? 0 : 1 });
+            return;
+        } catch (err) {
+            fastify.log.warn('Click counter unavailable, updating the row directly:', err?.message);
+        }
+    }
+
+    if (alreadyCounted || !fastify.db?.query) return;
+    try {
+        await fastify.db.query(
+            'UPDATE shortened_urls SET click_count = click_count + 1, last_clicked_at = NOW() WHERE id = $1',
+            [linkId]
+        );
+    } catch (err) {
+        fastify.log.error('Failed to increment click count:', err);
+    }
+}
+
+async function recordOptedOutClick(fastify, linkId) {
+    if (!fastify.db?.query) return;
+    try {
+        await fastify.db.query(
+            `INSERT INTO analytics_opted_out_clicks (shortened_url_id, day, clicks)
+             VALUES ($1, CURRENT_DATE, 1)
+             ON CONFLICT (shortened_url_id, day) DO UPDATE SET clicks = analytics_opted_out_clicks.clicks + 1`,
+            [linkId]
+        );
+    } catch (err) {
+        fastify.log.error('Opted-out click count failed:', err);
+    }
+}
+
+async function claimClick(db, linkId) {
+    const res = await db.query(
+        `UPDATE shortened_urls SET click_count = click_count + 1, last_clicked_at = NOW()
+         WHERE id = $1 AND (max_clicks IS NULL OR click_count < max_clicks)
+         RETURNING click_count`,
+        [linkId]
+    );
+    return (res?.rows?.length || 0) > 0;
+}
+
+function sendExpiredLink(reply, link) {
+    reply.header('Cache-Control', 'private, no-store');
+    reply.header('X-Robots-Tag', 'noindex, nofollow');
+
+    if (link.expired_destination_url) {
+        return reply.redirect(302, link.expired_destination_url);
+    }
+
+    return reply
+        .status(410)
+        .type('text/html; charset=utf-8')
+        .send(renderExpiredPage());
+}
+
+function sendPreviewPage(reply, link, now) {
+    const perVisitor = getActiveRules(link).length > 0 || getVariants(link).length > 0;
+    reply.header('Cache-Control', perVisitor ? 'private, no-store' : `public, max-age=${getCacheTtl(link, now)}`);
+    reply.header('X-Robots-Tag', 'noindex, nofollow');
+    reply.header('Vary', 'User-Agent');
+
+    return reply
+        .type('text/html; charset=utf-8')
+        .send(renderPreviewPage({
+            title: link.og_title || link.title,
+            description: link.og_description || link.description,
+            image: link.og_image,
+            destination: link.original_url
+        }));
+}
+
+async function sendLinkPreview(fastify, reply, link) {
+    let owner = link.identifier || null;
+
+    if (!owner && link.user_id && fastify.db?.query) {
+        try {
+            const res = await fastify.db.query('SELECT identifier FROM users WHERE id = $1', [link.user_id]);
+            owner = res?.rows?.[0]?.identifier || null;
+        } catch (err) {
+            fastify.log.warn('Preview owner lookup failed:', err?.message);
+        }
+    }
+
+    reply.header('Cache-Control', 'private, no-store');
+    reply.header('X-Robots-Tag', 'noindex, nofollow');
+
+    return reply
+        .type('text/html; charset=utf-8')
+        .send(renderLinkPreviewPage({
+            title: link.title,
+            description: link.description,
+            destination: link.original_url,
+            createdAt: link.created_at,
+            owner
+        }));
+}
+
+function sendComingSoon(reply, link, now) {
+    const retryAfter = Math.max(1, Math.ceil((new Date(link.starts_at) - now) / 1000));
+
+    reply.header('Cache-Control', 'private, no-store');
+    reply.header('X-Robots-Tag', 'noindex, nofollow');
+    reply.header('Retry-After', String(retryAfter));
+
+    return reply
+        .status(503)
+        .type('text/html; charset=utf-8')
+        .send(renderComingSoonPage({ startsAt: link.starts_at }));
+}
+
+async function handleUnlock(fastify, cache, request, reply) {
+    const linkId = request.body?.link_id;
+    const password = request.body?.password;
+    const target = {
+        host: request.hostname,
+        path: request.params['*'],
+        url: request.url,
+        query: request.query
+    };
+    // Built from the decoded path, never echoed from request.url, so it stays on this host
+    const action = getLinkPath(target);
+
+    if (!linkId || !fastify.db?.query) {
+        return reply.callNotFound();
+    }
+
+    // Every attempt counts; a correct password sets the cookie so the visitor stops posting
+    if (typeof fastify.cache?.rateLimit === 'function') {
+        const clientIp = getClientIp(request) || 'unknown';
+        const limit = await fastify.cache.rateLimit(
+            `ratelimit:unlock:${clientIp}`,
+            UNLOCK_ATTEMPT_LIMIT,
+            UNLOCK_ATTEMPT_WINDOW_SECONDS
+        );
+        if (!limit.allowed) {
+            reply.header('Retry-After', String(limit.resetIn));
+            return sendUnlockPage(reply, {
+                action,
+                linkId,
+                error: 'Too many attempts. Please try again later.',
+                statusCode: 429
+            });
+        }
+    }
+
+    // The password is checked against the link this path resolves to; a link_id for any
+    // other link is refused
+    let link = null;
+    try {
+        const resolution = await resolveLink(fastify, cache, request, target, new Date());
+        link = resolution.link || null;
+    } catch (err) {
+        fastify.log.warn('Unlock lookup failed:', err?.message);
+    }
+
+    if (!link?.password_hash || String(link.id) !== String(linkId)) {
+        return reply.callNotFound();
+    }
+
+    if (!(await verifyLinkPassword(password, link.password_hash))) {
+        return sendUnlockPage(reply, { action, linkId: link.id, error: 'Incorrect password.' });
+    }
+
+    reply.setCookie(getUnlockCookieName(link.id), createUnlockToken(link.id), {
+        ...getCookieOptions(process.env.NODE_ENV === 'production'),
+        maxAge: UNLOCK_TTL_SECONDS,
+        signed: true
+    });
+
+    // 303 turns the POST back into a GET of the link, which now redirects
+    return reply.redirect(303, action);
+}
+
+// The link's path on this host with the request's query string. Empty segments are dropped
+// and each one is encoded, so the result cannot start with // or /\ and leave the host.
+function getLinkPath(target) {
+    const segments = target.path.split('/').filter(Boolean).map(segment => {
+        try { return decodeURIComponent(segment); } catch { return segment; }
+    });
+    const queryStart = target.url.indexOf('?');
+    const search = queryStart === -1 ? '' : target.url.slice(queryStart);
+
+    return `/${segments.map(encodeURIComponent).join('/')}${search}`;
+}
+
+function isUnlocked(request, linkId) {
+    const raw = request.cookies?.[getUnlockCookieName(linkId)];
+    if (!raw || typeof request.unsignCookie !== 'function') {
+        return false;
+    }
+
+    try {
+        const { valid, value } = request.unsignCookie(raw);
+        return valid && isUnlockTokenValid(value, linkId);
+    } catch {
+        return false;
+    }
+}
+
+function sendUnlockPage(reply, { action, linkId, error = null, statusCode = 401 }) {
+    reply.header('Cache-Control', 'private, no-store');
+    reply.header('X-Robots-Tag', 'noindex, nofollow');
+    return reply
+        .status(statusCode)
+        .type('text/html; charset=utf-8')
+        .send(renderUnlockPage({ action, linkId, error }));
+}
+
 async function getSuggestions(db, identifier, keywords) {
     try {
         const suggestions = [];
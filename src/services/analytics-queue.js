@@ -0,0 +1,173 @@
+import { randomUUID } from 'crypto';
+
+// Checks the backlog and appends in one step, so concurrent enqueues cannot push it past the limit
+const ENQUEUE_SCRIPT = `
+if redis.call('xlen', KEYS[1]) >= tonumber(ARGV[1]) then
+    return 0
+end
+redis.call('xadd', KEYS[1], '*', ARGV[2], ARGV[3])
+return 1`;
+
+// Click events on a Redis Stream read through a consumer group. An entry stays pending until a
+// worker acks it, so a worker that dies mid-batch leaves its entries to be claimed by another one.
+// Delivery is at-least-once; each event carries an event_id so writing it twice is harmless.
+// Rows the database rejected are counted per entry in a hash next to the stream; only those
+// failures lead to the dead-letter stream, so entries redelivered while the database is
+// unreachable are kept however long the outage lasts.
+export class AnalyticsQueue {
+    constructor(client, {
+        stream = 'analytics:events',
+        group = 'analytics-writers',
+        deadLetterStream = 'analytics:events:dead',
+        maxLength = 100000,
+        maxFailures = 10,
+        claimIdleMs = 60000,
+        logger = console
+    } = {}) {
+        this.client = client;
+        this.stream = stream;
+        this.group = group;
+        this.deadLetterStream = deadLetterStream;
+        this.maxLength = maxLength;
+        this.failuresKey = `${stream}:failures`;
+        this.maxFailures = maxFailures;
+        this.claimIdleMs = claimIdleMs;
+        this.logger = logger;
+    }
+
+    // Returns false instead of queueing once the backlog reaches maxLength, so a stalled
+    // worker cannot grow Redis without bound. The new event is the one dropped: events
+    // already queued are kept until a worker writes them.
+    async enqueue(event) {
+        const entry = { ...event, event_id: event.event_id || randomUUID() };
+        const queued = await this.client.eval(
+            ENQUEUE_SCRIPT, 1, this.stream,
+            this.maxLength, 'event', JSON.stringify(entry)
+        );
+        return queued === 1;
+    }
+
+    length() {
+        return this.client.xlen(this.stream);
+    }
+
+    async ensureGroup() {
+        try {
+            await this.client.xgroup('CREATE', this.stream, this.group, '0', 'MKSTREAM');
+        } catch (error) {
+            if (!String(error?.message).includes('BUSYGROUP')) {
+                throw error;
+            }
+        }
+    }
+
+    // Entries abandoned by other consumers come first, then new ones
+    async read(consumer, { count = 100, blockMs = 5000 } = {}) {
+        const claimed = await this.claimStale(consumer, count);
+        if (claimed.length > 0) {
+            return claimed;
+        }
+
+        const result = await this.client.xreadgroup(
+            'GROUP', this.group, consumer,
+            'COUNT', count,
+            'BLOCK', blockMs,
+            'STREAMS', this.stream, '>'
+        );
+        return result ? parseEntries(result[0][1]) : [];
+    }
+
+    // Takes over entries pending longer than claimIdleMs; ones the database rejected
+    // maxFailures times already are poison and go to the dead-letter stream instead
+    async claimStale(consumer, count) {
+        const pending = await this.client.xpending(
+            this.stream, this.group, 'IDLE', this.claimIdleMs, '-', '+', count
+        );
+        if (!pending?.length) {
+            return [];
+        }
+
+        const counts = await this.client.hmget(this.failuresKey, ...pending.map(([id]) => id));
+        const failures = new Map(pending.map(([id], index) => [id, parseInt(counts[index]) || 0]));
+
+        const exhausted = pending.filter(([id]) => failures.get(id) >= this.maxFailures);
+        if (exhausted.length > 0) {
+            const entries = await Promise.all(exhausted.map(async ([id]) => {
+                const [entry] = await this.client.xrange(this.stream, id, id);
+                return { ...(entry ? parseEntries([entry])[0] : { id, event: null }), failures: failures.get(id) };
+            }));
+            await this.deadLetter(entries, 'max failures reached');
+        }
+
+        const retry = pending.filter(([id]) => failures.get(id) < this.maxFailures).map(([id]) => id);
+        if (retry.length === 0) {
+            return [];
+        }
+
+        const claimed = await this.client.xclaim(this.stream, this.group, consumer, this.claimIdleMs, ...retry);
+        // Entries deleted while pending come back without fields
+        return parseEntries(claimed.filter(([, fields]) => fields));
+    }
+
+    async ack(ids) {
+        if (ids.length === 0) {
+            return;
+        }
+        await this.client.multi()
+            .xack(this.stream, this.group, ...ids)
+            .xdel(this.stream, ...ids)
+            .hdel(this.failuresKey, ...ids)
+            .exec();
+    }
+
+    // Entries whose row the database rejected; they stay pending and are retried after claimIdleMs
+    async recordFailures(ids) {
+        if (ids.length === 0) {
+            return;
+        }
+        const multi = this.client.multi();
+        ids.forEach(id => multi.hincrby(this.failuresKey, id, 1));
+        await multi.exec();
+    }
+
+    // Moves entries aside with the reason so they can be inspected and replayed
+    async deadLetter(entries, reason) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        const multi = this.client.multi();
+        for (const entry of entries) {
+            multi.xadd(
+                this.deadLetterStream, '*',
+                'source_id', entry.id,
+                'event', entry.raw ?? JSON.stringify(entry.event),
+                'reason', reason,
+                'failures', String(entry.failures ?? 0)
+            );
+        }
+        await multi.exec();
+        await this.ack(entries.map(entry => entry.id));
+        this.logger.warn(`Moved ${entries.length} analytics event(s) to ${this.deadLetterStream}: ${reason}`);
+    }
+}
+
+// XREADGROUP/XCLAIM entries are [id, [field, value, ...]]; event is null when it does not parse
+function parseEntries(entries) {
+    return entries.map(([id, fields]) => {
+        const values = {};
+        for (let i = 0; i < fields.length; i += 2) {
+            values[fields[i]] = fields[i + 1];
+        }
+
+        let event = null;
+        try {
+            event = JSON.parse(values.event);
+        } catch {
+            // Handed to the dead-letter stream by the worker
+        }
+        return { id, event, raw: values.event };
+    });
+}
+
+export default AnalyticsQueue;
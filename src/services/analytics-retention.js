@@ -0,0 +1,76 @@
+import { randomBytes } from 'crypto';
+import { config } from '../config/index.js';
+
+// Events of links whose owner's plan keeps them for `days`, past that window
+const EXPIRED_EVENTS = `
+    SELECT a.id
+    FROM analytics_events a
+    JOIN shortened_urls s ON s.id = a.shortened_url_id
+    JOIN users u ON u.id = s.user_id
+    WHERE u.subscription_tier = $1
+      AND a.clicked_at < NOW() - make_interval(days => $2)`;
+
+// Applies each plan's analytics_retention_days. 'delete' removes old events; 'anonymize' keeps
+// them for aggregate reports but strips everything that could identify a visitor.
+// Works in batches so a large backlog does not hold long locks.
+export async function runAnalyticsRetention(db, {
+    action = config.privacy.retentionAction,
+    batchSize = 5000,
+    logger = console
+} = {}) {
+    const plans = await db.query(
+        'SELECT name, analytics_retention_days FROM subscription_plans WHERE analytics_retention_days IS NOT NULL'
+    );
+
+    // Visitor ids are re-hashed with a key that is thrown away, so they still group within a run
+    const visitorKey = randomBytes(16).toString('hex');
+    const results = [];
+
+    for (const plan of plans.rows) {
+        let affected = 0;
+        let batch;
+
+        do {
+            batch = action === 'anonymize'
+                ? await anonymizeBatch(db, plan, batchSize, visitorKey)
+                : await deleteBatch(db, plan, batchSize);
+            affected += batch;
+        } while (batch === batchSize);
+
+        logger.info(`Analytics retention (${action}) for plan ${plan.name}: ${affected} event(s) older than ${plan.analytics_retention_days} days`);
+        results.push({
+            plan: plan.name,
+            retention_days: plan.analytics_retention_days,
+            action,
+            affected
+        });
+    }
+
+    return results;
+}
+
+async function deleteBatch(db, plan, batchSize) {
+    const result = await db.query(
+        `DELETE FROM analytics_events
+         WHERE id IN (${EXPIRED_EVENTS} LIMIT $3)`,
+        [plan.name, plan.analytics_retention_days, batchSize]
+    );
+    return result.rowCount || 0;
+}
+
+async function anonymizeBatch(db, plan, batchSize, visitorKey) {
+    const result = await db.query(
+        `UPDATE analytics_events
+         SET ip_address = NULL,
+             user_agent = NULL,
+             city = NULL,
+             postal_code = NULL,
+             latitude = NULL,
+             longitude = NULL,
+             visitor_id = md5($4 || visitor_id),
+             anonymized_at = NOW()
+         WHERE id IN (${EXPIRED_EVENTS} AND a.anonymized_at IS NULL LIMIT $3)`,
+        [plan.name, plan.analytics_retention_days, batchSize, visitorKey]
+    );
+    return result.rowCount || 0;
+}
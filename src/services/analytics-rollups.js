@@ -0,0 +1,105 @@
+import { ROLLUP_DIMENSIONS } from '../utils/analytics-source.js';
+
+const ROLLUP_COLUMNS = [
+    'shortened_url_id', 'bucket', 'dimension', 'is_bot', 'bot_category',
+    ...new Set(Object.values(ROLLUP_DIMENSIONS).flat()),
+    'clicks', 'visitor_ids', 'cities', 'response_time_sum', 'response_time_count', 'first_click', 'last_click'
+];
+
+// One grouping set per dimension; GROUPING() tells the sets apart
+const DIMENSION_CASE = `CASE ${Object.entries(ROLLUP_DIMENSIONS)
+    .filter(([, columns]) => columns.length > 0)
+    .map(([dimension, columns]) => `WHEN GROUPING(e.${columns[0]}) = 0 THEN '${dimension}'`)
+    .join(' ')} ELSE 'total' END`;
+
+const GROUPING_SETS = Object.values(ROLLUP_DIMENSIONS)
+    .map(columns => `(${['shortened_url_id', 'is_bot', 'bot_category', ...columns].map(column => `e.${column}`).join(', ')}, t.bucket)`)
+    .join(',\n                 ');
+
+// Recomputes the rows of each (link, bucket) in `targets` from analytics_events
+function rollupInsert(table, width) {
+    return `INSERT INTO ${table} (${ROLLUP_COLUMNS.join(', ')})
+         SELECT e.shortened_url_id, t.bucket, ${DIMENSION_CASE}, e.is_bot, e.bot_category,
+                ${[...new Set(Object.values(ROLLUP_DIMENSIONS).flat())].map(column => `e.${column}`).join(', ')},
+                COUNT(*),
+                COALESCE(array_agg(DISTINCT e.visitor_id::text) FILTER (WHERE e.visitor_id IS NOT NULL), '{}'),
+                CASE WHEN GROUPING(e.country_code) = 0
+                     THEN COALESCE(array_agg(DISTINCT e.city::text) FILTER (WHERE e.city IS NOT NULL), '{}')
+                     ELSE '{}' END,
+                COALESCE(SUM(e.response_time_ms), 0),
+                COUNT(e.response_time_ms),
+                MIN(e.clicked_at),
+                MAX(e.clicked_at)
+         FROM targets t
+         JOIN analytics_events e ON e.shortened_url_id = t.shortened_url_id
+          AND e.clicked_at >= t.bucket AND e.clicked_at < t.bucket + interval '${width}'
+         GROUP BY GROUPING SETS (
+                 ${GROUPING_SETS}
+         )`;
+}
+
+// Rolls up the hours marked dirty by the analytics_events triggers, oldest first, and the days
+// they fall in. Each batch runs in one transaction; an hour that changes again while it is
+// being rolled up is marked dirty again and picked up by the next run.
+export async function refreshAnalyticsRollups(db, { batchSize = 500, logger = console } = {}) {
+    let hours = 0;
+    let batch;
+
+    do {
+        batch = await db.transaction(client => rollupBatch(client, batchSize));
+        hours += batch;
+    } while (batch === batchSize);
+
+    logger.info(`Analytics rollups: ${hours} hour(s) recomputed`);
+    return hours;
+}
+
+async function rollupBatch(client, batchSize) {
+    const dirty = await client.query(
+        `DELETE FROM analytics_rollup_dirty
+         WHERE (shortened_url_id, bucket) IN (
+             SELECT shortened_url_id, bucket FROM analytics_rollup_dirty
+             ORDER BY bucket
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING shortened_url_id, bucket`,
+        [batchSize]
+    );
+    if (dirty.rows.length === 0) {
+        return 0;
+    }
+
+    const params = [dirty.rows.map(row => row.shortened_url_id), dirty.rows.map(row => row.bucket)];
+    const hours = 'SELECT * FROM unnest($1::uuid[], $2::timestamptz[]) AS t(shortened_url_id, bucket)';
+    const days = `SELECT DISTINCT shortened_url_id, date_trunc('day', bucket) AS bucket FROM (${hours}) hours`;
+
+    for (const [table, targets, width] of [
+        ['analytics_rollups_hourly', hours, '1 hour'],
+        ['analytics_rollups_daily', days, '1 day']
+    ]) {
+        await client.query(
+            `WITH targets AS (${targets})
+             DELETE FROM ${table} r
+             USING targets t
+             WHERE r.shortened_url_id = t.shortened_url_id AND r.bucket = t.bucket`,
+            params
+        );
+        await client.query(`WITH targets AS (${targets}) ${rollupInsert(table, width)}`, params);
+    }
+
+    return dirty.rows.length;
+}
+
+// Creates this month's partition and the next monthsAhead ones if they are missing
+export async function ensureAnalyticsPartitions(db, { monthsAhead = 3, logger = console } = {}) {
+    const result = await db.query(
+        'SELECT create_analytics_partitions(CURRENT_DATE, $1) AS created',
+        [monthsAhead]
+    );
+    const created = parseInt(result.rows[0].created);
+    if (created > 0) {
+        logger.info(`Created ${created} analytics_events partition(s)`);
+    }
+    return created;
+}
@@ -0,0 +1,143 @@
+import { planAnalyticsSource, analyticsSource, dimensionFilter, getBotFilter } from '../utils/analytics-source.js';
+
+// Account-wide analytics queries behind /api/analytics/summary, shared with the weekly report.
+// They read the same event source as the per-link analytics, so bots are filtered the same way
+// (people only unless includeBots says otherwise) and ranges of days come from the rollups.
+// The range is inclusive at both ends.
+
+function sumClicks(dimension, condition) {
+    return `COALESCE(SUM(clicks) FILTER (WHERE ${dimensionFilter(dimension)} AND ${condition}), 0)`;
+}
+
+export async function getAccountOverview(db, userId, startDate, endDate, includeBots = false) {
+    const params = [userId, startDate, endDate];
+    const botFilter = getBotFilter(includeBots, params);
+    const total = dimensionFilter('total');
+
+    const result = await db.query(
+        `WITH ${analyticsSource(planAnalyticsSource(startDate, endDate), ['total', 'country', 'device', 'referrer'], { scope: 'account' })}
+         SELECT
+            (SELECT COUNT(*) FROM shortened_urls WHERE user_id = $1) as total_urls,
+            COALESCE(SUM(clicks) FILTER (WHERE ${total}), 0) as total_clicks,
+            COUNT(DISTINCT visitor_id) FILTER (WHERE ${total}) as unique_visitors,
+            COUNT(DISTINCT country_code) FILTER (WHERE ${dimensionFilter('country')}) as countries_reached,
+            SUM(response_time_sum) FILTER (WHERE ${total})::numeric
+                / NULLIF(SUM(response_time_count) FILTER (WHERE ${total}), 0) as avg_response_time,
+            json_build_object(
+                'desktop', ${sumClicks('device', "device_type = 'desktop'")},
+                'mobile', ${sumClicks('device', "device_type = 'mobile'")},
+                'tablet', ${sumClicks('device', "device_type = 'tablet'")}
+            ) as device_breakdown,
+            json_build_object(
+                'direct', ${sumClicks('referrer', 'referer IS NULL')},
+                'social', ${sumClicks('referrer', "(referer LIKE '%facebook%' OR referer LIKE '%twitter%' OR referer LIKE '%linkedin%')")},
+                'search', ${sumClicks('referrer', "(referer LIKE '%google%' OR referer LIKE '%bing%' OR referer LIKE '%yahoo%')")},
+                'other', ${sumClicks('referrer', "referer IS NOT NULL AND referer NOT LIKE '%facebook%' AND referer NOT LIKE '%twitter%' AND referer NOT LIKE '%google%'")}
+            ) as traffic_sources
+         FROM events
+         WHERE ${dimensionFilter('total', 'country', 'device', 'referrer')}
+           ${botFilter}`,
+        params
+    );
+
+    const row = result.rows[0];
+    return {
+        total_urls: parseInt(row.total_urls),
+        total_clicks: parseInt(row.total_clicks),
+        unique_visitors: parseInt(row.unique_visitors),
+        countries_reached: parseInt(row.countries_reached),
+        avg_response_time: parseFloat(row.avg_response_time || 0),
+        device_breakdown: row.device_breakdown,
+        traffic_sources: row.traffic_sources
+    };
+}
+
+export async function getTopUrls(db, userId, startDate, endDate, limit = 10, includeBots = false) {
+    const params = [userId, startDate, endDate, limit];
+    const botFilter = getBotFilter(includeBots, params);
+
+    const result = await db.query(
+        `WITH ${analyticsSource(planAnalyticsSource(startDate, endDate), ['total'], { scope: 'account' })},
+         link_clicks AS (
+            SELECT shortened_url_id, SUM(clicks) as clicks, COUNT(DISTINCT visitor_id) as unique_visitors
+            FROM events
+            WHERE ${dimensionFilter('total')}
+              ${botFilter}
+            GROUP BY shortened_url_id
+         )
+         SELECT
+            s.id,
+            CASE
+                WHEN s.identifier IS NOT NULL THEN
+                    s.identifier || '/' || array_to_string(s.keywords, '/')
+                ELSE
+                    array_to_string(s.keywords, '/')
+            END as path,
+            s.title,
+            COALESCE(c.clicks, 0) as clicks,
+            COALESCE(c.unique_visitors, 0) as unique_visitors
+         FROM shortened_urls s
+         LEFT JOIN link_clicks c ON c.shortened_url_id = s.id
+         WHERE s.user_id = $1
+         ORDER BY clicks DESC
+         LIMIT $4`,
+        params
+    );
+    return result.rows;
+}
+
+export async function getTopCountries(db, userId, startDate, endDate, limit = 5, includeBots = false) {
+    const params = [userId, startDate, endDate, limit];
+    const botFilter = getBotFilter(includeBots, params);
+
+    const result = await db.query(
+        `WITH ${analyticsSource(planAnalyticsSource(startDate, endDate), ['country'], { scope: 'account' })}
+         SELECT
+            country_code,
+            COALESCE(country_name, country_code, 'Unknown') as country,
+            SUM(clicks) as clicks
+         FROM events
+         WHERE ${dimensionFilter('country')}
+           ${botFilter}
+         GROUP BY country_code, country_name
+         ORDER BY clicks DESC, country
+         LIMIT $4`,
+        params
+    );
+    return result.rows.map(row => ({
+        country_code: row.country_code,
+        country: row.country,
+        clicks: parseInt(row.clicks)
+    }));
+}
+
+// Grouped by referring host; clicks without a referer count as Direct
+export async function getTopReferrers(db, userId, startDate, endDate, limit = 5, includeBots = false) {
+    const params = [userId, startDate, endDate, limit];
+    const botFilter = getBotFilter(includeBots, params);
+
+    const result = await db.query(
+        `WITH ${analyticsSource(planAnalyticsSource(startDate, endDate), ['referrer'], { scope: 'account' })}
+         SELECT
+            COALESCE(lower(substring(referer from '^[a-zA-Z][a-zA-Z0-9+.-]*://([^/:?#]+)')), 'Direct') as source,
+            SUM(clicks) as clicks
+         FROM events
+         WHERE ${dimensionFilter('referrer')}
+           ${botFilter}
+         GROUP BY source
+         ORDER BY clicks DESC, source
+         LIMIT $4`,
+        params
+    );
+    return result.rows.map(row => ({
+        source: row.source,
+        clicks: parseInt(row.clicks)
+    }));
+}
+
+export function calculateChangePercent(current, previous) {
+    current = Number(current);
+    previous = Number(previous);
+    if (previous === 0) return current > 0 ? 100 : 0;
+    return Math.round(((current - previous) / previous) * 100);
+}
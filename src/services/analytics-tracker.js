@@ -1,104 +1,48 @@
-import { getGeoLocation } from '../utils/geo-location.js';
-
+// Click events go to a durable queue (AnalyticsQueue) and are written by the analytics worker;
+// this side only enqueues them and answers the stats queries
 export class AnalyticsTracker {
-    constructor(db, logger) {
+    constructor(db, logger, queue) {
         this.db = db;
         this.logger = logger;
-        this.queue = [];
-        this.processing = false;
-        this.batchSize = 10;
-        this.flushInterval = 5000;
-        
-        this.startBatchProcessor();
+        this.queue = queue;
+        this.inFlight = new Set();
+        this.rejected = 0;
     }
 
     async track(eventData) {
+        const pending = this.enqueue(eventData);
+        this.inFlight.add(pending);
         try {
-            const enrichedData = await this.enrichEventData(eventData);
-            
-            this.queue.push({
-                data: enrichedData,
-                timestamp: Date.now()
-            });
-            
-            if (this.queue.length >= this.batchSize) {
-                this.processBatch();
-            }
-            
-            return true;
-        } catch (error) {
-            this.logger.error('Failed to queue analytics event:', error);
-            return false;
-        }
-    }
-
-    async enrichEventData(eventData) {
-        const enriched = { ...eventData };
-        
-        if (eventData.ip_address) {
-            try {
-                const geoData = await getGeoLocation(eventData.ip_address);
-                Object.assign(enriched, geoData);
-            } catch (error) {
-                this.logger.debug('Failed to get geo location:', error.message);
-            }
-        }
-        
-        if (!enriched.clicked_at) {
-            enriched.clicked_at = new Date().toISOString();
-        }
-        
-        return enriched;
-    }
-
-    startBatchProcessor() {
-        setInterval(() => {
-            if (this.queue.length > 0 && !this.processing) {
-                this.processBatch();
-            }
-        }, this.flushInterval);
-    }
-
-    async processBatch() {
-        if (this.processing || this.queue.length === 0) {
-            return;
-        }
-        
-        this.processing = true;
-        const batch = this.queue.splice(0, this.batchSize);
-        
-        try {
-            await Promise.all(
-                batch.map(item => this.saveEvent(item.data))
-            );
-            
-            this.logger.debug(`Processed ${batch.length} analytics events`);
-        } catch (error) {
-            this.logger.error('Failed to process analytics batch:', error);
-            
-            this.queue.unshift(...batch);
+            return await pending;
         } finally {
-            this.processing = false;
+            this.inFlight.delete(pending);
         }
     }
 
-    async saveEvent(eventData) {
+    async enqueue(eventData) {
         try {
-            await this.db.trackClick(eventData.shortened_url_id, eventData);
+            const queued = await this.queue.enqueue({
+                ...eventData,
+                clicked_at: eventData.clicked_at || new Date().toISOString()
+            });
+            if (!queued) {
+                this.rejected++;
+                this.logger.warn('Analytics queue is full, dropping event');
+            }
+            return queued;
         } catch (error) {
-            this.logger.error('Failed to save analytics event:', error);
-            throw error;
+            this.logger.error('Failed to queue analytics event:', error);
+            return false;
         }
     }
 
+    // Waits for enqueues still in progress, e.g. before shutdown
     async flush() {
-        while (this.queue.length > 0) {
-            await this.processBatch();
-        }
+        await Promise.allSettled([...this.inFlight]);
     }
 
-    getQueueSize() {
-        return this.queue.length;
+    async getQueueSize() {
+        return this.queue.length();
     }
 
     async getRealtimeStats(urlId, minutes = 5) {
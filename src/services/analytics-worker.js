@@ -0,0 +1,117 @@
+import { hostname } from 'os';
+import { getGeoLocation } from '../utils/geo-location.js';
+import { applyPrivacyPolicy } from '../utils/privacy.js';
+
+// Drains the analytics queue into analytics_events. Runs in its own process (scripts/analytics-worker.js)
+// so geo lookups and inserts stay off the API servers.
+export class AnalyticsWorker {
+    constructor(queue, db, {
+        consumer = `${hostname()}-${process.pid}`,
+        batchSize = 100,
+        // Below RedisCache's 5s command timeout
+        blockMs = 2000,
+        idleDelayMs = 1000,
+        logger = console
+    } = {}) {
+        this.queue = queue;
+        this.db = db;
+        this.consumer = consumer;
+        this.batchSize = batchSize;
+        this.blockMs = blockMs;
+        this.idleDelayMs = idleDelayMs;
+        this.logger = logger;
+        this.running = false;
+    }
+
+    async start() {
+        await this.queue.ensureGroup();
+        this.running = true;
+        this.logger.info(`Analytics worker ${this.consumer} consuming ${this.queue.stream}`);
+
+        while (this.running) {
+            try {
+                await this.processBatch();
+            } catch (error) {
+                this.logger.error('Analytics batch failed:', error);
+                await new Promise(resolve => setTimeout(resolve, this.idleDelayMs));
+            }
+        }
+    }
+
+    // The current batch finishes first; anything unacked is redelivered anyway
+    stop() {
+        this.running = false;
+    }
+
+    async processBatch() {
+        const entries = await this.queue.read(this.consumer, { count: this.batchSize, blockMs: this.blockMs });
+
+        const unreadable = entries.filter(entry => !entry.event);
+        await this.queue.deadLetter(unreadable, 'unparseable event');
+
+        const readable = entries.filter(entry => entry.event);
+        const events = await Promise.all(readable.map(entry => this.enrichEventData(entry.event)));
+        const written = [];
+        const rejected = [];
+        try {
+            await this.saveEvents(readable.map((entry, index) => ({ id: entry.id, event: events[index] })), written, rejected);
+        } finally {
+            // Whatever went in is acked even if the rest of the batch failed
+            await this.queue.ack(written);
+            await this.queue.recordFailures(rejected);
+        }
+        return written.length;
+    }
+
+    // One INSERT for the whole batch. When a row is rejected the batch is split and each half
+    // retried, so the good events still go in and halves already written are not sent again.
+    // A single event that fails stays pending and counts as a failure; it is retried after the
+    // queue's claim timeout and dead-lettered after maxFailures of them. Any other error (e.g. the
+    // database is down) leaves the rest of the batch pending without counting against it.
+    async saveEvents(entries, written, rejected) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        try {
+            await this.db.insertAnalyticsEvents(entries.map(entry => entry.event));
+            written.push(...entries.map(entry => entry.id));
+        } catch (error) {
+            if (!isRowError(error)) {
+                throw error;
+            }
+            if (entries.length === 1) {
+                this.logger.error(`Failed to save analytics event ${entries[0].event.event_id}:`, error);
+                rejected.push(entries[0].id);
+                return;
+            }
+
+            const middle = Math.ceil(entries.length / 2);
+            await this.saveEvents(entries.slice(0, middle), written, rejected);
+            await this.saveEvents(entries.slice(middle), written, rejected);
+        }
+    }
+
+    async enrichEventData(eventData) {
+        const enriched = { ...eventData };
+
+        if (eventData.ip_address) {
+            try {
+                const geoData = await getGeoLocation(eventData.ip_address);
+                Object.assign(enriched, geoData);
+            } catch (error) {
+                this.logger.debug('Failed to get geo location:', error.message);
+            }
+        }
+
+        // Geo is looked up from the full IP before the policy truncates it
+        return applyPrivacyPolicy(enriched);
+    }
+}
+
+// SQLSTATE classes 22 (data exception) and 23 (integrity constraint) come from the rows themselves
+function isRowError(error) {
+    return /^2[23]/.test(error?.code || '');
+}
+
+export default AnalyticsWorker;
@@ -0,0 +1,216 @@
+const DIRTY_KEY = 'clicks:dirty';
+
+const keysFor = (linkId) => [
+    `clicks:pending:${linkId}`,
+    `clicks:last:${linkId}`,
+    `clicks:visitors:${linkId}`,
+    `clicks:visitors:flushed:${linkId}`
+];
+
+// Takes a link's pending clicks and its not-yet-flushed unique visitors in one step, so a click
+// landing mid-flush is either in this batch or the next one, never both
+const TAKE_SCRIPT = `
+local clicks = tonumber(redis.call('GET', KEYS[1]) or '0')
+local last = redis.call('GET', KEYS[2])
+redis.call('DEL', KEYS[1], KEYS[2])
+local visitors = redis.call('PFCOUNT', KEYS[3])
+local flushed = tonumber(redis.call('GET', KEYS[4]) or '0')
+redis.call('SET', KEYS[4], visitors)
+return { clicks, last or '', math.max(visitors - flushed, 0) }`;
+
+// click_count and unique_visitors build up in Redis (INCR and a HyperLogLog per link) and are
+// written to shortened_urls with one UPDATE per batch, keeping row locks off the redirect path.
+// Click-limited links still count synchronously so their limit holds.
+export class ClickCounter {
+    constructor(client, db, {
+        flushInterval = 10000,
+        batchSize = 500,
+        logger = console
+    } = {}) {
+        this.client = client;
+        this.db = db;
+        this.flushInterval = flushInterval;
+        this.batchSize = batchSize;
+        this.logger = logger;
+        this.timer = null;
+        this.flushing = false;
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.flush().catch(error => this.logger.error('Click counter flush failed:', error));
+            }, this.flushInterval);
+            this.timer.unref?.();
+        }
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        try {
+            await this.flush();
+        } catch (error) {
+            this.logger.error('Final click counter flush failed:', error);
+        }
+    }
+
+    // visitorId is left out for clicks that must not count as a visitor (bots, opted out).
+    // clicks is 0 when the click was already counted on the row, as click-limited links are.
+    async record(linkId, { visitorId = null, clicks = 1, now = Date.now() } = {}) {
+        const [pendingKey, lastKey, visitorsKey] = keysFor(linkId);
+        const multi = this.client.multi();
+
+        if (clicks > 0) {
+            multi.incrby(pendingKey, clicks).set(lastKey, String(now));
+        }
+        multi.sadd(DIRTY_KEY, String(linkId));
+
+        if (visitorId) {
+            multi.pfadd(visitorsKey, visitorId);
+        }
+
+        await multi.exec();
+    }
+
+    async flush() {
+        if (this.flushing) {
+            return 0;
+        }
+
+        this.flushing = true;
+        let flushed = 0;
+        try {
+            let ids;
+            do {
+                ids = await this.client.spop(DIRTY_KEY, this.batchSize);
+                if (ids?.length) {
+                    flushed += await this.flushBatch(ids);
+                }
+            } while (ids?.length === this.batchSize);
+        } finally {
+            this.flushing = false;
+        }
+        return flushed;
+    }
+
+    async flushBatch(ids) {
+        const pipeline = this.client.pipeline();
+        ids.forEach(id => pipeline.eval(TAKE_SCRIPT, 4, ...keysFor(id)));
+        const results = await pipeline.exec();
+
+        const deltas = [];
+        results.forEach(([error, result], index) => {
+            if (error) {
+                this.logger.error(`Click counter take failed for ${ids[index]}:`, error);
+                return;
+            }
+            const [clicks, last, visitors] = result;
+            if (clicks > 0 || visitors > 0) {
+                deltas.push({
+                    id: ids[index],
+                    clicks: Number(clicks),
+                    visitors: Number(visitors),
+                    lastClickedAt: last ? new Date(Number(last)).toISOString() : null
+                });
+            }
+        });
+
+        if (deltas.length === 0) {
+            return 0;
+        }
+
+        try {
+            await this.db.query(
+                `UPDATE shortened_urls AS s
+                 SET click_count = s.click_count + d.clicks,
+                     unique_visitors = s.unique_visitors + d.visitors,
+                     last_clicked_at = GREATEST(s.last_clicked_at, d.last_clicked_at)
+                 FROM unnest($1::uuid[], $2::bigint[], $3::bigint[], $4::timestamptz[])
+                     AS d(id, clicks, visitors, last_clicked_at)
+                 WHERE s.id = d.id`,
+                [
+                    deltas.map(delta => delta.id),
+                    deltas.map(delta => delta.clicks),
+                    deltas.map(delta => delta.visitors),
+                    deltas.map(delta => delta.lastClickedAt)
+                ]
+            );
+        } catch (error) {
+            await this.restore(deltas);
+            throw error;
+        }
+
+        return deltas.length;
+    }
+
+    // Puts taken deltas back after a failed UPDATE so the next flush retries them
+    async restore(deltas) {
+        const multi = this.client.multi();
+        for (const delta of deltas) {
+            const [pendingKey, lastKey, , flushedKey] = keysFor(delta.id);
+            multi.incrby(pendingKey, delta.clicks);
+            multi.decrby(flushedKey, delta.visitors);
+            if (delta.lastClickedAt) {
+                multi.set(lastKey, String(Date.parse(delta.lastClickedAt)), 'NX');
+            }
+            multi.sadd(DIRTY_KEY, String(delta.id));
+        }
+        await multi.exec();
+    }
+
+    // Clicks and visitors recorded since the last flush, keyed by link id
+    async getPending(ids) {
+        const pending = new Map();
+        if (ids.length === 0) {
+            return pending;
+        }
+
+        const pipeline = this.client.pipeline();
+        for (const id of ids) {
+            const [pendingKey, lastKey, visitorsKey, flushedKey] = keysFor(id);
+            pipeline.get(pendingKey).get(lastKey).pfcount(visitorsKey).get(flushedKey);
+        }
+        const results = (await pipeline.exec()).map(([error, value]) => (error ? null : value));
+
+        ids.forEach((id, index) => {
+            const [clicks, last, visitors, flushed] = results.slice(index * 4, index * 4 + 4);
+            pending.set(id, {
+                clicks: parseInt(clicks || 0),
+                unique_visitors: Math.max(parseInt(visitors || 0) - parseInt(flushed || 0), 0),
+                last_clicked_at: last ? new Date(Number(last)) : null
+            });
+        });
+        return pending;
+    }
+
+    // Adds unflushed counts to shortened_urls rows so reads stay current between flushes
+    async mergePending(rows) {
+        const ids = rows.map(row => row.id).filter(Boolean);
+        let pending;
+        try {
+            pending = await this.getPending(ids);
+        } catch (error) {
+            this.logger.warn('Pending click counts unavailable:', error?.message);
+            return rows;
+        }
+
+        return rows.map(row => {
+            const delta = pending.get(row.id);
+            if (!delta || (delta.clicks === 0 && delta.unique_visitors === 0)) {
+                return row;
+            }
+            const lastClickedAt = row.last_clicked_at && new Date(row.last_clicked_at) > delta.last_clicked_at
+                ? row.last_clicked_at
+                : delta.last_clicked_at || row.last_clicked_at;
+            return {
+                ...row,
+                click_count: parseInt(row.click_count || 0) + delta.clicks,
+                unique_visitors: parseInt(row.unique_visitors || 0) + delta.unique_visitors,
+                last_clicked_at: lastClickedAt
+            };
+        });
+    }
+}
+
+export default ClickCounter;
@@ -1,12 +1,43 @@
 import { Resend } from 'resend';
 import dotenv from 'dotenv';
+import { escapeHtml } from '../server/pages.js';
+import { isNotificationEnabled, buildUnsubscribeUrl } from './notification-preferences.js';
 
 dotenv.config();
 
-const resend = new Resend(process.env.RESEND_API_KEY || '');
+// Created on first send, so the backend loads without RESEND_API_KEY while sending is off
+let resend = null;
+function getResend() {
+  if (!resend) {
+    resend = new Resend(process.env.RESEND_API_KEY || '');
+  }
+  return resend;
+}
 const shouldSend = String(process.env.FORCE_EMAIL_SEND).toLowerCase() === 'true';
 
+// Notification emails (anything not transactional) are only sent if the recipient's
+// preferences allow the event; the server hands over its database at startup
+let preferencesDb = null;
+async function notificationAllowed(user, event) {
+  if (!preferencesDb) {
+    throw new Error('EmailService.useDatabase() must be called before sending notifications');
+  }
+  return isNotificationEnabled(preferencesDb, user.id, event);
+}
+
+// RFC 8058 one-click unsubscribe: mail clients POST "List-Unsubscribe=One-Click" to the URL
+function unsubscribeHeaders(unsubscribeUrl) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
 export class EmailService {
+  static useDatabase(db) {
+    preferencesDb = db;
+  }
+
   static async sendVerificationEmail(user, verificationToken) {
     const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/verify-email?token=${verificationToken}`;
     
@@ -15,7 +46,7 @@ export class EmailService {
         console.log('[EmailService] Skipping verification email (FORCE_EMAIL_SEND!=true). URL:', verificationUrl);
         return { success: true, skipped: true };
       }
-      const { data, error } = await resend.emails.send({
+      const { data, error } = await getResend().emails.send({
         from: process.env.EMAIL_FROM || 'WordsTo.Link <onboarding@wordsto.link>',
         to: [user.email],
         subject: 'Verify your WordsTo.Link account',
@@ -99,7 +130,7 @@ export class EmailService {
         console.log('[EmailService] Skipping welcome email (FORCE_EMAIL_SEND!=true).');
         return { success: true, skipped: true };
       }
-      const { data, error } = await resend.emails.send({
+      const { data, error } = await getResend().emails.send({
         from: process.env.EMAIL_FROM || 'WordsTo.Link <onboarding@wordsto.link>',
         to: [user.email],
         subject: '🎉 Welcome to WordsTo.Link!',
@@ -197,7 +228,7 @@ export class EmailService {
         console.log('[EmailService] Skipping reset email (FORCE_EMAIL_SEND!=true). URL:', resetUrl);
         return { success: true, skipped: true };
       }
-      const { data, error } = await resend.emails.send({
+      const { data, error } = await getResend().emails.send({
         from: process.env.EMAIL_FROM || 'WordsTo.Link <onboarding@wordsto.link>',
         to: [user.email],
         subject: 'Reset your WordsTo.Link password',
@@ -270,4 +301,122 @@ export class EmailService {
       return { success: false, error };
     }
   }
+
+  // links: [{ shortUrl, originalUrl, expiresAt, extendUrl }], soonest first
+  static async sendLinkExpiryDigest(user, links) {
+    const count = links.length === 1 ? '1 link expires' : `${links.length} links expire`;
+    const formatDate = (date) => new Date(date).toUTCString().replace(':00 GMT', ' UTC');
+
+    try {
+      if (!await notificationAllowed(user, 'link_expiry')) {
+        console.log(`[EmailService] Skipping link expiry digest, user ${user.id} unsubscribed`);
+        return { success: true, skipped: true };
+      }
+      const unsubscribeUrl = buildUnsubscribeUrl(user.id, 'link_expiry');
+      if (!shouldSend) {
+        console.log(`[EmailService] Skipping link expiry digest (FORCE_EMAIL_SEND!=true). ${count} this week`);
+        return { success: true, skipped: true };
+      }
+      const { data, error } = await getResend().emails.send({
+        from: process.env.EMAIL_FROM || 'WordsTo.Link <onboarding@wordsto.link>',
+        to: [user.email],
+        subject: `${count} in the next 7 days`,
+        headers: unsubscribeHeaders(unsubscribeUrl),
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          </head>
+          <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+              <h1 style="color: white; margin: 0; font-size: 28px;">Links Expiring Soon</h1>
+            </div>
+            
+            <div style="background: white; padding: 30px; border: 1px solid #e5e5e5; border-top: none; border-radius: 0 0 10px 10px;">
+              <h2 style="color: #333; margin-top: 0;">Hi ${escapeHtml(user.full_name || user.identifier || '')},</h2>
+              
+              <p style="font-size: 16px; color: #666;">
+                ${count} in the next 7 days. Once a link expires it stops redirecting. To keep one working, extend it by 30 days:
+              </p>
+              
+              ${links.map(link => `
+              <div style="background: #f8f9fa; padding: 15px 20px; border-radius: 8px; margin: 15px 0;">
+                <p style="margin: 0; font-size: 16px;"><strong>${escapeHtml(link.shortUrl)}</strong></p>
+                <p style="margin: 5px 0; font-size: 14px; color: #666; word-break: break-all;">→ ${escapeHtml(link.originalUrl)}</p>
+                <p style="margin: 5px 0 10px; font-size: 14px; color: #856404;">Expires ${escapeHtml(formatDate(link.expiresAt))}</p>
+                <a href="${escapeHtml(link.extendUrl)}" style="display: inline-block; padding: 8px 20px; background: #667eea; color: white; text-decoration: none; border-radius: 20px; font-size: 14px;">
+                  Extend by 30 days
+                </a>
+              </div>`).join('')}
+              
+              <p style="font-size: 14px; color: #999; margin-top: 30px;">
+                You can also change or remove expiry dates from your <a href="${process.env.FRONTEND_URL || 'http://localhost:3001'}/dashboard" style="color: #667eea;">dashboard</a>.
+              </p>
+            </div>
+            
+            <div style="text-align: center; margin-top: 20px;">
+              <p style="font-size: 12px; color: #999;">
+                You get this email because you own links with an expiry date. <a href="${escapeHtml(unsubscribeUrl)}" style="color: #999;">Unsubscribe from these reminders</a>
+              </p>
+              <p style="font-size: 12px; color: #999;">
+                © ${new Date().getFullYear()} WordsTo.Link. All rights reserved.
+              </p>
+            </div>
+          </body>
+          </html>
+        `,
+        text: [
+          `${count} in the next 7 days. To keep one working, extend it by 30 days:`,
+          ...links.map(link => `\n${link.shortUrl}\n-> ${link.originalUrl}\nExpires ${formatDate(link.expiresAt)}\nExtend by 30 days: ${link.extendUrl}`),
+          `\nUnsubscribe from these reminders: ${unsubscribeUrl}`
+        ].join('\n')
+      });
+
+      if (error) {
+        console.error('Failed to send link expiry digest:', error);
+        return { success: false, error };
+      }
+
+      console.log('Link expiry digest sent successfully:', data?.id);
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error sending link expiry digest:', error);
+      return { success: false, error };
+    }
+  }
+
+  // report is rendered by renderWeeklyReport (services/weekly-report.js), which the preview endpoint shares
+  static async sendWeeklyReport(user, { subject, html, text, unsubscribeUrl }) {
+    try {
+      if (!await notificationAllowed(user, 'weekly_report')) {
+        console.log(`[EmailService] Skipping weekly report, user ${user.id} unsubscribed`);
+        return { success: true, skipped: true };
+      }
+      if (!shouldSend) {
+        console.log(`[EmailService] Skipping weekly report (FORCE_EMAIL_SEND!=true). ${subject}`);
+        return { success: true, skipped: true };
+      }
+      const { data, error } = await getResend().emails.send({
+        from: process.env.EMAIL_FROM || 'WordsTo.Link <onboarding@wordsto.link>',
+        to: [user.email],
+        subject,
+        headers: unsubscribeHeaders(unsubscribeUrl),
+        html,
+        text
+      });
+
+      if (error) {
+        console.error('Failed to send weekly report:', error);
+        return { success: false, error };
+      }
+
+      console.log('Weekly report sent successfully:', data?.id);
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error sending weekly report:', error);
+      return { success: false, error };
+    }
+  }
 }
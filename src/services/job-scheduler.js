@@ -0,0 +1,235 @@
+import { randomUUID } from 'crypto';
+import { hostname } from 'os';
+import { parseCron, nextCronTime } from '../utils/cron.js';
+
+// Deletes the lock only while it still holds our token
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Runs jobs registered in code on cron schedules (UTC). Every instance runs the scheduler; a
+// Redis key per scheduled occurrence makes sure only one of them runs it, and a lock per job
+// keeps a manual run from overlapping a scheduled one. Each attempt is recorded in job_runs.
+export class JobScheduler {
+    constructor(db, client, {
+        instance = `${hostname()}-${process.pid}`,
+        tickMs = 15000,
+        lockTtlMs = 15 * 60000,
+        logger = console
+    } = {}) {
+        this.db = db;
+        this.client = client;
+        this.instance = instance;
+        this.tickMs = tickMs;
+        this.lockTtlMs = lockTtlMs;
+        this.logger = logger;
+        this.jobs = new Map();
+        this.inFlight = new Set();
+        this.waits = new Set();
+        this.timer = null;
+        this.stopped = false;
+    }
+
+    // run receives { attempt, trigger, logger } and may return a JSON-serialisable result.
+    // A failed attempt is retried up to `retries` times, waiting retryDelayMs longer each time.
+    // lockTtlMs has to outlast the longest run, or another instance may start the job meanwhile.
+    register({ name, schedule, description = null, run, retries = 0, retryDelayMs = 30000, lockTtlMs = this.lockTtlMs }) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job ${name} is already registered`);
+        }
+        if (typeof run !== 'function') {
+            throw new Error(`Job ${name} needs a run function`);
+        }
+
+        const cron = parseCron(schedule);
+        this.jobs.set(name, {
+            name,
+            schedule,
+            description,
+            run,
+            retries,
+            retryDelayMs,
+            lockTtlMs,
+            cron,
+            nextRunAt: nextCronTime(cron, new Date())
+        });
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.stopped = false;
+        this.timer = setInterval(() => this.tick(), this.tickMs);
+        this.timer.unref?.();
+        this.logger.info(`Job scheduler started with ${this.jobs.size} job(s)`);
+    }
+
+    // Runs in progress finish their current attempt; pending retries are dropped
+    async stop() {
+        this.stopped = true;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.waits.forEach(wake => wake());
+        await Promise.allSettled([...this.inFlight]);
+    }
+
+    tick(now = new Date()) {
+        for (const job of this.jobs.values()) {
+            if (now >= job.nextRunAt) {
+                const scheduledAt = job.nextRunAt;
+                job.nextRunAt = nextCronTime(job.cron, now);
+                this.track(this.runScheduled(job, scheduledAt));
+            }
+        }
+    }
+
+    async runScheduled(job, scheduledAt) {
+        // The first instance to claim an occurrence runs it, however late the others tick
+        const ttl = Math.max(nextCronTime(job.cron, scheduledAt) - scheduledAt, 60000);
+        const claimed = await this.client.set(
+            `jobs:occurrence:${job.name}:${scheduledAt.toISOString()}`, this.instance, 'PX', ttl, 'NX'
+        );
+        if (!claimed) {
+            return null;
+        }
+
+        const token = await this.acquireLock(job);
+        if (!token) {
+            this.logger.warn(`Skipping scheduled run of ${job.name}: it is still running`);
+            return null;
+        }
+        return this.runJob(job, token, { trigger: 'schedule' });
+    }
+
+    // Starts the job in the background. Returns null for an unknown job and false when it is
+    // already running somewhere.
+    async trigger(name, { triggeredBy = null } = {}) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            return null;
+        }
+
+        const token = await this.acquireLock(job);
+        if (!token) {
+            return false;
+        }
+        this.track(this.runJob(job, token, { trigger: 'manual', triggeredBy }));
+        return true;
+    }
+
+    async runJob(job, token, { trigger, triggeredBy = null }) {
+        try {
+            for (let attempt = 1; attempt <= job.retries + 1; attempt++) {
+                const run = await this.recordStart(job, { trigger, triggeredBy, attempt });
+                const startedAt = Date.now();
+
+                try {
+                    const result = await job.run({ attempt, trigger, logger: this.logger });
+                    await this.recordFinish(run.id, 'succeeded', Date.now() - startedAt, { result });
+                    return { status: 'succeeded', attempt, result };
+                } catch (error) {
+                    await this.recordFinish(run.id, 'failed', Date.now() - startedAt, { error });
+                    this.logger.error(`Job ${job.name} failed (attempt ${attempt} of ${job.retries + 1}):`, error);
+
+                    if (attempt > job.retries || this.stopped) {
+                        return { status: 'failed', attempt, error: error.message };
+                    }
+                    await this.wait(job.retryDelayMs * attempt);
+                }
+            }
+        } finally {
+            await this.releaseLock(job, token);
+        }
+    }
+
+    async acquireLock(job) {
+        const token = randomUUID();
+        const acquired = await this.client.set(`jobs:lock:${job.name}`, token, 'PX', job.lockTtlMs, 'NX');
+        return acquired ? token : null;
+    }
+
+    async releaseLock(job, token) {
+        try {
+            await this.client.eval(RELEASE_SCRIPT, 1, `jobs:lock:${job.name}`, token);
+        } catch (error) {
+            this.logger.warn(`Failed to release the lock of ${job.name}:`, error.message);
+        }
+    }
+
+    async recordStart(job, { trigger, triggeredBy, attempt }) {
+        const result = await this.db.query(
+            `INSERT INTO job_runs (job_name, trigger, attempt, status, instance, triggered_by)
+             VALUES ($1, $2, $3, 'running', $4, $5)
+             RETURNING id`,
+            [job.name, trigger, attempt, this.instance, triggeredBy]
+        );
+        return result.rows[0];
+    }
+
+    async recordFinish(id, status, durationMs, { result = null, error = null }) {
+        await this.db.query(
+            `UPDATE job_runs
+             SET status = $2, finished_at = NOW(), duration_ms = $3, result = $4, error = $5
+             WHERE id = $1`,
+            [id, status, durationMs, JSON.stringify(result ?? null), error ? (error.message || String(error)) : null]
+        );
+    }
+
+    // Registered jobs with their next run and the last recorded run
+    async list() {
+        const names = [...this.jobs.keys()];
+        const result = await this.db.query(
+            `SELECT DISTINCT ON (job_name) *
+             FROM job_runs
+             WHERE job_name = ANY($1::text[])
+             ORDER BY job_name, started_at DESC`,
+            [names]
+        );
+        const lastRuns = new Map(result.rows.map(row => [row.job_name, row]));
+
+        return [...this.jobs.values()].map(job => ({
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            retries: job.retries,
+            next_run_at: job.nextRunAt,
+            last_run: lastRuns.get(job.name) || null
+        }));
+    }
+
+    async history(name, limit = 20) {
+        const result = await this.db.query(
+            `SELECT * FROM job_runs
+             WHERE job_name = $1
+             ORDER BY started_at DESC
+             LIMIT $2`,
+            [name, limit]
+        );
+        return result.rows;
+    }
+
+    track(promise) {
+        const tracked = promise
+            .catch(error => this.logger.error('Job scheduler error:', error))
+            .finally(() => this.inFlight.delete(tracked));
+        this.inFlight.add(tracked);
+        return tracked;
+    }
+
+    wait(ms) {
+        return new Promise(resolve => {
+            const wake = () => {
+                clearTimeout(timer);
+                this.waits.delete(wake);
+                resolve();
+            };
+            const timer = setTimeout(wake, ms);
+            this.waits.add(wake);
+        });
+    }
+}
+
+export default JobScheduler;
@@ -0,0 +1,114 @@
+import { DEFAULT_CACHE_TTL } from '../utils/link-schedule.js';
+
+// Entries never live longer than DEFAULT_CACHE_TTL, so a tag refreshed on every write outlives them all
+const TAG_TTL = DEFAULT_CACHE_TTL + 60;
+
+// Every redirect path maps to one key. Verified custom domains get their own namespace.
+export function getLinkCacheKey({ domainId = null, shortCode = null, identifier = null, keywords = [] }) {
+    const prefix = domainId ? `url:domain:${domainId}:` : 'url:';
+
+    if (shortCode) {
+        return `${prefix}short:${shortCode}`;
+    }
+    if (identifier) {
+        return `${prefix}identifier:${identifier}:keywords:${keywords.join(':')}`;
+    }
+    return `${prefix}keywords:${keywords.join(':')}`;
+}
+
+export function getLinkTagKey(linkId) {
+    return `url:tag:${linkId}`;
+}
+
+// The paths a link row is reachable at for sure. Keyword links also match any subset in
+// any order; those entries are found through the tag instead.
+export function getLinkPathKeys(link) {
+    const domainId = link.domain_id || null;
+    const keywords = link.keywords || [];
+    const keys = new Set();
+
+    if (link.short_code) {
+        keys.add(getLinkCacheKey({ domainId, shortCode: link.short_code }));
+    }
+    if (link.identifier) {
+        keys.add(getLinkCacheKey({ domainId, identifier: link.identifier, keywords }));
+    } else if (keywords.length > 0) {
+        keys.add(getLinkCacheKey({ domainId, keywords }));
+        keywords.forEach(keyword => keys.add(getLinkCacheKey({ domainId, keywords: [keyword] })));
+    }
+
+    return [...keys];
+}
+
+// Stores a resolved link and tags the key with the link id
+export async function cacheLink(cache, key, link, ttl) {
+    await cache.set(key, JSON.stringify(link), ttl);
+
+    if (link?.id && typeof cache.addToSet === 'function') {
+        await cache.addToSet(getLinkTagKey(link.id), key, TAG_TTL);
+    }
+}
+
+// Drops every cached path of the given link rows. Pass both the old and the new row
+// on updates so paths the link no longer has are evicted too.
+export async function invalidateLinks(cache, ...links) {
+    if (!cache) {
+        return;
+    }
+
+    const keys = new Set();
+    for (const link of links.filter(Boolean)) {
+        getLinkPathKeys(link).forEach(key => keys.add(key));
+
+        if (link.id && typeof cache.getSetMembers === 'function') {
+            const tagKey = getLinkTagKey(link.id);
+            const tagged = await cache.getSetMembers(tagKey);
+            (tagged || []).forEach(key => keys.add(key));
+            keys.add(tagKey);
+        }
+    }
+
+    await Promise.all([...keys].map(key => cache.del(key)));
+}
+
+export function createCacheAdapter(fastify) {
+    // Prefer explicit cache if provided, else adapt redis client
+    if (fastify.cache && typeof fastify.cache.get === 'function') {
+        return fastify.cache;
+    }
+
+    const redis = fastify.redis;
+    if (redis) {
+        const adapter = {
+            async get(key) {
+                return await redis.get(key);
+            },
+            async set(key, value, ttlSeconds) {
+                // Use EX for TTL semantics like node-redis v3
+                return await redis.set(key, value, 'EX', ttlSeconds);
+            },
+            async del(key) {
+                return await redis.del(key);
+            }
+        };
+
+        if (typeof redis.sadd === 'function' && typeof redis.smembers === 'function') {
+            adapter.addToSet = async (key, members, ttlSeconds) => {
+                await redis.sadd(key, ...[].concat(members));
+                if (ttlSeconds) {
+                    await redis.expire(key, ttlSeconds);
+                }
+            };
+            adapter.getSetMembers = async (key) => await redis.smembers(key);
+        }
+
+        return adapter;
+    }
+
+    // Fallback no-op cache to avoid crashes in tests without a cache
+    return {
+        async get() { return null; },
+        async set() { return true; },
+        async del() { return true; }
+    };
+}
@@ -0,0 +1,112 @@
+import { EmailService } from './email.service.js';
+import { createSignedToken, verifySignedToken } from '../utils/signed-tokens.js';
+import { notificationEnabledSql } from '../utils/notification-preferences.js';
+import { config } from '../config/index.js';
+
+export const LINK_EXTENSION_DAYS = 30;
+
+// Long enough to act on any digest of the week; extending also needs the expiry to be unchanged
+const EXTEND_TOKEN_TTL_SECONDS = 14 * 24 * 3600;
+
+// A retried job run skips owners who already got today's digest
+const RESEND_AFTER = '20 hours';
+
+export function createExtendLinkToken(link, options = {}) {
+    return createSignedToken('extend-link', {
+        link: link.id,
+        user: link.user_id,
+        expires_at: new Date(link.expires_at).toISOString()
+    }, { expiresInSeconds: EXTEND_TOKEN_TTL_SECONDS, ...options });
+}
+
+export function verifyExtendLinkToken(token, options) {
+    return verifySignedToken(token, 'extend-link', options);
+}
+
+// Emails each owner who has not turned the link_expiry notification off one list of their links expiring within 7 days
+// (the expiring_urls view). Owners whose email fails are left for the next run; the job
+// fails when any did, so the scheduler retries them.
+export async function sendLinkExpiryDigests(db, {
+    send = (...args) => EmailService.sendLinkExpiryDigest(...args),
+    logger = console
+} = {}) {
+    const result = await db.query(
+        `SELECT e.id, e.identifier, e.keywords, e.original_url, e.expires_at, e.domain,
+                e.user_id, e.owner_email, u.full_name, u.identifier AS owner_identifier
+         FROM expiring_urls e
+         JOIN users u ON u.id = e.user_id
+         WHERE ${notificationEnabledSql('link_expiry', 'u.id')}
+           AND u.deleted_at IS NULL
+           AND u.is_active IS NOT false
+           AND (u.link_expiry_digest_sent_at IS NULL
+                OR u.link_expiry_digest_sent_at < NOW() - INTERVAL '${RESEND_AFTER}')
+         ORDER BY e.user_id, e.expires_at, e.id`
+    );
+
+    const owners = new Map();
+    for (const row of result.rows) {
+        if (!owners.has(row.user_id)) {
+            owners.set(row.user_id, { user: row, links: [] });
+        }
+        owners.get(row.user_id).links.push(row);
+    }
+
+    let sent = 0;
+    const failed = [];
+    for (const [userId, { user, links }] of owners) {
+        const outcome = await send(
+            { id: userId, email: user.owner_email, full_name: user.full_name, identifier: user.owner_identifier },
+            links.map(link => ({
+                shortUrl: buildShortUrl(link),
+                originalUrl: link.original_url,
+                expiresAt: link.expires_at,
+                extendUrl: `${config.email.apiBaseUrl}/api/email/extend-link?token=${createExtendLinkToken(link)}`
+            }))
+        );
+
+        if (outcome?.success) {
+            await db.query('UPDATE users SET link_expiry_digest_sent_at = NOW() WHERE id = $1', [userId]);
+            sent++;
+        } else {
+            failed.push(userId);
+        }
+    }
+
+    logger.info(`Link expiry digests: ${sent} sent, ${failed.length} failed, ${result.rows.length} link(s)`);
+    if (failed.length > 0) {
+        throw new Error(`Link expiry digest failed for ${failed.length} of ${owners.size} owner(s)`);
+    }
+    return { owners: sent, links: result.rows.length };
+}
+
+// Moves expires_at on by LINK_EXTENSION_DAYS if it is still the expiry the email was sent
+// for, so each emailed action works once. Returns the link and whether it was extended.
+export async function extendLinkFromToken(db, claims) {
+    const result = await db.query(
+        `UPDATE shortened_urls
+         SET expires_at = expires_at + make_interval(days => $4), updated_at = NOW()
+         WHERE id = $1 AND user_id = $2 AND is_active = true
+           AND date_trunc('milliseconds', expires_at) = $3::timestamptz
+         RETURNING *`,
+        [claims.link, claims.user, claims.expires_at, LINK_EXTENSION_DAYS]
+    );
+    if (result.rows.length > 0) {
+        return { extended: true, link: result.rows[0] };
+    }
+
+    const current = await db.query(
+        'SELECT * FROM shortened_urls WHERE id = $1 AND user_id = $2',
+        [claims.link, claims.user]
+    );
+    return { extended: false, link: current.rows[0] || null };
+}
+
+// The keyword path, as in full_url; links on a custom domain only resolve there
+export function buildShortUrl(link) {
+    const base = link.domain
+        ? `https://${link.domain}`
+        : (process.env.SHORT_URL_BASE || 'https://wordsto.link').replace(/\/$/, '');
+    const path = link.identifier ? `${link.identifier}/${link.keywords.join('/')}` : link.keywords.join('/');
+
+    return `${base}/${path}`;
+}
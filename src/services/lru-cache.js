@@ -0,0 +1,76 @@
+// Bounded in-memory cache. Map keeps insertion order, so re-inserting on read
+// makes the first key the least recently used one.
+export class LruCache {
+    constructor({ maxEntries = 1000, now = Date.now } = {}) {
+        this.maxEntries = maxEntries;
+        this.now = now;
+        this.entries = new Map();
+        this.evictions = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(key) {
+        return this.peek(key) !== undefined;
+    }
+
+    // undefined means absent or expired; any other value, null included, was stored
+    get(key) {
+        const value = this.peek(key);
+        if (value !== undefined) {
+            const entry = this.entries.get(key);
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return value;
+    }
+
+    set(key, value, ttlMs) {
+        if (this.maxEntries <= 0 || !(ttlMs > 0)) {
+            return;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: this.now() + ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    deleteMatching(regex) {
+        let deleted = 0;
+        for (const key of this.entries.keys()) {
+            if (regex.test(key)) {
+                this.entries.delete(key);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    peek(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt <= this.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+}
+
+export default LruCache;
@@ -0,0 +1,50 @@
+import { runAnalyticsRetention } from './analytics-retention.js';
+import { ensureAnalyticsPartitions, refreshAnalyticsRollups } from './analytics-rollups.js';
+
+// Housekeeping run by the backend's job scheduler; schedules are UTC
+export function registerMaintenanceJobs(scheduler, db) {
+    scheduler.register({
+        name: 'expire-auth-tokens',
+        description: 'Deletes expired email verification and password reset tokens',
+        schedule: '5 * * * *',
+        retries: 2,
+        run: async () => {
+            const verification = await db.query('DELETE FROM email_verification_tokens WHERE expires_at < NOW()');
+            const reset = await db.query('DELETE FROM password_reset_tokens WHERE expires_at < NOW()');
+            return {
+                email_verification_tokens: verification.rowCount || 0,
+                password_reset_tokens: reset.rowCount || 0
+            };
+        }
+    });
+
+    scheduler.register({
+        name: 'refresh-daily-statistics',
+        description: 'Refreshes the daily_statistics materialized view',
+        schedule: '30 2 * * *',
+        retries: 2,
+        run: async () => {
+            await db.query('SELECT refresh_materialized_views()');
+            return null;
+        }
+    });
+
+    scheduler.register({
+        name: 'analytics-retention',
+        description: "Applies each plan's analytics retention",
+        schedule: '0 3 * * *',
+        retries: 1,
+        lockTtlMs: 60 * 60000,
+        run: ({ logger }) => runAnalyticsRetention(db, { logger })
+    });
+
+    scheduler.register({
+        name: 'analytics-rollups',
+        description: 'Creates upcoming analytics_events partitions and rolls up changed hours',
+        schedule: '*/5 * * * *',
+        run: async ({ logger }) => ({
+            partitions_created: await ensureAnalyticsPartitions(db, { logger }),
+            hours_rolled_up: await refreshAnalyticsRollups(db, { logger })
+        })
+    });
+}
@@ -0,0 +1,25 @@
+import { sendLinkExpiryDigests } from './link-expiry-digest.js';
+import { sendWeeklyReports } from './weekly-report.js';
+
+// Emails sent on a schedule by the backend's job scheduler; schedules are UTC
+export function registerNotificationJobs(scheduler, db) {
+    scheduler.register({
+        name: 'link-expiry-digest',
+        description: 'Emails owners the links that expire in the next 7 days',
+        schedule: '0 9 * * *',
+        retries: 2,
+        retryDelayMs: 5 * 60000,
+        run: ({ logger }) => sendLinkExpiryDigests(db, { logger })
+    });
+
+    // Hourly, as Monday morning comes round at a different hour in each user's timezone
+    scheduler.register({
+        name: 'weekly-report',
+        description: "Emails last week's performance report on Monday morning in each user's timezone",
+        schedule: '15 * * * *',
+        retries: 2,
+        retryDelayMs: 5 * 60000,
+        lockTtlMs: 60 * 60000,
+        run: ({ logger }) => sendWeeklyReports(db, { logger })
+    });
+}
@@ -0,0 +1,60 @@
+import {
+    ALL_EVENTS,
+    NOTIFICATION_EVENTS,
+    resolveNotificationPreferences,
+    isNotificationAllowed
+} from '../utils/notification-preferences.js';
+import { createSignedToken, verifySignedToken } from '../utils/signed-tokens.js';
+import { config } from '../config/index.js';
+
+const UNSUBSCRIBE_TOKEN_TTL_SECONDS = 365 * 24 * 3600;
+
+export async function getNotificationPreferences(db, userId) {
+    const result = await db.query(
+        'SELECT channel, event, enabled FROM notification_preferences WHERE user_id = $1',
+        [userId]
+    );
+    return resolveNotificationPreferences(result.rows);
+}
+
+export async function isNotificationEnabled(db, userId, event, channel = 'email') {
+    return isNotificationAllowed(await getNotificationPreferences(db, userId), event, channel);
+}
+
+// changes: { channels: { email: false }, events: { weekly_report: { email: true } } }, both optional
+export async function updateNotificationPreferences(db, userId, { channels = {}, events = {} }) {
+    const rows = [
+        ...Object.entries(channels).map(([channel, enabled]) => [channel, ALL_EVENTS, enabled]),
+        ...Object.entries(events).flatMap(([event, byChannel]) => Object.entries(byChannel || {})
+            .map(([channel, enabled]) => [channel, event, enabled]))
+    ].filter(([, , enabled]) => typeof enabled === 'boolean');
+
+    if (rows.length > 0) {
+        await db.query(
+            `INSERT INTO notification_preferences (user_id, channel, event, enabled)
+             SELECT $1, channel, event, enabled
+             FROM unnest($2::text[], $3::text[], $4::boolean[]) AS changes(channel, event, enabled)
+             ON CONFLICT (user_id, channel, event)
+             DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = NOW()`,
+            [userId, rows.map(row => row[0]), rows.map(row => row[1]), rows.map(row => row[2])]
+        );
+    }
+
+    return getNotificationPreferences(db, userId);
+}
+
+// The RFC 8058 List-Unsubscribe target for one event, or for the whole channel with ALL_EVENTS
+export function buildUnsubscribeUrl(userId, event, channel = 'email') {
+    const token = createSignedToken('unsubscribe', { user: userId, channel, event }, {
+        expiresInSeconds: UNSUBSCRIBE_TOKEN_TTL_SECONDS
+    });
+    return `${config.email.apiBaseUrl}/api/email/unsubscribe?token=${token}`;
+}
+
+export function verifyUnsubscribeToken(token) {
+    const claims = verifySignedToken(token, 'unsubscribe');
+    if (!claims || (claims.event !== ALL_EVENTS && !NOTIFICATION_EVENTS[claims.event])) {
+        return null;
+    }
+    return claims;
+}
@@ -66,11 +66,8 @@ export class RedisCache {
         }
 
         try {
-            const value = await this.client.get(key);
-            if (value) {
-                await this.client.expire(key, 300);
-            }
-            return value;
+            // No sliding expiry: a hot entry must not outlive the TTL it was written with
+            return await this.client.get(key);
         } catch (error) {
             console.error(`Redis get error for key ${key}:`, error);
             return null;
@@ -122,21 +119,58 @@ export class RedisCache {
             return 0;
         }
 
+        // SCAN walks the keyspace in steps instead of blocking Redis like KEYS does
         try {
-            const keys = await this.client.keys(pattern);
-            if (keys.length > 0) {
-                const pipeline = this.client.pipeline();
-                keys.forEach(key => pipeline.del(key));
-                await pipeline.exec();
-                return keys.length;
+            let deleted = 0;
+            const stream = this.client.scanStream({ match: pattern, count: 500 });
+            for await (const keys of stream) {
+                if (keys.length > 0) {
+                    const pipeline = this.client.pipeline();
+                    keys.forEach(key => pipeline.del(key));
+                    await pipeline.exec();
+                    deleted += keys.length;
+                }
             }
-            return 0;
+            return deleted;
         } catch (error) {
             console.error(`Redis delete pattern error for ${pattern}:`, error);
             return 0;
         }
     }
 
+    // Adds members to a set and (re)sets its TTL
+    async addToSet(key, members, ttl = 300) {
+        if (!this.isConnected) {
+            return false;
+        }
+
+        try {
+            const multi = this.client.multi();
+            multi.sadd(key, ...[].concat(members));
+            if (ttl) {
+                multi.expire(key, ttl);
+            }
+            await multi.exec();
+            return true;
+        } catch (error) {
+            console.error(`Redis set add error for key ${key}:`, error);
+            return false;
+        }
+    }
+
+    async getSetMembers(key) {
+        if (!this.isConnected) {
+            return [];
+        }
+
+        try {
+            return await this.client.smembers(key);
+        } catch (error) {
+            console.error(`Redis set members error for key ${key}:`, error);
+            return [];
+        }
+    }
+
     async exists(key) {
         if (!this.isConnected) {
             return false;
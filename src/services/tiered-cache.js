@@ -0,0 +1,196 @@
+import { randomUUID } from 'crypto';
+import { LruCache } from './lru-cache.js';
+
+// Returned by get() for keys recently looked up and not found
+export const CACHED_NOT_FOUND = Symbol('cached not found');
+
+// Converts a Redis glob (`*`, `?`) into a RegExp for evicting local keys
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+// A per-instance LRU in front of RedisCache. Local entries live for at most localTtl seconds;
+// deletes are published on Redis so every instance drops its copy.
+export class TieredCache {
+    constructor(redisCache, {
+        localMaxEntries = 1000,
+        localTtl = 30,
+        notFoundTtl = 10,
+        invalidationChannel = 'cache:invalidate',
+        logger = console
+    } = {}) {
+        this.redis = redisCache;
+        this.local = new LruCache({ maxEntries: localMaxEntries });
+        this.localTtl = localTtl;
+        this.notFoundTtl = notFoundTtl;
+        this.channel = invalidationChannel;
+        this.logger = logger;
+        this.instanceId = randomUUID();
+        this.subscriber = null;
+        this.stats = {
+            local: { hits: 0, misses: 0, not_found_hits: 0 },
+            redis: { hits: 0, misses: 0 },
+            invalidations: { published: 0, received: 0 }
+        };
+    }
+
+    // Subscribes to invalidations from other instances; needs a dedicated connection
+    async connect() {
+        if (!this.redis.client?.duplicate) {
+            return;
+        }
+
+        try {
+            this.subscriber = this.redis.client.duplicate();
+            this.subscriber.on('message', (channel, message) => this.handleInvalidation(channel, message));
+            await this.subscriber.subscribe(this.channel);
+        } catch (error) {
+            this.logger.error('Cache invalidation subscribe failed:', error);
+        }
+    }
+
+    async get(key) {
+        const local = this.local.get(key);
+        if (local !== undefined) {
+            if (local === CACHED_NOT_FOUND) {
+                this.stats.local.not_found_hits++;
+            } else {
+                this.stats.local.hits++;
+            }
+            return local;
+        }
+        this.stats.local.misses++;
+
+        const value = await this.redis.get(key);
+        if (value === null || value === undefined) {
+            this.stats.redis.misses++;
+            return null;
+        }
+
+        this.stats.redis.hits++;
+        this.local.set(key, value, this.localTtl * 1000);
+        return value;
+    }
+
+    async set(key, value, ttl = 300) {
+        const stored = typeof value === 'object' ? JSON.stringify(value) : value;
+        this.local.set(key, stored, Math.min(ttl || this.localTtl, this.localTtl) * 1000);
+        return this.redis.set(key, stored, ttl);
+    }
+
+    // Negative results stay on this instance only, briefly, to absorb scanners
+    setNotFound(key) {
+        this.local.set(key, CACHED_NOT_FOUND, this.notFoundTtl * 1000);
+    }
+
+    async del(key) {
+        this.local.delete(key);
+        const result = await this.redis.del(key);
+        await this.publish({ keys: [key] });
+        return result;
+    }
+
+    async deletePattern(pattern) {
+        this.local.deleteMatching(globToRegExp(pattern));
+        const result = await this.redis.deletePattern(pattern);
+        await this.publish({ patterns: [pattern] });
+        return result;
+    }
+
+    async publish({ keys = [], patterns = [] }) {
+        if (!this.redis.client?.publish || !this.redis.isConnected) {
+            return;
+        }
+
+        try {
+            await this.redis.client.publish(this.channel, JSON.stringify({ origin: this.instanceId, keys, patterns }));
+            this.stats.invalidations.published++;
+        } catch (error) {
+            this.logger.error('Cache invalidation publish failed:', error);
+        }
+    }
+
+    handleInvalidation(channel, message) {
+        if (channel !== this.channel) {
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(message);
+        } catch {
+            return;
+        }
+
+        // This instance already dropped its own keys
+        if (payload.origin === this.instanceId) {
+            return;
+        }
+
+        this.stats.invalidations.received++;
+        (payload.keys || []).forEach(key => this.local.delete(key));
+        (payload.patterns || []).forEach(pattern => this.local.deleteMatching(globToRegExp(pattern)));
+    }
+
+    getStats() {
+        return {
+            local: {
+                ...this.stats.local,
+                size: this.local.size,
+                max_entries: this.local.maxEntries,
+                evictions: this.local.evictions
+            },
+            redis: { ...this.stats.redis },
+            invalidations: { ...this.stats.invalidations }
+        };
+    }
+
+    // Sets hold tags, which are only read on invalidation, so they are not kept locally
+    addToSet(key, members, ttl) {
+        return this.redis.addToSet(key, members, ttl);
+    }
+
+    getSetMembers(key) {
+        return this.redis.getSetMembers(key);
+    }
+
+    exists(key) {
+        return this.redis.exists(key);
+    }
+
+    expire(key, seconds) {
+        return this.redis.expire(key, seconds);
+    }
+
+    ttl(key) {
+        return this.redis.ttl(key);
+    }
+
+    increment(key, amount) {
+        return this.redis.increment(key, amount);
+    }
+
+    rateLimit(key, limit, window) {
+        return this.redis.rateLimit(key, limit, window);
+    }
+
+    healthCheck() {
+        return this.redis.healthCheck();
+    }
+
+    async disconnect() {
+        this.local.clear();
+        if (this.subscriber) {
+            try {
+                await this.subscriber.quit();
+            } catch (error) {
+                this.subscriber.disconnect();
+            }
+            this.subscriber = null;
+        }
+        await this.redis.disconnect();
+    }
+}
+
+export default TieredCache;
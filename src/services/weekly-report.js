@@ -0,0 +1,262 @@
+import { EmailService } from './email.service.js';
+import {
+    getAccountOverview,
+    getTopUrls,
+    getTopCountries,
+    getTopReferrers,
+    calculateChangePercent
+} from './analytics-summary.js';
+import { buildUnsubscribeUrl } from './notification-preferences.js';
+import { notificationEnabledSql } from '../utils/notification-preferences.js';
+import { escapeHtml } from '../server/pages.js';
+import { config } from '../config/index.js';
+
+// Local hour on Monday from which the report for the week before goes out
+const SEND_FROM_HOUR = 8;
+
+// The last full week (Monday to Sunday) in each user's timezone, and the week before it.
+// Zones Postgres does not know fall back to UTC. Ends are a microsecond short of the next
+// Monday because the summary queries include both ends of a range.
+const REPORT_WEEKS = `
+    WITH zoned AS (
+        SELECT u.*, COALESCE(tz.name, 'UTC') AS report_timezone
+        FROM users u
+        LEFT JOIN pg_timezone_names tz ON tz.name = u.timezone
+    ),
+    local_weeks AS (
+        SELECT zoned.*,
+               NOW() AT TIME ZONE report_timezone AS local_now,
+               date_trunc('week', NOW() AT TIME ZONE report_timezone) AS this_monday
+        FROM zoned
+    )
+    SELECT
+        id,
+        email,
+        full_name,
+        identifier,
+        report_timezone AS timezone,
+        to_char(this_monday - INTERVAL '7 days', 'YYYY-MM-DD') AS week_start,
+        to_char(this_monday - INTERVAL '1 day', 'YYYY-MM-DD') AS week_end,
+        (this_monday - INTERVAL '7 days') AT TIME ZONE report_timezone AS period_start,
+        (this_monday AT TIME ZONE report_timezone) - INTERVAL '1 microsecond' AS period_end,
+        (this_monday - INTERVAL '14 days') AT TIME ZONE report_timezone AS previous_start,
+        ((this_monday - INTERVAL '7 days') AT TIME ZONE report_timezone) - INTERVAL '1 microsecond' AS previous_end
+    FROM local_weeks`;
+
+// Users who want the report, for whom it is Monday morning or later and the week is not sent yet
+export async function getWeeklyReportRecipients(db) {
+    const result = await db.query(
+        `${REPORT_WEEKS}
+         WHERE ${notificationEnabledSql('weekly_report', 'local_weeks.id')}
+           AND deleted_at IS NULL
+           AND is_active IS NOT false
+           AND EXTRACT(ISODOW FROM local_now) = 1
+           AND EXTRACT(HOUR FROM local_now) >= $1
+           AND weekly_report_sent_for IS DISTINCT FROM (this_monday - INTERVAL '7 days')::date
+         ORDER BY id`,
+        [SEND_FROM_HOUR]
+    );
+    return result.rows;
+}
+
+// recipient is a row of REPORT_WEEKS
+export async function buildWeeklyReport(db, recipient) {
+    const userId = recipient.id;
+    const [current, previous, topUrls, topCountries, topReferrers] = await Promise.all([
+        getAccountOverview(db, userId, recipient.period_start, recipient.period_end),
+        getAccountOverview(db, userId, recipient.previous_start, recipient.previous_end),
+        getTopUrls(db, userId, recipient.period_start, recipient.period_end, 5),
+        getTopCountries(db, userId, recipient.period_start, recipient.period_end, 5),
+        getTopReferrers(db, userId, recipient.period_start, recipient.period_end, 5)
+    ]);
+
+    return {
+        period: {
+            start: recipient.week_start,
+            end: recipient.week_end,
+            timezone: recipient.timezone
+        },
+        total_links: current.total_urls,
+        clicks: {
+            current: current.total_clicks,
+            previous: previous.total_clicks,
+            change_percent: calculateChangePercent(current.total_clicks, previous.total_clicks)
+        },
+        unique_visitors: {
+            current: current.unique_visitors,
+            previous: previous.unique_visitors,
+            change_percent: calculateChangePercent(current.unique_visitors, previous.unique_visitors)
+        },
+        top_links: topUrls
+            .filter(url => parseInt(url.clicks) > 0)
+            .map(url => ({ path: url.path, title: url.title, clicks: parseInt(url.clicks) })),
+        top_countries: topCountries,
+        top_referrers: topReferrers
+    };
+}
+
+// unsubscribeUrl is the one-click link for the footer, from buildUnsubscribeUrl
+export function renderWeeklyReport(report, { name = null, unsubscribeUrl } = {}) {
+    const period = formatPeriod(report.period);
+    const settingsUrl = `${config.email.frontendUrl}/settings`;
+    const analyticsUrl = `${config.email.frontendUrl}/analytics`;
+    const subject = `Your week on WordsTo.Link: ${formatCount(report.clicks.current, 'click')} (${formatChange(report.clicks.change_percent)})`;
+
+    const listHtml = (title, rows, label) => (rows.length === 0 ? '' : `
+              <h3 style="color: #333; margin: 25px 0 10px;">${title}</h3>
+              <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+                ${rows.map(row => `<tr>
+                  <td style="padding: 6px 0; border-bottom: 1px solid #eee; color: #333; word-break: break-all;">${escapeHtml(label(row))}</td>
+                  <td style="padding: 6px 0; border-bottom: 1px solid #eee; color: #666; text-align: right; white-space: nowrap;">${formatCount(row.clicks, 'click')}</td>
+                </tr>`).join('')}
+              </table>`);
+
+    const statHtml = (title, stat) => `
+                <td style="width: 50%; padding: 15px; background: #f8f9fa; border-radius: 8px; text-align: center;">
+                  <div style="font-size: 28px; font-weight: bold; color: #333;">${stat.current.toLocaleString('en-US')}</div>
+                  <div style="font-size: 14px; color: #666;">${title}</div>
+                  <div style="font-size: 13px; color: ${stat.change_percent < 0 ? '#c0392b' : '#27ae60'};">${formatChange(stat.change_percent)} vs previous week</div>
+                </td>`;
+
+    const html = `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          </head>
+          <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+              <h1 style="color: white; margin: 0; font-size: 28px;">Your Weekly Report</h1>
+              <p style="color: white; margin: 5px 0 0; opacity: 0.9;">${escapeHtml(period)}</p>
+            </div>
+
+            <div style="background: white; padding: 30px; border: 1px solid #e5e5e5; border-top: none; border-radius: 0 0 10px 10px;">
+              <h2 style="color: #333; margin-top: 0;">Hi ${escapeHtml(name || 'there')},</h2>
+
+              <p style="font-size: 16px; color: #666;">
+                Here's how your ${formatCount(report.total_links, 'link')} performed last week.
+              </p>
+
+              <table style="width: 100%; border-collapse: separate; border-spacing: 10px 0;">
+                <tr>${statHtml('Clicks', report.clicks)}${statHtml('Unique visitors', report.unique_visitors)}
+                </tr>
+              </table>
+              ${listHtml('Top links', report.top_links, link => link.title ? `${link.path} (${link.title})` : link.path)}
+              ${listHtml('Top countries', report.top_countries, country => country.country)}
+              ${listHtml('Top referrers', report.top_referrers, referrer => referrer.source)}
+
+              <div style="text-align: center; margin: 30px 0 10px;">
+                <a href="${escapeHtml(analyticsUrl)}" style="display: inline-block; padding: 14px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px;">
+                  View Full Analytics
+                </a>
+              </div>
+            </div>
+
+            <div style="text-align: center; margin-top: 20px;">
+              <p style="font-size: 12px; color: #999;">
+                Weeks run Monday to Sunday in ${escapeHtml(report.period.timezone)}. <a href="${escapeHtml(settingsUrl)}" style="color: #999;">Change your email settings</a> or <a href="${escapeHtml(unsubscribeUrl)}" style="color: #999;">unsubscribe from weekly reports</a>
+              </p>
+              <p style="font-size: 12px; color: #999;">
+                © ${new Date().getFullYear()} WordsTo.Link. All rights reserved.
+              </p>
+            </div>
+          </body>
+          </html>
+        `;
+
+    const listText = (title, rows, label) => (rows.length === 0 ? [] : [
+        '',
+        `${title}:`,
+        ...rows.map(row => `- ${label(row)}: ${formatCount(row.clicks, 'click')}`)
+    ]);
+
+    const text = [
+        `Your weekly report, ${period}`,
+        '',
+        `Clicks: ${report.clicks.current.toLocaleString('en-US')} (${formatChange(report.clicks.change_percent)} vs previous week)`,
+        `Unique visitors: ${report.unique_visitors.current.toLocaleString('en-US')} (${formatChange(report.unique_visitors.change_percent)} vs previous week)`,
+        `Links: ${report.total_links.toLocaleString('en-US')}`,
+        ...listText('Top links', report.top_links, link => link.path),
+        ...listText('Top countries', report.top_countries, country => country.country),
+        ...listText('Top referrers', report.top_referrers, referrer => referrer.source),
+        '',
+        `View full analytics: ${analyticsUrl}`,
+        `Weeks run Monday to Sunday in ${report.period.timezone}. Change your email settings: ${settingsUrl}`,
+        `Unsubscribe from weekly reports: ${unsubscribeUrl}`
+    ].join('\n');
+
+    return { subject, html, text, unsubscribeUrl };
+}
+
+// Sends last week's report to everyone due. Accounts without links are marked as done
+// without an email. Failed sends stay due, and fail the run so the scheduler retries them.
+export async function sendWeeklyReports(db, {
+    send = (...args) => EmailService.sendWeeklyReport(...args),
+    logger = console
+} = {}) {
+    const recipients = await getWeeklyReportRecipients(db);
+
+    let sent = 0;
+    let skipped = 0;
+    const failed = [];
+    for (const recipient of recipients) {
+        const report = await buildWeeklyReport(db, recipient);
+
+        if (report.total_links > 0) {
+            const outcome = await send(recipient, renderWeeklyReport(report, {
+                name: recipient.full_name || recipient.identifier,
+                unsubscribeUrl: buildUnsubscribeUrl(recipient.id, 'weekly_report')
+            }));
+            if (!outcome?.success) {
+                failed.push(recipient.id);
+                continue;
+            }
+            sent++;
+        } else {
+            skipped++;
+        }
+
+        await db.query(
+            'UPDATE users SET weekly_report_sent_for = $2::date WHERE id = $1',
+            [recipient.id, recipient.week_start]
+        );
+    }
+
+    logger.info(`Weekly reports: ${sent} sent, ${skipped} without links, ${failed.length} failed`);
+    if (failed.length > 0) {
+        throw new Error(`Weekly report failed for ${failed.length} of ${recipients.length} user(s)`);
+    }
+    return { sent, skipped };
+}
+
+// Last week's report for one user, whether or not they receive it
+export async function getWeeklyReportPreview(db, userId) {
+    const result = await db.query(`${REPORT_WEEKS} WHERE id = $1`, [userId]);
+    const recipient = result.rows[0];
+    if (!recipient) {
+        return null;
+    }
+
+    const report = await buildWeeklyReport(db, recipient);
+    return {
+        report,
+        ...renderWeeklyReport(report, {
+            name: recipient.full_name || recipient.identifier,
+            unsubscribeUrl: buildUnsubscribeUrl(userId, 'weekly_report')
+        })
+    };
+}
+
+function formatPeriod({ start, end }) {
+    const format = (date, options) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+    return `${format(start, { month: 'short', day: 'numeric' })} – ${format(end, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+}
+
+function formatCount(count, noun) {
+    return `${Number(count).toLocaleString('en-US')} ${noun}${Number(count) === 1 ? '' : 's'}`;
+}
+
+function formatChange(percent) {
+    return `${percent > 0 ? '+' : ''}${percent}%`;
+}
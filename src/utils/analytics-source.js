@@ -0,0 +1,164 @@
+import { config } from '../config/index.js';
+
+// Columns each rollup dimension groups by, on top of is_bot and bot_category
+export const ROLLUP_DIMENSIONS = {
+    total: [],
+    country: ['country_code', 'country_name'],
+    device: ['device_type', 'browser_name', 'os_name'],
+    referrer: ['referer'],
+    campaign: ['utm_source', 'utm_medium', 'utm_campaign'],
+    rule: ['matched_rule_id'],
+    variant: ['variant_id']
+};
+
+const GROUP_COLUMNS = ['is_bot', 'bot_category', ...new Set(Object.values(ROLLUP_DIMENSIONS).flat())];
+
+// The links whose clicks are read: link $1, or every link of the account $1
+const LINK_SCOPES = {
+    link: '= $1',
+    account: 'IN (SELECT id FROM shortened_urls WHERE user_id = $1)'
+};
+
+const SUM_COLUMNS = ['clicks', 'visitor_ids', 'cities', 'response_time_sum', 'response_time_count', 'first_click', 'last_click'];
+
+// Rollups pay off once a range spans days; shorter ranges and minute buckets read raw events.
+// Daily rows can only serve time buckets of a day or more.
+export function planAnalyticsSource(startDate, endDate, interval = null, {
+    minRangeHours = config.analytics.rollupMinRangeHours
+} = {}) {
+    const rangeHours = (endDate - startDate) / 3600000;
+    if (rangeHours < minRangeHours || interval === 'minute') {
+        return { rollups: false, daily: false };
+    }
+    return { rollups: true, daily: !interval || ['day', 'week', 'month'].includes(interval) };
+}
+
+// A CTE named `events` with the clicks of link $1 (or with scope 'account', of every link of
+// user $1) between $2 and $3 (inclusive), one row per
+// visitor: visitor_id plus clicks, cities, response times and first/last click on the first row
+// of each source row only, so SUM(clicks), COUNT(DISTINCT visitor_id), MIN/MAX and unnest(cities)
+// give the same answer whatever the rows came from. dimension is NULL on raw rows, which serve
+// every dimension; queries keep to theirs with dimensionFilter().
+//
+// With rollups the range is covered by daily rows for whole days, hourly rows for the rest of
+// the whole hours and raw events for the partial hours at either end. Hours listed in
+// analytics_rollup_dirty (events changed since the last rollup run) and the days they fall in
+// are read from raw events instead, so the result matches a raw query exactly.
+export function analyticsSource(plan, dimensions, { scope = 'link' } = {}) {
+    const links = LINK_SCOPES[scope];
+    if (!links) {
+        throw new Error(`Unknown analytics scope: ${scope}`);
+    }
+    dimensions.forEach(dimension => {
+        if (!ROLLUP_DIMENSIONS[dimension]) {
+            throw new Error(`Unknown analytics dimension: ${dimension}`);
+        }
+    });
+
+    const rows = plan.rollups ? rollupRows(plan, dimensions, links) : rawRows(links, 'e.clicked_at BETWEEN $2 AND $3');
+
+    return `events AS (
+        WITH ${plan.rollups ? `${rollupBounds(links)},` : ''}
+        source AS (${rows})
+        SELECT source.shortened_url_id, source.dimension, source.bucket, ${GROUP_COLUMNS.map(column => `source.${column}`).join(', ')},
+               visitor.visitor_id,
+               ${firstRowOnly('clicks', '0')},
+               ${firstRowOnly('cities', "'{}'::text[]")},
+               ${firstRowOnly('response_time_sum', '0')},
+               ${firstRowOnly('response_time_count', '0')},
+               source.first_click,
+               source.last_click
+        FROM source
+        LEFT JOIN LATERAL unnest(source.visitor_ids) WITH ORDINALITY AS visitor(visitor_id, seq) ON true
+    )`;
+}
+
+export function dimensionFilter(...dimensions) {
+    return `(dimension IS NULL OR dimension IN (${dimensions.map(dimension => `'${dimension}'`).join(', ')}))`;
+}
+
+// include_bots is true (keep everything), false (people only) or a list of bot categories to keep alongside people
+export function getBotFilter(includeBots, params) {
+    if (includeBots === true) {
+        return '';
+    }
+    if (Array.isArray(includeBots) && includeBots.length > 0) {
+        params.push(includeBots);
+        return `AND (is_bot = false OR bot_category = ANY($${params.length}::text[]))`;
+    }
+    return 'AND is_bot = false';
+}
+
+// AVG(response_time_ms) over the source rows
+export const AVG_RESPONSE_TIME = 'SUM(response_time_sum)::numeric / NULLIF(SUM(response_time_count), 0)';
+
+function firstRowOnly(column, empty) {
+    return `CASE WHEN visitor.seq > 1 THEN ${empty} ELSE source.${column} END AS ${column}`;
+}
+
+function rawRows(links, condition, from = 'analytics_events e') {
+    return `SELECT e.shortened_url_id, NULL::varchar AS dimension, e.clicked_at AS bucket,
+               ${GROUP_COLUMNS.map(column => `e.${column}`).join(', ')},
+               1::bigint AS clicks,
+               CASE WHEN e.visitor_id IS NULL THEN '{}'::text[] ELSE ARRAY[e.visitor_id::text] END AS visitor_ids,
+               CASE WHEN e.city IS NULL THEN '{}'::text[] ELSE ARRAY[e.city::text] END AS cities,
+               COALESCE(e.response_time_ms, 0)::bigint AS response_time_sum,
+               (e.response_time_ms IS NOT NULL)::int::bigint AS response_time_count,
+               e.clicked_at AS first_click,
+               e.clicked_at AS last_click
+        FROM ${from}
+        WHERE e.shortened_url_id ${links} AND ${condition}`;
+}
+
+function rollupSelect(table, dimensions, links, condition) {
+    return `SELECT r.shortened_url_id, r.dimension, r.bucket, ${GROUP_COLUMNS.map(column => `r.${column}`).join(', ')},
+               ${SUM_COLUMNS.map(column => `r.${column}`).join(', ')}
+        FROM ${table} r
+        WHERE r.shortened_url_id ${links}
+          AND r.dimension IN (${dimensions.map(dimension => `'${dimension}'`).join(', ')})
+          AND ${condition}`;
+}
+
+// hour_from..hour_to are the whole hours inside the range and day_from..day_to the whole days;
+// both are empty when the range is too short to hold one
+function rollupBounds(links) {
+    return `bounds AS (
+            SELECT hour_from, GREATEST(date_trunc('hour', $3::timestamptz), hour_from) AS hour_to,
+                   day_from, GREATEST(date_trunc('day', $3::timestamptz), day_from) AS day_to
+            FROM (SELECT
+                date_trunc('hour', $2::timestamptz + interval '1 hour' - interval '1 microsecond') AS hour_from,
+                date_trunc('day', $2::timestamptz + interval '1 day' - interval '1 microsecond') AS day_from
+            ) starts
+        ),
+        dirty_hours AS (
+            SELECT d.shortened_url_id, d.bucket FROM analytics_rollup_dirty d, bounds b
+            WHERE d.shortened_url_id ${links} AND d.bucket >= b.hour_from AND d.bucket < b.hour_to
+        )`;
+}
+
+// A whole day with no dirty hour for the rollup row's link is served by its daily rows
+function isCleanDay(day) {
+    return `(${day} >= (SELECT day_from FROM bounds) AND ${day} < (SELECT day_to FROM bounds)
+            AND NOT EXISTS (SELECT 1 FROM dirty_hours dirty WHERE dirty.shortened_url_id = r.shortened_url_id
+                AND dirty.bucket >= ${day} AND dirty.bucket < ${day} + interval '1 day'))`;
+}
+
+function rollupRows(plan, dimensions, links) {
+    const parts = [];
+    if (plan.daily) {
+        parts.push(rollupSelect('analytics_rollups_daily', dimensions, links, isCleanDay('r.bucket')));
+    }
+    parts.push(rollupSelect('analytics_rollups_hourly', dimensions, links, `r.bucket >= (SELECT hour_from FROM bounds)
+          AND r.bucket < (SELECT hour_to FROM bounds)
+          AND NOT EXISTS (SELECT 1 FROM dirty_hours dirty WHERE dirty.shortened_url_id = r.shortened_url_id AND dirty.bucket = r.bucket)
+          ${plan.daily ? `AND NOT ${isCleanDay("date_trunc('day', r.bucket)")}` : ''}`));
+    parts.push(rawRows(links, 'e.clicked_at >= $2 AND e.clicked_at < (SELECT hour_from FROM bounds)'));
+    parts.push(rawRows(links, 'e.clicked_at >= (SELECT hour_to FROM bounds) AND e.clicked_at <= $3'));
+    parts.push(rawRows(
+        links,
+        "e.clicked_at >= dirty.bucket AND e.clicked_at < dirty.bucket + interval '1 hour'",
+        'dirty_hours dirty JOIN analytics_events e ON e.shortened_url_id = dirty.shortened_url_id'
+    ));
+
+    return parts.join('\n        UNION ALL\n        ');
+}
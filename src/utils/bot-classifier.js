@@ -0,0 +1,105 @@
+import { readFileSync } from 'fs';
+import { BlockList, isIP } from 'net';
+import { config } from '../config/index.js';
+
+export const HUMAN = 'human';
+export const BOT_CATEGORIES = ['search_crawler', 'social_unfurler', 'monitor', 'headless', 'scanner', 'other_bot'];
+export const TRAFFIC_CATEGORIES = [...BOT_CATEGORIES, HUMAN];
+
+// A classifier is { classify({ userAgent, ip }) } returning one of TRAFFIC_CATEGORIES
+let classifier = null;
+
+export function setBotClassifier(nextClassifier) {
+    classifier = nextClassifier;
+}
+
+export function getBotClassifier() {
+    if (!classifier) {
+        // Overrides come first so a deployment can reclassify anything the defaults match
+        classifier = createBotClassifier(
+            loadBotRules(config.bots.overridesPath),
+            loadBotRules(config.bots.rulesPath)
+        );
+    }
+    return classifier;
+}
+
+export function classifyTraffic({ userAgent, ip } = {}) {
+    return getBotClassifier().classify({ userAgent, ip });
+}
+
+export function isBotCategory(category) {
+    return BOT_CATEGORIES.includes(category);
+}
+
+// Rule sets look like data/bot-rules.json: { ip_ranges: [{ category, cidrs }], user_agents: [{ category, patterns }] }.
+// They are checked in the order given, IP ranges before User-Agent patterns, and the first match wins.
+export function createBotClassifier(...ruleSets) {
+    const matchers = ruleSets.filter(Boolean).flatMap(ruleSet => [
+        ...(ruleSet.ip_ranges || []).map(compileIpRange),
+        ...(ruleSet.user_agents || []).map(compileUserAgentRule)
+    ]);
+
+    return {
+        classify({ userAgent, ip } = {}) {
+            const match = matchers.find(matcher => matcher.matches({ userAgent: userAgent || '', ip }));
+            if (match) {
+                return match.category;
+            }
+            // Every browser sends a User-Agent
+            return userAgent ? HUMAN : 'other_bot';
+        }
+    };
+}
+
+export function loadBotRules(path, logger = console) {
+    if (!path) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+        logger.warn(`Bot rules ${path} unavailable: ${error.message}`);
+        return null;
+    }
+}
+
+function compileUserAgentRule({ category, patterns = [] }) {
+    assertCategory(category);
+    const regexes = patterns.map(pattern => new RegExp(pattern, 'i'));
+
+    return {
+        category,
+        matches: ({ userAgent }) => regexes.some(regex => regex.test(userAgent))
+    };
+}
+
+function compileIpRange({ category, cidrs = [] }) {
+    assertCategory(category);
+    const blockList = new BlockList();
+
+    for (const cidr of cidrs) {
+        const [network, prefix] = cidr.split('/');
+        const family = isIP(network) === 6 ? 'ipv6' : 'ipv4';
+        if (prefix === undefined) {
+            blockList.addAddress(network, family);
+        } else {
+            blockList.addSubnet(network, parseInt(prefix, 10), family);
+        }
+    }
+
+    return {
+        category,
+        matches: ({ ip }) => {
+            const family = ip ? isIP(ip) : 0;
+            return family !== 0 && blockList.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+        }
+    };
+}
+
+function assertCategory(category) {
+    if (!TRAFFIC_CATEGORIES.includes(category)) {
+        throw new Error(`Unknown traffic category: ${category}`);
+    }
+}
@@ -0,0 +1,107 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week) evaluated in UTC.
+// Fields take *, numbers, ranges (1-5), steps (*/15, 0-30/10) and lists (1,15); day-of-week
+// is 0-7 with both 0 and 7 meaning Sunday.
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+// Far enough for any expression that can match at all (29 February comes back within 8 years)
+const SEARCH_LIMIT_MS = 8 * 366 * 24 * 3600000;
+
+export function parseCron(expression) {
+    const source = SHORTCUTS[String(expression).trim()] || String(expression).trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index], expression));
+    if (weekdays.has(7)) {
+        weekdays.add(0);
+    }
+
+    return {
+        expression,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // With both day fields restricted a day matches either one, as in crontab
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+}
+
+function parseField(part, field, expression) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+        const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid cron expression "${expression}": bad ${field.name} "${item}"`);
+        }
+
+        const [, range, from, to, step] = match;
+        const start = range === '*' ? field.min : parseInt(from);
+        const end = range === '*' ? field.max : (to !== undefined ? parseInt(to) : (step ? field.max : start));
+        const increment = step ? parseInt(step) : 1;
+
+        if (start < field.min || end > field.max || start > end || increment < 1) {
+            throw new Error(`Invalid cron expression "${expression}": ${field.name} out of range in "${item}"`);
+        }
+        for (let value = start; value <= end; value += increment) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+function matchesDay(schedule, date) {
+    const day = schedule.days.has(date.getUTCDate());
+    const weekday = schedule.weekdays.has(date.getUTCDay());
+    if (schedule.anyDay && schedule.anyWeekday) return true;
+    if (schedule.anyDay) return weekday;
+    if (schedule.anyWeekday) return day;
+    return day || weekday;
+}
+
+// The first whole minute strictly after `after` that the schedule matches
+export function nextCronTime(schedule, after = new Date()) {
+    const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+    while (date.getTime() <= limit) {
+        if (!parsed.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!matchesDay(parsed, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!parsed.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!parsed.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    throw new Error(`Cron expression "${parsed.expression}" never matches`);
+}
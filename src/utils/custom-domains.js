@@ -0,0 +1,66 @@
+import { promises as dns } from 'dns';
+import { randomBytes } from 'crypto';
+
+// Owners prove control by publishing the token at _wordsto-link.<domain>
+export const VERIFICATION_RECORD_PREFIX = '_wordsto-link';
+export const VERIFICATION_TOKEN_PREFIX = 'wordsto-link-verification=';
+
+const PRIMARY_HOSTS = ['wordsto.link', 'www.wordsto.link', 'localhost', '127.0.0.1', '::1'];
+
+// DNS answers that simply mean "no such record"
+const MISSING_RECORD_CODES = new Set(['ENOTFOUND', 'ENODATA', 'NXDOMAIN']);
+
+export function normalizeHost(host) {
+    if (!host) return '';
+
+    let normalized = String(host).trim().toLowerCase();
+    if (normalized.startsWith('[')) {
+        normalized = normalized.slice(1, normalized.indexOf(']'));
+    } else {
+        normalized = normalized.replace(/:\d+$/, '');
+    }
+
+    return normalized.replace(/\.$/, '');
+}
+
+// Hosts that serve the shared namespace; every other host is looked up as a custom domain
+export function isPrimaryHost(host) {
+    const normalized = normalizeHost(host);
+    if (!normalized || PRIMARY_HOSTS.includes(normalized)) {
+        return true;
+    }
+
+    if (process.env.SHORT_URL_BASE) {
+        try {
+            return normalizeHost(new URL(process.env.SHORT_URL_BASE).host) === normalized;
+        } catch {
+            return false;
+        }
+    }
+
+    return false;
+}
+
+export function getVerificationRecordName(domain) {
+    return `${VERIFICATION_RECORD_PREFIX}.${domain}`;
+}
+
+export function createVerificationToken() {
+    return `${VERIFICATION_TOKEN_PREFIX}${randomBytes(16).toString('hex')}`;
+}
+
+// resolveTxt matches dns.promises.resolveTxt and is swapped out in tests
+export async function hasVerificationRecord(domain, token, resolveTxt = dns.resolveTxt) {
+    let records;
+    try {
+        records = await resolveTxt(getVerificationRecordName(domain));
+    } catch (err) {
+        if (MISSING_RECORD_CODES.has(err?.code)) {
+            return false;
+        }
+        throw err;
+    }
+
+    // Long TXT records come back split into chunks
+    return records.some(chunks => [].concat(chunks).join('').trim() === token);
+}
@@ -1,20 +1,133 @@
+import maxmind from 'maxmind';
+import { config } from '../config/index.js';
 import { isPrivateIp } from './request-utils.js';
 
 const geoCache = new Map();
 const CACHE_TTL = 24 * 60 * 60 * 1000;
 
+const EMPTY_GEO = Object.freeze({
+    country_code: null,
+    country_name: null,
+    city: null,
+    region: null,
+    postal_code: null,
+    latitude: null,
+    longitude: null,
+    timezone: null,
+    asn: null,
+    as_organization: null
+});
+
+// A provider is { name, lookup(ip) } where lookup resolves to any subset of EMPTY_GEO's fields
+let provider = null;
+
+export function setGeoProvider(nextProvider) {
+    provider = nextProvider;
+    clearGeoCache();
+}
+
+export function getGeoProvider() {
+    if (!provider) {
+        provider = createGeoProvider(config.geo);
+    }
+    return provider;
+}
+
+export function createGeoProvider(options = {}) {
+    switch (options.provider) {
+        case 'http':
+            return createHttpGeoProvider(options);
+        case 'none':
+            return { name: 'none', lookup: async () => ({}) };
+        default:
+            return createMmdbGeoProvider(options);
+    }
+}
+
+// Reads MaxMind-format City and ASN databases from disk; both files are reloaded when replaced.
+// A missing file is retried every retryInterval ms, so downloading it later is enough.
+export function createMmdbGeoProvider({
+    cityDbPath,
+    asnDbPath,
+    open = maxmind.open,
+    retryInterval = 60 * 1000,
+    logger = console
+} = {}) {
+    const readers = new Map();
+    const failedAt = new Map();
+
+    const getReader = (path) => {
+        if (!path || Date.now() - (failedAt.get(path) ?? -Infinity) < retryInterval) {
+            return Promise.resolve(null);
+        }
+        if (!readers.has(path)) {
+            readers.set(path, open(path, {
+                watchForUpdates: true,
+                watchForUpdatesNonPersistent: true,
+                watchForUpdatesHook: () => clearGeoCache()
+            }).catch(error => {
+                logger.warn(`Geo database ${path} unavailable: ${error.message}`);
+                readers.delete(path);
+                failedAt.set(path, Date.now());
+                return null;
+            }));
+        }
+        return readers.get(path);
+    };
+
+    return {
+        name: 'mmdb',
+        async lookup(ip) {
+            const [cityReader, asnReader] = await Promise.all([getReader(cityDbPath), getReader(asnDbPath)]);
+            return {
+                ...mapCityRecord(cityReader?.get(ip)),
+                ...mapAsnRecord(asnReader?.get(ip))
+            };
+        }
+    };
+}
+
+// Opt-in only: sends visitor IPs to a third party
+export function createHttpGeoProvider({ httpUrl = 'http://ip-api.com/json', timeout = 2000, fetchImpl = fetch } = {}) {
+    return {
+        name: 'http',
+        async lookup(ip) {
+            const response = await fetchImpl(`${httpUrl}/${ip}?fields=status,country,countryCode,regionName,city,zip,lat,lon,timezone,as,org,isp`, {
+                signal: AbortSignal.timeout(timeout)
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (data.status === 'fail') {
+                throw new Error('IP lookup failed');
+            }
+
+            // `as` looks like "AS15169 Google LLC"
+            const asn = /^AS(\d+)/.exec(data.as || '');
+
+            return {
+                country_code: data.countryCode || null,
+                country_name: data.country || null,
+                city: data.city || null,
+                region: data.regionName || null,
+                postal_code: data.zip || null,
+                latitude: data.lat ?? null,
+                longitude: data.lon ?? null,
+                timezone: data.timezone || null,
+                asn: asn ? parseInt(asn[1], 10) : null,
+                as_organization: data.org || data.isp || null
+            };
+        }
+    };
+}
+
 export async function getGeoLocation(ip) {
     if (!ip || isPrivateIp(ip)) {
-        return {
-            country_code: null,
-            country_name: null,
-            city: null,
-            region: null,
-            postal_code: null,
-            latitude: null,
-            longitude: null,
-            timezone: null
-        };
+        return { ...EMPTY_GEO };
     }
 
     const cached = geoCache.get(ip);
@@ -23,31 +136,14 @@ export async function getGeoLocation(ip) {
     }
 
     try {
-        const response = await fetch(`http://ip-api.com/json/${ip}?fields=status,country,countryCode,region,regionName,city,zip,lat,lon,timezone`, {
-            signal: AbortSignal.timeout(2000)
-        });
+        const found = await getGeoProvider().lookup(ip);
+        const geoData = { ...EMPTY_GEO, ...found };
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+        // Nothing found usually means a database is still missing; don't pin that for a day
+        if (Object.keys(found).length === 0) {
+            return geoData;
         }
 
-        const data = await response.json();
-
-        if (data.status === 'fail') {
-            throw new Error('IP lookup failed');
-        }
-
-        const geoData = {
-            country_code: data.countryCode || null,
-            country_name: data.country || null,
-            city: data.city || null,
-            region: data.regionName || null,
-            postal_code: data.zip || null,
-            latitude: data.lat || null,
-            longitude: data.lon || null,
-            timezone: data.timezone || null
-        };
-
         geoCache.set(ip, {
             data: geoData,
             timestamp: Date.now()
@@ -61,24 +157,48 @@ export async function getGeoLocation(ip) {
         return geoData;
     } catch (error) {
         console.debug(`Geo lookup failed for ${ip}:`, error.message);
-        
-        return {
-            country_code: null,
-            country_name: null,
-            city: null,
-            region: null,
-            postal_code: null,
-            latitude: null,
-            longitude: null,
-            timezone: null
-        };
+        return { ...EMPTY_GEO };
     }
 }
 
+// Network owner of an IP, e.g. { asn: 15169, as_organization: 'Google LLC' }
+export async function getAsnInfo(ip) {
+    const { asn, as_organization } = await getGeoLocation(ip);
+    return { asn, as_organization };
+}
+
 export function clearGeoCache() {
     geoCache.clear();
 }
 
 export function getGeoCacheSize() {
     return geoCache.size;
-}
\ No newline at end of file
+}
+
+function mapCityRecord(record) {
+    if (!record) {
+        return {};
+    }
+
+    return {
+        country_code: record.country?.iso_code || record.registered_country?.iso_code || null,
+        country_name: record.country?.names?.en || record.registered_country?.names?.en || null,
+        city: record.city?.names?.en || null,
+        region: record.subdivisions?.[0]?.names?.en || null,
+        postal_code: record.postal?.code || null,
+        latitude: record.location?.latitude ?? null,
+        longitude: record.location?.longitude ?? null,
+        timezone: record.location?.time_zone || null
+    };
+}
+
+function mapAsnRecord(record) {
+    if (!record) {
+        return {};
+    }
+
+    return {
+        asn: record.autonomous_system_number ?? null,
+        as_organization: record.autonomous_system_organization || null
+    };
+}
@@ -0,0 +1,18 @@
+export function isExpiredByDate(link, now = new Date()) {
+    return Boolean(link?.expires_at) && new Date(link.expires_at) <= now;
+}
+
+export function hasClickLimit(link) {
+    return link?.max_clicks !== null && link?.max_clicks !== undefined;
+}
+
+export function getRemainingClicks(link) {
+    if (!hasClickLimit(link)) {
+        return null;
+    }
+    return Math.max(0, link.max_clicks - (parseInt(link.click_count) || 0));
+}
+
+export function isExhausted(link) {
+    return hasClickLimit(link) && getRemainingClicks(link) === 0;
+}
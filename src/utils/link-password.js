@@ -0,0 +1,41 @@
+import bcrypt from 'bcryptjs';
+import { config } from '../config/index.js';
+
+const UNLOCK_COOKIE_PREFIX = 'wtl_unlock_';
+
+// How long a correct password keeps the link open in that browser
+export const UNLOCK_TTL_SECONDS = 60 * 60;
+
+// Wrong attempts allowed per IP before the unlock form stops accepting passwords
+export const UNLOCK_ATTEMPT_LIMIT = 10;
+export const UNLOCK_ATTEMPT_WINDOW_SECONDS = 15 * 60;
+
+export async function hashLinkPassword(password) {
+    return bcrypt.hash(password, config.auth.bcryptRounds);
+}
+
+export async function verifyLinkPassword(password, passwordHash) {
+    if (!password || !passwordHash) return false;
+    return bcrypt.compare(password, passwordHash);
+}
+
+export function getUnlockCookieName(linkId) {
+    return `${UNLOCK_COOKIE_PREFIX}${linkId}`;
+}
+
+// The expiry is part of the signed value so a cookie kept past its max-age
+// still stops working
+export function createUnlockToken(linkId, now = Date.now()) {
+    return `${linkId}.${now + UNLOCK_TTL_SECONDS * 1000}`;
+}
+
+export function isUnlockTokenValid(token, linkId, now = Date.now()) {
+    if (typeof token !== 'string') return false;
+    const separator = token.lastIndexOf('.');
+    if (separator === -1) return false;
+
+    const tokenLinkId = token.slice(0, separator);
+    const expiresAt = parseInt(token.slice(separator + 1), 10);
+
+    return tokenLinkId === String(linkId) && Number.isFinite(expiresAt) && expiresAt > now;
+}
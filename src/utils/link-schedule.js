@@ -0,0 +1,53 @@
+// Upper bound for how long a resolved link may be cached, in seconds
+export const DEFAULT_CACHE_TTL = 3600;
+
+export function getSchedule(link) {
+    const schedule = link?.destination_schedule;
+    if (!Array.isArray(schedule)) {
+        return [];
+    }
+    return schedule
+        .filter(entry => entry && entry.starts_at && entry.destination_url)
+        .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+}
+
+export function isNotStarted(link, now = new Date()) {
+    return Boolean(link?.starts_at) && new Date(link.starts_at) > now;
+}
+
+// The latest entry that has started replaces original_url; before the first
+// entry the link keeps its own destination
+export function getScheduledDestination(link, now = new Date()) {
+    let destination = link.original_url;
+    for (const entry of getSchedule(link)) {
+        if (new Date(entry.starts_at) > now) break;
+        destination = entry.destination_url;
+    }
+    return destination;
+}
+
+export function getNextBoundary(link, now = new Date()) {
+    const candidates = [
+        link?.starts_at,
+        link?.expires_at,
+        ...getSchedule(link).map(entry => entry.starts_at)
+    ]
+        .filter(Boolean)
+        .map(value => new Date(value))
+        .filter(date => date > now);
+
+    if (candidates.length === 0) {
+        return null;
+    }
+    return new Date(Math.min(...candidates.map(date => date.getTime())));
+}
+
+// Cached copies of a link must not outlive its next starts_at, schedule entry or expires_at
+export function getCacheTtl(link, now = new Date(), maxTtl = DEFAULT_CACHE_TTL) {
+    const boundary = getNextBoundary(link, now);
+    if (!boundary) {
+        return maxTtl;
+    }
+    const seconds = Math.ceil((boundary.getTime() - now.getTime()) / 1000);
+    return Math.max(1, Math.min(maxTtl, seconds));
+}
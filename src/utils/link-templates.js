@@ -0,0 +1,34 @@
+// Marks a template link in paths and patterns: `acme/gh/*`
+export const TEMPLATE_WILDCARD = '*';
+
+// Prefixes a template could be stored under for this path, longest first.
+// A template needs at least one segment left over to capture.
+export function getTemplatePrefixes(segments) {
+    const prefixes = [];
+    for (let length = segments.length - 1; length >= 1; length--) {
+        prefixes.push(segments.slice(0, length).join('/'));
+    }
+    return prefixes;
+}
+
+// The path segments after the template's own identifier and keywords
+export function getTemplateCaptures(link, segments) {
+    if (!link?.is_template || !Array.isArray(link.keywords)) {
+        return [];
+    }
+    const offset = (link.identifier ? 1 : 0) + link.keywords.length;
+    return segments.slice(offset);
+}
+
+// {1}, {2}, ... are single captured segments; {*} is all of them joined by `/`
+export function expandTemplate(url, captures) {
+    if (!url || captures.length === 0) {
+        return url;
+    }
+    return url
+        .replace(/\{\*\}/g, captures.map(encodeURIComponent).join('/'))
+        .replace(/\{(\d+)\}/g, (match, index) => {
+            const value = captures[parseInt(index, 10) - 1];
+            return value === undefined ? '' : encodeURIComponent(value);
+        });
+}
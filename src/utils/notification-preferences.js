@@ -0,0 +1,49 @@
+export const NOTIFICATION_CHANNELS = ['email'];
+
+// Notifications a user can turn off, with what they get before choosing. Transactional email
+// (verification, password reset, welcome) is not listed here and is always sent.
+export const NOTIFICATION_EVENTS = {
+    account_alerts: { description: 'Important account activity', default: true },
+    link_expiry: { description: 'Daily digest of links that expire within 7 days', default: true },
+    weekly_report: { description: 'Weekly analytics summary', default: false },
+    marketing: { description: 'Tips and product updates', default: false }
+};
+
+// Stored with event '*', a channel switch turns every event off on that channel
+export const ALL_EVENTS = '*';
+
+// Stored rows ({ channel, event, enabled }) over the defaults
+export function resolveNotificationPreferences(rows = []) {
+    const stored = new Map(rows.map(row => [`${row.channel}:${row.event}`, row.enabled]));
+
+    return {
+        channels: Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [
+            channel,
+            stored.get(`${channel}:${ALL_EVENTS}`) ?? true
+        ])),
+        events: Object.fromEntries(Object.entries(NOTIFICATION_EVENTS).map(([event, { default: enabled }]) => [
+            event,
+            Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [
+                channel,
+                stored.get(`${channel}:${event}`) ?? enabled
+            ]))
+        ]))
+    };
+}
+
+export function isNotificationAllowed(preferences, event, channel = 'email') {
+    return preferences.channels[channel] === true && preferences.events[event]?.[channel] === true;
+}
+
+// SQL condition that a user (by id column) receives an event; for queries that pick recipients
+export function notificationEnabledSql(event, userIdColumn, channel = 'email') {
+    if (!NOTIFICATION_EVENTS[event] || !NOTIFICATION_CHANNELS.includes(channel)) {
+        throw new Error(`Unknown notification: ${channel} ${event}`);
+    }
+
+    const stored = (name) => `(SELECT np.enabled FROM notification_preferences np
+            WHERE np.user_id = ${userIdColumn} AND np.channel = '${channel}' AND np.event = '${name}')`;
+
+    return `COALESCE(${stored(ALL_EVENTS)}, true)
+           AND COALESCE(${stored(event)}, ${NOTIFICATION_EVENTS[event].default})`;
+}
@@ -0,0 +1,91 @@
+import { isIP } from 'net';
+import { config } from '../config/index.js';
+
+export const PRIVACY_MODES = ['standard', 'strict'];
+
+// What each mode keeps from a click
+const PRIVACY_PRESETS = {
+    standard: {
+        ip_storage: 'full',
+        precise_geo: true,
+        store_user_agent: true,
+        honor_do_not_track: false
+    },
+    strict: {
+        ip_storage: 'truncated',
+        precise_geo: false,
+        store_user_agent: false,
+        honor_do_not_track: true
+    }
+};
+
+// An account's own mode wins over the deployment's
+export function getPrivacyPolicy(accountMode = null, deploymentMode = config.privacy.mode) {
+    const mode = [accountMode, deploymentMode].find(candidate => PRIVACY_MODES.includes(candidate)) || 'standard';
+    return { mode, ...PRIVACY_PRESETS[mode] };
+}
+
+// DNT: 1 and Sec-GPC: 1 both ask not to be tracked
+export function isTrackingRefused(headers = {}, policy) {
+    if (!policy?.honor_do_not_track) {
+        return false;
+    }
+    return headers.dnt === '1' || headers['sec-gpc'] === '1';
+}
+
+// Keeps the network part only: /24 for IPv4, /48 for IPv6
+export function truncateIp(ip) {
+    const address = String(ip || '').split('%')[0];
+
+    switch (isIP(address)) {
+        case 4:
+            return address.split('.').slice(0, 3).concat('0').join('.');
+        case 6: {
+            const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+            if (mapped) {
+                return `::ffff:${truncateIp(mapped[1])}`;
+            }
+            return `${expandIpv6(address).slice(0, 3).join(':')}::`;
+        }
+        default:
+            return null;
+    }
+}
+
+// Drops whatever the policy does not allow to be stored. Queued events carry their policy as `privacy`.
+export function applyPrivacyPolicy(event, policy = event.privacy) {
+    const { privacy, ...stored } = event;
+
+    if (!policy) {
+        return stored;
+    }
+
+    if (policy.ip_storage === 'truncated') {
+        stored.ip_address = truncateIp(stored.ip_address);
+    } else if (policy.ip_storage === 'none') {
+        stored.ip_address = null;
+    }
+
+    if (!policy.precise_geo) {
+        stored.city = null;
+        stored.postal_code = null;
+        stored.latitude = null;
+        stored.longitude = null;
+    }
+
+    if (!policy.store_user_agent) {
+        stored.user_agent = null;
+    }
+
+    return stored;
+}
+
+function expandIpv6(address) {
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+
+    return [...headGroups, ...Array(missing).fill('0'), ...tailGroups]
+        .map(group => parseInt(group, 16).toString(16));
+}
@@ -0,0 +1,45 @@
+export const QUERY_FORWARDING_MODES = ['none', 'merge', 'override'];
+
+// Parameters that drive the short link itself and never reach the destination
+const INTERNAL_PARAMS = new Set(['preview']);
+
+export function getForwardedParams(rawUrl) {
+    const queryIndex = rawUrl.indexOf('?');
+    const params = new URLSearchParams(queryIndex === -1 ? '' : rawUrl.slice(queryIndex + 1));
+    for (const name of INTERNAL_PARAMS) {
+        params.delete(name);
+    }
+    return params;
+}
+
+// merge keeps the destination's own values and adds the incoming parameters it
+// does not set; override replaces the destination's query string entirely
+export function applyQueryForwarding(destination, incoming, mode = 'none') {
+    if (mode === 'none' || !incoming || [...incoming.keys()].length === 0) {
+        return destination;
+    }
+
+    let url;
+    try {
+        url = new URL(destination);
+    } catch {
+        return destination;
+    }
+
+    if (mode === 'override') {
+        url.search = incoming.toString();
+        return url.toString();
+    }
+
+    if (mode === 'merge') {
+        const ownParams = new Set(url.searchParams.keys());
+        for (const [name, value] of incoming) {
+            if (!ownParams.has(name)) {
+                url.searchParams.append(name, value);
+            }
+        }
+        return url.toString();
+    }
+
+    return destination;
+}
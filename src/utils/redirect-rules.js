@@ -0,0 +1,120 @@
+import { parseAcceptLanguage } from './request-utils.js';
+
+export function getActiveRules(link) {
+    const rules = link?.redirect_rules;
+    if (!Array.isArray(rules)) {
+        return [];
+    }
+    return rules.filter(rule => rule && rule.is_active !== false && rule.destination_url);
+}
+
+export function needsGeoLookup(rules) {
+    return rules.some(rule => Array.isArray(rule.conditions?.countries) && rule.conditions.countries.length > 0);
+}
+
+export function buildRuleContext(request, userAgentData, geoData = null, now = new Date()) {
+    return {
+        device_type: userAgentData?.device_type || 'unknown',
+        os_name: userAgentData?.os_name || 'unknown',
+        country_code: geoData?.country_code || null,
+        language: parseAcceptLanguage(request.headers['accept-language']),
+        now
+    };
+}
+
+export function matchesRule(rule, context) {
+    const conditions = rule.conditions || {};
+
+    if (conditions.devices && !includesIgnoreCase(conditions.devices, context.device_type)) {
+        return false;
+    }
+
+    if (conditions.os && !includesIgnoreCase(conditions.os, context.os_name)) {
+        return false;
+    }
+
+    if (conditions.countries && !includesIgnoreCase(conditions.countries, context.country_code)) {
+        return false;
+    }
+
+    if (conditions.languages && !includesIgnoreCase(conditions.languages, context.language)) {
+        return false;
+    }
+
+    if (conditions.time && !isWithinTimeWindow(conditions.time, context.now)) {
+        return false;
+    }
+
+    return true;
+}
+
+// Rules are evaluated in order; the first match wins and the link's own
+// original_url is the default when nothing matches.
+export function selectDestination(link, context) {
+    for (const rule of getActiveRules(link)) {
+        if (matchesRule(rule, context)) {
+            return { destination: rule.destination_url, rule };
+        }
+    }
+
+    return { destination: link.original_url, rule: null };
+}
+
+export function isWithinTimeWindow(window, now = new Date()) {
+    const { day, minutes } = getLocalTime(now, window.timezone || 'UTC');
+
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    let inWindow;
+    let windowDay = day;
+    if (start <= end) {
+        inWindow = minutes >= start && minutes < end;
+    } else {
+        // Overnight window such as 22:00-06:00; the early-morning part
+        // belongs to the previous day's window
+        inWindow = minutes >= start || minutes < end;
+        if (minutes < end) {
+            windowDay = (day + 6) % 7;
+        }
+    }
+
+    if (!inWindow) {
+        return false;
+    }
+
+    if (Array.isArray(window.days) && window.days.length > 0) {
+        return window.days.includes(windowDay);
+    }
+
+    return true;
+}
+
+function getLocalTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = (type) => parts.find(p => p.type === type)?.value;
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    return {
+        day: weekdays.indexOf(get('weekday')),
+        minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+    };
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function includesIgnoreCase(list, value) {
+    if (!value) return false;
+    const normalized = String(value).toLowerCase();
+    return list.some(item => String(item).toLowerCase() === normalized);
+}
@@ -1,6 +1,11 @@
+import { createHmac } from 'crypto';
+import { config } from '../config/index.js';
 import UAParser from 'ua-parser-js';
+import { classifyTraffic, isBotCategory } from './bot-classifier.js';
 
 export function parseUserAgent(userAgentString) {
+    const bot_category = classifyTraffic({ userAgent: userAgentString });
+
     if (!userAgentString) {
         return {
             device_type: 'unknown',
@@ -8,25 +13,14 @@ export function parseUserAgent(userAgentString) {
             browser_version: null,
             os_name: 'unknown',
             os_version: null,
-            is_bot: false
+            is_bot: isBotCategory(bot_category),
+            bot_category
         };
     }
 
     const parser = new UAParser(userAgentString);
     const result = parser.getResult();
     
-    const botPatterns = [
-        /bot/i, /crawler/i, /spider/i, /scraper/i,
-        /facebookexternalhit/i, /whatsapp/i, /telegram/i,
-        /slackbot/i, /discord/i, /twitterbot/i,
-        /linkedinbot/i, /pinterest/i, /tumblr/i,
-        /google/i, /bing/i, /yandex/i, /baidu/i,
-        /duckduck/i, /archive\.org/i, /semrush/i,
-        /ahrefs/i, /moz\.com/i, /majestic/i
-    ];
-    
-    const is_bot = botPatterns.some(pattern => pattern.test(userAgentString));
-    
     let device_type = 'desktop';
     if (result.device.type) {
         device_type = result.device.type.toLowerCase();
@@ -44,10 +38,20 @@ export function parseUserAgent(userAgentString) {
         browser_version: result.browser.version || null,
         os_name: result.os.name || 'unknown',
         os_version: result.os.version || null,
-        is_bot
+        is_bot: isBotCategory(bot_category),
+        bot_category
     };
 }
 
+export const VISITOR_COOKIE_NAME = 'wtl_vid';
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// Browsers announce speculative loads, which may never be followed
+export function isPrefetchRequest(headers = {}) {
+    const purpose = headers['sec-purpose'] || headers.purpose || headers['x-purpose'] || headers['x-moz'];
+    return Boolean(purpose) && /prefetch|prerender|preview/i.test(purpose);
+}
+
 export function getClientIp(request) {
     const forwardedFor = request.headers['x-forwarded-for'];
     if (forwardedFor) {
@@ -158,20 +162,32 @@ export function isPrivateIp(ip) {
     return privateRanges.some(range => range.test(ip));
 }
 
-export function generateVisitorId(request) {
+// Salted hash of IP and User-Agent for visitors without a cookie. The window number is mixed
+// into the key, so the same visitor gets a new id each window and cannot be followed across them.
+export function generateVisitorId(request, {
+    salt = config.analytics.visitorIdSalt,
+    rotationHours = config.analytics.visitorIdRotationHours,
+    now = Date.now()
+} = {}) {
+    const window = Math.floor(now / (rotationHours * 60 * 60 * 1000));
     const components = [
         getClientIp(request),
-        request.headers['user-agent'],
-        request.headers['accept-language'],
-        request.headers['accept-encoding']
+        request.headers['user-agent']
     ].filter(Boolean);
     
-    const crypto = require('crypto');
-    return crypto
-        .createHash('sha256')
+    return createHmac('sha256', `${salt || ''}:${window}`)
         .update(components.join('|'))
-        .digest('hex')
-        .substring(0, 16);
+        .digest('base64url')
+        .substring(0, 22);
+}
+
+// Returning visitors keep their cookie id; everyone else gets the hashed id, which then seeds the cookie
+export function getVisitorId(request) {
+    const cookieId = request.cookies?.[VISITOR_COOKIE_NAME];
+    if (cookieId && VISITOR_ID_PATTERN.test(cookieId)) {
+        return cookieId;
+    }
+    return generateVisitorId(request);
 }
 
 export function getCookieOptions(isProduction = false) {
@@ -0,0 +1,53 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { config } from '../config/index.js';
+
+// Tokens for links in emails that act without a login: base64url JSON claims and an HMAC
+// over them. The purpose is signed too, so a token made for one action fails at any other.
+export function createSignedToken(purpose, claims, {
+    expiresInSeconds,
+    secret = config.email.tokenSecret,
+    now = Date.now()
+}) {
+    const payload = Buffer.from(JSON.stringify({
+        ...claims,
+        purpose,
+        exp: now + expiresInSeconds * 1000
+    })).toString('base64url');
+
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+// The claims of a valid, unexpired token for this purpose, otherwise null
+export function verifySignedToken(token, purpose, {
+    secret = config.email.tokenSecret,
+    now = Date.now()
+} = {}) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(sign(payload, secret));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+
+    if (claims?.purpose !== purpose || !Number.isFinite(claims.exp) || claims.exp <= now) {
+        return null;
+    }
+    return claims;
+}
+
+function sign(payload, secret) {
+    if (!secret) {
+        throw new Error('EMAIL_TOKEN_SECRET or JWT_SECRET must be set to sign email links');
+    }
+    return createHmac('sha256', secret).update(payload).digest('base64url');
+}
@@ -6,7 +6,7 @@ const RESERVED_KEYWORDS = [
 
 const RESERVED_IDENTIFIERS = [
   'admin', 'api', 'app', 'www', 'mail', 'ftp', 'blog',
-  'shop', 'store', 'cdn', 'static', 'assets'
+  'shop', 'store', 'cdn', 'static', 'assets', 's'
 ];
 
 export function parseUrlPattern(path) {
@@ -22,6 +22,16 @@ export function parseUrlPattern(path) {
     return { identifier: null, keywords: [], pattern: 'empty' };
   }
   
+  // A trailing `*` makes a template; the segments before it are classified as usual
+  if (segments.length > 1 && segments[segments.length - 1] === '*') {
+    const prefix = parseUrlPattern(segments.slice(0, -1).join('/'));
+    return {
+      identifier: prefix.identifier,
+      keywords: prefix.keywords,
+      pattern: 'template'
+    };
+  }
+  
   if (segments.length === 1) {
     return {
       identifier: null,
@@ -126,6 +136,10 @@ export function generateShortUrl(urlData, domain = 'wordsto.link') {
   if (urlData.keywords && urlData.keywords.length > 0) {
     parts.push(...urlData.keywords);
   }
+
+  if (urlData.is_template) {
+    parts.push('*');
+  }
   
   const path = parts.join('/');
   return path ? `${domain}/${path}` : domain;
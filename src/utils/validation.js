@@ -20,8 +20,8 @@ export const VALIDATION_RULES = {
     shortCode: {
         minLength: 4,
         maxLength: 12,
-        pattern: /^[a-zA-Z0-9]+$/,
-        description: '4-12 alphanumeric characters'
+        pattern: /^[a-zA-Z0-9_-]+$/,
+        description: '4-12 alphanumeric characters, hyphens or underscores'
     }
 };
 
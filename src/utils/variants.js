@@ -0,0 +1,40 @@
+import { randomInt } from 'crypto';
+
+const VARIANT_COOKIE_PREFIX = 'wtl_v_';
+
+// Returning visitors keep their variant for this long
+export const VARIANT_COOKIE_MAX_AGE = 30 * 24 * 60 * 60;
+
+export function getVariants(link) {
+    const variants = link?.variants;
+    if (!Array.isArray(variants)) {
+        return [];
+    }
+    return variants.filter(variant => variant && variant.destination_url && variant.weight > 0);
+}
+
+export function findVariant(variants, variantId) {
+    if (!variantId) return null;
+    return variants.find(variant => variant.id === variantId) || null;
+}
+
+export function pickVariant(variants, random = randomInt) {
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    if (totalWeight <= 0) {
+        return null;
+    }
+
+    let ticket = random(totalWeight);
+    for (const variant of variants) {
+        if (ticket < variant.weight) {
+            return variant;
+        }
+        ticket -= variant.weight;
+    }
+
+    return variants[variants.length - 1];
+}
+
+export function getVariantCookieName(linkId) {
+    return `${VARIANT_COOKIE_PREFIX}${linkId}`;
+}
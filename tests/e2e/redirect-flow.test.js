@@ -1,6 +1,10 @@
 import Fastify from 'fastify';
+import cookie from '@fastify/cookie';
 import { jest } from '@jest/globals';
 import redirectHandler from '../../src/server/routes/redirect-handler.js';
+import { hashLinkPassword } from '../../src/utils/link-password.js';
+import { TieredCache } from '../../src/services/tiered-cache.js';
+import { invalidateLinks } from '../../src/services/link-cache.js';
 
 const mockDb = {
   query: jest.fn(),
@@ -24,6 +28,7 @@ describe('E2E Redirect Flow', () => {
     app.decorate('db', mockDb);
     app.decorate('redis', mockRedis);
     
+    await app.register(cookie, { secret: 'test-cookie-secret' });
     await app.register(redirectHandler);
     
     jest.clearAllMocks();
@@ -223,6 +228,1145 @@ describe('E2E Redirect Flow', () => {
     });
   });
 
+  describe('Short code redirects', () => {
+    test('redirects /s/:shortCode to destination URL', async () => {
+      mockRedis.get.mockResolvedValue(null);
+
+      mockDb.query.mockResolvedValueOnce({
+        rows: [{
+          id: 11,
+          user_id: 'user_888',
+          original_url: 'https://short.test',
+          click_count: 0
+        }]
+      });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/s/Ab3_x-9Z'
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://short.test');
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('short_code = $1'),
+        ['Ab3_x-9Z']
+      );
+      expect(mockRedis.set).toHaveBeenCalledWith(
+        'url:short:Ab3_x-9Z',
+        expect.any(String),
+        'EX',
+        3600
+      );
+    });
+
+    test('shows the expired page for expired short codes', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({
+        rows: [{ id: 9, original_url: 'https://old.example.com', expires_at: '2020-01-01T00:00:00.000Z' }]
+      });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/s/expired1'
+      });
+
+      expect(response.statusCode).toBe(410);
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE short_code = $1'),
+        ['expired1']
+      );
+      expect(mockDb.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not treat s as an identifier', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      await app.inject({
+        method: 'GET',
+        url: '/s/abcd1234'
+      });
+
+      expect(mockDb.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('identifier = $1'),
+        expect.anything()
+      );
+    });
+  });
+
+  describe('Redirect rules', () => {
+    const ruleLink = {
+      id: 12,
+      user_id: 'user_999',
+      original_url: 'https://acme.com',
+      redirect_rules: [
+        {
+          id: '2b0f6f5c-7d4e-4b8a-9a37-0d1f0f1a9c11',
+          conditions: { os: ['iOS'] },
+          destination_url: 'https://apps.apple.com/app/acme'
+        },
+        {
+          id: '6a7c2b1e-0b5f-4f1d-8d38-3a9e7c1f2b22',
+          conditions: { os: ['Android'] },
+          destination_url: 'https://play.google.com/store/apps/acme'
+        }
+      ]
+    };
+
+    test('sends visitors to the first matching rule', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [ruleLink] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/app',
+        headers: {
+          'user-agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148'
+        }
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://apps.apple.com/app/acme');
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO analytics_events'),
+        expect.arrayContaining([12, '2b0f6f5c-7d4e-4b8a-9a37-0d1f0f1a9c11'])
+      );
+    });
+
+    test('falls back to the default destination', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [ruleLink] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/app',
+        headers: {
+          'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0'
+        }
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://acme.com');
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO analytics_events'),
+        expect.arrayContaining([12, null])
+      );
+    });
+
+    test('evaluates rules on cache hits', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(ruleLink));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/app',
+        headers: {
+          'user-agent': 'Mozilla/5.0 (Linux; Android 14; Pixel 8) Chrome/120.0 Mobile'
+        }
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://play.google.com/store/apps/acme');
+    });
+  });
+
+  describe('Destination variants', () => {
+    const variantA = '0c6b1f3e-5d1a-4c39-9f0e-1a2b3c4d5e61';
+    const variantB = '7d2e4a9b-8c3f-4e15-a6d7-9b8c7d6e5f72';
+    const splitLink = {
+      id: 21,
+      user_id: 'user_999',
+      original_url: 'https://acme.com/pricing',
+      redirect_rules: [],
+      variants: [
+        { id: variantA, name: 'Control', destination_url: 'https://acme.com/pricing', weight: 0 },
+        { id: variantB, name: 'New pricing', destination_url: 'https://acme.com/pricing-v2', weight: 100 }
+      ]
+    };
+
+    test('sends visitors to a weighted variant and records it', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [splitLink] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/pricing'
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://acme.com/pricing-v2');
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect(response.cookies).toEqual(
+        expect.arrayContaining([expect.objectContaining({ name: 'wtl_v_21', value: variantB })])
+      );
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO analytics_events'),
+        expect.arrayContaining([21, variantB])
+      );
+    });
+
+    test('keeps returning visitors on their assigned variant', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({
+        ...splitLink,
+        variants: splitLink.variants.map(v => ({ ...v, weight: 50 }))
+      }));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/pricing',
+        cookies: { wtl_v_21: variantA }
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://acme.com/pricing');
+    });
+
+    test('reassigns visitors whose variant was removed', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(splitLink));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/pricing',
+        cookies: { wtl_v_21: variantA }
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://acme.com/pricing-v2');
+    });
+  });
+
+  describe('Password-protected links', () => {
+    let lockedLink;
+
+    beforeAll(async () => {
+      lockedLink = {
+        id: 31,
+        user_id: 'user_999',
+        original_url: 'https://docs.internal.acme.com',
+        password_hash: await hashLinkPassword('hunter22')
+      };
+    });
+
+    test('shows the unlock form instead of redirecting', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(lockedLink));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/docs'
+      });
+
+      expect(response.statusCode).toBe(401);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect(response.body).toContain('name="password"');
+      expect(response.body).not.toContain(lockedLink.original_url);
+      expect(mockDb.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE shortened_urls SET click_count'),
+        expect.anything()
+      );
+    });
+
+    test('rejects a wrong password', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [lockedLink] });
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/acme/docs',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        payload: 'link_id=31&password=wrong'
+      });
+
+      expect(response.statusCode).toBe(401);
+      expect(response.body).toContain('Incorrect password');
+      expect(response.cookies).toHaveLength(0);
+    });
+
+    test('unlocks the link with the right password', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [lockedLink] });
+
+      const unlock = await app.inject({
+        method: 'POST',
+        url: '/acme/docs',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        payload: 'link_id=31&password=hunter22'
+      });
+
+      expect(unlock.statusCode).toBe(303);
+      expect(unlock.headers.location).toBe('/acme/docs');
+      const unlockCookie = unlock.cookies.find(c => c.name === 'wtl_unlock_31');
+      expect(unlockCookie).toBeDefined();
+
+      mockRedis.get.mockResolvedValue(JSON.stringify(lockedLink));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/docs',
+        cookies: { wtl_unlock_31: unlockCookie.value }
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://docs.internal.acme.com');
+    });
+
+    test('only redirects to the link path on this host', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(lockedLink));
+
+      const form = await app.inject({ method: 'GET', url: '//acme/docs?ref=mail' });
+      expect(form.body).toContain('action="/acme/docs?ref=mail"');
+
+      const unlock = await app.inject({
+        method: 'POST',
+        url: '//acme/docs?ref=mail',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        payload: 'link_id=31&password=hunter22'
+      });
+
+      expect(unlock.statusCode).toBe(303);
+      expect(unlock.headers.location).toBe('/acme/docs?ref=mail');
+    });
+
+    test('refuses a link_id that is not the link at the path', async () => {
+      // Someone else's locked link, with a password the poster knows
+      mockRedis.get.mockResolvedValue(JSON.stringify(lockedLink));
+      mockDb.query.mockResolvedValueOnce({ rows: [{ id: 99, password_hash: lockedLink.password_hash }] });
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/acme/docs',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        payload: 'link_id=99&password=hunter22'
+      });
+
+      mockDb.query.mockReset();
+      expect(response.statusCode).toBe(404);
+      expect(response.cookies).toHaveLength(0);
+    });
+
+    test('ignores unsigned unlock cookies', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(lockedLink));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/docs',
+        cookies: { wtl_unlock_31: `31.${Date.now() + 60000}` }
+      });
+
+      expect(response.statusCode).toBe(401);
+    });
+
+    test('rate limits unlock attempts per IP', async () => {
+      const limitedApp = Fastify({ logger: false });
+      const rateLimit = jest.fn().mockResolvedValue({ allowed: false, remaining: 0, resetIn: 600 });
+      limitedApp.decorate('db', mockDb);
+      limitedApp.decorate('cache', {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn(),
+        del: jest.fn(),
+        rateLimit
+      });
+      await limitedApp.register(cookie, { secret: 'test-cookie-secret' });
+      await limitedApp.register(redirectHandler);
+
+      const response = await limitedApp.inject({
+        method: 'POST',
+        url: '/acme/docs',
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded',
+          'x-forwarded-for': '203.0.113.9'
+        },
+        payload: 'link_id=31&password=hunter22'
+      });
+
+      expect(response.statusCode).toBe(429);
+      expect(response.headers['retry-after']).toBe('600');
+      expect(rateLimit).toHaveBeenCalledWith('ratelimit:unlock:203.0.113.9', expect.any(Number), expect.any(Number));
+      expect(mockDb.query).not.toHaveBeenCalled();
+
+      await limitedApp.close();
+    });
+  });
+
+  describe('Click-limited links', () => {
+    const oneTimeLink = {
+      id: 41,
+      user_id: 'user_999',
+      original_url: 'https://acme.com/invite/abc',
+      max_clicks: 1,
+      click_count: 0,
+      expired_destination_url: null
+    };
+
+    test('takes a use atomically before redirecting', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [oneTimeLink] })
+        .mockResolvedValueOnce({ rows: [{ click_count: 1 }] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/invite'
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://acme.com/invite/abc');
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('click_count < max_clicks'),
+        [41]
+      );
+      const clickUpdates = mockDb.query.mock.calls.filter(([sql]) => sql.includes('SET click_count = click_count + 1'));
+      expect(clickUpdates).toHaveLength(1);
+    });
+
+    test('shows the expired page once the uses are gone', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({ ...oneTimeLink, click_count: 1 }));
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/invite'
+      });
+
+      expect(response.statusCode).toBe(410);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.body).toContain('This link has expired');
+    });
+
+    test('sends visitors to the fallback destination when one is set', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({
+        ...oneTimeLink,
+        expired_destination_url: 'https://acme.com/invite-used'
+      }));
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/invite'
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://acme.com/invite-used');
+      expect(response.headers['cache-control']).toBe('private, no-store');
+    });
+
+    test('treats links past expires_at as expired', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({
+        id: 42,
+        original_url: 'https://acme.com/promo',
+        expires_at: '2020-01-01T00:00:00.000Z'
+      }));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/promo'
+      });
+
+      expect(response.statusCode).toBe(410);
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+
+    test('serves the fallback for expired links, which stay active', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockReset();
+      mockDb.query.mockImplementation(async (sql) => (sql.includes('FROM shortened_urls WHERE identifier = $1')
+        ? {
+          rows: [{
+            id: 43,
+            original_url: 'https://acme.com/sale',
+            expires_at: '2020-01-01T00:00:00.000Z',
+            expired_destination_url: 'https://acme.com/sale-over'
+          }]
+        }
+        : { rows: [] }));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/sale'
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://acme.com/sale-over');
+      expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining('is_active = true'), ['acme', ['sale']]);
+    });
+  });
+
+  describe('Scheduled links', () => {
+    const inMinutes = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+
+    test('answers with a coming soon page before starts_at', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({
+        id: 51,
+        original_url: 'https://acme.com/launch',
+        starts_at: inMinutes(10)
+      }));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/launch'
+      });
+
+      expect(response.statusCode).toBe(503);
+      expect(response.body).toContain('Coming soon');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(590);
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+
+    test('follows the schedule and caps caching at the next change', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 52,
+            original_url: 'https://acme.com/event',
+            destination_schedule: [
+              { id: 'a', starts_at: inMinutes(-60), destination_url: 'https://acme.com/event/live' },
+              { id: 'b', starts_at: inMinutes(30), destination_url: 'https://acme.com/event/recording' }
+            ]
+          }]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/event'
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://acme.com/event/live');
+
+      const [, , , ttl] = mockRedis.set.mock.calls[0];
+      expect(ttl).toBeGreaterThan(1790);
+      expect(ttl).toBeLessThanOrEqual(1800);
+      expect(response.headers['cache-control']).toMatch(/^public, max-age=(179\d|1800)$/);
+    });
+  });
+
+  describe('Social previews', () => {
+    const slackbot = 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)';
+    const previewLink = {
+      id: 61,
+      original_url: 'https://acme.com/blog/launch',
+      title: 'Launch post',
+      description: 'Internal title',
+      og_title: 'We launched!',
+      og_description: 'Read all about it',
+      og_image: 'https://acme.com/card.png'
+    };
+
+    test('serves Open Graph HTML to preview crawlers', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(previewLink));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/launch',
+        headers: { 'user-agent': slackbot }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.body).toContain('<meta property="og:title" content="We launched!">');
+      expect(response.body).toContain('<meta property="og:description" content="Read all about it">');
+      expect(response.body).toContain('<meta property="og:image" content="https://acme.com/card.png">');
+      expect(response.body).toContain('<meta http-equiv="refresh" content="0; url=https://acme.com/blog/launch">');
+    });
+
+    test('records crawler hits as bot events without counting a click', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(previewLink));
+
+      await app.inject({
+        method: 'GET',
+        url: '/acme/launch',
+        headers: { 'user-agent': slackbot }
+      });
+
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO analytics_events'),
+        expect.arrayContaining([61, true])
+      );
+      expect(mockDb.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE shortened_urls SET click_count'),
+        expect.anything()
+      );
+    });
+
+    test('falls back to the link title and description', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({
+        ...previewLink,
+        og_title: null,
+        og_description: null,
+        og_image: null
+      }));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/launch',
+        headers: { 'user-agent': 'facebookexternalhit/1.1' }
+      });
+
+      expect(response.body).toContain('<meta property="og:title" content="Launch post">');
+      expect(response.body).not.toContain('og:image');
+    });
+
+    test('still redirects regular visitors', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(previewLink));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/launch',
+        headers: { 'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Safari/605.1.15' }
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.vary).toContain('User-Agent');
+    });
+  });
+
+  describe('Link previews', () => {
+    const link = {
+      id: 71,
+      user_id: 'user_71',
+      identifier: null,
+      original_url: 'https://docs.acme.com/guide?ref=short',
+      title: 'Setup guide',
+      description: 'How to get started',
+      created_at: '2025-01-02T10:00:00.000Z',
+      is_public: true
+    };
+
+    test('shows the preview page for a trailing +', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [link] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ identifier: 'acme' }] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/guide+'
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.body).toContain('Setup guide');
+      expect(response.body).toContain('<strong>docs.acme.com</strong>');
+      expect(response.body).toContain('Created by <strong>acme</strong> on 2025-01-02');
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('keywords @> $1::text[]'),
+        [['guide']]
+      );
+      expect(mockRedis.set).toHaveBeenCalledWith('url:keywords:guide', expect.any(String), 'EX', 3600);
+    });
+
+    test('counts previews separately from clicks', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({ ...link, identifier: 'acme' }));
+
+      await app.inject({
+        method: 'GET',
+        url: '/acme/guide?preview'
+      });
+
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET preview_count = preview_count + 1'),
+        [71]
+      );
+      expect(mockDb.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE shortened_urls SET click_count'),
+        expect.anything()
+      );
+      expect(mockDb.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO analytics_events'),
+        expect.anything()
+      );
+    });
+
+    test('redirects instead when the link is not public', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({ ...link, is_public: false }));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/guide+'
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://docs.acme.com/guide?ref=short');
+    });
+  });
+
+  describe('Query forwarding and templates', () => {
+    test('merges the incoming query string into the destination', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({
+        id: 81,
+        original_url: 'https://docs.acme.com/guide?lang=en',
+        query_forwarding: 'merge'
+      }));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/docs?page=2&lang=fr'
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://docs.acme.com/guide?lang=en&page=2');
+    });
+
+    test('drops the query string by default', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify({
+        id: 82,
+        original_url: 'https://docs.acme.com/guide'
+      }));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/docs?page=2'
+      });
+
+      expect(response.headers.location).toBe('https://docs.acme.com/guide');
+    });
+
+    test('falls back to the longest template when no exact link matches', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 83,
+            identifier: 'acme',
+            keywords: ['gh'],
+            is_template: true,
+            original_url: 'https://github.com/acme/{1}'
+          }]
+        });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/gh/Widgets'
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://github.com/acme/Widgets');
+      expect(mockDb.query).toHaveBeenNthCalledWith(
+        3,
+        expect.stringContaining('is_template = true'),
+        ['acme', ['gh'], ['acme/gh', 'acme']]
+      );
+    });
+
+    test('prefers an exact link over a template', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({
+        rows: [{ id: 84, original_url: 'https://github.com/acme/widgets-landing' }]
+      });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/acme/gh/widgets'
+      });
+
+      expect(response.headers.location).toBe('https://github.com/acme/widgets-landing');
+      expect(mockDb.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('is_template = true'),
+        expect.anything()
+      );
+    });
+  });
+
+  describe('Custom domains', () => {
+    test('resolves links in the namespace of a verified domain', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ id: 'domain-1', is_verified: true }] })
+        .mockResolvedValueOnce({ rows: [{ id: 101, original_url: 'https://acme.com/launch' }] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/launch',
+        headers: { host: 'Go.Acme.com' }
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://acme.com/launch');
+      expect(mockDb.query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('FROM user_domains'),
+        ['go.acme.com']
+      );
+      expect(mockDb.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('domain_id = $2'),
+        [['launch'], 'domain-1']
+      );
+      expect(mockRedis.set).toHaveBeenCalledWith(
+        'url:domain:domain-1:keywords:launch',
+        expect.any(String),
+        'EX',
+        3600
+      );
+    });
+
+    test('looks up wordsto.link paths outside every custom domain', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({ rows: [{ id: 102, original_url: 'https://example.com' }] });
+
+      await app.inject({
+        method: 'GET',
+        url: '/launch',
+        headers: { host: 'wordsto.link' }
+      });
+
+      expect(mockDb.query).not.toHaveBeenCalledWith(expect.stringContaining('FROM user_domains'), expect.anything());
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('domain_id IS NULL'),
+        [['launch']]
+      );
+    });
+
+    test('uses the cached host lookup', async () => {
+      mockRedis.get.mockImplementation(async key =>
+        key === 'domain:go.acme.com' ? JSON.stringify({ id: 'domain-1', is_verified: true }) : null
+      );
+      mockDb.query.mockResolvedValueOnce({ rows: [{ id: 101, original_url: 'https://acme.com/launch' }] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/launch',
+        headers: { host: 'go.acme.com' }
+      });
+
+      expect(response.headers.location).toBe('https://acme.com/launch');
+      expect(mockDb.query).not.toHaveBeenCalledWith(expect.stringContaining('FROM user_domains'), expect.anything());
+    });
+
+    test('still redirects when the host lookup cannot be cached', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockRedis.set.mockImplementation(async (key) => {
+        if (key.startsWith('domain:')) throw new Error('READONLY');
+        return 'OK';
+      });
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ id: 'domain-1', is_verified: true }] })
+        .mockResolvedValueOnce({ rows: [{ id: 102, original_url: 'https://acme.com/docs' }] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/docs',
+        headers: { host: 'go.acme.com' }
+      });
+
+      mockRedis.set.mockReset();
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://acme.com/docs');
+    });
+
+    test('serves nothing on domains that are not verified yet', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({ rows: [{ id: 'domain-2', is_verified: false }] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/launch',
+        headers: { host: 'links.pending.com' }
+      });
+
+      expect(response.statusCode).toBe(404);
+      expect(mockDb.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Non-navigation requests', () => {
+    const link = {
+      id: 91,
+      original_url: 'https://example.com/launch',
+      click_count: 4
+    };
+
+    const clickQueries = () => mockDb.query.mock.calls
+      .map(([sql]) => sql)
+      .filter(sql => /click_count = click_count \+ 1|INSERT INTO analytics_events/.test(sql));
+
+    test('counts a normal GET as a click', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({ rows: [link] });
+
+      const response = await app.inject({ method: 'GET', url: '/launch' });
+
+      expect(response.statusCode).toBe(302);
+      expect(clickQueries()).toHaveLength(2);
+      expect(mockRedis.incr).toHaveBeenCalled();
+    });
+
+    test('counts a GET served from the cache as a click', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(link));
+      mockDb.query.mockResolvedValue({ rows: [] });
+
+      const response = await app.inject({ method: 'GET', url: '/launch' });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://example.com/launch');
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE shortened_urls SET click_count'),
+        [91]
+      );
+      expect(clickQueries()).toHaveLength(2);
+      expect(response.headers['set-cookie']).toBeDefined();
+    });
+
+    test('answers HEAD from the cache without changing click_count', async () => {
+      mockRedis.get.mockResolvedValue(JSON.stringify(link));
+
+      const response = await app.inject({ method: 'HEAD', url: '/launch' });
+
+      expect(response.statusCode).toBe(302);
+      expect(clickQueries()).toHaveLength(0);
+      expect(mockRedis.incr).not.toHaveBeenCalled();
+    });
+
+    test('answers HEAD without changing click_count', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({ rows: [link] });
+
+      const response = await app.inject({ method: 'HEAD', url: '/launch' });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers.location).toBe('https://example.com/launch');
+      expect(clickQueries()).toHaveLength(0);
+      expect(mockRedis.incr).not.toHaveBeenCalled();
+    });
+
+    test('answers prefetches without changing click_count', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({ rows: [link] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/launch',
+        headers: { 'sec-purpose': 'prefetch' }
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect(clickQueries()).toHaveLength(0);
+      expect(mockRedis.incr).not.toHaveBeenCalled();
+    });
+
+    test('does not take a use of click-limited links on HEAD', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({ rows: [{ ...link, max_clicks: 5 }] });
+
+      const response = await app.inject({ method: 'HEAD', url: '/launch' });
+
+      expect(response.statusCode).toBe(302);
+      expect(clickQueries()).toHaveLength(0);
+    });
+
+    test('reports used-up links as expired on HEAD', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({ rows: [{ ...link, max_clicks: 4 }] });
+
+      const response = await app.inject({ method: 'HEAD', url: '/launch' });
+
+      expect(response.statusCode).toBe(410);
+      expect(clickQueries()).toHaveLength(0);
+    });
+
+    test('does not count link previews requested with HEAD', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({ rows: [link] });
+
+      await app.inject({ method: 'HEAD', url: '/launch+' });
+
+      expect(mockDb.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('preview_count'),
+        expect.anything()
+      );
+    });
+  });
+
+  describe('Privacy controls', () => {
+    const strictLink = { id: 21, user_id: 'user_eu', original_url: 'https://eu.test', click_count: 0, owner_privacy_mode: 'strict' };
+
+    beforeEach(() => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockImplementation(async (sql) => (
+        sql.includes('FROM shortened_urls') ? { rows: [strictLink] } : { rows: [] }
+      ));
+    });
+
+    test('only counts clicks that send Sec-GPC on strict-mode links', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/eu',
+        headers: { 'sec-gpc': '1', 'x-forwarded-for': '203.0.113.77' }
+      });
+
+      expect(response.statusCode).toBe(302);
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO analytics_opted_out_clicks'),
+        [21]
+      );
+      expect(mockDb.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO analytics_events'),
+        expect.anything()
+      );
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE shortened_urls SET click_count'),
+        [21]
+      );
+      expect(mockRedis.incr).not.toHaveBeenCalled();
+      expect(response.cookies.find(c => c.name === 'wtl_vid')).toBeUndefined();
+    });
+
+    test('stores a truncated IP for strict-mode links', async () => {
+      await app.inject({
+        method: 'GET',
+        url: '/eu',
+        headers: { 'x-forwarded-for': '203.0.113.77' }
+      });
+
+      const insert = mockDb.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO analytics_events'));
+      expect(insert[1][2]).toBe('203.0.113.0');
+    });
+
+    test('ignores DNT on standard-mode links', async () => {
+      mockDb.query.mockImplementation(async (sql) => (
+        sql.includes('FROM shortened_urls') ? { rows: [{ ...strictLink, owner_privacy_mode: null }] } : { rows: [] }
+      ));
+
+      await app.inject({
+        method: 'GET',
+        url: '/eu',
+        headers: { dnt: '1', 'x-forwarded-for': '203.0.113.77' }
+      });
+
+      const insert = mockDb.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO analytics_events'));
+      expect(insert[1][2]).toBe('203.0.113.77');
+    });
+  });
+
+  describe('Local cache tier', () => {
+    test('answers repeated misses without querying the database', async () => {
+      const tieredApp = Fastify({ logger: false });
+      tieredApp.decorate('db', mockDb);
+      tieredApp.decorate('cache', new TieredCache({
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue(true),
+        del: jest.fn().mockResolvedValue(true)
+      }));
+      await tieredApp.register(cookie, { secret: 'test-cookie-secret' });
+      await tieredApp.register(redirectHandler);
+      mockDb.query.mockResolvedValue({ rows: [] });
+
+      const first = await tieredApp.inject({ method: 'GET', url: '/s/Nope123' });
+      const queries = mockDb.query.mock.calls.length;
+      const second = await tieredApp.inject({ method: 'GET', url: '/s/Nope123' });
+
+      expect(first.statusCode).toBe(404);
+      expect(second.statusCode).toBe(404);
+      expect(queries).toBeGreaterThan(0);
+      expect(mockDb.query).toHaveBeenCalledTimes(queries);
+      await tieredApp.close();
+    });
+
+    test('stops redirecting a deactivated link under any path it was served at', async () => {
+      const store = new Map();
+      const redisCache = {
+        get: jest.fn(async (key) => store.get(key) ?? null),
+        set: jest.fn(async (key, value) => { store.set(key, value); return true; }),
+        del: jest.fn(async (key) => { store.delete(key); return true; }),
+        addToSet: jest.fn(async (key, member) => { store.set(key, [...(store.get(key) || []), member]); return true; }),
+        getSetMembers: jest.fn(async (key) => store.get(key) || [])
+      };
+      const cache = new TieredCache(redisCache);
+      const tieredApp = Fastify({ logger: false });
+      tieredApp.decorate('db', mockDb);
+      tieredApp.decorate('cache', cache);
+      await tieredApp.register(cookie, { secret: 'test-cookie-secret' });
+      await tieredApp.register(redirectHandler);
+
+      const link = { id: 61, keywords: ['guide', 'docs'], original_url: 'https://docs.example.com' };
+      mockDb.query.mockImplementation(async (sql) => (
+        sql.includes('FROM shortened_urls') ? { rows: [link] } : { rows: [] }
+      ));
+      const served = await tieredApp.inject({ method: 'GET', url: '/docs/guide' });
+      expect(served.statusCode).toBe(302);
+
+      mockDb.query.mockImplementation(async () => ({ rows: [] }));
+      await invalidateLinks(cache, { ...link, is_active: false });
+      const after = await tieredApp.inject({ method: 'GET', url: '/docs/guide' });
+
+      expect(after.statusCode).toBe(404);
+      expect(store.size).toBe(0);
+      await tieredApp.close();
+    });
+  });
+
+  describe('Internal resolve endpoint', () => {
+    test('describes a redirect without recording a click', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({
+        rows: [{ id: 92, original_url: 'https://docs.acme.com/guide', query_forwarding: 'merge' }]
+      });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: `/_internal/resolve?path=${encodeURIComponent('/acme/docs?page=2')}`
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.json()).toEqual({
+        found: true,
+        type: 'redirect',
+        status_code: 302,
+        location: 'https://docs.acme.com/guide?page=2'
+      });
+      expect(mockDb.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('click_count = click_count + 1'),
+        expect.anything()
+      );
+    });
+
+    test('reports unknown paths as not found', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValue({ rows: [] });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/_internal/resolve?path=/nothing-here'
+      });
+
+      expect(response.json()).toMatchObject({ found: false, status_code: 404, location: null });
+    });
+
+    test('does not reveal the destination of locked links', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockResolvedValueOnce({
+        rows: [{ id: 93, original_url: 'https://secret.example.com', password_hash: 'hash' }]
+      });
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/_internal/resolve?path=/secret'
+      });
+
+      expect(response.json()).toEqual({ found: true, type: 'locked', status_code: 401, location: null });
+    });
+
+    test('rejects relative paths', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/_internal/resolve?path=launch'
+      });
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
   describe('Analytics tracking', () => {
     test('increments click count', async () => {
       mockRedis.get.mockResolvedValue(null);
@@ -313,6 +1457,96 @@ describe('E2E Redirect Flow', () => {
       );
       expect(mockRedis.expire).toHaveBeenCalled();
     });
+
+    test('counts clicks in the click counter instead of updating the row', async () => {
+      const clicks = { record: jest.fn().mockResolvedValue(undefined) };
+      const countedApp = Fastify({ logger: false });
+      countedApp.decorate('db', mockDb);
+      countedApp.decorate('redis', mockRedis);
+      countedApp.decorate('clicks', clicks);
+      await countedApp.register(cookie, { secret: 'test-cookie-secret' });
+      await countedApp.register(redirectHandler);
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockImplementation(async (sql) => (
+        sql.includes('FROM shortened_urls')
+          ? { rows: [{ id: 10, original_url: 'https://counted.test', click_count: 3 }] }
+          : { rows: [] }
+      ));
+
+      await countedApp.inject({ method: 'GET', url: '/counted', headers: { 'user-agent': 'Mozilla/5.0 Firefox/120.0' } });
+      await countedApp.inject({ method: 'GET', url: '/counted', headers: { 'user-agent': 'Googlebot/2.1' } });
+
+      expect(clicks.record).toHaveBeenNthCalledWith(1, 10, { visitorId: expect.any(String), clicks: 1 });
+      expect(clicks.record).toHaveBeenNthCalledWith(2, 10, { visitorId: null, clicks: 1 });
+      expect(mockDb.query).not.toHaveBeenCalledWith(expect.stringContaining('click_count = click_count + 1'), expect.anything());
+      expect(mockRedis.incr).not.toHaveBeenCalled();
+      await countedApp.close();
+    });
+
+    test('falls back to updating the row when the click counter fails', async () => {
+      const countedApp = Fastify({ logger: false });
+      countedApp.decorate('db', mockDb);
+      countedApp.decorate('clicks', { record: jest.fn().mockRejectedValue(new Error('Connection is closed.')) });
+      await countedApp.register(cookie, { secret: 'test-cookie-secret' });
+      await countedApp.register(redirectHandler);
+      mockDb.query.mockImplementation(async (sql) => (
+        sql.includes('FROM shortened_urls')
+          ? { rows: [{ id: 11, original_url: 'https://fallback.test', click_count: 0 }] }
+          : { rows: [] }
+      ));
+
+      const response = await countedApp.inject({ method: 'GET', url: '/fallback' });
+
+      expect(response.statusCode).toBe(302);
+      expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining('click_count = click_count + 1'), [11]);
+      await countedApp.close();
+    });
+
+    test('gives a returning visitor the same id and sets the visitor cookie', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockImplementation(async (sql) => (
+        sql.includes('FROM shortened_urls')
+          ? { rows: [{ id: 9, user_id: 'user_666', original_url: 'https://same.test', click_count: 0 }] }
+          : { rows: [] }
+      ));
+
+      const headers = { 'user-agent': 'Mozilla/5.0 Firefox/120.0', 'x-forwarded-for': '203.0.113.7' };
+      const first = await app.inject({ method: 'GET', url: '/same', headers });
+      const second = await app.inject({ method: 'GET', url: '/same', headers });
+
+      const visitorIds = mockDb.query.mock.calls
+        .filter(([sql]) => sql.includes('INSERT INTO analytics_events'))
+        .map(([, params]) => params[1]);
+      expect(visitorIds).toHaveLength(2);
+      expect(visitorIds[0]).toBe(visitorIds[1]);
+      expect(mockRedis.incr).toHaveBeenCalledWith(`visitor:9:${visitorIds[0]}`);
+
+      const cookie = first.cookies.find(c => c.name === 'wtl_vid');
+      expect(cookie.value).toBe(visitorIds[0]);
+      expect(cookie.httpOnly).toBe(true);
+      expect(second.cookies.find(c => c.name === 'wtl_vid')).toBeDefined();
+    });
+
+    test('uses the visitor cookie when present', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockImplementation(async (sql) => (
+        sql.includes('FROM shortened_urls')
+          ? { rows: [{ id: 10, user_id: 'user_777', original_url: 'https://cookie.test', click_count: 0 }] }
+          : { rows: [] }
+      ));
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/cookie',
+        cookies: { wtl_vid: 'returningVisitor_0001' }
+      });
+
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO analytics_events'),
+        expect.arrayContaining([10, 'returningVisitor_0001'])
+      );
+      expect(response.cookies.find(c => c.name === 'wtl_vid')).toBeUndefined();
+    });
   });
 
   describe('Error handling', () => {
@@ -412,5 +1646,47 @@ describe('E2E Redirect Flow', () => {
         ])
       );
     });
+
+    test('records the bot category with the event', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockImplementation(async (sql) => (
+        sql.includes('FROM shortened_urls')
+          ? { rows: [{ id: 11, user_id: 'user_888', original_url: 'https://monitored.test', click_count: 0 }] }
+          : { rows: [] }
+      ));
+
+      await app.inject({
+        method: 'GET',
+        url: '/monitored',
+        headers: { 'user-agent': 'Mozilla/5.0+(compatible; UptimeRobot/2.0; http://www.uptimerobot.com/)' }
+      });
+
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO analytics_events'),
+        expect.arrayContaining([11, true, 'monitor'])
+      );
+    });
+
+    test('does not flag apps that mention a search engine', async () => {
+      mockRedis.get.mockResolvedValue(null);
+      mockDb.query.mockImplementation(async (sql) => (
+        sql.includes('FROM shortened_urls')
+          ? { rows: [{ id: 12, user_id: 'user_999', original_url: 'https://app.test', click_count: 0 }] }
+          : { rows: [] }
+      ));
+
+      await app.inject({
+        method: 'GET',
+        url: '/app',
+        headers: {
+          'user-agent': 'Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36 GSA/15.2.44 GoogleApp'
+        }
+      });
+
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO analytics_events'),
+        expect.arrayContaining([12, false, 'human'])
+      );
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,283 @@
+import { jest } from '@jest/globals';
+import { AnalyticsQueue } from '../../src/services/analytics-queue.js';
+import { AnalyticsWorker } from '../../src/services/analytics-worker.js';
+import { AnalyticsTracker } from '../../src/services/analytics-tracker.js';
+
+const quietLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+// In-memory Redis Stream with one consumer group, enough for XADD/XREADGROUP/XPENDING/XCLAIM/XACK,
+// plus the hash commands behind the failure counts
+function createFakeStreamRedis() {
+  let clock = 0;
+  let sequence = 0;
+  const streams = new Map();
+  const groups = new Map();
+  const hashes = new Map();
+
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  const stream = (key) => {
+    if (!streams.has(key)) streams.set(key, new Map());
+    return streams.get(key);
+  };
+  const group = (key, name) => groups.get(`${key}|${name}`);
+
+  const commands = {
+    xadd: (key, id, ...fields) => {
+      const entryId = `${++sequence}-0`;
+      stream(key).set(entryId, fields);
+      return entryId;
+    },
+    xlen: (key) => stream(key).size,
+    // The queue's enqueue script: XADD unless the stream already holds ARGV[1] entries
+    eval: (script, numKeys, key, maxLength, ...fields) => {
+      if (stream(key).size >= Number(maxLength)) return 0;
+      commands.xadd(key, '*', ...fields);
+      return 1;
+    },
+    xgroup: (action, key, name) => {
+      if (groups.has(`${key}|${name}`)) throw new Error('BUSYGROUP Consumer Group name already exists');
+      stream(key);
+      groups.set(`${key}|${name}`, { lastDelivered: 0, pending: new Map() });
+      return 'OK';
+    },
+    xreadgroup: (g, name, consumer, c, count, b, block, s, key) => {
+      const state = group(key, name);
+      const fresh = [...stream(key)]
+        .filter(([id]) => parseInt(id) > state.lastDelivered)
+        .slice(0, count);
+      if (fresh.length === 0) return null;
+      fresh.forEach(([id]) => {
+        state.lastDelivered = parseInt(id);
+        state.pending.set(id, { consumer, deliveredAt: clock, deliveries: 1 });
+      });
+      return [[key, fresh]];
+    },
+    xpending: (key, name, idle, minIdle, start, end, count) => [...group(key, name).pending]
+      .filter(([, entry]) => clock - entry.deliveredAt >= minIdle)
+      .slice(0, count)
+      .map(([id, entry]) => [id, entry.consumer, clock - entry.deliveredAt, entry.deliveries]),
+    xclaim: (key, name, consumer, minIdle, ...ids) => ids.flatMap(id => {
+      const entry = group(key, name).pending.get(id);
+      if (!entry || clock - entry.deliveredAt < minIdle) return [];
+      Object.assign(entry, { consumer, deliveredAt: clock, deliveries: entry.deliveries + 1 });
+      return [[id, stream(key).get(id) ?? null]];
+    }),
+    xrange: (key, start) => (stream(key).has(start) ? [[start, stream(key).get(start)]] : []),
+    xack: (key, name, ...ids) => ids.filter(id => group(key, name).pending.delete(id)).length,
+    xdel: (key, ...ids) => ids.filter(id => stream(key).delete(id)).length,
+    hincrby: (key, field, by) => {
+      const value = (hash(key).get(field) || 0) + by;
+      hash(key).set(field, value);
+      return value;
+    },
+    hmget: (key, ...fields) => fields.map(field => (hash(key).has(field) ? String(hash(key).get(field)) : null)),
+    hdel: (key, ...fields) => fields.filter(field => hash(key).delete(field)).length
+  };
+
+  const client = {
+    advance: (ms) => { clock += ms; },
+    streams,
+    hashes,
+    pending: (key, name) => group(key, name).pending,
+    multi: () => {
+      const queued = [];
+      const chain = new Proxy({}, {
+        get: (target, command) => (command === 'exec'
+          ? async () => queued.map(([name, args]) => [null, commands[name](...args)])
+          : (...args) => { queued.push([command, args]); return chain; })
+      });
+      return chain;
+    }
+  };
+  Object.entries(commands).forEach(([name, command]) => {
+    client[name] = jest.fn(async (...args) => command(...args));
+  });
+  return client;
+}
+
+// analytics_events with the unique event_id index
+function createEventStore() {
+  const rows = new Map();
+  const store = {
+    rows,
+    inserts: 0,
+    insertAnalyticsEvents: jest.fn(async (events) => {
+      const written = [];
+      for (const event of events) {
+        store.inserts++;
+        if (!rows.has(event.event_id)) {
+          rows.set(event.event_id, event);
+          written.push({ event_id: event.event_id });
+        }
+      }
+      return written;
+    })
+  };
+  return store;
+}
+
+function rowError(message) {
+  return Object.assign(new Error(message), { code: '22001' });
+}
+
+describe('Analytics queue and worker', () => {
+  let redis;
+  let queue;
+  let db;
+
+  beforeEach(async () => {
+    redis = createFakeStreamRedis();
+    queue = new AnalyticsQueue(redis, { claimIdleMs: 1000, maxFailures: 3, logger: quietLogger });
+    db = createEventStore();
+    await queue.ensureGroup();
+  });
+
+  test('writes queued events and removes them from the stream', async () => {
+    const tracker = new AnalyticsTracker(db, quietLogger, queue);
+    await tracker.track({ shortened_url_id: 'link-1', visitor_id: 'v1' });
+    await tracker.track({ shortened_url_id: 'link-1', visitor_id: 'v2' });
+
+    const worker = new AnalyticsWorker(queue, db, { consumer: 'worker-a', logger: quietLogger });
+    expect(await worker.processBatch()).toBe(2);
+
+    expect(db.rows.size).toBe(2);
+    expect([...db.rows.values()][0]).toMatchObject({ shortened_url_id: 'link-1', clicked_at: expect.any(String) });
+    expect(db.insertAnalyticsEvents).toHaveBeenCalledTimes(1);
+    expect(await queue.length()).toBe(0);
+    expect(redis.pending('analytics:events', 'analytics-writers').size).toBe(0);
+  });
+
+  test('loses no events when a worker is killed mid-batch', async () => {
+    for (let i = 0; i < 5; i++) {
+      await queue.enqueue({ shortened_url_id: 'link-1', visitor_id: `v${i}` });
+    }
+
+    // The first worker dies after its INSERT committed but before it acked
+    const dying = new AnalyticsWorker(queue, {
+      insertAnalyticsEvents: async (events) => {
+        await db.insertAnalyticsEvents(events);
+        return new Promise(() => {});
+      }
+    }, { consumer: 'worker-a', logger: quietLogger });
+    dying.processBatch();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(db.rows.size).toBe(5);
+    expect(redis.pending('analytics:events', 'analytics-writers').size).toBe(5);
+
+    // Another worker takes over once the entries have been idle long enough
+    redis.advance(1000);
+    const survivor = new AnalyticsWorker(queue, db, { consumer: 'worker-b', logger: quietLogger });
+    expect(await survivor.processBatch()).toBe(5);
+
+    expect(db.rows.size).toBe(5);
+    expect(db.inserts).toBe(10);
+    expect([...db.rows.values()].map(row => row.visitor_id).sort()).toEqual(['v0', 'v1', 'v2', 'v3', 'v4']);
+    expect(await queue.length()).toBe(0);
+    expect(redis.pending('analytics:events', 'analytics-writers').size).toBe(0);
+  });
+
+  test('splits a batch around a rejected row without rewriting the rest', async () => {
+    for (let i = 0; i < 4; i++) {
+      await queue.enqueue({ shortened_url_id: 'link-1', event_id: `e${i}` });
+    }
+    const insert = db.insertAnalyticsEvents.getMockImplementation();
+    db.insertAnalyticsEvents.mockImplementation(async (events) => {
+      if (events.some(event => event.event_id === 'e2')) throw rowError('invalid input syntax for type inet');
+      return insert(events);
+    });
+    const worker = new AnalyticsWorker(queue, db, { consumer: 'worker-a', logger: quietLogger });
+
+    expect(await worker.processBatch()).toBe(3);
+
+    expect([...db.rows.keys()].sort()).toEqual(['e0', 'e1', 'e3']);
+    expect(db.inserts).toBe(3);
+    expect([...redis.pending('analytics:events', 'analytics-writers').keys()]).toHaveLength(1);
+  });
+
+  test('leaves the batch pending when the database is unavailable', async () => {
+    await queue.enqueue({ shortened_url_id: 'link-1' });
+    await queue.enqueue({ shortened_url_id: 'link-1' });
+    db.insertAnalyticsEvents.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    const worker = new AnalyticsWorker(queue, db, { consumer: 'worker-a', logger: quietLogger });
+
+    await expect(worker.processBatch()).rejects.toThrow('ECONNREFUSED');
+
+    expect(db.insertAnalyticsEvents).toHaveBeenCalledTimes(1);
+    expect(redis.pending('analytics:events', 'analytics-writers').size).toBe(2);
+  });
+
+  test('dead-letters an event that keeps failing', async () => {
+    await queue.enqueue({ shortened_url_id: 'link-1', event_id: 'poison' });
+    db.insertAnalyticsEvents.mockRejectedValue(rowError('value too long for type character varying(32)'));
+    const worker = new AnalyticsWorker(queue, db, { consumer: 'worker-a', logger: quietLogger });
+
+    for (let delivery = 0; delivery < 3; delivery++) {
+      await worker.processBatch();
+      redis.advance(1000);
+    }
+    await worker.processBatch();
+
+    const dead = [...redis.streams.get('analytics:events:dead').values()];
+    expect(dead).toHaveLength(1);
+    expect(JSON.parse(dead[0][3])).toMatchObject({ event_id: 'poison' });
+    expect(dead[0]).toEqual(expect.arrayContaining(['reason', 'max failures reached', 'failures', '3']));
+    expect(await queue.length()).toBe(0);
+    expect(redis.hashes.get('analytics:events:failures').size).toBe(0);
+  });
+
+  test('keeps every event through a database outage longer than maxFailures attempts', async () => {
+    await queue.enqueue({ shortened_url_id: 'link-1', event_id: 'e0' });
+    await queue.enqueue({ shortened_url_id: 'link-1', event_id: 'e1' });
+    const insert = db.insertAnalyticsEvents.getMockImplementation();
+    db.insertAnalyticsEvents.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    const worker = new AnalyticsWorker(queue, db, { consumer: 'worker-a', logger: quietLogger });
+
+    for (let attempt = 0; attempt < 6; attempt++) {
+      await expect(worker.processBatch()).rejects.toThrow('ECONNREFUSED');
+      redis.advance(1000);
+    }
+    db.insertAnalyticsEvents.mockImplementation(insert);
+
+    expect(await worker.processBatch()).toBe(2);
+    expect([...db.rows.keys()].sort()).toEqual(['e0', 'e1']);
+    expect(redis.streams.has('analytics:events:dead')).toBe(false);
+    expect(await queue.length()).toBe(0);
+  });
+
+  test('dead-letters entries that do not parse', async () => {
+    await redis.xadd('analytics:events', '*', 'event', '{not json');
+    const worker = new AnalyticsWorker(queue, db, { consumer: 'worker-a', logger: quietLogger });
+
+    await worker.processBatch();
+
+    expect(redis.streams.get('analytics:events:dead').size).toBe(1);
+    expect(db.insertAnalyticsEvents).not.toHaveBeenCalled();
+  });
+
+  test('refuses new events once the backlog is full', async () => {
+    const small = new AnalyticsQueue(redis, { maxLength: 2, logger: quietLogger });
+    const tracker = new AnalyticsTracker(db, quietLogger, small);
+
+    expect(await tracker.track({ shortened_url_id: 'link-1' })).toBe(true);
+    expect(await tracker.track({ shortened_url_id: 'link-1' })).toBe(true);
+    expect(await tracker.track({ shortened_url_id: 'link-1' })).toBe(false);
+
+    expect(tracker.rejected).toBe(1);
+    expect(await small.length()).toBe(2);
+  });
+
+  test('stays within the backlog limit under concurrent enqueues', async () => {
+    const small = new AnalyticsQueue(redis, { maxLength: 3, logger: quietLogger });
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, (_, i) => small.enqueue({ shortened_url_id: 'link-1', event_id: `c${i}` }))
+    );
+
+    expect(results.filter(Boolean)).toHaveLength(3);
+    expect(await small.length()).toBe(3);
+  });
+});
@@ -0,0 +1,97 @@
+import Fastify from 'fastify';
+import { jest } from '@jest/globals';
+import { adminRoutes } from '../../src/api/routes/admin.js';
+import { requireAdmin } from '../../src/api/middleware/auth.js';
+
+const mockJobs = {
+  jobs: new Map([['expire-urls', {}]]),
+  list: jest.fn(),
+  history: jest.fn(),
+  trigger: jest.fn()
+};
+
+describe('Admin Job Endpoints', () => {
+  let app;
+  let currentUser;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    currentUser = { id: 'admin-1', is_admin: true };
+
+    app = Fastify({ logger: false });
+    app.decorate('jobs', mockJobs);
+    app.decorate('authenticate', async (request) => {
+      request.user = currentUser;
+    });
+    app.decorate('requireAdmin', requireAdmin);
+
+    await app.register(adminRoutes, { prefix: '/api' });
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  test('rejects users who are not administrators', async () => {
+    currentUser = { id: 'user-1', is_admin: false };
+
+    const response = await app.inject({ method: 'GET', url: '/api/admin/jobs' });
+
+    expect(response.statusCode).toBe(403);
+    expect(response.json().message).toBe('Administrator access required');
+    expect(mockJobs.list).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/admin/jobs lists the registered jobs', async () => {
+    mockJobs.list.mockResolvedValue([{ name: 'expire-urls', schedule: '*/15 * * * *', last_run: null }]);
+
+    const response = await app.inject({ method: 'GET', url: '/api/admin/jobs' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().jobs).toEqual([{ name: 'expire-urls', schedule: '*/15 * * * *', last_run: null }]);
+  });
+
+  test('GET /api/admin/jobs/:name/runs returns recent runs', async () => {
+    mockJobs.history.mockResolvedValue([{ id: 'run-1', status: 'failed', error: 'boom' }]);
+
+    const response = await app.inject({ method: 'GET', url: '/api/admin/jobs/expire-urls/runs?limit=500' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toEqual({ job: 'expire-urls', runs: [{ id: 'run-1', status: 'failed', error: 'boom' }] });
+    expect(mockJobs.history).toHaveBeenCalledWith('expire-urls', 100);
+  });
+
+  test('GET /api/admin/jobs/:name/runs returns 404 for unknown jobs', async () => {
+    const response = await app.inject({ method: 'GET', url: '/api/admin/jobs/nope/runs' });
+
+    expect(response.statusCode).toBe(404);
+    expect(mockJobs.history).not.toHaveBeenCalled();
+  });
+
+  test('POST /api/admin/jobs/:name/run starts the job', async () => {
+    mockJobs.trigger.mockResolvedValue(true);
+
+    const response = await app.inject({ method: 'POST', url: '/api/admin/jobs/expire-urls/run' });
+
+    expect(response.statusCode).toBe(202);
+    expect(response.json()).toEqual({ job: 'expire-urls', status: 'started' });
+    expect(mockJobs.trigger).toHaveBeenCalledWith('expire-urls', { triggeredBy: 'admin-1' });
+  });
+
+  test('POST /api/admin/jobs/:name/run returns 409 while the job is running', async () => {
+    mockJobs.trigger.mockResolvedValue(false);
+
+    const response = await app.inject({ method: 'POST', url: '/api/admin/jobs/expire-urls/run' });
+
+    expect(response.statusCode).toBe(409);
+    expect(response.json().message).toBe('Job expire-urls is already running');
+  });
+
+  test('POST /api/admin/jobs/:name/run returns 404 for unknown jobs', async () => {
+    mockJobs.trigger.mockResolvedValue(null);
+
+    const response = await app.inject({ method: 'POST', url: '/api/admin/jobs/nope/run' });
+
+    expect(response.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,245 @@
+import Fastify from 'fastify';
+import { jest } from '@jest/globals';
+import domainRoutes from '../../src/api/routes/domains.js';
+
+const mockDb = {
+  query: jest.fn()
+};
+
+const mockCache = {
+  del: jest.fn()
+};
+
+const resolveTxt = jest.fn();
+
+describe('Domain API Endpoints', () => {
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    app = Fastify({ logger: false });
+    app.decorate('db', mockDb);
+    app.decorate('cache', mockCache);
+    app.decorate('authenticate', async (request) => {
+      request.user = { id: 'user-1' };
+    });
+
+    await app.register(domainRoutes, { prefix: '/api', resolveTxt });
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  describe('POST /api/domains', () => {
+    test('adds a domain with TXT verification instructions', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ max_custom_domains: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{ id: 'domain-1', domain: params[1], verification_token: params[2], is_verified: false }]
+        }));
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/domains',
+        payload: { domain: 'Go.Acme.com' }
+      });
+
+      expect(response.statusCode).toBe(201);
+      const body = response.json();
+      expect(body.domain).toBe('go.acme.com');
+      expect(body.verification).toEqual({
+        type: 'TXT',
+        name: '_wordsto-link.go.acme.com',
+        value: expect.stringMatching(/^wordsto-link-verification=/)
+      });
+    });
+
+    test('lets a user add a domain another account claimed but never verified', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ max_custom_domains: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{ id: 'domain-2', domain: params[1], verification_token: params[2], is_verified: false }]
+        }));
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/domains',
+        payload: { domain: 'acme.com' }
+      });
+
+      expect(response.statusCode).toBe(201);
+      const [sql, params] = mockDb.query.mock.calls[2];
+      expect(sql).toContain('is_verified = true OR user_id = $2');
+      expect(params).toEqual(['acme.com', 'user-1']);
+    });
+
+    test('refuses a domain another account has verified', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ max_custom_domains: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'domain-9', user_id: 'user-2', is_verified: true }] });
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/domains',
+        payload: { domain: 'acme.com' }
+      });
+
+      expect(response.statusCode).toBe(409);
+      expect(response.json().message).toBe('This domain is already in use by another account');
+      expect(mockDb.query).toHaveBeenCalledTimes(3);
+    });
+
+    test('enforces the plan limit', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ max_custom_domains: 0 }] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/domains',
+        payload: { domain: 'go.acme.com' }
+      });
+
+      expect(response.statusCode).toBe(403);
+      expect(response.json().message).toMatch(/not available on your current plan/);
+    });
+
+    test('rejects the shared domain', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/domains',
+        payload: { domain: 'wordsto.link' }
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/domains/:id/verify', () => {
+    const pending = {
+      id: 'domain-1',
+      domain: 'go.acme.com',
+      verification_token: 'wordsto-link-verification=abc',
+      is_verified: false
+    };
+
+    test('verifies the domain when the TXT record matches', async () => {
+      resolveTxt.mockResolvedValueOnce([['wordsto-link-verification=abc']]);
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [pending] })
+        .mockResolvedValueOnce({ rows: [{ ...pending, is_verified: true, verified_at: '2025-01-01T00:00:00Z' }] });
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/domains/domain-1/verify'
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.json().is_verified).toBe(true);
+      expect(resolveTxt).toHaveBeenCalledWith('_wordsto-link.go.acme.com');
+      expect(mockCache.del).toHaveBeenCalledWith('domain:go.acme.com');
+    });
+
+    test('removes other accounts\' pending claims once verified', async () => {
+      resolveTxt.mockResolvedValueOnce([['wordsto-link-verification=abc']]);
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [pending] })
+        .mockResolvedValueOnce({ rows: [{ ...pending, is_verified: true }] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/domains/domain-1/verify'
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(mockDb.query).toHaveBeenLastCalledWith(
+        'DELETE FROM user_domains WHERE domain = $1 AND id != $2 AND is_verified = false',
+        ['go.acme.com', 'domain-1']
+      );
+    });
+
+    test('refuses when another account verified the domain first', async () => {
+      resolveTxt.mockResolvedValueOnce([['wordsto-link-verification=abc']]);
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [pending] })
+        .mockRejectedValueOnce(Object.assign(new Error('duplicate key value'), { code: '23505' }));
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/domains/domain-1/verify'
+      });
+
+      expect(response.statusCode).toBe(409);
+      expect(mockCache.del).not.toHaveBeenCalled();
+    });
+
+    test('reports a missing record', async () => {
+      resolveTxt.mockRejectedValueOnce(Object.assign(new Error('queryTxt ENOTFOUND'), { code: 'ENOTFOUND' }));
+      mockDb.query.mockResolvedValueOnce({ rows: [pending] });
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/domains/domain-1/verify'
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.json().verification.name).toBe('_wordsto-link.go.acme.com');
+      expect(mockDb.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('asks to retry when DNS is unavailable', async () => {
+      resolveTxt.mockRejectedValueOnce(Object.assign(new Error('queryTxt ETIMEOUT'), { code: 'ETIMEOUT' }));
+      mockDb.query.mockResolvedValueOnce({ rows: [pending] });
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/domains/domain-1/verify'
+      });
+
+      expect(response.statusCode).toBe(503);
+    });
+  });
+
+  describe('DELETE /api/domains/:id', () => {
+    test('refuses while the domain has active links', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ id: 'domain-1', domain: 'go.acme.com' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] });
+
+      const response = await app.inject({
+        method: 'DELETE',
+        url: '/api/domains/domain-1'
+      });
+
+      expect(response.statusCode).toBe(409);
+    });
+
+    test('removes an unused domain', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ id: 'domain-1', domain: 'go.acme.com' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await app.inject({
+        method: 'DELETE',
+        url: '/api/domains/domain-1'
+      });
+
+      expect(response.statusCode).toBe(204);
+      expect(mockDb.query).toHaveBeenLastCalledWith(
+        'DELETE FROM user_domains WHERE id = $1 AND user_id = $2',
+        ['domain-1', 'user-1']
+      );
+      expect(mockCache.del).toHaveBeenCalledWith('domain:go.acme.com');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import Fastify from 'fastify';
+import { jest } from '@jest/globals';
+import { emailRoutes } from '../../src/api/routes/email.js';
+import { createExtendLinkToken } from '../../src/services/link-expiry-digest.js';
+import { buildUnsubscribeUrl } from '../../src/services/notification-preferences.js';
+
+const mockDb = {
+  query: jest.fn()
+};
+
+const mockCache = {
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn(),
+  getSetMembers: jest.fn(async () => [])
+};
+
+const expiresAt = new Date('2025-03-05T10:00:00Z');
+const link = {
+  id: 'link-1',
+  user_id: 'user-1',
+  identifier: 'jane',
+  keywords: ['launch'],
+  domain_id: null,
+  is_active: true,
+  expires_at: expiresAt
+};
+
+describe('Email Action Endpoints', () => {
+  let app;
+  const extendToken = () => createExtendLinkToken(link);
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    app = Fastify({ logger: false });
+    app.decorate('db', mockDb);
+    app.decorate('cache', mockCache);
+
+    await app.register(emailRoutes, { prefix: '/api' });
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  test('GET /api/email/extend-link asks for confirmation without changing the link', async () => {
+    mockDb.query.mockResolvedValue({ rows: [{ ...link, domain: null }] });
+    const token = extendToken();
+
+    const response = await app.inject({ method: 'GET', url: `/api/email/extend-link?token=${token}` });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['content-type']).toContain('text/html');
+    expect(response.body).toContain('action="/api/email/extend-link"');
+    expect(response.body).toContain(`value="${token}"`);
+    expect(mockDb.query).toHaveBeenCalledTimes(1);
+    expect(mockDb.query.mock.calls[0][0]).not.toContain('UPDATE');
+  });
+
+  test('POST /api/email/extend-link moves the expiry on by 30 days', async () => {
+    const extended = { ...link, expires_at: new Date('2025-04-04T10:00:00Z') };
+    mockDb.query.mockResolvedValueOnce({ rows: [extended] });
+
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/email/extend-link',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      payload: `token=${extendToken()}`
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toContain('Link extended');
+    expect(mockDb.query).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE shortened_urls'),
+      ['link-1', 'user-1', '2025-03-05T10:00:00.000Z', 30]
+    );
+    expect(mockCache.del).toHaveBeenCalledWith('url:identifier:jane:keywords:launch');
+  });
+
+  test('POST /api/email/extend-link does not extend twice', async () => {
+    mockDb.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ ...link, expires_at: new Date('2025-04-04T10:00:00Z') }] });
+
+    const response = await app.inject({
+      method: 'POST',
+      url: `/api/email/extend-link?token=${extendToken()}`
+    });
+
+    expect(response.statusCode).toBe(409);
+    expect(response.body).toContain('Expiry already changed');
+    expect(mockCache.del).not.toHaveBeenCalled();
+  });
+
+  test('POST /api/email/extend-link rejects invalid tokens', async () => {
+    const unsubscribeToken = new URL(buildUnsubscribeUrl('user-1', 'link_expiry')).searchParams.get('token');
+
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/email/extend-link',
+      payload: { token: unsubscribeToken }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(mockDb.query).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/email/unsubscribe only shows a confirmation', async () => {
+    const url = new URL(buildUnsubscribeUrl('user-1', 'link_expiry'));
+
+    const response = await app.inject({ method: 'GET', url: `/api/email/unsubscribe${url.search}` });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toContain('links that expire within 7 days');
+    expect(mockDb.query).not.toHaveBeenCalled();
+  });
+
+  test('POST /api/email/unsubscribe handles RFC 8058 one-click requests', async () => {
+    mockDb.query.mockResolvedValue({ rows: [], rowCount: 1 });
+    const url = new URL(buildUnsubscribeUrl('user-1', 'link_expiry'));
+
+    const response = await app.inject({
+      method: 'POST',
+      url: `/api/email/unsubscribe${url.search}`,
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      payload: 'List-Unsubscribe=One-Click'
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(mockDb.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO notification_preferences'),
+      ['user-1', ['email'], ['link_expiry'], [false]]
+    );
+  });
+
+  test('POST /api/email/unsubscribe accepts multipart one-click requests', async () => {
+    mockDb.query.mockResolvedValue({ rows: [], rowCount: 1 });
+    const url = new URL(buildUnsubscribeUrl('user-1', '*'));
+
+    const response = await app.inject({
+      method: 'POST',
+      url: `/api/email/unsubscribe${url.search}`,
+      headers: { 'content-type': 'multipart/form-data; boundary=x' },
+      payload: '--x\r\nContent-Disposition: form-data; name="List-Unsubscribe"\r\n\r\nOne-Click\r\n--x--\r\n'
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(mockDb.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO notification_preferences'),
+      ['user-1', ['email'], ['*'], [false]]
+    );
+  });
+
+  test('POST /api/email/unsubscribe rejects other tokens', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/email/unsubscribe',
+      payload: { token: extendToken() }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(mockDb.query).not.toHaveBeenCalled();
+  });
+});
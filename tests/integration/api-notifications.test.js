@@ -0,0 +1,83 @@
+import Fastify from 'fastify';
+import { jest } from '@jest/globals';
+import { userRoutes } from '../../src/api/routes/user.js';
+
+const mockDb = {
+  query: jest.fn()
+};
+
+function mockStoredPreferences(rows) {
+  mockDb.query.mockImplementation(async (sql) => {
+    if (sql.includes('SELECT channel, event, enabled')) return { rows };
+    return { rows: [], rowCount: 1 };
+  });
+}
+
+describe('Notification Preferences Endpoints', () => {
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    app = Fastify({ logger: false });
+    app.decorate('db', mockDb);
+    app.decorate('authenticate', async (request) => {
+      request.user = { id: 'user-1' };
+    });
+
+    await app.register(userRoutes, { prefix: '/api' });
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  test('GET /api/user/notifications returns stored choices over the defaults', async () => {
+    mockStoredPreferences([{ channel: 'email', event: 'weekly_report', enabled: true }]);
+
+    const response = await app.inject({ method: 'GET', url: '/api/user/notifications' });
+
+    expect(response.statusCode).toBe(200);
+    const body = response.json();
+    expect(body.channels).toEqual({ email: true });
+    expect(body.events).toMatchObject({
+      account_alerts: { email: true },
+      link_expiry: { email: true },
+      weekly_report: { email: true },
+      marketing: { email: false }
+    });
+    expect(body.descriptions.weekly_report).toBe('Weekly analytics summary');
+    expect(mockDb.query).toHaveBeenCalledWith(expect.any(String), ['user-1']);
+  });
+
+  test('PATCH /api/user/notifications stores per-event and per-channel toggles', async () => {
+    mockStoredPreferences([{ channel: 'email', event: 'marketing', enabled: true }]);
+
+    const response = await app.inject({
+      method: 'PATCH',
+      url: '/api/user/notifications',
+      payload: { channels: { email: true }, events: { marketing: { email: true } } }
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().events.marketing).toEqual({ email: true });
+    expect(mockDb.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO notification_preferences'),
+      ['user-1', ['email', 'email'], ['*', 'marketing'], [true, true]]
+    );
+  });
+
+  test('PATCH /api/user/notifications rejects unknown events and non-boolean values', async () => {
+    for (const payload of [
+      { events: { newsletter: { email: false } } },
+      { events: { weekly_report: { email: 'yes' } } },
+      { channels: { sms: true } },
+      {}
+    ]) {
+      const response = await app.inject({ method: 'PATCH', url: '/api/user/notifications', payload });
+
+      expect(response.statusCode).toBe(400);
+    }
+    expect(mockDb.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+import Fastify from 'fastify';
+import { jest } from '@jest/globals';
+import { userRoutes } from '../../src/api/routes/user.js';
+
+const mockDb = {
+  query: jest.fn()
+};
+
+const plans = [
+  { name: 'free', analytics_retention_days: 90 },
+  { name: 'enterprise', analytics_retention_days: null }
+];
+
+function mockPrivacyQueries(user) {
+  mockDb.query.mockImplementation(async (sql) => {
+    if (sql.includes('UPDATE users SET privacy_mode')) return { rows: user ? [{ id: 'user-1' }] : [] };
+    if (sql.includes('FROM users u')) return { rows: user ? [user] : [] };
+    if (sql.includes('FROM subscription_plans')) return { rows: plans };
+    return { rows: [] };
+  });
+}
+
+describe('Privacy API Endpoints', () => {
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    app = Fastify({ logger: false });
+    app.decorate('db', mockDb);
+    app.decorate('authenticate', async (request) => {
+      request.user = { id: 'user-1' };
+    });
+
+    await app.register(userRoutes, { prefix: '/api' });
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  test('GET /api/user/privacy reports the effective policy and retention', async () => {
+    mockPrivacyQueries({ privacy_mode: 'strict', subscription_tier: 'free', analytics_retention_days: 90 });
+
+    const response = await app.inject({ method: 'GET', url: '/api/user/privacy' });
+
+    expect(response.statusCode).toBe(200);
+    const body = response.json();
+    expect(body.account_mode).toBe('strict');
+    expect(body.effective).toMatchObject({ mode: 'strict', ip_storage: 'truncated', honor_do_not_track: true });
+    expect(body.deployment.mode).toBeDefined();
+    expect(body.retention).toEqual({ plan: 'free', days: 90, action: expect.any(String) });
+    expect(body.plans).toEqual([
+      { name: 'free', retention_days: 90 },
+      { name: 'enterprise', retention_days: null }
+    ]);
+  });
+
+  test('PATCH /api/user/privacy sets the account override', async () => {
+    mockPrivacyQueries({ privacy_mode: 'strict', subscription_tier: 'free', analytics_retention_days: 90 });
+
+    const response = await app.inject({
+      method: 'PATCH',
+      url: '/api/user/privacy',
+      payload: { privacy_mode: 'strict' }
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(mockDb.query).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE users SET privacy_mode'),
+      ['strict', 'user-1']
+    );
+  });
+
+  test('PATCH /api/user/privacy rejects unknown modes', async () => {
+    const response = await app.inject({
+      method: 'PATCH',
+      url: '/api/user/privacy',
+      payload: { privacy_mode: 'off' }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(mockDb.query).not.toHaveBeenCalled();
+  });
+});
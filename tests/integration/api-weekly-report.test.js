@@ -0,0 +1,108 @@
+import Fastify from 'fastify';
+import { jest } from '@jest/globals';
+import { userRoutes } from '../../src/api/routes/user.js';
+
+const mockDb = {
+  query: jest.fn()
+};
+
+const reportWeek = {
+  id: 'user-1',
+  full_name: 'Jane',
+  timezone: 'America/New_York',
+  week_start: '2025-03-03',
+  week_end: '2025-03-09',
+  period_start: new Date('2025-03-03T05:00:00Z'),
+  period_end: new Date('2025-03-10T03:59:59.999Z'),
+  previous_start: new Date('2025-02-24T05:00:00Z'),
+  previous_end: new Date('2025-03-03T04:59:59.999Z')
+};
+
+function mockReportQueries(user) {
+  mockDb.query.mockImplementation(async (sql) => {
+    if (sql.includes('pg_timezone_names')) return { rows: user ? [user] : [] };
+    if (sql.includes('as total_urls')) {
+      return { rows: [{ total_urls: '2', total_clicks: '10', unique_visitors: '4', countries_reached: '1' }] };
+    }
+    return { rows: [] };
+  });
+}
+
+describe('Weekly Report Endpoints', () => {
+  let app;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    app = Fastify({ logger: false });
+    app.decorate('db', mockDb);
+    app.decorate('authenticate', async (request) => {
+      request.user = { id: 'user-1' };
+    });
+
+    await app.register(userRoutes, { prefix: '/api' });
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  test('GET /api/user/weekly-report/preview returns the report and both renderings', async () => {
+    mockReportQueries(reportWeek);
+
+    const response = await app.inject({ method: 'GET', url: '/api/user/weekly-report/preview' });
+
+    expect(response.statusCode).toBe(200);
+    const body = response.json();
+    expect(body.report.period).toEqual({ start: '2025-03-03', end: '2025-03-09', timezone: 'America/New_York' });
+    expect(body.report.clicks).toEqual({ current: 10, previous: 10, change_percent: 0 });
+    expect(body.subject).toContain('10 clicks');
+    expect(body.html).toContain('<!DOCTYPE html>');
+    expect(body.text).toContain('Clicks: 10');
+    expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining('pg_timezone_names'), ['user-1']);
+  });
+
+  test('GET /api/user/weekly-report/preview?format=html returns the email body', async () => {
+    mockReportQueries(reportWeek);
+
+    const response = await app.inject({ method: 'GET', url: '/api/user/weekly-report/preview?format=html' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['content-type']).toContain('text/html');
+    expect(response.body).toContain('Your Weekly Report');
+  });
+
+  test('GET /api/user/weekly-report/preview returns 404 for unknown users', async () => {
+    mockReportQueries(null);
+
+    const response = await app.inject({ method: 'GET', url: '/api/user/weekly-report/preview' });
+
+    expect(response.statusCode).toBe(404);
+  });
+
+  test('PATCH /api/user/profile sets the report timezone', async () => {
+    mockDb.query.mockResolvedValue({ rows: [{ id: 'user-1', timezone: 'Europe/Berlin' }] });
+
+    const response = await app.inject({
+      method: 'PATCH',
+      url: '/api/user/profile',
+      payload: { timezone: 'Europe/Berlin' }
+    });
+
+    expect(response.statusCode).toBe(200);
+    const [sql, params] = mockDb.query.mock.calls[0];
+    expect(sql).toContain('timezone = $1');
+    expect(params).toEqual(['Europe/Berlin', 'user-1']);
+  });
+
+  test('PATCH /api/user/profile rejects unknown timezones', async () => {
+    const response = await app.inject({
+      method: 'PATCH',
+      url: '/api/user/profile',
+      payload: { timezone: 'Mars/Olympus_Mons' }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(mockDb.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+import { performance } from 'perf_hooks';
+import { randomUUID } from 'crypto';
+import { nanoid } from 'nanoid';
+import { db } from '../../src/db/connection.js';
+
+const EVENT_COUNT = 1000;
+const BATCH_SIZE = 100;
+
+function makeEvents(urlId) {
+  return Array.from({ length: EVENT_COUNT }, (_, i) => ({
+    event_id: randomUUID(),
+    shortened_url_id: urlId,
+    visitor_id: `bench-${i % 200}`,
+    ip_address: `10.0.${Math.floor(i / 250)}.${i % 250}`,
+    user_agent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Firefox/120.0',
+    referer: 'https://news.example.com/',
+    country_code: 'DE',
+    browser_name: 'Firefox',
+    os_name: 'macOS',
+    device_type: 'desktop',
+    is_bot: false,
+    response_time_ms: 3,
+    clicked_at: new Date().toISOString()
+  }));
+}
+
+// What each event cost before bulk inserts: a transaction with a visitor check,
+// a counter update and the insert
+async function insertOneByOne(event) {
+  await db.transaction(async (client) => {
+    const seen = await client.query(
+      'SELECT 1 FROM analytics_events WHERE shortened_url_id = $1 AND visitor_id = $2 LIMIT 1',
+      [event.shortened_url_id, event.visitor_id]
+    );
+    if (seen.rows.length === 0) {
+      await client.query('UPDATE shortened_urls SET unique_visitors = unique_visitors + 1 WHERE id = $1', [event.shortened_url_id]);
+    }
+    await client.query(
+      `INSERT INTO analytics_events (shortened_url_id, visitor_id, ip_address, user_agent, referer, country_code,
+         browser_name, os_name, device_type, is_bot, response_time_ms, event_id, clicked_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [event.shortened_url_id, event.visitor_id, event.ip_address, event.user_agent, event.referer, event.country_code,
+        event.browser_name, event.os_name, event.device_type, event.is_bot, event.response_time_ms, event.event_id, event.clicked_at]
+    );
+  });
+}
+
+describe('Analytics Ingest Performance', () => {
+  let userId;
+  let urlId;
+
+  beforeAll(async () => {
+    const user = await db.query(
+      'INSERT INTO users (clerk_user_id, email) VALUES ($1, $2) RETURNING id',
+      [`bench_${nanoid(8)}`, `bench-${nanoid(8)}@example.com`]
+    );
+    userId = user.rows[0].id;
+    const url = await db.query(
+      'INSERT INTO shortened_urls (user_id, keywords, original_url) VALUES ($1, $2, $3) RETURNING id',
+      [userId, [`bench-${nanoid(8).toLowerCase()}`], 'https://example.com/bench']
+    );
+    urlId = url.rows[0].id;
+  });
+
+  afterAll(async () => {
+    await db.query('DELETE FROM users WHERE id = $1', [userId]);
+    await db.close();
+  });
+
+  test('compares per-event transactions with batched multi-row inserts', async () => {
+    const before = makeEvents(urlId);
+    const singleStart = performance.now();
+    for (const event of before) {
+      await insertOneByOne(event);
+    }
+    const singleTime = performance.now() - singleStart;
+
+    const after = makeEvents(urlId);
+    const bulkStart = performance.now();
+    for (let i = 0; i < after.length; i += BATCH_SIZE) {
+      await db.insertAnalyticsEvents(after.slice(i, i + BATCH_SIZE));
+    }
+    const bulkTime = performance.now() - bulkStart;
+
+    const perSecond = (ms) => Math.round(EVENT_COUNT / (ms / 1000));
+    console.log(`Per-event: ${perSecond(singleTime)} events/s, batches of ${BATCH_SIZE}: ${perSecond(bulkTime)} events/s`);
+    expect(bulkTime).toBeLessThan(singleTime);
+  });
+
+  test('skips events that were already written', async () => {
+    const events = makeEvents(urlId).slice(0, BATCH_SIZE);
+    await db.insertAnalyticsEvents(events);
+
+    const replayed = await db.insertAnalyticsEvents(events);
+
+    expect(replayed).toHaveLength(0);
+  });
+});
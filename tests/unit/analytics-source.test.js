@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import { planAnalyticsSource, analyticsSource, dimensionFilter } from '../../src/utils/analytics-source.js';
+import { refreshAnalyticsRollups } from '../../src/services/analytics-rollups.js';
+
+const hoursAgo = (hours) => new Date(Date.parse('2025-06-30T23:59:59.999Z') - hours * 3600000);
+const end = hoursAgo(0);
+
+describe('planAnalyticsSource', () => {
+  test('reads raw events for short ranges', () => {
+    expect(planAnalyticsSource(hoursAgo(24), end, 'hour', { minRangeHours: 48 })).toEqual({ rollups: false, daily: false });
+  });
+
+  test('reads raw events for minute buckets whatever the range', () => {
+    expect(planAnalyticsSource(hoursAgo(24 * 30), end, 'minute', { minRangeHours: 48 })).toEqual({ rollups: false, daily: false });
+  });
+
+  test('uses daily rollups for long ranges', () => {
+    expect(planAnalyticsSource(hoursAgo(24 * 30), end, null, { minRangeHours: 48 })).toEqual({ rollups: true, daily: true });
+    expect(planAnalyticsSource(hoursAgo(24 * 365), end, 'month', { minRangeHours: 48 })).toEqual({ rollups: true, daily: true });
+  });
+
+  test('keeps to hourly rollups when the timeline is bucketed by hour', () => {
+    expect(planAnalyticsSource(hoursAgo(24 * 7), end, 'hour', { minRangeHours: 48 })).toEqual({ rollups: true, daily: false });
+  });
+});
+
+describe('analyticsSource', () => {
+  test('reads the range from analytics_events only without rollups', () => {
+    const sql = analyticsSource({ rollups: false, daily: false }, ['total']);
+
+    expect(sql).toContain('e.clicked_at BETWEEN $2 AND $3');
+    expect(sql).not.toContain('analytics_rollups');
+  });
+
+  test('combines rollups with raw events for the edges and dirty hours', () => {
+    const sql = analyticsSource({ rollups: true, daily: true }, ['country', 'device']);
+
+    expect(sql).toContain('FROM analytics_rollups_daily r');
+    expect(sql).toContain('FROM analytics_rollups_hourly r');
+    expect(sql).toContain("r.dimension IN ('country', 'device')");
+    expect(sql).toContain('FROM dirty_hours dirty JOIN analytics_events e');
+    expect(sql.match(/FROM analytics_events e/g)).toHaveLength(2);
+  });
+
+  test('leaves out daily rows when the plan does not allow them', () => {
+    const sql = analyticsSource({ rollups: true, daily: false }, ['total']);
+
+    expect(sql).not.toContain('analytics_rollups_daily');
+    expect(sql).toContain('analytics_rollups_hourly');
+  });
+
+  test('reads every link of the account with the account scope', () => {
+    const sql = analyticsSource({ rollups: true, daily: true }, ['total'], { scope: 'account' });
+
+    expect(sql).toContain('r.shortened_url_id IN (SELECT id FROM shortened_urls WHERE user_id = $1)');
+    expect(sql).toContain('e.shortened_url_id IN (SELECT id FROM shortened_urls WHERE user_id = $1)');
+    expect(sql).toContain('dirty_hours dirty JOIN analytics_events e ON e.shortened_url_id = dirty.shortened_url_id');
+    expect(sql).toContain('dirty.shortened_url_id = r.shortened_url_id AND dirty.bucket = r.bucket');
+  });
+
+  test('rejects unknown scopes', () => {
+    expect(() => analyticsSource({ rollups: false }, ['total'], { scope: 'team' })).toThrow('Unknown analytics scope: team');
+  });
+
+  test('rejects unknown dimensions', () => {
+    expect(() => analyticsSource({ rollups: false }, ['city'])).toThrow('Unknown analytics dimension: city');
+  });
+
+  test('lets raw rows through every dimension filter', () => {
+    expect(dimensionFilter('total', 'country')).toBe("(dimension IS NULL OR dimension IN ('total', 'country'))");
+  });
+});
+
+describe('refreshAnalyticsRollups', () => {
+  test('recomputes dirty hours and their days in batches until none are left', async () => {
+    const bucket = new Date('2025-06-30T10:00:00Z');
+    const batches = [
+      [{ shortened_url_id: 'link-a', bucket }, { shortened_url_id: 'link-b', bucket }],
+      [{ shortened_url_id: 'link-a', bucket: new Date('2025-06-30T11:00:00Z') }]
+    ];
+    const client = {
+      query: jest.fn(async (sql) => (sql.includes('DELETE FROM analytics_rollup_dirty')
+        ? { rows: batches.shift() || [] }
+        : { rows: [], rowCount: 0 }))
+    };
+    const db = { transaction: jest.fn(callback => callback(client)) };
+
+    const hours = await refreshAnalyticsRollups(db, { batchSize: 2, logger: { info: jest.fn() } });
+
+    expect(hours).toBe(3);
+    expect(db.transaction).toHaveBeenCalledTimes(2);
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    expect(statements.filter(sql => sql.includes('INSERT INTO analytics_rollups_hourly'))).toHaveLength(2);
+    expect(statements.filter(sql => sql.includes('INSERT INTO analytics_rollups_daily'))).toHaveLength(2);
+    expect(statements.find(sql => sql.includes('INSERT INTO analytics_rollups_hourly'))).toContain('GROUPING SETS');
+    const [, params] = client.query.mock.calls[1];
+    expect(params).toEqual([['link-a', 'link-b'], [bucket, bucket]]);
+  });
+});
@@ -0,0 +1,106 @@
+import {
+  createBotClassifier,
+  loadBotRules,
+  isBotCategory,
+  BOT_CATEGORIES,
+  HUMAN
+} from '../../src/utils/bot-classifier.js';
+import { includeBotsSchema } from '../../src/api/schemas/validation.js';
+
+const defaults = loadBotRules('./data/bot-rules.json');
+const classifier = createBotClassifier(defaults);
+const classify = (userAgent, ip) => classifier.classify({ userAgent, ip });
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('Bot classifier', () => {
+  describe('default rules', () => {
+    test('loads from the data file', () => {
+      expect(defaults.user_agents.length).toBeGreaterThan(0);
+    });
+
+    test.each([
+      ['Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)', 'search_crawler'],
+      ['Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)', 'search_crawler'],
+      ['facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)', 'social_unfurler'],
+      ['Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)', 'social_unfurler'],
+      ['Mozilla/5.0+(compatible; UptimeRobot/2.0; http://www.uptimerobot.com/)', 'monitor'],
+      ['Pingdom.com_bot_version_1.4_(http://www.pingdom.com/)', 'monitor'],
+      [CHROME.replace('Chrome/', 'HeadlessChrome/'), 'headless'],
+      ['sqlmap/1.7.2#stable (https://sqlmap.org)', 'scanner'],
+      ['Mozilla/5.0 zgrab/0.x', 'scanner'],
+      ['curl/8.4.0', 'other_bot'],
+      ['python-requests/2.31.0', 'other_bot'],
+      ['SomeNewCrawler/1.0', 'other_bot']
+    ])('classifies %s as %s', (userAgent, category) => {
+      expect(classify(userAgent)).toBe(category);
+    });
+
+    test.each([
+      CHROME,
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) GSA/300.0.598994205 Mobile/15E148 Safari/604.1',
+      'Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36 BingSapphire/28.1.430',
+      'Mozilla/5.0 (Linux; Android 13; CUBOT X30) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36',
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148 [Pinterest/iOS]'
+    ])('treats %s as a person', (userAgent) => {
+      expect(classify(userAgent)).toBe(HUMAN);
+    });
+
+    test('treats a missing User-Agent as a bot', () => {
+      expect(classify(undefined)).toBe('other_bot');
+    });
+
+    test('matches crawler IP ranges whatever the User-Agent says', () => {
+      expect(classify(CHROME, '66.249.66.1')).toBe('search_crawler');
+      expect(classify(CHROME, '2001:4860:4801:10::1')).toBe('search_crawler');
+      expect(classify(CHROME, '203.0.113.7')).toBe(HUMAN);
+    });
+  });
+
+  describe('overrides', () => {
+    test('are checked before the defaults', () => {
+      const withOverrides = createBotClassifier({
+        user_agents: [{ category: HUMAN, patterns: ['AcmeKiosk'] }],
+        ip_ranges: [{ category: 'monitor', cidrs: ['198.51.100.0/24', '192.0.2.10'] }]
+      }, defaults);
+
+      expect(withOverrides.classify({ userAgent: 'AcmeKiosk curl/8.0' })).toBe(HUMAN);
+      expect(withOverrides.classify({ userAgent: CHROME, ip: '198.51.100.25' })).toBe('monitor');
+      expect(withOverrides.classify({ userAgent: CHROME, ip: '192.0.2.10' })).toBe('monitor');
+      expect(withOverrides.classify({ userAgent: CHROME, ip: '192.0.2.11' })).toBe(HUMAN);
+    });
+
+    test('reject unknown categories', () => {
+      expect(() => createBotClassifier({ user_agents: [{ category: 'robot', patterns: ['x'] }] }))
+        .toThrow('Unknown traffic category: robot');
+    });
+
+    test('a missing overrides file is skipped', () => {
+      const logger = { warn: jest.fn() };
+      expect(loadBotRules('./data/does-not-exist.json', logger)).toBeNull();
+      expect(logger.warn).toHaveBeenCalled();
+      expect(loadBotRules(null, logger)).toBeNull();
+    });
+  });
+
+  test('isBotCategory', () => {
+    BOT_CATEGORIES.forEach(category => expect(isBotCategory(category)).toBe(true));
+    expect(isBotCategory(HUMAN)).toBe(false);
+  });
+
+  describe('include_bots query parameter', () => {
+    test.each([
+      [undefined, false],
+      ['false', false],
+      ['true', true],
+      ['monitor', ['monitor']],
+      ['monitor, search_crawler', ['monitor', 'search_crawler']]
+    ])('parses %p', (value, expected) => {
+      expect(includeBotsSchema.parse(value)).toEqual(expected);
+    });
+
+    test('rejects unknown categories', () => {
+      expect(includeBotsSchema.safeParse('robots').success).toBe(false);
+    });
+  });
+});
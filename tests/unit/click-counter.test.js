@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+import { ClickCounter } from '../../src/services/click-counter.js';
+
+// Just enough of ioredis for the counter; HyperLogLogs are exact sets here
+function createFakeRedis() {
+  const strings = new Map();
+  const sets = new Map();
+  const members = (key) => {
+    if (!sets.has(key)) sets.set(key, new Set());
+    return sets.get(key);
+  };
+
+  const commands = {
+    get: (key) => strings.get(key) ?? null,
+    set: (key, value, mode) => {
+      if (mode === 'NX' && strings.has(key)) return null;
+      strings.set(key, String(value));
+      return 'OK';
+    },
+    del: (...keys) => keys.forEach(key => { strings.delete(key); sets.delete(key); }),
+    incrby: (key, amount) => {
+      const value = parseInt(strings.get(key) || 0) + amount;
+      strings.set(key, String(value));
+      return value;
+    },
+    decrby: (key, amount) => commands.incrby(key, -amount),
+    sadd: (key, ...values) => values.forEach(value => members(key).add(value)),
+    pfadd: (key, ...values) => commands.sadd(key, ...values),
+    pfcount: (key) => sets.get(key)?.size || 0,
+    spop: (key, count) => {
+      const popped = [...members(key)].slice(0, count);
+      popped.forEach(value => sets.get(key).delete(value));
+      return popped;
+    },
+    // Mirrors TAKE_SCRIPT
+    eval: (script, numKeys, pendingKey, lastKey, visitorsKey, flushedKey) => {
+      const clicks = parseInt(commands.get(pendingKey) || 0);
+      const last = commands.get(lastKey) || '';
+      commands.del(pendingKey, lastKey);
+      const visitors = commands.pfcount(visitorsKey);
+      const flushed = parseInt(commands.get(flushedKey) || 0);
+      commands.set(flushedKey, visitors);
+      return [clicks, last, Math.max(visitors - flushed, 0)];
+    }
+  };
+
+  const batch = () => {
+    const queued = [];
+    const chain = new Proxy({}, {
+      get: (target, name) => (name === 'exec'
+        ? async () => queued.map(([command, args]) => [null, commands[command](...args)])
+        : (...args) => { queued.push([name, args]); return chain; })
+    });
+    return chain;
+  };
+
+  return {
+    strings,
+    sets,
+    multi: batch,
+    pipeline: batch,
+    spop: async (...args) => commands.spop(...args)
+  };
+}
+
+describe('ClickCounter', () => {
+  let redis;
+  let db;
+  let counter;
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    db = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+    counter = new ClickCounter(redis, db, { logger: { error: jest.fn(), warn: jest.fn() } });
+  });
+
+  test('flushes every dirty link with one UPDATE', async () => {
+    await counter.record('link-a', { visitorId: 'v1', now: 1000 });
+    await counter.record('link-a', { visitorId: 'v1', now: 2000 });
+    await counter.record('link-a', { visitorId: 'v2', now: 3000 });
+    await counter.record('link-b', { now: 4000 });
+
+    expect(await counter.flush()).toBe(2);
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+    const [sql, [ids, clicks, visitors, lastClickedAt]] = db.query.mock.calls[0];
+    expect(sql).toContain('unnest');
+    const byId = Object.fromEntries(ids.map((id, i) => [id, [clicks[i], visitors[i], lastClickedAt[i]]]));
+    expect(byId).toEqual({
+      'link-a': [3, 2, new Date(3000).toISOString()],
+      'link-b': [1, 0, new Date(4000).toISOString()]
+    });
+    expect(redis.strings.has('clicks:pending:link-a')).toBe(false);
+  });
+
+  test('does not count a returning visitor again after a flush', async () => {
+    await counter.record('link-a', { visitorId: 'v1' });
+    await counter.flush();
+    await counter.record('link-a', { visitorId: 'v1' });
+    await counter.flush();
+
+    const [, [, clicks, visitors]] = db.query.mock.calls[1];
+    expect(clicks).toEqual([1]);
+    expect(visitors).toEqual([0]);
+  });
+
+  test('puts the counts back when the UPDATE fails', async () => {
+    db.query.mockRejectedValueOnce(new Error('connection reset'));
+    await counter.record('link-a', { visitorId: 'v1' });
+    await counter.record('link-a', { visitorId: 'v2' });
+
+    await expect(counter.flush()).rejects.toThrow('connection reset');
+    await counter.flush();
+
+    const [, [ids, clicks, visitors]] = db.query.mock.calls[1];
+    expect(ids).toEqual(['link-a']);
+    expect(clicks).toEqual([2]);
+    expect(visitors).toEqual([2]);
+  });
+
+  test('adds a visitor without a click for links counted on the row', async () => {
+    await counter.record('link-a', { visitorId: 'v1', clicks: 0 });
+    await counter.flush();
+
+    const [, [, clicks, visitors]] = db.query.mock.calls[0];
+    expect(clicks).toEqual([0]);
+    expect(visitors).toEqual([1]);
+  });
+
+  test('merges unflushed counts into rows', async () => {
+    await counter.record('link-a', { visitorId: 'v1', now: Date.parse('2025-03-01T10:00:00Z') });
+    await counter.record('link-a', { visitorId: 'v2', now: Date.parse('2025-03-01T11:00:00Z') });
+
+    const [merged, untouched] = await counter.mergePending([
+      { id: 'link-a', click_count: '10', unique_visitors: '4', last_clicked_at: new Date('2025-02-01T00:00:00Z') },
+      { id: 'link-b', click_count: '3', unique_visitors: '1', last_clicked_at: null }
+    ]);
+
+    expect(merged).toMatchObject({ click_count: 12, unique_visitors: 6 });
+    expect(merged.last_clicked_at).toEqual(new Date('2025-03-01T11:00:00Z'));
+    expect(untouched).toEqual({ id: 'link-b', click_count: '3', unique_visitors: '1', last_clicked_at: null });
+  });
+});
@@ -0,0 +1,37 @@
+import { parseCron, nextCronTime } from '../../src/utils/cron.js';
+
+const at = (iso) => new Date(iso);
+
+describe('cron schedules', () => {
+  test('finds the next matching minute after the given time', () => {
+    expect(nextCronTime('*/15 * * * *', at('2025-03-01T10:07:30Z'))).toEqual(at('2025-03-01T10:15:00Z'));
+    expect(nextCronTime('*/15 * * * *', at('2025-03-01T10:15:00Z'))).toEqual(at('2025-03-01T10:30:00Z'));
+    expect(nextCronTime('30 2 * * *', at('2025-03-01T10:00:00Z'))).toEqual(at('2025-03-02T02:30:00Z'));
+  });
+
+  test('rolls over months and years', () => {
+    expect(nextCronTime('0 0 1 * *', at('2025-12-15T00:00:00Z'))).toEqual(at('2026-01-01T00:00:00Z'));
+    expect(nextCronTime('0 12 29 2 *', at('2025-03-01T00:00:00Z'))).toEqual(at('2028-02-29T12:00:00Z'));
+  });
+
+  test('accepts ranges, lists, steps and shortcuts', () => {
+    const schedule = parseCron('0-10/5,30 9-17 * * 1-5');
+    expect([...schedule.minutes]).toEqual([0, 5, 10, 30]);
+    expect([...schedule.hours]).toHaveLength(9);
+    expect(nextCronTime('@daily', at('2025-03-01T10:00:00Z'))).toEqual(at('2025-03-02T00:00:00Z'));
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // 2025-03-03 is a Monday, 2025-03-15 a Saturday
+    expect(nextCronTime('0 0 15 * 1', at('2025-03-01T00:00:00Z'))).toEqual(at('2025-03-03T00:00:00Z'));
+    expect(nextCronTime('0 0 * * 6', at('2025-03-10T00:00:00Z'))).toEqual(at('2025-03-15T00:00:00Z'));
+    expect(nextCronTime('0 0 * * 7', at('2025-03-10T00:00:00Z'))).toEqual(at('2025-03-16T00:00:00Z'));
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('expected 5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('minute out of range');
+    expect(() => parseCron('* * * * mon')).toThrow('bad day of week');
+    expect(() => nextCronTime('0 0 31 2 *', at('2025-01-01T00:00:00Z'))).toThrow('never matches');
+  });
+});
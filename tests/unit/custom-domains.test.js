@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals';
+import {
+  normalizeHost,
+  isPrimaryHost,
+  getVerificationRecordName,
+  createVerificationToken,
+  hasVerificationRecord
+} from '../../src/utils/custom-domains.js';
+
+describe('Custom domains', () => {
+  test('normalizes Host headers', () => {
+    expect(normalizeHost('Go.Acme.com:443')).toBe('go.acme.com');
+    expect(normalizeHost('go.acme.com.')).toBe('go.acme.com');
+    expect(normalizeHost('[::1]:8080')).toBe('::1');
+    expect(normalizeHost(undefined)).toBe('');
+  });
+
+  test('treats wordsto.link and local hosts as primary', () => {
+    expect(isPrimaryHost('wordsto.link')).toBe(true);
+    expect(isPrimaryHost('localhost:8080')).toBe(true);
+    expect(isPrimaryHost('go.acme.com')).toBe(false);
+  });
+
+  test('treats the SHORT_URL_BASE host as primary', () => {
+    const previous = process.env.SHORT_URL_BASE;
+    process.env.SHORT_URL_BASE = 'https://wtl.example/';
+    try {
+      expect(isPrimaryHost('wtl.example')).toBe(true);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.SHORT_URL_BASE;
+      } else {
+        process.env.SHORT_URL_BASE = previous;
+      }
+    }
+  });
+
+  test('creates unique verification tokens', () => {
+    const token = createVerificationToken();
+    expect(token).toMatch(/^wordsto-link-verification=[0-9a-f]{32}$/);
+    expect(createVerificationToken()).not.toBe(token);
+  });
+
+  describe('hasVerificationRecord', () => {
+    const token = 'wordsto-link-verification=abc123';
+
+    test('looks up the TXT record under the verification name', async () => {
+      const resolveTxt = jest.fn().mockResolvedValue([[token]]);
+
+      await expect(hasVerificationRecord('go.acme.com', token, resolveTxt)).resolves.toBe(true);
+      expect(resolveTxt).toHaveBeenCalledWith(getVerificationRecordName('go.acme.com'));
+      expect(getVerificationRecordName('go.acme.com')).toBe('_wordsto-link.go.acme.com');
+    });
+
+    test('joins records split into chunks', async () => {
+      const resolveTxt = jest.fn().mockResolvedValue([['v=spf1 -all'], ['wordsto-link-verification=', 'abc123']]);
+
+      await expect(hasVerificationRecord('go.acme.com', token, resolveTxt)).resolves.toBe(true);
+    });
+
+    test('fails when the token does not match', async () => {
+      const resolveTxt = jest.fn().mockResolvedValue([['wordsto-link-verification=other']]);
+
+      await expect(hasVerificationRecord('go.acme.com', token, resolveTxt)).resolves.toBe(false);
+    });
+
+    test('fails when the record does not exist', async () => {
+      const resolveTxt = jest.fn().mockRejectedValue(Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' }));
+
+      await expect(hasVerificationRecord('go.acme.com', token, resolveTxt)).resolves.toBe(false);
+    });
+
+    test('passes on lookup failures so they can be retried', async () => {
+      const resolveTxt = jest.fn().mockRejectedValue(Object.assign(new Error('queryTxt ETIMEOUT'), { code: 'ETIMEOUT' }));
+
+      await expect(hasVerificationRecord('go.acme.com', token, resolveTxt)).rejects.toThrow('ETIMEOUT');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals';
+import {
+  createGeoProvider,
+  createMmdbGeoProvider,
+  createHttpGeoProvider,
+  setGeoProvider,
+  getGeoLocation,
+  getAsnInfo,
+  getGeoCacheSize
+} from '../../src/utils/geo-location.js';
+
+const cityRecord = {
+  country: { iso_code: 'DE', names: { en: 'Germany' } },
+  city: { names: { en: 'Berlin' } },
+  subdivisions: [{ names: { en: 'Land Berlin' } }],
+  postal: { code: '10115' },
+  location: { latitude: 52.5321, longitude: 13.3849, time_zone: 'Europe/Berlin' }
+};
+
+const asnRecord = {
+  autonomous_system_number: 3320,
+  autonomous_system_organization: 'Deutsche Telekom AG'
+};
+
+function fakeOpen(records) {
+  return jest.fn(async (path, options) => {
+    if (!(path in records)) {
+      throw new Error(`ENOENT: no such file, open '${path}'`);
+    }
+    return { get: () => records[path], options };
+  });
+}
+
+const silentLogger = { warn: jest.fn() };
+
+describe('Geo location', () => {
+  afterEach(() => {
+    setGeoProvider(null);
+  });
+
+  test('defaults to the local mmdb provider', () => {
+    expect(createGeoProvider({}).name).toBe('mmdb');
+    expect(createGeoProvider({ provider: 'http' }).name).toBe('http');
+  });
+
+  describe('mmdb provider', () => {
+    test('maps city and ASN records', async () => {
+      const open = fakeOpen({ 'city.mmdb': cityRecord, 'asn.mmdb': asnRecord });
+      const provider = createMmdbGeoProvider({ cityDbPath: 'city.mmdb', asnDbPath: 'asn.mmdb', open });
+
+      await expect(provider.lookup('81.2.69.142')).resolves.toEqual({
+        country_code: 'DE',
+        country_name: 'Germany',
+        city: 'Berlin',
+        region: 'Land Berlin',
+        postal_code: '10115',
+        latitude: 52.5321,
+        longitude: 13.3849,
+        timezone: 'Europe/Berlin',
+        asn: 3320,
+        as_organization: 'Deutsche Telekom AG'
+      });
+    });
+
+    test('opens each database once and watches it for updates', async () => {
+      const open = fakeOpen({ 'city.mmdb': cityRecord });
+      const provider = createMmdbGeoProvider({ cityDbPath: 'city.mmdb', open });
+
+      await provider.lookup('81.2.69.142');
+      await provider.lookup('81.2.69.143');
+
+      expect(open).toHaveBeenCalledTimes(1);
+      expect(open).toHaveBeenCalledWith('city.mmdb', expect.objectContaining({
+        watchForUpdates: true,
+        watchForUpdatesNonPersistent: true
+      }));
+    });
+
+    test('clears cached lookups when a database is reloaded', async () => {
+      const open = fakeOpen({ 'city.mmdb': cityRecord });
+      setGeoProvider(createMmdbGeoProvider({ cityDbPath: 'city.mmdb', open }));
+
+      await getGeoLocation('81.2.69.142');
+      expect(getGeoCacheSize()).toBe(1);
+
+      open.mock.calls[0][1].watchForUpdatesHook();
+      expect(getGeoCacheSize()).toBe(0);
+    });
+
+    test('returns empty fields while a database is missing', async () => {
+      const open = fakeOpen({});
+      const provider = createMmdbGeoProvider({ cityDbPath: 'missing.mmdb', open, logger: silentLogger });
+
+      await expect(provider.lookup('81.2.69.142')).resolves.toEqual({});
+      await provider.lookup('81.2.69.142');
+      expect(open).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries a missing database after the retry interval', async () => {
+      const open = fakeOpen({});
+      const provider = createMmdbGeoProvider({ cityDbPath: 'missing.mmdb', open, retryInterval: 0, logger: silentLogger });
+
+      await provider.lookup('81.2.69.142');
+      await provider.lookup('81.2.69.142');
+      expect(open).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('http provider', () => {
+    test('maps the ip-api.com response', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          status: 'success',
+          countryCode: 'US',
+          country: 'United States',
+          regionName: 'California',
+          city: 'Mountain View',
+          zip: '94043',
+          lat: 37.422,
+          lon: -122.084,
+          timezone: 'America/Los_Angeles',
+          as: 'AS15169 Google LLC',
+          org: 'Google Public DNS'
+        })
+      });
+      const provider = createHttpGeoProvider({ fetchImpl });
+
+      await expect(provider.lookup('8.8.8.8')).resolves.toMatchObject({
+        country_code: 'US',
+        postal_code: '94043',
+        latitude: 37.422,
+        asn: 15169,
+        as_organization: 'Google Public DNS'
+      });
+      expect(fetchImpl.mock.calls[0][0]).toMatch(/^http:\/\/ip-api\.com\/json\/8\.8\.8\.8\?/);
+    });
+  });
+
+  describe('getGeoLocation', () => {
+    test('skips private addresses', async () => {
+      const lookup = jest.fn();
+      setGeoProvider({ name: 'test', lookup });
+
+      const geo = await getGeoLocation('192.168.1.10');
+
+      expect(geo.country_code).toBeNull();
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    test('fills every field and caches the result', async () => {
+      const lookup = jest.fn().mockResolvedValue({ country_code: 'NL' });
+      setGeoProvider({ name: 'test', lookup });
+
+      const geo = await getGeoLocation('145.53.1.1');
+      await getGeoLocation('145.53.1.1');
+
+      expect(geo).toMatchObject({ country_code: 'NL', city: null, asn: null, timezone: null });
+      expect(lookup).toHaveBeenCalledTimes(1);
+    });
+
+    test('returns empty fields when the provider fails', async () => {
+      setGeoProvider({ name: 'test', lookup: jest.fn().mockRejectedValue(new Error('down')) });
+      const debug = jest.spyOn(console, 'debug').mockImplementation(() => {});
+
+      await expect(getGeoLocation('145.53.1.2')).resolves.toMatchObject({ country_code: null });
+      debug.mockRestore();
+    });
+
+    test('exposes the ASN lookup', async () => {
+      setGeoProvider(createMmdbGeoProvider({ asnDbPath: 'asn.mmdb', open: fakeOpen({ 'asn.mmdb': asnRecord }) }));
+
+      await expect(getAsnInfo('80.187.1.1')).resolves.toEqual({
+        asn: 3320,
+        as_organization: 'Deutsche Telekom AG'
+      });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import { JobScheduler } from '../../src/services/job-scheduler.js';
+
+// Enough of ioredis for SET PX NX and the lock release script
+function createRedis() {
+  const store = new Map();
+  return {
+    store,
+    set: jest.fn(async (key, value, px, ttl, nx) => {
+      if (nx === 'NX' && store.has(key)) return null;
+      store.set(key, value);
+      return 'OK';
+    }),
+    eval: jest.fn(async (script, keys, key, token) => {
+      if (store.get(key) !== token) return 0;
+      store.delete(key);
+      return 1;
+    })
+  };
+}
+
+function createDb(lastRuns = []) {
+  let nextId = 1;
+  return {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('INSERT INTO job_runs')) return { rows: [{ id: `run-${nextId++}` }] };
+      if (sql.includes('DISTINCT ON')) return { rows: lastRuns };
+      return { rows: [], rowCount: 1 };
+    })
+  };
+}
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+function createScheduler(db, redis, instance) {
+  return new JobScheduler(db, redis, { instance, logger });
+}
+
+describe('JobScheduler', () => {
+  test('runs each scheduled occurrence on one instance only', async () => {
+    const redis = createRedis();
+    const run = jest.fn(async () => ({ deactivated: 3 }));
+    const first = createScheduler(createDb(), redis, 'a');
+    const second = createScheduler(createDb(), redis, 'b');
+    first.register({ name: 'expire-urls', schedule: '*/15 * * * *', run });
+    second.register({ name: 'expire-urls', schedule: '*/15 * * * *', run });
+
+    const due = new Date(first.jobs.get('expire-urls').nextRunAt.getTime() + 1000);
+    first.tick(due);
+    second.tick(due);
+    await Promise.all([...first.inFlight, ...second.inFlight]);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(first.jobs.get('expire-urls').nextRunAt.getTime()).toBeGreaterThan(due.getTime());
+    expect(redis.store.has('jobs:lock:expire-urls')).toBe(false);
+  });
+
+  test('records every attempt and retries failures', async () => {
+    const db = createDb();
+    const scheduler = createScheduler(db, createRedis(), 'a');
+    const run = jest.fn()
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValueOnce({ deleted: 2 });
+    scheduler.register({ name: 'expire-auth-tokens', schedule: '@hourly', run, retries: 2, retryDelayMs: 1 });
+
+    const job = scheduler.jobs.get('expire-auth-tokens');
+    const outcome = await scheduler.runJob(job, await scheduler.acquireLock(job), { trigger: 'manual', triggeredBy: 'user-1' });
+
+    expect(outcome).toEqual({ status: 'succeeded', attempt: 2, result: { deleted: 2 } });
+    const inserts = db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO job_runs'));
+    expect(inserts.map(([, params]) => params)).toEqual([
+      ['expire-auth-tokens', 'manual', 1, 'a', 'user-1'],
+      ['expire-auth-tokens', 'manual', 2, 'a', 'user-1']
+    ]);
+    const updates = db.query.mock.calls.filter(([sql]) => sql.includes('UPDATE job_runs'));
+    expect(updates.map(([, params]) => params[1])).toEqual(['failed', 'succeeded']);
+    expect(updates[0][1][4]).toBe('connection reset');
+    expect(updates[1][1][3]).toBe('{"deleted":2}');
+  });
+
+  test('gives up once the retries are used', async () => {
+    const scheduler = createScheduler(createDb(), createRedis(), 'a');
+    const run = jest.fn().mockRejectedValue(new Error('boom'));
+    scheduler.register({ name: 'analytics-retention', schedule: '0 3 * * *', run, retries: 1, retryDelayMs: 1 });
+
+    const job = scheduler.jobs.get('analytics-retention');
+    const outcome = await scheduler.runJob(job, await scheduler.acquireLock(job), { trigger: 'schedule' });
+
+    expect(outcome).toEqual({ status: 'failed', attempt: 2, error: 'boom' });
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not start a manual run while the job is running', async () => {
+    const redis = createRedis();
+    const scheduler = createScheduler(createDb(), redis, 'a');
+    let finish;
+    scheduler.register({ name: 'analytics-rollups', schedule: '*/5 * * * *', run: () => new Promise(resolve => { finish = resolve; }) });
+
+    expect(await scheduler.trigger('analytics-rollups')).toBe(true);
+    expect(await scheduler.trigger('analytics-rollups')).toBe(false);
+    expect(await scheduler.trigger('missing')).toBeNull();
+
+    await new Promise(resolve => setImmediate(resolve));
+    finish();
+    await scheduler.stop();
+    expect(await scheduler.trigger('analytics-rollups')).toBe(true);
+    await new Promise(resolve => setImmediate(resolve));
+    finish();
+    await scheduler.stop();
+  });
+
+  test('lists jobs with their last run', async () => {
+    const lastRun = { job_name: 'expire-urls', status: 'succeeded' };
+    const scheduler = createScheduler(createDb([lastRun]), createRedis(), 'a');
+    scheduler.register({ name: 'expire-urls', schedule: '*/15 * * * *', description: 'Deactivate expired links', run: jest.fn() });
+    scheduler.register({ name: 'analytics-rollups', schedule: '*/5 * * * *', run: jest.fn() });
+
+    const jobs = await scheduler.list();
+
+    expect(jobs.map(job => [job.name, job.last_run])).toEqual([
+      ['expire-urls', lastRun],
+      ['analytics-rollups', null]
+    ]);
+    expect(jobs[0].next_run_at).toBeInstanceOf(Date);
+  });
+
+  test('rejects duplicate names and bad schedules', () => {
+    const scheduler = createScheduler(createDb(), createRedis(), 'a');
+    scheduler.register({ name: 'expire-urls', schedule: '@hourly', run: jest.fn() });
+
+    expect(() => scheduler.register({ name: 'expire-urls', schedule: '@hourly', run: jest.fn() })).toThrow('already registered');
+    expect(() => scheduler.register({ name: 'other', schedule: 'every hour', run: jest.fn() })).toThrow('Invalid cron expression');
+  });
+});
@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import {
+  getLinkCacheKey,
+  getLinkTagKey,
+  getLinkPathKeys,
+  cacheLink,
+  invalidateLinks,
+  createCacheAdapter
+} from '../../src/services/link-cache.js';
+
+function createMemoryCache() {
+  const store = new Map();
+  return {
+    store,
+    get: jest.fn(async (key) => store.get(key) ?? null),
+    set: jest.fn(async (key, value) => { store.set(key, value); return true; }),
+    del: jest.fn(async (key) => { store.delete(key); return true; }),
+    addToSet: jest.fn(async (key, member) => {
+      const members = store.get(key) || new Set();
+      members.add(member);
+      store.set(key, members);
+      return true;
+    }),
+    getSetMembers: jest.fn(async (key) => [...(store.get(key) || [])])
+  };
+}
+
+describe('getLinkCacheKey', () => {
+  test('builds one key per path variant', () => {
+    expect(getLinkCacheKey({ shortCode: 'Ab3dE' })).toBe('url:short:Ab3dE');
+    expect(getLinkCacheKey({ keywords: ['docs'] })).toBe('url:keywords:docs');
+    expect(getLinkCacheKey({ keywords: ['api', 'docs'] })).toBe('url:keywords:api:docs');
+    expect(getLinkCacheKey({ identifier: 'acme', keywords: ['docs'] })).toBe('url:identifier:acme:keywords:docs');
+  });
+
+  test('namespaces custom domains', () => {
+    expect(getLinkCacheKey({ domainId: 7, shortCode: 'Ab3dE' })).toBe('url:domain:7:short:Ab3dE');
+    expect(getLinkCacheKey({ domainId: 7, keywords: ['docs'] })).toBe('url:domain:7:keywords:docs');
+  });
+});
+
+describe('getLinkPathKeys', () => {
+  test('covers the short code and the exact path of an identifier link', () => {
+    expect(getLinkPathKeys({ identifier: 'acme', keywords: ['api', 'docs'], short_code: 'Ab3dE' })).toEqual([
+      'url:short:Ab3dE',
+      'url:identifier:acme:keywords:api:docs'
+    ]);
+  });
+
+  test('covers each keyword of a link without identifier', () => {
+    expect(getLinkPathKeys({ keywords: ['api', 'docs'], domain_id: 3 })).toEqual([
+      'url:domain:3:keywords:api:docs',
+      'url:domain:3:keywords:api',
+      'url:domain:3:keywords:docs'
+    ]);
+  });
+});
+
+describe('invalidateLinks', () => {
+  test('evicts every key a link was cached under', async () => {
+    const cache = createMemoryCache();
+    const link = { id: 42, keywords: ['api', 'docs'], original_url: 'https://example.com' };
+
+    await cacheLink(cache, 'url:keywords:docs:api', link, 60);
+    await cacheLink(cache, 'url:keywords:docs', link, 60);
+    await cache.set('url:keywords:other', 'unrelated');
+
+    await invalidateLinks(cache, link);
+
+    expect(cache.store.has('url:keywords:docs:api')).toBe(false);
+    expect(cache.store.has('url:keywords:docs')).toBe(false);
+    expect(cache.store.has(getLinkTagKey(42))).toBe(false);
+    expect(cache.store.get('url:keywords:other')).toBe('unrelated');
+  });
+
+  test('evicts the paths of both the old and the new row', async () => {
+    const cache = createMemoryCache();
+    await cache.set('url:identifier:acme:keywords:old', '{}');
+    await cache.set('url:identifier:acme:keywords:new', '{}');
+
+    await invalidateLinks(
+      cache,
+      { id: 1, identifier: 'acme', keywords: ['old'] },
+      { id: 1, identifier: 'acme', keywords: ['new'] }
+    );
+
+    expect(cache.store.size).toBe(0);
+  });
+
+  test('falls back to path keys when the cache cannot tag', async () => {
+    const cache = createMemoryCache();
+    delete cache.addToSet;
+    delete cache.getSetMembers;
+    const link = { id: 5, short_code: 'Zz9yX' };
+
+    await cacheLink(cache, 'url:short:Zz9yX', link, 60);
+    await invalidateLinks(cache, link);
+
+    expect(cache.store.size).toBe(0);
+  });
+});
+
+describe('createCacheAdapter', () => {
+  test('tags through a plain redis client', async () => {
+    const redis = {
+      get: jest.fn(),
+      set: jest.fn(),
+      del: jest.fn(),
+      sadd: jest.fn().mockResolvedValue(1),
+      smembers: jest.fn().mockResolvedValue(['url:keywords:docs']),
+      expire: jest.fn().mockResolvedValue(1)
+    };
+    const cache = createCacheAdapter({ redis });
+
+    await cacheLink(cache, 'url:keywords:docs', { id: 9 }, 60);
+    await invalidateLinks(cache, { id: 9, keywords: [] });
+
+    expect(redis.sadd).toHaveBeenCalledWith('url:tag:9', 'url:keywords:docs');
+    expect(redis.expire).toHaveBeenCalledWith('url:tag:9', expect.any(Number));
+    expect(redis.del).toHaveBeenCalledWith('url:keywords:docs');
+    expect(redis.del).toHaveBeenCalledWith('url:tag:9');
+  });
+});
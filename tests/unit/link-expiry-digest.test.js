@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import {
+  sendLinkExpiryDigests,
+  verifyExtendLinkToken,
+  buildShortUrl
+} from '../../src/services/link-expiry-digest.js';
+
+const logger = { info: jest.fn() };
+
+function expiringRow(overrides) {
+  return {
+    id: 'link-1',
+    identifier: 'jane',
+    keywords: ['launch'],
+    original_url: 'https://example.com/launch',
+    expires_at: new Date('2025-03-05T10:00:00Z'),
+    domain: null,
+    user_id: 'user-1',
+    owner_email: 'jane@example.com',
+    full_name: 'Jane',
+    owner_identifier: 'jane',
+    ...overrides
+  };
+}
+
+function createDb(rows) {
+  return {
+    query: jest.fn(async (sql) => (sql.includes('FROM expiring_urls') ? { rows } : { rows: [], rowCount: 1 }))
+  };
+}
+
+describe('sendLinkExpiryDigests', () => {
+  test('sends one email per owner listing their links', async () => {
+    const db = createDb([
+      expiringRow(),
+      expiringRow({ id: 'link-2', keywords: ['docs'], expires_at: new Date('2025-03-06T10:00:00Z') }),
+      expiringRow({ id: 'link-3', user_id: 'user-2', owner_email: 'sam@example.com', identifier: null, domain: 'go.acme.com' })
+    ]);
+    const send = jest.fn(async () => ({ success: true }));
+
+    const result = await sendLinkExpiryDigests(db, { send, logger });
+
+    expect(result).toEqual({ owners: 2, links: 3 });
+    expect(send).toHaveBeenCalledTimes(2);
+    const [user, links] = send.mock.calls[0];
+    expect(user).toMatchObject({ id: 'user-1', email: 'jane@example.com' });
+    expect(links.map(link => link.shortUrl)).toEqual([
+      expect.stringMatching(/\/jane\/launch$/),
+      expect.stringMatching(/\/jane\/docs$/)
+    ]);
+    expect(send.mock.calls[1][1][0].shortUrl).toBe('https://go.acme.com/launch');
+
+    const extendToken = new URL(links[0].extendUrl).searchParams.get('token');
+    expect(verifyExtendLinkToken(extendToken)).toMatchObject({
+      link: 'link-1',
+      user: 'user-1',
+      expires_at: '2025-03-05T10:00:00.000Z'
+    });
+
+    const marked = db.query.mock.calls.filter(([sql]) => sql.includes('link_expiry_digest_sent_at = NOW()'));
+    expect(marked.map(([, params]) => params)).toEqual([['user-1'], ['user-2']]);
+  });
+
+  test('only asks for owners who want reminders and have not had one today', async () => {
+    const db = createDb([]);
+
+    await sendLinkExpiryDigests(db, { send: jest.fn(), logger });
+
+    const [sql] = db.query.mock.calls[0];
+    expect(sql).toContain("np.user_id = u.id AND np.channel = 'email' AND np.event = 'link_expiry'");
+    expect(sql).toContain('link_expiry_digest_sent_at');
+  });
+
+  test('fails the run when an email could not be sent, leaving that owner for the retry', async () => {
+    const db = createDb([expiringRow(), expiringRow({ id: 'link-3', user_id: 'user-2' })]);
+    const send = jest.fn()
+      .mockResolvedValueOnce({ success: false, error: new Error('rate limited') })
+      .mockResolvedValueOnce({ success: true });
+
+    await expect(sendLinkExpiryDigests(db, { send, logger })).rejects.toThrow('failed for 1 of 2 owner(s)');
+
+    const marked = db.query.mock.calls.filter(([sql]) => sql.includes('link_expiry_digest_sent_at = NOW()'));
+    expect(marked.map(([, params]) => params)).toEqual([['user-2']]);
+  });
+});
+
+describe('buildShortUrl', () => {
+  test('uses the keyword path on the shared domain', () => {
+    expect(buildShortUrl({ identifier: null, keywords: ['a', 'b'] })).toMatch(/\/a\/b$/);
+  });
+});
@@ -0,0 +1,24 @@
+import { isExpiredByDate, hasClickLimit, getRemainingClicks, isExhausted } from '../../src/utils/link-limits.js';
+
+describe('Link limits', () => {
+  const now = new Date('2025-01-06T12:00:00Z');
+
+  test('expires links once expires_at has passed', () => {
+    expect(isExpiredByDate({ expires_at: '2025-01-06T11:59:59Z' }, now)).toBe(true);
+    expect(isExpiredByDate({ expires_at: '2025-01-06T12:00:01Z' }, now)).toBe(false);
+    expect(isExpiredByDate({ expires_at: null }, now)).toBe(false);
+  });
+
+  test('reports remaining uses for click-limited links', () => {
+    expect(getRemainingClicks({ max_clicks: 5, click_count: 2 })).toBe(3);
+    expect(getRemainingClicks({ max_clicks: 1, click_count: '4' })).toBe(0);
+    expect(getRemainingClicks({ max_clicks: null, click_count: 10 })).toBeNull();
+  });
+
+  test('flags exhausted links', () => {
+    expect(hasClickLimit({ max_clicks: 1 })).toBe(true);
+    expect(isExhausted({ max_clicks: 1, click_count: 1 })).toBe(true);
+    expect(isExhausted({ max_clicks: 2, click_count: 1 })).toBe(false);
+    expect(isExhausted({ click_count: 100 })).toBe(false);
+  });
+});
@@ -0,0 +1,42 @@
+import {
+  hashLinkPassword,
+  verifyLinkPassword,
+  createUnlockToken,
+  isUnlockTokenValid,
+  UNLOCK_TTL_SECONDS
+} from '../../src/utils/link-password.js';
+
+describe('Link passwords', () => {
+  test('verifies against the stored hash', async () => {
+    const hash = await hashLinkPassword('hunter22');
+
+    expect(hash).not.toBe('hunter22');
+    expect(await verifyLinkPassword('hunter22', hash)).toBe(true);
+    expect(await verifyLinkPassword('hunter2', hash)).toBe(false);
+  });
+
+  test('treats missing input as a mismatch', async () => {
+    expect(await verifyLinkPassword('', 'hash')).toBe(false);
+    expect(await verifyLinkPassword('hunter22', null)).toBe(false);
+  });
+
+  describe('unlock tokens', () => {
+    const now = Date.parse('2025-01-06T12:00:00Z');
+
+    test('are valid for the same link until they expire', () => {
+      const token = createUnlockToken('abc', now);
+
+      expect(isUnlockTokenValid(token, 'abc', now)).toBe(true);
+      expect(isUnlockTokenValid(token, 'abc', now + UNLOCK_TTL_SECONDS * 1000)).toBe(false);
+    });
+
+    test('do not unlock other links', () => {
+      expect(isUnlockTokenValid(createUnlockToken('abc', now), 'abd', now)).toBe(false);
+    });
+
+    test('reject malformed values', () => {
+      expect(isUnlockTokenValid('abc', 'abc', now)).toBe(false);
+      expect(isUnlockTokenValid(undefined, 'abc', now)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { getScheduledDestination, isNotStarted, getNextBoundary, getCacheTtl } from '../../src/utils/link-schedule.js';
+
+const now = new Date('2025-01-10T12:00:00Z');
+
+const link = {
+  original_url: 'https://acme.com/pre-event',
+  destination_schedule: [
+    { id: '2', starts_at: '2025-01-12T18:00:00Z', destination_url: 'https://acme.com/recording' },
+    { id: '1', starts_at: '2025-01-10T09:00:00Z', destination_url: 'https://acme.com/live' }
+  ]
+};
+
+describe('Link schedule', () => {
+  describe('getScheduledDestination', () => {
+    test('uses the latest entry that has started', () => {
+      expect(getScheduledDestination(link, now)).toBe('https://acme.com/live');
+      expect(getScheduledDestination(link, new Date('2025-01-13T00:00:00Z'))).toBe('https://acme.com/recording');
+    });
+
+    test('keeps the original destination before the first entry', () => {
+      expect(getScheduledDestination(link, new Date('2025-01-01T00:00:00Z'))).toBe('https://acme.com/pre-event');
+    });
+  });
+
+  test('holds links back until starts_at', () => {
+    expect(isNotStarted({ starts_at: '2025-01-10T12:00:01Z' }, now)).toBe(true);
+    expect(isNotStarted({ starts_at: '2025-01-10T12:00:00Z' }, now)).toBe(false);
+    expect(isNotStarted({}, now)).toBe(false);
+  });
+
+  test('finds the next boundary across starts_at, schedule and expiry', () => {
+    const boundary = getNextBoundary({ ...link, expires_at: '2025-01-11T00:00:00Z' }, now);
+    expect(boundary.toISOString()).toBe('2025-01-11T00:00:00.000Z');
+    expect(getNextBoundary({ original_url: 'https://acme.com' }, now)).toBeNull();
+  });
+
+  describe('getCacheTtl', () => {
+    test('stops at the next boundary', () => {
+      const soon = { ...link, expires_at: '2025-01-10T12:05:00Z' };
+      expect(getCacheTtl(soon, now)).toBe(300);
+    });
+
+    test('falls back to the default TTL', () => {
+      expect(getCacheTtl({ original_url: 'https://acme.com' }, now)).toBe(3600);
+      expect(getCacheTtl(link, now)).toBe(3600);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { getTemplatePrefixes, getTemplateCaptures, expandTemplate } from '../../src/utils/link-templates.js';
+
+describe('Link templates', () => {
+  test('lists candidate prefixes longest first', () => {
+    expect(getTemplatePrefixes(['gh', 'acme', 'repo'])).toEqual(['gh/acme', 'gh']);
+    expect(getTemplatePrefixes(['gh'])).toEqual([]);
+  });
+
+  describe('getTemplateCaptures', () => {
+    test('skips the identifier and template keywords', () => {
+      const link = { is_template: true, identifier: 'acme', keywords: ['gh'] };
+      expect(getTemplateCaptures(link, ['acme', 'gh', 'Widgets', 'issues'])).toEqual(['Widgets', 'issues']);
+    });
+
+    test('captures after keyword-only templates', () => {
+      const link = { is_template: true, identifier: null, keywords: ['gh'] };
+      expect(getTemplateCaptures(link, ['gh', 'widgets'])).toEqual(['widgets']);
+    });
+
+    test('ignores exact links', () => {
+      expect(getTemplateCaptures({ is_template: false, keywords: ['gh'] }, ['gh', 'x'])).toEqual([]);
+    });
+  });
+
+  describe('expandTemplate', () => {
+    test('fills numbered placeholders', () => {
+      expect(expandTemplate('https://github.com/acme/{1}/issues/{2}', ['widgets', '42']))
+        .toBe('https://github.com/acme/widgets/issues/42');
+    });
+
+    test('fills {*} with every captured segment', () => {
+      expect(expandTemplate('https://docs.acme.com/{*}', ['guides', 'setup']))
+        .toBe('https://docs.acme.com/guides/setup');
+    });
+
+    test('encodes captured values and blanks missing ones', () => {
+      expect(expandTemplate('https://acme.com/search?q={1}&page={2}', ['a b&c']))
+        .toBe('https://acme.com/search?q=a%20b%26c&page=');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import {
+  resolveNotificationPreferences,
+  isNotificationAllowed,
+  notificationEnabledSql
+} from '../../src/utils/notification-preferences.js';
+import {
+  updateNotificationPreferences,
+  isNotificationEnabled,
+  buildUnsubscribeUrl,
+  verifyUnsubscribeToken
+} from '../../src/services/notification-preferences.js';
+import { createSignedToken } from '../../src/utils/signed-tokens.js';
+
+describe('resolveNotificationPreferences', () => {
+  test('uses the defaults without stored rows', () => {
+    expect(resolveNotificationPreferences([])).toEqual({
+      channels: { email: true },
+      events: {
+        account_alerts: { email: true },
+        link_expiry: { email: true },
+        weekly_report: { email: false },
+        marketing: { email: false }
+      }
+    });
+  });
+
+  test('stored rows override the defaults', () => {
+    const preferences = resolveNotificationPreferences([
+      { channel: 'email', event: 'weekly_report', enabled: true },
+      { channel: 'email', event: 'link_expiry', enabled: false }
+    ]);
+
+    expect(preferences.events.weekly_report.email).toBe(true);
+    expect(preferences.events.link_expiry.email).toBe(false);
+    expect(isNotificationAllowed(preferences, 'weekly_report')).toBe(true);
+    expect(isNotificationAllowed(preferences, 'link_expiry')).toBe(false);
+  });
+
+  test('a channel switched off blocks every event on it', () => {
+    const preferences = resolveNotificationPreferences([
+      { channel: 'email', event: '*', enabled: false },
+      { channel: 'email', event: 'weekly_report', enabled: true }
+    ]);
+
+    expect(preferences.events.weekly_report.email).toBe(true);
+    expect(isNotificationAllowed(preferences, 'weekly_report')).toBe(false);
+    expect(isNotificationAllowed(preferences, 'unknown_event')).toBe(false);
+  });
+});
+
+describe('notificationEnabledSql', () => {
+  test('checks the channel and the event with their defaults', () => {
+    const sql = notificationEnabledSql('weekly_report', 'u.id');
+
+    expect(sql).toContain("np.user_id = u.id AND np.channel = 'email' AND np.event = '*'), true)");
+    expect(sql).toContain("np.user_id = u.id AND np.channel = 'email' AND np.event = 'weekly_report'), false)");
+  });
+
+  test('rejects unknown events and channels', () => {
+    expect(() => notificationEnabledSql('newsletter', 'u.id')).toThrow('Unknown notification');
+    expect(() => notificationEnabledSql('weekly_report', 'u.id', 'sms')).toThrow('Unknown notification');
+  });
+});
+
+describe('updateNotificationPreferences', () => {
+  test('upserts one row per toggle and returns the result', async () => {
+    const db = { query: jest.fn(async () => ({ rows: [] })) };
+
+    await updateNotificationPreferences(db, 'user-1', {
+      channels: { email: true },
+      events: { weekly_report: { email: true }, marketing: { email: false } }
+    });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT (user_id, channel, event)');
+    expect(params).toEqual([
+      'user-1',
+      ['email', 'email', 'email'],
+      ['*', 'weekly_report', 'marketing'],
+      [true, true, false]
+    ]);
+    expect(db.query.mock.calls[1][0]).toContain('FROM notification_preferences WHERE user_id = $1');
+  });
+
+  test('only reads when nothing changes', async () => {
+    const db = { query: jest.fn(async () => ({ rows: [] })) };
+
+    await updateNotificationPreferences(db, 'user-1', { events: { weekly_report: {} } });
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][0]).not.toContain('INSERT');
+  });
+});
+
+describe('isNotificationEnabled', () => {
+  test('reads the stored preferences', async () => {
+    const db = { query: jest.fn(async () => ({ rows: [{ channel: 'email', event: 'link_expiry', enabled: false }] })) };
+
+    expect(await isNotificationEnabled(db, 'user-1', 'link_expiry')).toBe(false);
+    expect(await isNotificationEnabled(db, 'user-1', 'account_alerts')).toBe(true);
+    expect(db.query).toHaveBeenCalledWith(expect.any(String), ['user-1']);
+  });
+});
+
+describe('unsubscribe tokens', () => {
+  test('the URL carries a token for the user, channel and event', () => {
+    const url = new URL(buildUnsubscribeUrl('user-1', 'weekly_report'));
+
+    expect(url.pathname).toBe('/api/email/unsubscribe');
+    expect(verifyUnsubscribeToken(url.searchParams.get('token'))).toMatchObject({
+      user: 'user-1',
+      channel: 'email',
+      event: 'weekly_report'
+    });
+  });
+
+  test('rejects tokens for other purposes or unknown events', () => {
+    const otherPurpose = createSignedToken('extend-link', { user: 'user-1', channel: 'email', event: 'weekly_report' }, { expiresInSeconds: 60 });
+    const unknownEvent = createSignedToken('unsubscribe', { user: 'user-1', channel: 'email', event: 'newsletter' }, { expiresInSeconds: 60 });
+
+    expect(verifyUnsubscribeToken(otherPurpose)).toBeNull();
+    expect(verifyUnsubscribeToken(unknownEvent)).toBeNull();
+  });
+});
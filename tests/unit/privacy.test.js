@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import {
+  getPrivacyPolicy,
+  isTrackingRefused,
+  truncateIp,
+  applyPrivacyPolicy
+} from '../../src/utils/privacy.js';
+import { runAnalyticsRetention } from '../../src/services/analytics-retention.js';
+
+const event = {
+  shortened_url_id: 'link-1',
+  visitor_id: 'visitor-1',
+  ip_address: '203.0.113.77',
+  user_agent: 'Mozilla/5.0 Firefox/120.0',
+  country_code: 'DE',
+  city: 'Berlin',
+  postal_code: '10115',
+  latitude: 52.5,
+  longitude: 13.4
+};
+
+describe('Privacy controls', () => {
+  describe('getPrivacyPolicy', () => {
+    test('uses the deployment mode by default', () => {
+      expect(getPrivacyPolicy(null, 'strict').mode).toBe('strict');
+      expect(getPrivacyPolicy(undefined, 'standard').mode).toBe('standard');
+    });
+
+    test('lets the account override the deployment', () => {
+      expect(getPrivacyPolicy('strict', 'standard')).toEqual({
+        mode: 'strict',
+        ip_storage: 'truncated',
+        precise_geo: false,
+        store_user_agent: false,
+        honor_do_not_track: true
+      });
+      expect(getPrivacyPolicy('standard', 'strict').mode).toBe('standard');
+    });
+
+    test('falls back to standard for unknown modes', () => {
+      expect(getPrivacyPolicy('loose', 'paranoid').mode).toBe('standard');
+    });
+  });
+
+  describe('isTrackingRefused', () => {
+    const strict = getPrivacyPolicy('strict');
+
+    test('honours DNT and Sec-GPC under a policy that asks for it', () => {
+      expect(isTrackingRefused({ dnt: '1' }, strict)).toBe(true);
+      expect(isTrackingRefused({ 'sec-gpc': '1' }, strict)).toBe(true);
+      expect(isTrackingRefused({ dnt: '0' }, strict)).toBe(false);
+      expect(isTrackingRefused({}, strict)).toBe(false);
+    });
+
+    test('ignores the headers otherwise', () => {
+      expect(isTrackingRefused({ dnt: '1' }, getPrivacyPolicy('standard'))).toBe(false);
+    });
+  });
+
+  describe('truncateIp', () => {
+    test.each([
+      ['203.0.113.77', '203.0.113.0'],
+      ['2001:db8:85a3::8a2e:370:7334', '2001:db8:85a3::'],
+      ['2001:0db8:0000:0000:0000:0000:0000:0001', '2001:db8:0::'],
+      ['::ffff:198.51.100.9', '::ffff:198.51.100.0'],
+      ['fe80::1%eth0', 'fe80:0:0::'],
+      ['not-an-ip', null],
+      [null, null]
+    ])('%s -> %s', (ip, expected) => {
+      expect(truncateIp(ip)).toBe(expected);
+    });
+  });
+
+  describe('applyPrivacyPolicy', () => {
+    test('keeps everything in standard mode', () => {
+      const stored = applyPrivacyPolicy({ ...event, privacy: getPrivacyPolicy('standard') });
+      expect(stored).toEqual(event);
+    });
+
+    test('truncates the IP and drops precise data in strict mode', () => {
+      const stored = applyPrivacyPolicy({ ...event, privacy: getPrivacyPolicy('strict') });
+      expect(stored).toEqual({
+        ...event,
+        ip_address: '203.0.113.0',
+        user_agent: null,
+        city: null,
+        postal_code: null,
+        latitude: null,
+        longitude: null
+      });
+      expect(stored).not.toHaveProperty('privacy');
+    });
+  });
+
+  describe('runAnalyticsRetention', () => {
+    const logger = { info: jest.fn() };
+
+    test('deletes in batches for each plan with a retention period', async () => {
+      const db = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ name: 'free', analytics_retention_days: 90 }] })
+          .mockResolvedValueOnce({ rowCount: 2 })
+          .mockResolvedValueOnce({ rowCount: 1 })
+      };
+
+      const results = await runAnalyticsRetention(db, { action: 'delete', batchSize: 2, logger });
+
+      expect(results).toEqual([{ plan: 'free', retention_days: 90, action: 'delete', affected: 3 }]);
+      expect(db.query).toHaveBeenCalledTimes(3);
+      expect(db.query.mock.calls[1][0]).toContain('DELETE FROM analytics_events');
+      expect(db.query.mock.calls[1][1]).toEqual(['free', 90, 2]);
+    });
+
+    test('anonymizes instead of deleting when asked', async () => {
+      const db = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ name: 'personal', analytics_retention_days: 365 }] })
+          .mockResolvedValueOnce({ rowCount: 0 })
+      };
+
+      await runAnalyticsRetention(db, { action: 'anonymize', logger });
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('UPDATE analytics_events');
+      expect(sql).toContain('ip_address = NULL');
+      expect(sql).toContain('anonymized_at IS NULL');
+      expect(params.slice(0, 2)).toEqual(['personal', 365]);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+import { getForwardedParams, applyQueryForwarding } from '../../src/utils/query-forwarding.js';
+
+describe('Query forwarding', () => {
+  const incoming = getForwardedParams('/acme/docs?page=2&ref=newsletter&preview');
+
+  test('drops internal parameters', () => {
+    expect(incoming.toString()).toBe('page=2&ref=newsletter');
+  });
+
+  test('leaves the destination alone in none mode', () => {
+    expect(applyQueryForwarding('https://acme.com/docs?ref=short', incoming, 'none'))
+      .toBe('https://acme.com/docs?ref=short');
+  });
+
+  test('merge keeps the destination values and adds the rest', () => {
+    expect(applyQueryForwarding('https://acme.com/docs?ref=short', incoming, 'merge'))
+      .toBe('https://acme.com/docs?ref=short&page=2');
+  });
+
+  test('override replaces the destination query', () => {
+    expect(applyQueryForwarding('https://acme.com/docs?ref=short', incoming, 'override'))
+      .toBe('https://acme.com/docs?page=2&ref=newsletter');
+  });
+
+  test('does nothing without incoming parameters', () => {
+    expect(applyQueryForwarding('https://acme.com', getForwardedParams('/acme'), 'merge'))
+      .toBe('https://acme.com');
+  });
+});
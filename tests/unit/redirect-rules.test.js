@@ -0,0 +1,99 @@
+import { selectDestination, matchesRule, isWithinTimeWindow, needsGeoLookup } from '../../src/utils/redirect-rules.js';
+
+const link = {
+  original_url: 'https://acme.com',
+  redirect_rules: [
+    { id: 'ios', conditions: { os: ['iOS'] }, destination_url: 'https://apps.apple.com/acme' },
+    { id: 'android', conditions: { os: ['Android'] }, destination_url: 'https://play.google.com/acme' },
+    { id: 'es', conditions: { countries: ['ES'], languages: ['es'] }, destination_url: 'https://acme.es' }
+  ]
+};
+
+const context = (overrides = {}) => ({
+  device_type: 'desktop',
+  os_name: 'Windows',
+  country_code: null,
+  language: 'en',
+  now: new Date('2025-01-06T12:00:00Z'),
+  ...overrides
+});
+
+describe('Redirect rules', () => {
+  describe('selectDestination', () => {
+    test('returns the first matching rule', () => {
+      const result = selectDestination(link, context({ os_name: 'iOS', device_type: 'mobile' }));
+      expect(result.destination).toBe('https://apps.apple.com/acme');
+      expect(result.rule.id).toBe('ios');
+    });
+
+    test('falls back to the default destination', () => {
+      const result = selectDestination(link, context());
+      expect(result.destination).toBe('https://acme.com');
+      expect(result.rule).toBeNull();
+    });
+
+    test('requires every condition of a rule to match', () => {
+      expect(selectDestination(link, context({ country_code: 'ES' })).rule).toBeNull();
+      expect(selectDestination(link, context({ country_code: 'ES', language: 'es' })).rule.id).toBe('es');
+    });
+
+    test('skips inactive rules', () => {
+      const inactive = {
+        ...link,
+        redirect_rules: [{ ...link.redirect_rules[0], is_active: false }]
+      };
+      expect(selectDestination(inactive, context({ os_name: 'iOS' })).rule).toBeNull();
+    });
+
+    test('handles links without rules', () => {
+      const result = selectDestination({ original_url: 'https://acme.com' }, context());
+      expect(result.destination).toBe('https://acme.com');
+    });
+  });
+
+  describe('matchesRule', () => {
+    test('matches values case-insensitively', () => {
+      const rule = { conditions: { devices: ['Mobile'], os: ['ios'] } };
+      expect(matchesRule(rule, context({ device_type: 'mobile', os_name: 'iOS' }))).toBe(true);
+    });
+
+    test('does not match a country rule without geo data', () => {
+      expect(matchesRule({ conditions: { countries: ['US'] } }, context())).toBe(false);
+    });
+  });
+
+  describe('isWithinTimeWindow', () => {
+    test('matches a daytime window', () => {
+      const window = { start: '09:00', end: '17:00', timezone: 'UTC' };
+      expect(isWithinTimeWindow(window, new Date('2025-01-06T12:00:00Z'))).toBe(true);
+      expect(isWithinTimeWindow(window, new Date('2025-01-06T18:00:00Z'))).toBe(false);
+    });
+
+    test('evaluates the window in its timezone', () => {
+      const window = { start: '09:00', end: '17:00', timezone: 'America/New_York' };
+      expect(isWithinTimeWindow(window, new Date('2025-01-06T12:00:00Z'))).toBe(false);
+      expect(isWithinTimeWindow(window, new Date('2025-01-06T15:00:00Z'))).toBe(true);
+    });
+
+    test('supports overnight windows and attributes them to the starting day', () => {
+      // Friday 22:00 to Saturday 06:00
+      const window = { start: '22:00', end: '06:00', days: [5], timezone: 'UTC' };
+      expect(isWithinTimeWindow(window, new Date('2025-01-10T23:00:00Z'))).toBe(true);
+      expect(isWithinTimeWindow(window, new Date('2025-01-11T03:00:00Z'))).toBe(true);
+      expect(isWithinTimeWindow(window, new Date('2025-01-12T03:00:00Z'))).toBe(false);
+    });
+
+    test('restricts to days of the week', () => {
+      const window = { start: '00:00', end: '23:59', days: [1, 2, 3, 4, 5], timezone: 'UTC' };
+      expect(isWithinTimeWindow(window, new Date('2025-01-06T12:00:00Z'))).toBe(true);
+      expect(isWithinTimeWindow(window, new Date('2025-01-05T12:00:00Z'))).toBe(false);
+    });
+  });
+
+  describe('needsGeoLookup', () => {
+    test('is only true when a rule targets countries', () => {
+      expect(needsGeoLookup(link.redirect_rules)).toBe(true);
+      expect(needsGeoLookup(link.redirect_rules.slice(0, 2))).toBe(false);
+    });
+  });
+});
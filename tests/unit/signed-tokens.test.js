@@ -0,0 +1,34 @@
+import { createSignedToken, verifySignedToken } from '../../src/utils/signed-tokens.js';
+
+const options = { secret: 'test-secret', now: Date.parse('2025-03-01T00:00:00Z') };
+
+describe('signed tokens', () => {
+  test('returns the claims of a valid token', () => {
+    const token = createSignedToken('extend-link', { link: 'link-1' }, { ...options, expiresInSeconds: 60 });
+
+    expect(verifySignedToken(token, 'extend-link', options)).toMatchObject({ link: 'link-1', purpose: 'extend-link' });
+  });
+
+  test('rejects tokens made for another purpose', () => {
+    const token = createSignedToken('link-expiry-opt-out', { user: 'user-1' }, { ...options, expiresInSeconds: 60 });
+
+    expect(verifySignedToken(token, 'extend-link', options)).toBeNull();
+  });
+
+  test('rejects expired tokens', () => {
+    const token = createSignedToken('extend-link', { link: 'link-1' }, { ...options, expiresInSeconds: 60 });
+
+    expect(verifySignedToken(token, 'extend-link', { ...options, now: options.now + 61000 })).toBeNull();
+  });
+
+  test('rejects tampered claims and other secrets', () => {
+    const token = createSignedToken('extend-link', { link: 'link-1' }, { ...options, expiresInSeconds: 60 });
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ link: 'link-2', purpose: 'extend-link', exp: options.now + 60000 })).toString('base64url');
+
+    expect(verifySignedToken(`${forged}.${signature}`, 'extend-link', options)).toBeNull();
+    expect(verifySignedToken(token, 'extend-link', { ...options, secret: 'other' })).toBeNull();
+    expect(verifySignedToken('garbage', 'extend-link', options)).toBeNull();
+    expect(verifySignedToken(undefined, 'extend-link', options)).toBeNull();
+  });
+});
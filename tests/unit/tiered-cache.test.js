@@ -0,0 +1,157 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+import { LruCache } from '../../src/services/lru-cache.js';
+import { TieredCache, CACHED_NOT_FOUND } from '../../src/services/tiered-cache.js';
+
+// Stands in for RedisCache; every instance shares one "server" and one pub/sub bus
+function createFakeRedisCache(store, bus) {
+  const client = {
+    publish: jest.fn(async (channel, message) => {
+      bus.emit('message', channel, message);
+      return 1;
+    }),
+    duplicate: () => {
+      const subscriber = new EventEmitter();
+      subscriber.subscribe = jest.fn(async () => {
+        bus.on('message', (channel, message) => subscriber.emit('message', channel, message));
+      });
+      subscriber.quit = jest.fn(async () => {});
+      return subscriber;
+    }
+  };
+
+  return {
+    client,
+    isConnected: true,
+    get: jest.fn(async (key) => store.get(key) ?? null),
+    set: jest.fn(async (key, value) => { store.set(key, value); return true; }),
+    del: jest.fn(async (key) => { store.delete(key); return true; }),
+    deletePattern: jest.fn(async () => 0),
+    disconnect: jest.fn(async () => {})
+  };
+}
+
+describe('LruCache', () => {
+  test('evicts the least recently used entry', () => {
+    const lru = new LruCache({ maxEntries: 2 });
+    lru.set('a', 1, 1000);
+    lru.set('b', 2, 1000);
+    lru.get('a');
+    lru.set('c', 3, 1000);
+
+    expect(lru.get('a')).toBe(1);
+    expect(lru.get('b')).toBeUndefined();
+    expect(lru.get('c')).toBe(3);
+    expect(lru.evictions).toBe(1);
+  });
+
+  test('expires entries after their TTL', () => {
+    let now = 0;
+    const lru = new LruCache({ maxEntries: 10, now: () => now });
+    lru.set('a', 'value', 1000);
+
+    now = 999;
+    expect(lru.get('a')).toBe('value');
+    now = 1000;
+    expect(lru.get('a')).toBeUndefined();
+    expect(lru.size).toBe(0);
+  });
+
+  test('deletes keys matching a pattern', () => {
+    const lru = new LruCache();
+    lru.set('url:keywords:a', 1, 1000);
+    lru.set('url:keywords:b', 2, 1000);
+    lru.set('domain:go.acme.com', 3, 1000);
+
+    expect(lru.deleteMatching(/^url:/)).toBe(2);
+    expect(lru.size).toBe(1);
+  });
+});
+
+describe('TieredCache', () => {
+  let store;
+  let bus;
+  let redisA;
+  let cacheA;
+
+  beforeEach(async () => {
+    store = new Map();
+    bus = new EventEmitter();
+    redisA = createFakeRedisCache(store, bus);
+    cacheA = new TieredCache(redisA, { logger: { error: jest.fn() } });
+    await cacheA.connect();
+  });
+
+  test('serves repeat reads from memory', async () => {
+    store.set('url:keywords:hot', '{"id":1}');
+
+    expect(await cacheA.get('url:keywords:hot')).toBe('{"id":1}');
+    expect(await cacheA.get('url:keywords:hot')).toBe('{"id":1}');
+
+    expect(redisA.get).toHaveBeenCalledTimes(1);
+    expect(cacheA.getStats()).toMatchObject({
+      local: { hits: 1, misses: 1, size: 1 },
+      redis: { hits: 1, misses: 0 }
+    });
+  });
+
+  test('writes through to Redis', async () => {
+    await cacheA.set('url:keywords:new', { id: 2 }, 60);
+
+    expect(redisA.set).toHaveBeenCalledWith('url:keywords:new', '{"id":2}', 60);
+    expect(await cacheA.get('url:keywords:new')).toBe('{"id":2}');
+    expect(redisA.get).not.toHaveBeenCalled();
+  });
+
+  test('counts Redis misses', async () => {
+    expect(await cacheA.get('url:keywords:none')).toBeNull();
+    expect(cacheA.getStats().redis.misses).toBe(1);
+  });
+
+  test('keeps not-found results locally only', async () => {
+    cacheA.setNotFound('url:keywords:scan');
+
+    expect(await cacheA.get('url:keywords:scan')).toBe(CACHED_NOT_FOUND);
+    expect(redisA.set).not.toHaveBeenCalled();
+    expect(cacheA.getStats().local.not_found_hits).toBe(1);
+  });
+
+  test('a delete on one instance evicts the entry on the others', async () => {
+    const cacheB = new TieredCache(createFakeRedisCache(store, bus), { logger: { error: jest.fn() } });
+    await cacheB.connect();
+
+    await cacheA.set('url:keywords:edited', 'old', 60);
+    await cacheB.get('url:keywords:edited');
+    expect(cacheB.local.has('url:keywords:edited')).toBe(true);
+
+    await cacheA.del('url:keywords:edited');
+
+    expect(cacheB.local.has('url:keywords:edited')).toBe(false);
+    expect(cacheA.getStats().invalidations.published).toBe(1);
+    expect(cacheB.getStats().invalidations.received).toBe(1);
+    expect(cacheA.getStats().invalidations.received).toBe(0);
+  });
+
+  test('pattern deletes are broadcast too', async () => {
+    const cacheB = new TieredCache(createFakeRedisCache(store, bus), { logger: { error: jest.fn() } });
+    await cacheB.connect();
+    await cacheB.set('url:identifier:acme:keywords:gh', 'x', 60);
+    await cacheB.set('url:keywords:other', 'y', 60);
+
+    await cacheA.deletePattern('url:identifier:acme:*');
+
+    expect(cacheB.local.has('url:identifier:acme:keywords:gh')).toBe(false);
+    expect(cacheB.local.has('url:keywords:other')).toBe(true);
+  });
+
+  test('caps local entries at the configured TTL', async () => {
+    const cache = new TieredCache(redisA, { localTtl: 5 });
+    const setSpy = jest.spyOn(cache.local, 'set');
+
+    await cache.set('a', 'x', 300);
+    await cache.set('b', 'y', 2);
+
+    expect(setSpy).toHaveBeenNthCalledWith(1, 'a', 'x', 5000);
+    expect(setSpy).toHaveBeenNthCalledWith(2, 'b', 'y', 2000);
+  });
+});
@@ -64,6 +64,19 @@ describe('URL Parser', () => {
         pattern: 'identifier-keyword'
       });
     });
+
+    test('classifies a trailing * as a template', () => {
+      expect(parseUrlPattern('/acme/gh/*')).toEqual({
+        identifier: 'acme',
+        keywords: ['gh'],
+        pattern: 'template'
+      });
+      expect(parseUrlPattern('/gh/*')).toEqual({
+        identifier: null,
+        keywords: ['gh'],
+        pattern: 'template'
+      });
+    });
   });
 
   describe('validateKeywords', () => {
@@ -129,6 +142,15 @@ describe('URL Parser', () => {
       expect(url).toBe('wordsto.link/docs/api/v2');
     });
 
+    test('generates URL for templates', () => {
+      const url = generateShortUrl({
+        identifier: 'acme',
+        keywords: ['gh'],
+        is_template: true
+      });
+      expect(url).toBe('wordsto.link/acme/gh/*');
+    });
+
     test('generates URL with custom domain', () => {
       const url = generateShortUrl({
         identifier: 'company',
@@ -0,0 +1,56 @@
+import { getVariants, findVariant, pickVariant, getVariantCookieName } from '../../src/utils/variants.js';
+
+const variants = [
+  { id: 'a', destination_url: 'https://acme.com/a', weight: 70 },
+  { id: 'b', destination_url: 'https://acme.com/b', weight: 30 },
+  { id: 'c', destination_url: 'https://acme.com/c', weight: 0 }
+];
+
+describe('Destination variants', () => {
+  describe('getVariants', () => {
+    test('drops variants without weight', () => {
+      expect(getVariants({ variants }).map(v => v.id)).toEqual(['a', 'b']);
+    });
+
+    test('handles links without variants', () => {
+      expect(getVariants({})).toEqual([]);
+      expect(getVariants(null)).toEqual([]);
+    });
+  });
+
+  describe('pickVariant', () => {
+    const active = getVariants({ variants });
+
+    test('maps the random ticket onto cumulative weights', () => {
+      expect(pickVariant(active, () => 0).id).toBe('a');
+      expect(pickVariant(active, () => 69).id).toBe('a');
+      expect(pickVariant(active, () => 70).id).toBe('b');
+      expect(pickVariant(active, () => 99).id).toBe('b');
+    });
+
+    test('draws tickets over the total weight', () => {
+      const random = jest.fn(() => 0);
+      pickVariant(active, random);
+      expect(random).toHaveBeenCalledWith(100);
+    });
+
+    test('returns null when there is nothing to pick', () => {
+      expect(pickVariant([])).toBeNull();
+    });
+  });
+
+  describe('findVariant', () => {
+    test('finds a variant by id', () => {
+      expect(findVariant(variants, 'b').destination_url).toBe('https://acme.com/b');
+    });
+
+    test('returns null for unknown or missing ids', () => {
+      expect(findVariant(variants, 'z')).toBeNull();
+      expect(findVariant(variants, undefined)).toBeNull();
+    });
+  });
+
+  test('scopes the cookie to the link', () => {
+    expect(getVariantCookieName('42')).toBe('wtl_v_42');
+  });
+});
@@ -0,0 +1,71 @@
+import { generateVisitorId, getVisitorId, VISITOR_COOKIE_NAME } from '../../src/utils/request-utils.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function makeRequest({ ip = '203.0.113.7', userAgent = 'Mozilla/5.0 Firefox/120.0', cookies = {} } = {}) {
+  return {
+    ip,
+    headers: { 'user-agent': userAgent },
+    cookies
+  };
+}
+
+describe('Visitor IDs', () => {
+  const options = { salt: 'test-salt', rotationHours: 24 };
+  const dayStart = Date.UTC(2025, 0, 15);
+
+  describe('generateVisitorId', () => {
+    test('is stable within a rotation window', () => {
+      const first = generateVisitorId(makeRequest(), { ...options, now: dayStart + HOUR });
+      const second = generateVisitorId(makeRequest(), { ...options, now: dayStart + 23 * HOUR });
+      expect(first).toBe(second);
+      expect(first).toMatch(/^[A-Za-z0-9_-]{22}$/);
+    });
+
+    test('rotates when the window changes', () => {
+      const today = generateVisitorId(makeRequest(), { ...options, now: dayStart + HOUR });
+      const tomorrow = generateVisitorId(makeRequest(), { ...options, now: dayStart + 25 * HOUR });
+      expect(today).not.toBe(tomorrow);
+    });
+
+    test('honours a shorter rotation window', () => {
+      const hourly = { ...options, rotationHours: 1 };
+      expect(generateVisitorId(makeRequest(), { ...hourly, now: dayStart }))
+        .not.toBe(generateVisitorId(makeRequest(), { ...hourly, now: dayStart + HOUR }));
+    });
+
+    test('depends on the salt', () => {
+      const now = dayStart;
+      expect(generateVisitorId(makeRequest(), { ...options, now }))
+        .not.toBe(generateVisitorId(makeRequest(), { ...options, salt: 'other-salt', now }));
+    });
+
+    test('separates visitors by IP and User-Agent', () => {
+      const now = dayStart;
+      const base = generateVisitorId(makeRequest(), { ...options, now });
+      expect(generateVisitorId(makeRequest({ ip: '198.51.100.1' }), { ...options, now })).not.toBe(base);
+      expect(generateVisitorId(makeRequest({ userAgent: 'curl/8.0' }), { ...options, now })).not.toBe(base);
+    });
+
+    test('does not expose the IP address', () => {
+      const id = generateVisitorId(makeRequest(), { ...options, now: dayStart });
+      expect(id).not.toContain('203');
+    });
+  });
+
+  describe('getVisitorId', () => {
+    test('prefers the visitor cookie', () => {
+      const request = makeRequest({ cookies: { [VISITOR_COOKIE_NAME]: 'Abc123_-Abc123_-Abc123' } });
+      expect(getVisitorId(request)).toBe('Abc123_-Abc123_-Abc123');
+    });
+
+    test('ignores malformed cookies', () => {
+      const request = makeRequest({ cookies: { [VISITOR_COOKIE_NAME]: "x'; DROP TABLE" } });
+      expect(getVisitorId(request)).toBe(generateVisitorId(makeRequest()));
+    });
+
+    test('falls back to the hashed id without a cookie', () => {
+      expect(getVisitorId(makeRequest())).toBe(generateVisitorId(makeRequest()));
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import { sendWeeklyReports, renderWeeklyReport, buildWeeklyReport } from '../../src/services/weekly-report.js';
+
+const logger = { info: jest.fn() };
+
+const periodStart = new Date('2025-03-02T23:00:00Z');
+const previousStart = new Date('2025-02-23T23:00:00Z');
+
+function recipient(overrides) {
+  return {
+    id: 'user-1',
+    email: 'jane@example.com',
+    full_name: 'Jane',
+    identifier: 'jane',
+    timezone: 'Europe/Berlin',
+    week_start: '2025-03-03',
+    week_end: '2025-03-09',
+    period_start: periodStart,
+    period_end: new Date('2025-03-09T22:59:59.999Z'),
+    previous_start: previousStart,
+    previous_end: new Date('2025-03-02T22:59:59.999Z'),
+    ...overrides
+  };
+}
+
+// Answers each summary query by its SQL; overview counts depend on which week is asked for
+function createDb(recipients, { totalUrls = 3 } = {}) {
+  return {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('pg_timezone_names')) return { rows: recipients };
+      if (sql.includes('as total_urls')) {
+        const current = params[1] === periodStart;
+        return {
+          rows: [{
+            total_urls: String(totalUrls),
+            total_clicks: current ? '120' : '100',
+            unique_visitors: current ? '40' : '50',
+            countries_reached: '2',
+            avg_response_time: null
+          }]
+        };
+      }
+      if (sql.includes('array_to_string')) {
+        return { rows: [{ path: 'jane/launch', title: 'Launch', clicks: '90' }, { path: 'jane/old', title: null, clicks: '0' }] };
+      }
+      if (sql.includes('as country')) return { rows: [{ country_code: 'DE', country: 'Germany', clicks: '80' }] };
+      if (sql.includes('as source')) return { rows: [{ source: 'news.ycombinator.com', clicks: '60' }, { source: 'Direct', clicks: '40' }] };
+      return { rows: [], rowCount: 1 };
+    })
+  };
+}
+
+describe('buildWeeklyReport', () => {
+  test('compares the week with the one before in the user timezone', async () => {
+    const db = createDb([]);
+
+    const report = await buildWeeklyReport(db, recipient());
+
+    expect(report.period).toEqual({ start: '2025-03-03', end: '2025-03-09', timezone: 'Europe/Berlin' });
+    expect(report.clicks).toEqual({ current: 120, previous: 100, change_percent: 20 });
+    expect(report.unique_visitors).toEqual({ current: 40, previous: 50, change_percent: -20 });
+    expect(report.top_links).toEqual([{ path: 'jane/launch', title: 'Launch', clicks: 90 }]);
+    expect(report.top_countries).toEqual([{ country_code: 'DE', country: 'Germany', clicks: 80 }]);
+    expect(report.top_referrers[0]).toEqual({ source: 'news.ycombinator.com', clicks: 60 });
+  });
+
+  test('reads the week from the rollups and counts people only', async () => {
+    const db = createDb([]);
+
+    await buildWeeklyReport(db, recipient());
+
+    const summaryQueries = db.query.mock.calls.filter(([sql]) => sql.includes('WITH events AS'));
+    expect(summaryQueries).toHaveLength(5);
+    summaryQueries.forEach(([sql]) => {
+      expect(sql).toContain('analytics_rollups_daily');
+      expect(sql).toContain('shortened_url_id IN (SELECT id FROM shortened_urls WHERE user_id = $1)');
+      expect(sql).toContain('AND is_bot = false');
+      expect(sql).not.toContain('a.is_bot');
+    });
+  });
+});
+
+describe('renderWeeklyReport', () => {
+  test('renders matching HTML and plain text', async () => {
+    const report = await buildWeeklyReport(createDb([]), recipient());
+
+    const { subject, html, text } = renderWeeklyReport(report, { name: 'Jane <3', unsubscribeUrl: 'https://api.example.com/unsubscribe?token=a&b' });
+
+    expect(subject).toBe('Your week on WordsTo.Link: 120 clicks (+20%)');
+    expect(html).toContain('Mar 3 – Mar 9, 2025');
+    expect(html).toContain('Hi Jane &lt;3,');
+    expect(html).toContain('news.ycombinator.com');
+    expect(text).toContain('Clicks: 120 (+20% vs previous week)');
+    expect(text).toContain('Unique visitors: 40 (-20% vs previous week)');
+    expect(text).toContain('- jane/launch: 90 clicks');
+    expect(text).toContain('Monday to Sunday in Europe/Berlin');
+    expect(html).toContain('href="https://api.example.com/unsubscribe?token=a&amp;b"');
+    expect(text).toContain('Unsubscribe from weekly reports: https://api.example.com/unsubscribe?token=a&b');
+  });
+});
+
+describe('sendWeeklyReports', () => {
+  test('sends to each due user and records the week', async () => {
+    const db = createDb([recipient(), recipient({ id: 'user-2', email: 'sam@example.com' })]);
+    const send = jest.fn(async () => ({ success: true }));
+
+    const result = await sendWeeklyReports(db, { send, logger });
+
+    expect(result).toEqual({ sent: 2, skipped: 0 });
+    expect(send.mock.calls[0][0]).toMatchObject({ email: 'jane@example.com' });
+    expect(send.mock.calls[0][1]).toEqual({
+      subject: expect.any(String),
+      html: expect.any(String),
+      text: expect.any(String),
+      unsubscribeUrl: expect.stringContaining('/api/email/unsubscribe?token=')
+    });
+    const marked = db.query.mock.calls.filter(([sql]) => sql.includes('SET weekly_report_sent_for'));
+    expect(marked.map(([, params]) => params)).toEqual([['user-1', '2025-03-03'], ['user-2', '2025-03-03']]);
+  });
+
+  test('only picks users who opted in and are past Monday morning', async () => {
+    const db = createDb([]);
+
+    await sendWeeklyReports(db, { send: jest.fn(), logger });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain("np.user_id = local_weeks.id AND np.channel = 'email' AND np.event = 'weekly_report'");
+    expect(sql).toContain('EXTRACT(ISODOW FROM local_now) = 1');
+    expect(params).toEqual([8]);
+  });
+
+  test('skips accounts without links but still records the week', async () => {
+    const db = createDb([recipient()], { totalUrls: 0 });
+    const send = jest.fn();
+
+    expect(await sendWeeklyReports(db, { send, logger })).toEqual({ sent: 0, skipped: 1 });
+    expect(send).not.toHaveBeenCalled();
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('SET weekly_report_sent_for'), ['user-1', '2025-03-03']);
+  });
+
+  test('leaves failed sends due and fails the run', async () => {
+    const db = createDb([recipient()]);
+    const send = jest.fn(async () => ({ success: false, error: new Error('rejected') }));
+
+    await expect(sendWeeklyReports(db, { send, logger })).rejects.toThrow('failed for 1 of 1 user(s)');
+    expect(db.query).not.toHaveBeenCalledWith(expect.stringContaining('SET weekly_report_sent_for'), expect.anything());
+  });
+});